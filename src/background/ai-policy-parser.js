@@ -0,0 +1,85 @@
+/**
+ * AI Policy Parser
+ * Interprets text-and-data-mining and AI opt-out declarations other than
+ * robots.txt: TDMRep (/.well-known/tdmrep.json, W3C TDM Reservation
+ * Protocol) and ai.txt (robots.txt syntax, usually scoped by file type)
+ */
+
+import { parseRobotsTxt, evaluateRobotsAccess, matchesRobotsPattern } from './robots-parser.js';
+
+/**
+ * Sample paths ai.txt media rules are evaluated against
+ */
+const AI_TXT_MEDIA_SAMPLES = {
+  images: ['/image.jpg', '/image.png', '/image.webp'],
+  video: ['/video.mp4'],
+  audio: ['/audio.mp3']
+};
+
+/**
+ * Validate tdmrep.json content and find the rule for a page path
+ * Rules are checked in order and the first matching location applies.
+ * @param {*} json - Parsed tdmrep.json body (an array of rules)
+ * @param {string} path - Page path plus query string
+ * @returns {Object} { valid, ruleCount, match: { location, reservation, policy, index }, errors }
+ */
+export function evaluateTdmRep(json, path) {
+  const errors = [];
+  if (!Array.isArray(json)) {
+    return { valid: false, ruleCount: 0, match: null, errors: ['tdmrep.json must be a JSON array of rules'] };
+  }
+
+  const rules = [];
+  json.forEach((rule, index) => {
+    if (!rule || typeof rule.location !== 'string') {
+      errors.push(`Rule ${index + 1} has no "location"`);
+      return;
+    }
+    const reservation = Number(rule['tdm-reservation']);
+    if (reservation !== 0 && reservation !== 1) {
+      errors.push(`Rule ${index + 1} ("${rule.location}") needs "tdm-reservation" set to 0 or 1`);
+      return;
+    }
+    rules.push({
+      location: rule.location,
+      reservation,
+      policy: typeof rule['tdm-policy'] === 'string' ? rule['tdm-policy'] : null,
+      index
+    });
+  });
+
+  const target = path || '/';
+  const match = rules.find(rule => {
+    const pattern = rule.location.startsWith('/') || rule.location.startsWith('*') ? rule.location : `/${rule.location}`;
+    return matchesRobotsPattern(pattern, target);
+  }) || null;
+
+  return { valid: errors.length === 0, ruleCount: rules.length, match, errors };
+}
+
+/**
+ * Evaluate ai.txt for the page itself and for common media types
+ * The "*" group applies to every AI agent; named groups are listed separately.
+ * @param {string} content - Raw ai.txt content
+ * @param {string} path - Page path plus query string
+ * @returns {Object} { text: { allowed, rule }, media: { images, video, audio }, agents, ruleCount }
+ */
+export function evaluateAiTxt(content, path) {
+  const parsed = parseRobotsTxt(content);
+  const text = evaluateRobotsAccess(parsed, '*', path || '/');
+
+  const media = {};
+  Object.entries(AI_TXT_MEDIA_SAMPLES).forEach(([type, samples]) => {
+    const blocked = samples
+      .map(sample => evaluateRobotsAccess(parsed, '*', sample))
+      .find(result => !result.allowed);
+    media[type] = { allowed: !blocked, rule: blocked?.rule || null };
+  });
+
+  return {
+    text: { allowed: text.allowed, rule: text.rule },
+    media,
+    agents: [...new Set(parsed.groups.flatMap(group => group.userAgents))],
+    ruleCount: parsed.groups.reduce((sum, group) => sum + group.rules.length, 0)
+  };
+}
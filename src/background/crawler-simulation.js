@@ -0,0 +1,207 @@
+/**
+ * AI Crawler Simulation
+ * Re-requests a page with each AI crawler's user-agent to catch CDN/WAF
+ * rules (403s, challenge pages, stripped markup) that robots.txt doesn't show.
+ * The User-Agent header is rewritten with a declarativeNetRequest session
+ * rule that only matches this module's requests: each run tags its URLs with
+ * a one-off query parameter, so other fetches to the same host (robots.txt,
+ * headers, raw HTML for parallel bulk analyses) keep the normal user-agent.
+ * Requests still come from the user's IP, so a WAF that verifies crawler IP
+ * ranges may block the simulation while letting the real crawler through.
+ */
+
+/**
+ * User-agent strings the crawlers send. Tokens that are robots.txt-only
+ * (Google-Extended, Applebot-Extended) have no crawler of their own and are
+ * skipped: faking Googlebot/Applebot gets blocked by WAFs that verify them.
+ */
+const CRAWLER_USER_AGENTS = {
+  'gptbot': 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; GPTBot/1.2; +https://openai.com/gptbot)',
+  'chatgpt-user': 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko); compatible; ChatGPT-User/1.0; +https://openai.com/bot',
+  'oai-searchbot': 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko); compatible; OAI-SearchBot/1.0; +https://openai.com/searchbot',
+  'claudebot': 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; ClaudeBot/1.0; +claudebot@anthropic.com)',
+  'claude-web': 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; Claude-Web/1.0; +https://www.anthropic.com)',
+  'anthropic-ai': 'Mozilla/5.0 (compatible; anthropic-ai/1.0; +https://www.anthropic.com)',
+  'perplexitybot': 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; PerplexityBot/1.0; +https://perplexity.ai/perplexitybot)',
+  'meta-externalagent': 'meta-externalagent/1.1 (+https://developers.facebook.com/docs/sharing/webmasters/crawler)',
+  'bytespider': 'Mozilla/5.0 (Linux; Android 5.0) AppleWebKit/537.36 (KHTML, like Gecko) Mobile Safari/537.36 (compatible; Bytespider; spider-feedback@bytedance.com)',
+  'cohere-ai': 'Mozilla/5.0 (compatible; cohere-ai/1.0; +https://cohere.com)',
+  'youbot': 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; YouBot/1.0; +https://about.you.com/youbot/)',
+  'amazonbot': 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; Amazonbot/0.1; +https://developer.amazon.com/support/amazonbot) Chrome/119.0.6045.214 Safari/537.36',
+  'ccbot': 'CCBot/2.0 (https://commoncrawl.org/faq/)'
+};
+
+/**
+ * Session rule ID reserved for the simulated User-Agent
+ */
+const SIMULATION_RULE_ID = 9001;
+
+/**
+ * Query parameter that marks simulation requests for the session rule
+ */
+const SIMULATION_MARKER_PARAM = '__pdpiq_sim';
+
+/**
+ * Per-request timeout
+ */
+const SIMULATION_TIMEOUT_MS = 10000;
+
+/**
+ * Bot-protection interstitials (Cloudflare, Akamai, DataDome, PerimeterX, Imperva)
+ */
+const CHALLENGE_PATTERNS = [
+  /<title>\s*(just a moment|attention required|access denied|pardon our interruption|request unsuccessful)/i,
+  /challenges\.cloudflare\.com|cf-chl-|_cf_chl_opt/i,
+  /captcha-delivery\.com|geo\.captcha-delivery/i,
+  /px-captcha|_pxhd/i,
+  /Reference&#32;&#35;|Reference #\d+\.[0-9a-f]+/i,
+  /incapsula incident id/i
+];
+
+/**
+ * Size below this share of the browser response counts as different HTML
+ */
+const DEGRADED_SIZE_RATIO = 0.5;
+
+// Only one simulation runs at a time so rules for different hosts don't clash
+let simulationQueue = Promise.resolve();
+
+/**
+ * Request a page as a browser and as each AI crawler and compare the responses
+ * @param {string} url - Page URL
+ * @param {Array<string>} crawlers - Crawler tokens (MAJOR_AI_CRAWLERS)
+ * @returns {Promise<Object>} { baseline, results: [{ crawler, outcome, status, size, hasProductSchema, reason }], blockedCrawlers, skippedCrawlers }
+ */
+export function simulateAICrawlers(url, crawlers) {
+  const run = simulationQueue.then(() => runSimulation(url, crawlers));
+  simulationQueue = run.catch(() => {});
+  return run;
+}
+
+async function runSimulation(url, crawlers) {
+  const host = new URL(url).hostname;
+  const marker = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+  const markedUrl = new URL(url);
+  markedUrl.searchParams.set(SIMULATION_MARKER_PARAM, marker);
+
+  // A rule left behind by a service worker that stopped mid-run would skew the baseline
+  await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: [SIMULATION_RULE_ID] });
+  const baseline = await requestPage(markedUrl.href);
+  const results = [];
+
+  try {
+    for (const crawler of crawlers) {
+      const userAgent = CRAWLER_USER_AGENTS[crawler];
+      if (!userAgent) {
+        results.push({ crawler, outcome: 'skipped', reason: 'robots.txt token only; no crawler of its own to simulate' });
+        continue;
+      }
+
+      await setUserAgentRule(host, marker, userAgent);
+      const response = await requestPage(markedUrl.href);
+      if (response.finalUrl && new URL(response.finalUrl).searchParams.get(SIMULATION_MARKER_PARAM) !== marker) {
+        results.push({ crawler, ...response, outcome: 'error', reason: 'Redirected to a URL without the simulation marker, so the user-agent was not applied' });
+        continue;
+      }
+      results.push({ crawler, ...compareResponses(baseline, response) });
+    }
+  } finally {
+    await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: [SIMULATION_RULE_ID] });
+  }
+
+  return {
+    url,
+    baseline,
+    results,
+    blockedCrawlers: results.filter(r => r.outcome === 'blocked' || r.outcome === 'challenged').map(r => r.crawler),
+    degradedCrawlers: results.filter(r => r.outcome === 'degraded').map(r => r.crawler),
+    skippedCrawlers: results.filter(r => r.outcome === 'skipped').map(r => r.crawler)
+  };
+}
+
+/**
+ * Point the simulation rule at this run's requests and a user-agent
+ * Limited to tab-less requests to the host whose URL carries the run's marker;
+ * a redirect that drops the query string is requested with the normal user-agent.
+ * @param {string} host - Page hostname
+ * @param {string} marker - This run's marker parameter value
+ * @param {string} userAgent - User-Agent to send
+ */
+async function setUserAgentRule(host, marker, userAgent) {
+  await chrome.declarativeNetRequest.updateSessionRules({
+    removeRuleIds: [SIMULATION_RULE_ID],
+    addRules: [{
+      id: SIMULATION_RULE_ID,
+      priority: 1,
+      action: {
+        type: 'modifyHeaders',
+        requestHeaders: [{ header: 'User-Agent', operation: 'set', value: userAgent }]
+      },
+      condition: {
+        urlFilter: `${SIMULATION_MARKER_PARAM}=${marker}`,
+        requestDomains: [host],
+        tabIds: [chrome.tabs.TAB_ID_NONE],
+        resourceTypes: ['xmlhttprequest']
+      }
+    }]
+  });
+}
+
+/**
+ * Fetch the page without cookies or cache
+ * @param {string} url - Page URL
+ * @returns {Promise<Object>} { status, size, hasProductSchema, challenge, finalUrl, error }
+ */
+async function requestPage(url) {
+  try {
+    const response = await fetch(url, {
+      method: 'GET',
+      credentials: 'omit',
+      cache: 'no-store',
+      redirect: 'follow',
+      signal: AbortSignal.timeout(SIMULATION_TIMEOUT_MS)
+    });
+    const html = await response.text();
+    return {
+      status: response.status,
+      size: html.length,
+      finalUrl: response.url,
+      hasProductSchema: hasProductSchema(html),
+      challenge: response.headers.get('cf-mitigated') === 'challenge' || CHALLENGE_PATTERNS.some(pattern => pattern.test(html.slice(0, 20000))),
+      error: null
+    };
+  } catch (error) {
+    return { status: null, size: 0, finalUrl: null, hasProductSchema: false, challenge: false, error: error.name === 'TimeoutError' ? 'Timed out' : error.message };
+  }
+}
+
+// Product in JSON-LD or microdata, as a crawler that doesn't run JavaScript sees it
+function hasProductSchema(html) {
+  return /"@type"\s*:\s*(\[[^\]]*)?"(schema:)?(Product|ProductGroup|IndividualProduct)"/.test(html) ||
+    /itemtype\s*=\s*["']https?:\/\/schema\.org\/Product["']/i.test(html);
+}
+
+/**
+ * Classify a crawler response against the browser baseline
+ * @param {Object} baseline - Browser response
+ * @param {Object} response - Crawler response
+ * @returns {Object} { outcome: ok|blocked|challenged|degraded|error, reason, status, size, hasProductSchema }
+ */
+function compareResponses(baseline, response) {
+  if (response.error) {
+    return { ...response, outcome: 'error', reason: response.error };
+  }
+  if (response.challenge && !baseline.challenge) {
+    return { ...response, outcome: 'challenged', reason: `Bot challenge page (HTTP ${response.status})` };
+  }
+  if (response.status >= 400 && response.status !== baseline.status) {
+    return { ...response, outcome: 'blocked', reason: `HTTP ${response.status} (browser got ${baseline.status})` };
+  }
+  if (baseline.hasProductSchema && !response.hasProductSchema) {
+    return { ...response, outcome: 'degraded', reason: 'Product schema missing from the response' };
+  }
+  if (baseline.size > 0 && response.size < baseline.size * DEGRADED_SIZE_RATIO) {
+    return { ...response, outcome: 'degraded', reason: `Response is ${Math.round((response.size / baseline.size) * 100)}% of the browser's size` };
+  }
+  return { ...response, outcome: 'ok', reason: null };
+}
@@ -0,0 +1,191 @@
+/**
+ * llms.txt Parser
+ * Structure checks against the llmstxt.org markdown conventions: an H1 title,
+ * an optional blockquote summary, free-form details, then H2 sections of
+ * "- [name](url): notes" link lists, with "Optional" marking skippable links
+ */
+
+/**
+ * Maximum llms.txt size parsed (larger files are truncated)
+ */
+export const MAX_LLMS_TXT_BYTES = 1024 * 1024;
+
+/**
+ * List item in an H2 section: - [name](url) or - [name](url): notes
+ */
+const LINK_ITEM = /^[-*+]\s+\[([^\]]+)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)(?:\s*:\s*(.*))?$/;
+
+/**
+ * Parse llms.txt content and collect structural issues
+ * Issues keep their 1-based source line number (null for file-level problems).
+ * @param {string} content - Raw llms.txt content
+ * @param {string} fileUrl - URL the file was fetched from (relative links resolve against it)
+ * @returns {Object} { title, summary, details, sections, links, hasOptionalSection, issues, truncated }
+ */
+export function parseLlmsTxt(content, fileUrl) {
+  const truncated = content.length > MAX_LLMS_TXT_BYTES;
+  const text = truncated ? content.slice(0, MAX_LLMS_TXT_BYTES) : content;
+  const result = {
+    title: null,
+    summary: null,
+    details: '',
+    sections: [],
+    links: [],
+    hasOptionalSection: false,
+    issues: [],
+    truncated
+  };
+  const addIssue = (severity, message, line = null) => result.issues.push({ severity, message, line });
+
+  if (!text.trim()) {
+    addIssue('error', 'File is empty');
+    return result;
+  }
+
+  // Servers that answer every path with their storefront return a 200 HTML page
+  if (/^\s*(<!doctype html|<html)/i.test(text)) {
+    addIssue('error', 'Served an HTML page instead of markdown');
+    return result;
+  }
+
+  const lines = text.split(/\r\n|\r|\n/);
+  const summaryLines = [];
+  const detailLines = [];
+  let section = null;
+  let inCodeBlock = false;
+  let started = false;
+  let titleLine = 0;
+
+  lines.forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.trim();
+
+    if (/^(```|~~~)/.test(line)) inCodeBlock = !inCodeBlock;
+    if (inCodeBlock || /^(```|~~~)/.test(line)) {
+      if (started && !section) detailLines.push(rawLine);
+      return;
+    }
+    if (!line) return;
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+
+    if (!started) {
+      started = true;
+      if (heading && heading[1].length === 1) {
+        result.title = heading[2];
+        titleLine = lineNumber;
+        return;
+      }
+      addIssue('error', 'File must start with an H1 title (# Site name)', lineNumber);
+    }
+
+    if (heading) {
+      const level = heading[1].length;
+      if (level === 1) {
+        addIssue('warning', 'Only one H1 title is allowed', lineNumber);
+      } else if (level === 2) {
+        section = { name: heading[2], line: lineNumber, optional: /^optional$/i.test(heading[2]), links: [] };
+        if (section.optional) result.hasOptionalSection = true;
+        result.sections.push(section);
+      } else if (!section) {
+        addIssue('warning', `H${level} heading before the first H2 section (only text and lists belong there)`, lineNumber);
+      }
+      return;
+    }
+
+    // Intro: blockquote summary directly after the title, then free-form details
+    if (!section) {
+      if (line.startsWith('>') && detailLines.length === 0) {
+        summaryLines.push(line.replace(/^>\s?/, ''));
+      } else {
+        detailLines.push(rawLine);
+      }
+      return;
+    }
+
+    if (!/^[-*+]\s/.test(line)) return;
+
+    const item = line.match(LINK_ITEM);
+    if (!item) {
+      addIssue('warning', `List item in "${section.name}" is not a [name](url) link`, lineNumber);
+      return;
+    }
+
+    let url = null;
+    try {
+      url = new URL(item[2], fileUrl).href;
+    } catch (e) {
+      addIssue('error', `Invalid link URL: ${item[2]}`, lineNumber);
+      return;
+    }
+
+    const link = { title: item[1].trim(), url, notes: item[3]?.trim() || null, section: section.name, optional: section.optional, line: lineNumber };
+    section.links.push(link);
+    result.links.push(link);
+  });
+
+  result.summary = summaryLines.join(' ').trim() || null;
+  result.details = detailLines.join('\n').trim();
+
+  if (result.title !== null && !result.summary) {
+    addIssue('warning', 'No blockquote summary (> ...) after the title', titleLine + 1);
+  }
+  if (result.sections.length === 0) {
+    addIssue('error', 'No H2 sections listing links');
+  } else if (result.links.length === 0) {
+    addIssue('error', 'H2 sections contain no [name](url) links');
+  } else {
+    result.sections
+      .filter(s => s.links.length === 0)
+      .forEach(s => addIssue('warning', `Section "${s.name}" has no links`, s.line));
+  }
+
+  return result;
+}
+
+/**
+ * Check whether llms.txt points AI systems at the analyzed product or its category
+ * @param {Object} parsed - parseLlmsTxt() result
+ * @param {string} content - Raw llms.txt content
+ * @param {Object} page - { url, productName, categories }
+ * @returns {Object} { product, category } - How each was found ('link' or 'text', plus the matched value), or null
+ */
+export function findLlmsTxtMentions(parsed, content, page = {}) {
+  const text = (content || '').toLowerCase();
+  const pagePath = normalizeLinkPath(page.url);
+  let product = null;
+  let category = null;
+
+  if (pagePath && parsed.links.some(link => normalizeLinkPath(link.url) === pagePath)) {
+    product = { via: 'link', value: page.url };
+  } else if (page.productName && page.productName.trim().length >= 3 && text.includes(page.productName.trim().toLowerCase())) {
+    product = { via: 'text', value: page.productName.trim() };
+  }
+
+  // A category page is any linked non-root path the product URL sits under
+  const ancestor = pagePath && parsed.links.find(link => {
+    const linkPath = normalizeLinkPath(link.url);
+    return linkPath && linkPath !== pagePath && pagePath.startsWith(`${linkPath}/`);
+  });
+  if (ancestor) {
+    category = { via: 'link', value: ancestor.url };
+  } else {
+    const name = (page.categories || [])
+      .map(c => String(c || '').trim())
+      .find(c => c.length >= 3 && text.includes(c.toLowerCase()));
+    if (name) category = { via: 'text', value: name };
+  }
+
+  return { product, category };
+}
+
+// Origin + path without a trailing slash, so /shoes and /shoes/ compare equal
+function normalizeLinkPath(url) {
+  try {
+    const parsed = new URL(url);
+    const path = parsed.pathname.replace(/\/+$/, '');
+    return path ? `${parsed.origin}${path}` : null;
+  } catch (e) {
+    return null;
+  }
+}
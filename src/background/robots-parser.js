@@ -0,0 +1,193 @@
+/**
+ * robots.txt Parser
+ * RFC 9309 (Robots Exclusion Protocol) grouping and path matching
+ */
+
+/**
+ * Maximum robots.txt size crawlers are required to parse (RFC 9309 §2.5)
+ */
+const MAX_ROBOTS_BYTES = 500 * 1024;
+
+/**
+ * Parse robots.txt content into user-agent groups
+ * Consecutive user-agent lines share one group; a user-agent line after a
+ * rule starts a new group. Rules keep their 1-based source line number.
+ * @param {string} content - Raw robots.txt content
+ * @returns {Object} { groups, sitemaps, truncated }
+ */
+export function parseRobotsTxt(content) {
+  const text = content.length > MAX_ROBOTS_BYTES ? content.slice(0, MAX_ROBOTS_BYTES) : content;
+  const lines = text.split(/\r\n|\r|\n/);
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  lines.forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) return;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const key = line.slice(0, separator).trim().toLowerCase().replace(/[\s_]/g, '-');
+    const value = line.slice(separator + 1).trim();
+
+    switch (key) {
+      case 'user-agent':
+      case 'useragent': {
+        if (!current || !lastWasAgent) {
+          current = { userAgents: [], rules: [], crawlDelay: null, line: lineNumber };
+          groups.push(current);
+        }
+        current.userAgents.push(normalizeUserAgent(value));
+        lastWasAgent = true;
+        return;
+      }
+
+      case 'allow':
+      case 'disallow':
+        if (current) {
+          // An empty Disallow means "nothing disallowed" and never matches
+          if (value) {
+            current.rules.push({
+              type: key,
+              pattern: value,
+              normalized: normalizePath(value),
+              line: lineNumber
+            });
+          }
+        }
+        break;
+
+      case 'crawl-delay':
+        if (current) {
+          const delay = parseFloat(value);
+          if (!isNaN(delay) && delay >= 0) current.crawlDelay = delay;
+        }
+        break;
+
+      case 'sitemap':
+        // Sitemap is not group-member; it doesn't close the current group
+        if (value) sitemaps.push(value);
+        return;
+
+      default:
+        break;
+    }
+
+    lastWasAgent = false;
+  });
+
+  return {
+    groups,
+    sitemaps,
+    truncated: content.length > MAX_ROBOTS_BYTES
+  };
+}
+
+/**
+ * Evaluate whether a crawler may fetch a path
+ * Groups naming the crawler's product token are merged; if none exist the
+ * `*` groups apply. The longest matching rule wins; on a tie Allow wins.
+ * @param {Object} parsed - Result of parseRobotsTxt
+ * @param {string} userAgent - Crawler product token (e.g., "GPTBot")
+ * @param {string} path - Path plus query string of the page (e.g., "/p/shoe?color=red")
+ * @returns {Object} { allowed, matchedGroup, rule, crawlDelay }
+ */
+export function evaluateRobotsAccess(parsed, userAgent, path) {
+  const token = normalizeUserAgent(userAgent);
+
+  let matchedGroup = token;
+  let groups = parsed.groups.filter(group => group.userAgents.includes(token));
+  if (groups.length === 0) {
+    matchedGroup = '*';
+    groups = parsed.groups.filter(group => group.userAgents.includes('*'));
+  }
+
+  if (groups.length === 0) {
+    return { allowed: true, matchedGroup: null, rule: null, crawlDelay: null };
+  }
+
+  const crawlDelay = groups.find(group => group.crawlDelay !== null)?.crawlDelay ?? null;
+
+  // robots.txt itself is always fetchable (RFC 9309 §2.2.2)
+  const target = normalizePath(path || '/');
+  if (target === '/robots.txt') {
+    return { allowed: true, matchedGroup, rule: null, crawlDelay };
+  }
+
+  let best = null;
+  for (const group of groups) {
+    for (const rule of group.rules) {
+      if (!matchesRobotsPattern(rule.normalized, target)) continue;
+
+      const length = rule.normalized.length;
+      const bestLength = best ? best.normalized.length : -1;
+      if (length > bestLength || (length === bestLength && rule.type === 'allow')) {
+        best = rule;
+      }
+    }
+  }
+
+  return {
+    allowed: !best || best.type === 'allow',
+    matchedGroup,
+    rule: best ? { type: best.type, pattern: best.pattern, line: best.line } : null,
+    crawlDelay
+  };
+}
+
+/**
+ * Test a robots.txt path pattern against a path
+ * `*` matches any sequence of characters; a trailing `$` anchors the end
+ * @param {string} pattern - Normalized rule pattern
+ * @param {string} path - Normalized path
+ * @returns {boolean}
+ */
+export function matchesRobotsPattern(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+
+  // Fast path: plain prefix rule
+  if (!body.includes('*')) {
+    return anchored ? path === body : path.startsWith(body);
+  }
+
+  const source = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+}
+
+/**
+ * Reduce a user-agent line value to its product token
+ * "GPTBot/1.1" and "gptbot" both become "gptbot"
+ * @param {string} value - user-agent value
+ * @returns {string}
+ */
+function normalizeUserAgent(value) {
+  const trimmed = value.trim().toLowerCase();
+  if (trimmed.startsWith('*')) return '*';
+  const match = trimmed.match(/^[a-z0-9_-]+/);
+  return match ? match[0] : trimmed;
+}
+
+/**
+ * Normalize percent-encoding so rules and paths compare octet-for-octet
+ * Non-ASCII characters are UTF-8 encoded and existing escapes upper-cased
+ * @param {string} value - Path or pattern
+ * @returns {string}
+ */
+function normalizePath(value) {
+  let normalized = value.replace(/%[0-9a-f]{2}/gi, escape => escape.toUpperCase());
+  normalized = normalized.replace(/[^\x21-\x7e]/gu, char => encodeURIComponent(char));
+  // Escapes of unreserved characters (e.g., %7E) are equivalent to the literal
+  normalized = normalized.replace(/%(2D|2E|5F|7E|[46][1-9A-F]|[57][0-9A]|3[0-9])/g, escape =>
+    String.fromCharCode(parseInt(escape.slice(1), 16))
+  );
+  return normalized.startsWith('/') || normalized.startsWith('*') ? normalized : `/${normalized}`;
+}
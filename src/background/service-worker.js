@@ -2,6 +2,14 @@
  * Service Worker - Message routing hub and og:image format verification
  */
 
+import { parseRobotsTxt, evaluateRobotsAccess } from './robots-parser.js';
+import { parseLlmsTxt, findLlmsTxtMentions, MAX_LLMS_TXT_BYTES } from './llms-txt-parser.js';
+import { evaluateTdmRep, evaluateAiTxt } from './ai-policy-parser.js';
+import { simulateAICrawlers } from './crawler-simulation.js';
+import { parseRobotsDirectives } from '../content/extractors/robots-directives.js';
+import { ensureContentScript, sendTabMessage } from '../content/content-script-loader.js';
+import { getSiteSignal, getCachedSiteSignals, clearSiteSignals, pruneSiteSignals } from '../storage/site-signal-cache.js';
+
 // Open side panel on extension icon click
 chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true });
 
@@ -57,17 +65,33 @@ const MAJOR_AI_CRAWLERS = [
   'amazonbot'
 ];
 
+// Expired site signals from earlier sessions
+pruneSiteSignals().catch(e => console.warn('pdpIQ: Site signal cache cleanup failed', e));
+
 // Message routing between content script and side panel
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.type) {
     case 'EXTRACT_DATA':
-      // Forward extraction request to content script
-      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (tabs[0]) {
-          chrome.tabs.sendMessage(tabs[0].id, { type: 'EXTRACT_DATA' });
+      // Forward extraction request to the active tab, loading the content script first if needed
+      chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
+        if (!tabs[0]) {
+          sendResponse({ success: false, error: 'No active tab' });
+          return;
         }
+        try {
+          await ensureContentScript(tabs[0].id);
+        } catch (e) {
+          sendResponse({ success: false, error: e.message });
+          return;
+        }
+        const response = await sendTabMessage(tabs[0].id, {
+          type: 'EXTRACT_DATA',
+          requestId: message.requestId,
+          options: message.options
+        });
+        sendResponse(response || { success: false, error: 'Content script did not respond' });
       });
-      break;
+      return true;
 
     case 'EXTRACTION_COMPLETE':
       // Forward extracted data to side panel
@@ -103,24 +127,59 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true;
 
     case 'FETCH_ROBOTS_TXT':
-      // Fetch and parse robots.txt for AI crawler rules
-      fetchRobotsTxt(message.baseUrl)
+      // Fetch robots.txt and evaluate AI crawler access for the page path
+      fetchRobotsTxt(message.baseUrl, message.pageUrl, message.refresh)
         .then(sendResponse)
         .catch(err => sendResponse({ error: err.message, crawlerRules: {} }));
       return true;
 
     case 'FETCH_LLMS_TXT':
-      // Check for llms.txt and llms-full.txt
-      fetchLlmsTxt(message.baseUrl)
+      // Fetch and validate llms.txt, check llms-full.txt
+      fetchLlmsTxt(message.baseUrl, message.page, message.refresh)
         .then(sendResponse)
         .catch(err => sendResponse({ error: err.message, found: false }));
       return true;
 
-    case 'FETCH_LAST_MODIFIED':
-      // Get Last-Modified header for a URL
-      fetchLastModified(message.url)
+    case 'FETCH_AI_POLICY':
+      // Fetch TDMRep (/.well-known/tdmrep.json) and ai.txt declarations
+      fetchAIPolicy(message.baseUrl, message.pageUrl, message.refresh)
+        .then(sendResponse)
+        .catch(err => sendResponse({ error: err.message, tdmrep: { found: false }, aiTxt: { found: false } }));
+      return true;
+
+    case 'GET_SITE_SIGNALS':
+      // Summarize the cached site-level signals for an origin (no fetches)
+      describeSiteSignals(message.origin)
+        .then(sendResponse)
+        .catch(err => sendResponse({ error: err.message, origin: message.origin, signals: [] }));
+      return true;
+
+    case 'CLEAR_SITE_SIGNALS':
+      // Drop cached site-level signals for one origin, or all of them
+      clearSiteSignals(message.origin)
+        .then(removed => sendResponse({ removed }))
+        .catch(err => sendResponse({ error: err.message, removed: 0 }));
+      return true;
+
+    case 'SIMULATE_AI_CRAWLERS':
+      // Re-request the page with each major AI crawler's user-agent
+      simulateAICrawlers(message.url, MAJOR_AI_CRAWLERS)
+        .then(sendResponse)
+        .catch(err => sendResponse({ error: err.message, results: [] }));
+      return true;
+
+    case 'FETCH_PAGE_HEADERS':
+      // Get the page's response headers (X-Robots-Tag, Link, caching, Last-Modified)
+      fetchPageHeaders(message.url)
+        .then(sendResponse)
+        .catch(err => sendResponse({ accessible: false, error: err.message, lastModified: null }));
+      return true;
+
+    case 'FETCH_RAW_HTML':
+      // Fetch the server-rendered HTML (no JavaScript execution)
+      fetchRawHtml(message.url)
         .then(sendResponse)
-        .catch(err => sendResponse({ error: err.message, lastModified: null }));
+        .catch(err => sendResponse({ accessible: false, error: err.message }));
       return true;
   }
 });
@@ -326,206 +385,334 @@ async function detectFormatFromMagicBytes(url) {
 }
 
 /**
- * Fetch and parse robots.txt for AI crawler rules
+ * Fetch robots.txt and evaluate AI crawler access for the analyzed page
  * @param {string} baseUrl - The base URL of the site (e.g., https://example.com)
- * @returns {Promise<Object>} Parsed robots.txt data with AI crawler rules
+ * @param {string} [pageUrl] - Full URL of the analyzed page (defaults to the site root)
+ * @param {boolean} [refresh] - Re-download instead of using the cached file
+ * @returns {Promise<Object>} Parsed robots.txt data with per-crawler access for the page path
  */
-async function fetchRobotsTxt(baseUrl) {
+async function fetchRobotsTxt(baseUrl, pageUrl, refresh = false) {
   // Validate URL parameter
   if (!baseUrl || typeof baseUrl !== 'string') {
     return {
       accessible: false,
       error: 'Invalid or missing baseUrl',
       crawlerRules: {},
+      crawlerAccess: {},
       blockedCrawlers: [],
       allowedCrawlers: []
     };
   }
 
+  let path = '/';
   try {
-    const robotsUrl = new URL('/robots.txt', baseUrl).href;
-    const response = await fetch(robotsUrl, {
-      method: 'GET',
-      mode: 'cors',
-      credentials: 'omit'
-    });
-
-    if (!response.ok) {
-      return {
-        accessible: false,
-        status: response.status,
-        crawlerRules: {},
-        blockedCrawlers: [],
-        allowedCrawlers: MAJOR_AI_CRAWLERS // If no robots.txt, assume allowed
-      };
+    if (pageUrl) {
+      const parsedUrl = new URL(pageUrl);
+      path = parsedUrl.pathname + parsedUrl.search;
     }
+  } catch (e) {
+    // Fall back to site root
+  }
 
-    const content = await response.text();
-    return parseRobotsTxt(content);
-  } catch (error) {
+  const origin = new URL(baseUrl).origin;
+  const { data: file, fetchedAt, cached } = await getSiteSignal(origin, 'robots', () => loadRobotsTxt(origin), { refresh });
+  const cache = { cached, fetchedAt };
+
+  if (file.unreachable) {
+    // RFC 9309 §2.3.1.4: an unreachable robots.txt means complete disallow
+    return {
+      accessible: false,
+      unreachable: true,
+      status: file.status,
+      path,
+      crawlerRules: {},
+      crawlerAccess: {},
+      blockedCrawlers: MAJOR_AI_CRAWLERS,
+      allowedCrawlers: [],
+      cache
+    };
+  }
+
+  if (file.error) {
     // CORS or network error - can't determine rules
     return {
       accessible: false,
-      error: error.message,
+      error: file.error,
+      path,
       crawlerRules: {},
+      crawlerAccess: {},
       blockedCrawlers: [],
-      allowedCrawlers: [] // Unknown status
+      allowedCrawlers: [], // Unknown status
+      cache
     };
   }
+
+  if (file.content === null) {
+    return {
+      accessible: false,
+      status: file.status,
+      path,
+      crawlerRules: {},
+      crawlerAccess: {},
+      blockedCrawlers: [],
+      allowedCrawlers: MAJOR_AI_CRAWLERS, // If no robots.txt, assume allowed
+      cache
+    };
+  }
+
+  return { ...evaluateAICrawlerAccess(file.content, path), cache };
 }
 
 /**
- * Parse robots.txt content and extract AI crawler rules
- * @param {string} content - The robots.txt content
- * @returns {Object} Parsed rules with blocked/allowed crawlers
+ * Download robots.txt (site-level, cached per origin)
+ * @param {string} origin - Site origin
+ * @returns {Promise<Object>} { status, content, unreachable, error } - content is null when there is no file
  */
-function parseRobotsTxt(content) {
-  const lines = content.split('\n');
-  const crawlerRules = {};
-  let currentAgent = null;
-  let hasWildcardDisallowAll = false;
-
-  // Track rules per user-agent
-  for (const line of lines) {
-    const trimmed = line.trim().toLowerCase();
-
-    // Skip comments and empty lines
-    if (trimmed.startsWith('#') || trimmed === '') continue;
+async function loadRobotsTxt(origin) {
+  try {
+    const response = await fetch(new URL('/robots.txt', origin).href, {
+      method: 'GET',
+      mode: 'cors',
+      credentials: 'omit'
+    });
 
-    // Parse user-agent line
-    if (trimmed.startsWith('user-agent:')) {
-      currentAgent = trimmed.replace('user-agent:', '').trim();
-      if (!crawlerRules[currentAgent]) {
-        crawlerRules[currentAgent] = { disallow: [], allow: [] };
-      }
-      continue;
+    if (response.status >= 500) {
+      return { status: response.status, content: null, unreachable: true };
     }
-
-    // Parse disallow/allow rules
-    if (currentAgent) {
-      if (trimmed.startsWith('disallow:')) {
-        const path = trimmed.replace('disallow:', '').trim();
-        crawlerRules[currentAgent].disallow.push(path);
-
-        // Check for wildcard disallow all
-        if (currentAgent === '*' && (path === '/' || path === '/*')) {
-          hasWildcardDisallowAll = true;
-        }
-      } else if (trimmed.startsWith('allow:')) {
-        const path = trimmed.replace('allow:', '').trim();
-        crawlerRules[currentAgent].allow.push(path);
-      }
+    if (!response.ok) {
+      return { status: response.status, content: null };
     }
+    return { status: response.status, content: await response.text() };
+  } catch (error) {
+    return { status: null, content: null, error: error.message };
   }
+}
 
-  // Determine which AI crawlers are blocked
-  const blockedCrawlers = [];
-  const allowedCrawlers = [];
-
-  for (const crawler of MAJOR_AI_CRAWLERS) {
-    const crawlerLower = crawler.toLowerCase();
-    const rules = crawlerRules[crawlerLower];
+/**
+ * Evaluate robots.txt rules for every known AI crawler against a page path
+ * @param {string} content - The robots.txt content
+ * @param {string} path - Page path plus query string
+ * @returns {Object} Per-crawler access with the deciding rule, plus blocked/allowed major crawlers
+ */
+function evaluateAICrawlerAccess(content, path) {
+  const parsed = parseRobotsTxt(content);
 
-    // Check if explicitly blocked
-    if (rules && rules.disallow.some(path => path === '/' || path === '/*')) {
-      // Check if there's an allow rule that might override
-      if (!rules.allow.some(path => path === '/' || path === '/*')) {
-        blockedCrawlers.push(crawler);
-        continue;
+  // Flattened rules per user-agent (kept for export/debugging)
+  const crawlerRules = {};
+  for (const group of parsed.groups) {
+    for (const agent of group.userAgents) {
+      if (!crawlerRules[agent]) {
+        crawlerRules[agent] = { disallow: [], allow: [], crawlDelay: null };
       }
+      group.rules.forEach(rule => crawlerRules[agent][rule.type].push(rule.pattern));
+      if (group.crawlDelay !== null) crawlerRules[agent].crawlDelay = group.crawlDelay;
     }
+  }
 
-    // Check wildcard rules if no specific rules
-    if (!rules && hasWildcardDisallowAll) {
-      blockedCrawlers.push(crawler);
-      continue;
-    }
-
-    allowedCrawlers.push(crawler);
+  const crawlerAccess = {};
+  for (const [crawler, info] of Object.entries(AI_CRAWLERS)) {
+    crawlerAccess[crawler] = {
+      ...evaluateRobotsAccess(parsed, crawler, path),
+      company: info.company,
+      product: info.product
+    };
   }
 
+  const blockedCrawlers = MAJOR_AI_CRAWLERS.filter(crawler => !crawlerAccess[crawler].allowed);
+  const allowedCrawlers = MAJOR_AI_CRAWLERS.filter(crawler => crawlerAccess[crawler].allowed);
+
   return {
     accessible: true,
+    path,
     crawlerRules,
+    crawlerAccess,
     blockedCrawlers,
     allowedCrawlers,
-    hasWildcardDisallowAll
+    hasWildcardDisallowAll: !evaluateRobotsAccess(parsed, '*', '/').allowed,
+    sitemaps: parsed.sitemaps,
+    truncated: parsed.truncated
   };
 }
 
 /**
- * Check for llms.txt and llms-full.txt files
+ * Linked URLs checked per llms.txt (the rest are reported as unchecked)
+ */
+const MAX_LLMS_LINK_CHECKS = 25;
+const LLMS_LINK_CHECK_BATCH = 5;
+const LLMS_LINK_TIMEOUT_MS = 8000;
+
+/**
+ * Time allowed for downloading llms.txt (and the llms-full.txt HEAD)
+ */
+const LLMS_TXT_TIMEOUT_MS = 10000;
+
+/**
+ * Validate llms.txt, check for llms-full.txt, and look for the page in llms.txt
  * @param {string} baseUrl - The base URL of the site
- * @returns {Promise<Object>} llms.txt presence and content info
+ * @param {Object} [page] - { url, productName, categories } of the analyzed page
+ * @param {boolean} [refresh] - Re-download instead of using the cached files
+ * @returns {Promise<Object>} llms.txt presence, structure, link and mention info
  */
-async function fetchLlmsTxt(baseUrl) {
+async function fetchLlmsTxt(baseUrl, page = {}, refresh = false) {
+  // Validate URL parameter
+  if (!baseUrl || typeof baseUrl !== 'string') {
+    return {
+      found: false,
+      error: 'Invalid or missing baseUrl',
+      llmsTxt: { found: false, url: null, size: null },
+      llmsFullTxt: { found: false, url: null, size: null }
+    };
+  }
+
+  const origin = new URL(baseUrl).origin;
+  const { data: files, fetchedAt, cached } = await getSiteSignal(origin, 'llms', () => loadLlmsFiles(origin), { refresh });
   const results = {
-    found: false,
-    llmsTxt: { found: false, url: null, size: null },
-    llmsFullTxt: { found: false, url: null, size: null }
+    found: files.llmsTxt.found || files.llmsFullTxt.found,
+    llmsTxt: { found: false, url: files.llmsTxt.url, size: null },
+    llmsFullTxt: files.llmsFullTxt,
+    cache: { cached, fetchedAt }
   };
 
-  // Validate URL parameter
-  if (!baseUrl || typeof baseUrl !== 'string') {
-    results.error = 'Invalid or missing baseUrl';
-    return results;
+  // Structure and link checks are site-level; mentions depend on the page
+  if (files.llmsTxt.found) {
+    const { content, responseUrl, linkCheck, ...file } = files.llmsTxt;
+    const parsed = parseLlmsTxt(content, responseUrl);
+    const { links, ...structure } = parsed;
+
+    results.llmsTxt = {
+      ...file,
+      ...structure,
+      truncated: structure.truncated || !!file.truncated,
+      linkCount: links.length,
+      linkCheck,
+      mentions: findLlmsTxtMentions(parsed, content, page)
+    };
   }
 
-  // Check /llms.txt
+  return results;
+}
+
+/**
+ * Download llms.txt and check its links, and HEAD llms-full.txt (site-level, cached per origin)
+ * @param {string} origin - Site origin
+ * @returns {Promise<Object>} { llmsTxt: { found, url, responseUrl, size, truncated, contentType, content, linkCheck }, llmsFullTxt, error }
+ */
+async function loadLlmsFiles(origin) {
+  const llmsTxtUrl = new URL('/llms.txt', origin).href;
+  const llmsFullUrl = new URL('/llms-full.txt', origin).href;
+  const files = {
+    llmsTxt: { found: false, url: llmsTxtUrl, size: null },
+    llmsFullTxt: { found: false, url: llmsFullUrl, size: null }
+  };
+
+  // Download and parse /llms.txt
   try {
-    const llmsTxtUrl = new URL('/llms.txt', baseUrl).href;
     const response = await fetch(llmsTxtUrl, {
-      method: 'HEAD',
+      method: 'GET',
       mode: 'cors',
-      credentials: 'omit'
+      credentials: 'omit',
+      signal: AbortSignal.timeout(LLMS_TXT_TIMEOUT_MS)
     });
 
     if (response.ok) {
-      results.llmsTxt = {
+      const fullContent = await response.text();
+      // Only the part the parser reads is kept, so the cache entry stays small
+      const content = fullContent.slice(0, MAX_LLMS_TXT_BYTES);
+      const responseUrl = response.url || llmsTxtUrl;
+      files.llmsTxt = {
         found: true,
         url: llmsTxtUrl,
-        size: response.headers.get('Content-Length')
-          ? parseInt(response.headers.get('Content-Length'), 10)
-          : null
+        responseUrl,
+        size: fullContent.length,
+        truncated: fullContent.length > MAX_LLMS_TXT_BYTES,
+        contentType: response.headers.get('Content-Type'),
+        content,
+        linkCheck: await checkLlmsTxtLinks(parseLlmsTxt(content, responseUrl).links)
       };
-      results.found = true;
     }
   } catch (e) {
-    // Ignore errors - file doesn't exist or CORS blocked
+    // Network error: reported as missing, but not cached
+    files.error = e.message;
   }
 
-  // Check /llms-full.txt
+  // Check /llms-full.txt (presence only; it can be the whole site's content)
   try {
-    const llmsFullUrl = new URL('/llms-full.txt', baseUrl).href;
     const response = await fetch(llmsFullUrl, {
       method: 'HEAD',
       mode: 'cors',
-      credentials: 'omit'
+      credentials: 'omit',
+      signal: AbortSignal.timeout(LLMS_TXT_TIMEOUT_MS)
     });
 
     if (response.ok) {
-      results.llmsFullTxt = {
+      files.llmsFullTxt = {
         found: true,
         url: llmsFullUrl,
         size: response.headers.get('Content-Length')
           ? parseInt(response.headers.get('Content-Length'), 10)
           : null
       };
-      results.found = true;
     }
   } catch (e) {
-    // Ignore errors - file doesn't exist or CORS blocked
+    files.error = files.error || e.message;
   }
 
-  return results;
+  return files;
+}
+
+/**
+ * Check that the URLs linked from llms.txt resolve
+ * @param {Array<Object>} links - Parsed llms.txt links
+ * @returns {Promise<Object>} { total, checked, broken: [{ url, title, line, status, error }] }
+ */
+async function checkLlmsTxtLinks(links) {
+  const unique = [...new Map(links.map(link => [link.url, link])).values()];
+  const toCheck = unique.slice(0, MAX_LLMS_LINK_CHECKS);
+  const broken = [];
+
+  for (let i = 0; i < toCheck.length; i += LLMS_LINK_CHECK_BATCH) {
+    const batch = toCheck.slice(i, i + LLMS_LINK_CHECK_BATCH);
+    const statuses = await Promise.all(batch.map(link => checkLinkStatus(link.url)));
+    statuses.forEach((status, index) => {
+      if (!status.ok) {
+        const link = batch[index];
+        broken.push({ url: link.url, title: link.title, line: link.line, status: status.status, error: status.error });
+      }
+    });
+  }
+
+  return { total: unique.length, checked: toCheck.length, broken };
+}
+
+/**
+ * HEAD a URL, falling back to GET for servers that reject HEAD
+ * @param {string} url - URL to check
+ * @returns {Promise<Object>} { ok, status, error }
+ */
+async function checkLinkStatus(url) {
+  if (!/^https?:/i.test(url)) {
+    return { ok: false, status: null, error: 'Not an http(s) URL' };
+  }
+
+  try {
+    const options = { credentials: 'omit', redirect: 'follow', signal: AbortSignal.timeout(LLMS_LINK_TIMEOUT_MS) };
+    let response = await fetch(url, { ...options, method: 'HEAD' });
+    if (response.status === 405 || response.status === 501) {
+      response = await fetch(url, { ...options, method: 'GET' });
+    }
+    return { ok: response.ok, status: response.status, error: null };
+  } catch (error) {
+    return { ok: false, status: null, error: error.name === 'TimeoutError' ? 'Timed out' : error.message };
+  }
 }
 
 /**
- * Get Last-Modified header for a URL
- * @param {string} url - The URL to check
- * @returns {Promise<Object>} Last-Modified header info
+ * Fetch a page's response headers as a crawler would receive them
+ * HEAD first (GET for servers that reject HEAD); cookies are omitted.
+ * @param {string} url - The page URL
+ * @returns {Promise<Object>} Last-Modified plus the header audit
  */
-async function fetchLastModified(url) {
+async function fetchPageHeaders(url) {
   // Validate URL parameter
   if (!url || typeof url !== 'string') {
     return {
@@ -535,34 +722,327 @@ async function fetchLastModified(url) {
     };
   }
 
+  try {
+    const options = { mode: 'cors', credentials: 'omit', redirect: 'follow' };
+    let method = 'HEAD';
+    let response = await fetch(url, { ...options, method });
+    if (response.status === 405 || response.status === 501) {
+      method = 'GET';
+      response = await fetch(url, { ...options, method });
+    }
+
+    if (!response.ok) {
+      return {
+        accessible: false,
+        status: response.status,
+        lastModified: null
+      };
+    }
+
+    const headers = response.headers;
+    const lastModified = headers.get('Last-Modified');
+    const date = headers.get('Date');
+    const contentType = headers.get('Content-Type');
+    const xRobotsTag = headers.get('X-Robots-Tag');
+
+    return {
+      accessible: true,
+      status: response.status,
+      method,
+      finalUrl: response.url,
+      redirected: response.redirected,
+      lastModified: parseHttpDate(lastModified),
+      serverDate: parseHttpDate(date),
+      contentType,
+      charset: contentType?.match(/charset\s*=\s*"?([^";\s]+)/i)?.[1]?.toLowerCase() || null,
+      xRobotsTag,
+      robotsDirectives: xRobotsTag ? parseRobotsDirectives(xRobotsTag) : {},
+      tdm: {
+        reservation: parseTdmReservation(headers.get('tdm-reservation')),
+        policy: headers.get('tdm-policy')
+      },
+      links: parseLinkHeader(headers.get('Link')),
+      caching: {
+        cacheControl: headers.get('Cache-Control'),
+        expires: headers.get('Expires'),
+        etag: headers.get('ETag'),
+        age: headers.get('Age'),
+        vary: headers.get('Vary')
+          ? headers.get('Vary').split(',').map(value => value.trim()).filter(Boolean)
+          : []
+      }
+    };
+  } catch (error) {
+    return {
+      accessible: false,
+      error: error.message,
+      lastModified: null
+    };
+  }
+}
+
+// ISO string for an HTTP date header; null when missing or unparseable
+function parseHttpDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Read a tdm-reservation header or meta value
+ * @param {string|null} value - "1" reserves TDM rights, "0" waives the reservation
+ * @returns {number|null}
+ */
+function parseTdmReservation(value) {
+  const trimmed = (value || '').trim();
+  return trimmed === '1' || trimmed === '0' ? Number(trimmed) : null;
+}
+
+/**
+ * Fetch and interpret TDMRep and ai.txt for a page
+ * @param {string} baseUrl - The base URL of the site
+ * @param {string} pageUrl - Full page URL (its path is matched against the rules)
+ * @param {boolean} [refresh] - Re-download instead of using the cached files
+ * @returns {Promise<Object>} { tdmrep, aiTxt }
+ */
+async function fetchAIPolicy(baseUrl, pageUrl, refresh = false) {
+  if (!baseUrl || typeof baseUrl !== 'string') {
+    return { error: 'Invalid or missing baseUrl', tdmrep: { found: false }, aiTxt: { found: false } };
+  }
+
+  let path = '/';
+  try {
+    const parsed = new URL(pageUrl || baseUrl);
+    path = parsed.pathname + parsed.search;
+  } catch (e) {
+    // Fall back to the site root
+  }
+
+  const origin = new URL(baseUrl).origin;
+  const { data: files, fetchedAt, cached } = await getSiteSignal(origin, 'aiPolicy', () => loadAIPolicyFiles(origin), { refresh });
+
+  const tdmrep = interpretPolicyFile(files.tdmrep, content => {
+    let json;
+    try {
+      json = JSON.parse(content);
+    } catch (e) {
+      return { valid: false, ruleCount: 0, match: null, errors: [`Invalid JSON: ${e.message}`] };
+    }
+    return evaluateTdmRep(json, path);
+  });
+  const aiTxt = interpretPolicyFile(files.aiTxt, content => evaluateAiTxt(content, path));
+
+  return { path, tdmrep, aiTxt, cache: { cached, fetchedAt } };
+}
+
+/**
+ * Download tdmrep.json and ai.txt (site-level, cached per origin)
+ * @param {string} origin - Site origin
+ * @returns {Promise<Object>} { tdmrep, aiTxt, error }
+ */
+async function loadAIPolicyFiles(origin) {
+  const [tdmrep, aiTxt] = await Promise.all([
+    fetchPolicyFile(new URL('/.well-known/tdmrep.json', origin).href),
+    fetchPolicyFile(new URL('/ai.txt', origin).href)
+  ]);
+
+  const error = tdmrep.error || aiTxt.error;
+  return error ? { tdmrep, aiTxt, error } : { tdmrep, aiTxt };
+}
+
+/**
+ * Download a well-known policy file
+ * Storefronts often answer unknown paths with a 200 HTML page, which counts as missing.
+ * @param {string} url - File URL
+ * @returns {Promise<Object>} { found, url, content } or { found: false, url, status|error }
+ */
+async function fetchPolicyFile(url) {
   try {
     const response = await fetch(url, {
-      method: 'HEAD',
+      method: 'GET',
       mode: 'cors',
       credentials: 'omit'
     });
+    if (!response.ok) {
+      return { found: false, url, status: response.status };
+    }
+
+    const content = await response.text();
+    if (/html/i.test(response.headers.get('Content-Type') || '') || /^\s*(<!doctype html|<html)/i.test(content)) {
+      return { found: false, url, status: response.status, servedHtml: true };
+    }
+    return { found: true, url, content };
+  } catch (error) {
+    return { found: false, url, error: error.message };
+  }
+}
+
+// Interpret a downloaded policy file for the page; missing files pass through
+function interpretPolicyFile(file, interpret) {
+  if (!file.found) return file;
+  return { found: true, url: file.url, ...interpret(file.content) };
+}
+
+/**
+ * Summarize the cached site-level signals for an origin
+ * Only reads the cache, so it is cheap enough to call once per domain in a bulk audit.
+ * @param {string} origin - Site origin
+ * @returns {Promise<Object>} { origin, ttlMs, signals: [{ signal, label, status, detail, fetchedAt, expiresAt }] }
+ */
+async function describeSiteSignals(origin) {
+  const { ttlMs, signals } = await getCachedSiteSignals(origin);
+  const summary = [];
+
+  if (signals.robots) {
+    const file = signals.robots.data;
+    let status = 'missing';
+    let detail = `HTTP ${file.status}; AI crawlers allowed`;
+    if (file.unreachable) {
+      status = 'unreachable';
+      detail = `HTTP ${file.status}; crawlers treat the site as disallowed`;
+    } else if (file.content !== null) {
+      const access = evaluateAICrawlerAccess(file.content, '/');
+      status = 'found';
+      detail = access.blockedCrawlers.length > 0
+        ? `Blocks ${access.blockedCrawlers.length}/${MAJOR_AI_CRAWLERS.length} major AI crawlers at /`
+        : 'Allows all major AI crawlers at /';
+    }
+    summary.push({ signal: 'robots', label: 'robots.txt', status, detail, fetchedAt: signals.robots.fetchedAt, expiresAt: signals.robots.expiresAt });
+  }
+
+  if (signals.llms) {
+    const { llmsTxt, llmsFullTxt } = signals.llms.data;
+    let detail = 'Not found';
+    if (llmsTxt.found) {
+      const parsed = parseLlmsTxt(llmsTxt.content, llmsTxt.responseUrl);
+      const errors = parsed.issues.filter(issue => issue.severity === 'error').length;
+      const broken = llmsTxt.linkCheck?.broken.length || 0;
+      detail = `${parsed.links.length} link${parsed.links.length !== 1 ? 's' : ''}, ${broken} broken, ${errors} structural error${errors !== 1 ? 's' : ''}`;
+    }
+    if (llmsFullTxt.found) detail += '; llms-full.txt present';
+    summary.push({ signal: 'llms', label: 'llms.txt', status: llmsTxt.found ? 'found' : 'missing', detail, fetchedAt: signals.llms.fetchedAt, expiresAt: signals.llms.expiresAt });
+  }
+
+  if (signals.aiPolicy) {
+    const { tdmrep, aiTxt } = signals.aiPolicy.data;
+    const found = [tdmrep.found && 'tdmrep.json', aiTxt.found && 'ai.txt'].filter(Boolean);
+    summary.push({
+      signal: 'aiPolicy',
+      label: 'AI policy files',
+      status: found.length > 0 ? 'found' : 'missing',
+      detail: found.length > 0 ? found.join(', ') : 'No tdmrep.json or ai.txt',
+      fetchedAt: signals.aiPolicy.fetchedAt,
+      expiresAt: signals.aiPolicy.expiresAt
+    });
+  }
+
+  return { origin, ttlMs, signals: summary };
+}
+
+/**
+ * Parse an HTTP Link header (RFC 8288) into canonical and alternate links
+ * @param {string|null} value - Link header value
+ * @returns {Object} { canonical, alternates: [{ url, hreflang, type, media }], other: [{ url, rel }] }
+ */
+function parseLinkHeader(value) {
+  const result = { canonical: null, alternates: [], other: [] };
+  if (!value) return result;
+
+  // Split on commas that start a new <url>, not commas inside quoted params
+  value.split(/,(?=\s*<)/).forEach(part => {
+    const match = part.match(/^\s*<([^>]*)>(.*)$/);
+    if (!match) return;
+
+    const params = {};
+    match[2].split(';').forEach(param => {
+      const [key, ...rest] = param.split('=');
+      if (key.trim() && rest.length > 0) {
+        params[key.trim().toLowerCase()] = rest.join('=').trim().replace(/^"|"$/g, '');
+      }
+    });
+
+    const rels = (params.rel || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (rels.includes('canonical') && !result.canonical) {
+      result.canonical = match[1];
+    } else if (rels.includes('alternate')) {
+      result.alternates.push({ url: match[1], hreflang: params.hreflang || null, type: params.type || null, media: params.media || null });
+    } else if (rels.length > 0) {
+      result.other.push({ url: match[1], rel: rels.join(' ') });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Maximum raw HTML size passed back to the content script
+ */
+const MAX_RAW_HTML_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Fetch the raw HTML of a page as a non-JS crawler would receive it
+ * Cookies are omitted so personalized/logged-in markup isn't compared
+ * @param {string} url - Page URL
+ * @returns {Promise<Object>} Raw HTML and response metadata
+ */
+async function fetchRawHtml(url) {
+  // Validate URL parameter
+  if (!url || typeof url !== 'string') {
+    return {
+      accessible: false,
+      error: 'Invalid or missing URL'
+    };
+  }
+
+  try {
+    const response = await fetch(url, {
+      method: 'GET',
+      credentials: 'omit',
+      cache: 'no-store',
+      redirect: 'follow'
+    });
+
+    const contentType = response.headers.get('Content-Type') || '';
 
     if (!response.ok) {
       return {
         accessible: false,
         status: response.status,
-        lastModified: null
+        finalUrl: response.url,
+        contentType
       };
     }
 
-    const lastModified = response.headers.get('Last-Modified');
-    const date = response.headers.get('Date');
+    if (contentType && !/html/i.test(contentType)) {
+      return {
+        accessible: false,
+        status: response.status,
+        contentType,
+        error: `Unexpected content type: ${contentType}`
+      };
+    }
+
+    let html = await response.text();
+    const size = html.length;
+    const truncated = size > MAX_RAW_HTML_BYTES;
+    if (truncated) {
+      html = html.slice(0, MAX_RAW_HTML_BYTES);
+    }
 
     return {
       accessible: true,
-      lastModified: lastModified ? new Date(lastModified).toISOString() : null,
-      serverDate: date ? new Date(date).toISOString() : null
+      status: response.status,
+      finalUrl: response.url,
+      redirected: response.redirected,
+      contentType,
+      size,
+      truncated,
+      html
     };
   } catch (error) {
     return {
       accessible: false,
-      error: error.message,
-      lastModified: null
+      error: error.message
     };
   }
 }
@@ -0,0 +1,150 @@
+/**
+ * Content Script Loader
+ * Makes sure a tab has the extractor before messaging it. Tabs opened before
+ * the extension was installed or updated have no content script (or an
+ * orphaned one that no longer answers), so it is injected on demand.
+ * Used by the service worker and the side panel alike, so it lives next to
+ * the script it loads rather than in either context.
+ */
+
+/**
+ * Extractor script declared in manifest.json content_scripts
+ */
+const CONTENT_SCRIPT_FILE = 'src/content/content-script.js';
+
+/**
+ * Polling for the injected script to answer PING
+ */
+const PING_ATTEMPTS = 10;
+const PING_INTERVAL_MS = 300;
+
+const PDF_MESSAGE = 'PDFs open in Chrome\'s built-in viewer, which extensions can\'t read. Open the product page instead.';
+
+/**
+ * Pages Chrome never lets extensions script, with the explanation shown instead
+ */
+const RESTRICTED_PAGES = [
+  {
+    pattern: /^(chrome|chrome-extension|chrome-search|chrome-untrusted|edge|brave|opera|vivaldi|about|devtools|view-source):/i,
+    message: 'Browser pages (chrome://, about:, extension pages) can\'t be analyzed. Open a product page and try again.'
+  },
+  {
+    pattern: /^https:\/\/(chromewebstore\.google\.com|chrome\.google\.com\/webstore)/i,
+    message: 'The Chrome Web Store doesn\'t allow extensions to run on its pages.'
+  },
+  {
+    pattern: /^[^?#]+\.pdf([?#]|$)/i,
+    message: PDF_MESSAGE
+  },
+  {
+    pattern: /^(data|blob|javascript):/i,
+    message: 'This page has no address extensions can run on (data: or blob: URL).'
+  }
+];
+
+/**
+ * Explain why a URL can't be analyzed, before trying to inject
+ * @param {string} url - Tab URL
+ * @returns {string|null} User-facing reason, or null if injection may work
+ */
+export function getInjectionBlocker(url) {
+  if (!url) return null;
+  const restricted = RESTRICTED_PAGES.find(page => page.pattern.test(url));
+  return restricted ? restricted.message : null;
+}
+
+/**
+ * Send a message to a tab, resolving null instead of rejecting on failure
+ * @param {number} tabId - Tab ID
+ * @param {Object} message - Message payload
+ * @returns {Promise<Object|null>}
+ */
+export function sendTabMessage(tabId, message) {
+  return new Promise((resolve) => {
+    chrome.tabs.sendMessage(tabId, message, (response) => {
+      if (chrome.runtime.lastError) {
+        resolve(null);
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
+
+/**
+ * Poll the tab until the content script answers PING
+ * @param {number} tabId - Tab ID
+ * @param {number} [attempts] - Pings before giving up
+ * @returns {Promise<Object|null>} PING response, or null if the script never answered
+ */
+export async function waitForContentScript(tabId, attempts = PING_ATTEMPTS) {
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    const response = await sendTabMessage(tabId, { type: 'PING' });
+    if (response?.ready) return response;
+    if (attempt < attempts - 1) {
+      await new Promise(resolve => setTimeout(resolve, PING_INTERVAL_MS));
+    }
+  }
+  return null;
+}
+
+/**
+ * Make sure the tab's content script is loaded, injecting it if needed
+ * @param {number} tabId - Tab ID
+ * @param {Object} [options]
+ * @param {Function} [options.onInject] - Called just before injecting
+ * @returns {Promise<Object>} { injected } (throws with a user-facing message when the page can't be analyzed)
+ */
+export async function ensureContentScript(tabId, { onInject } = {}) {
+  const loaded = await waitForContentScript(tabId, 1);
+  if (loaded) {
+    return checkDocument(loaded, false);
+  }
+
+  const tab = await chrome.tabs.get(tabId);
+  const blocker = getInjectionBlocker(tab.url || tab.pendingUrl);
+  if (blocker) {
+    throw new Error(blocker);
+  }
+
+  if (onInject) onInject();
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: [CONTENT_SCRIPT_FILE]
+    });
+  } catch (e) {
+    throw new Error(describeInjectionError(e, tab.url));
+  }
+
+  const injected = await waitForContentScript(tabId);
+  if (!injected) {
+    throw new Error('The analyzer was loaded into this page but isn\'t responding. Reload the page and try again.');
+  }
+  return checkDocument(injected, true);
+}
+
+// PDFs served without a .pdf URL are only recognizable from inside the tab
+function checkDocument(ping, injected) {
+  if (ping.contentType === 'application/pdf') {
+    throw new Error(PDF_MESSAGE);
+  }
+  return { injected };
+}
+
+function describeInjectionError(error, url) {
+  const message = error?.message || String(error);
+  if (/^file:/i.test(url || '')) {
+    return 'Local files can only be analyzed after turning on "Allow access to file URLs" for pdpIQ in chrome://extensions.';
+  }
+  if (/ExtensionsSettings policy|runtime_blocked_hosts/i.test(message)) {
+    return 'Your browser policy blocks extensions on this site.';
+  }
+  if (/cannot be scripted|Cannot access|must request permission/i.test(message)) {
+    return 'Chrome doesn\'t allow extensions to run on this page.';
+  }
+  if (/No tab with id|frame/i.test(message)) {
+    return 'The page closed or navigated away before it could be analyzed.';
+  }
+  return `Unable to load the analyzer into this page: ${message}`;
+}
@@ -0,0 +1,324 @@
+/**
+ * AI Discoverability Extractor
+ * Extracts date and answer-format signals from the page (robots.txt and
+ * llms.txt are fetched by the service worker)
+ */
+
+import { targetDocument } from './dom-context.js';
+import { iterateSchemaItems } from './json-ld.js';
+
+/**
+ * Extract AI discoverability signals from the page
+ * Note: robots.txt and llms.txt are fetched via service worker (network requests)
+ * This function extracts date signals from the page content
+ * @returns {Object} AI discoverability signals
+ */
+export function extractAIDiscoverabilitySignals() {
+  const schemaDate = extractSchemaDateSignals();
+  const visibleDate = extractVisibleDateSignals();
+  const dateSignals = collectDateSignals();
+  const answerFormat = extractAnswerFormatContent();
+
+  return {
+    schemaDate,
+    visibleDate,
+    dateSignals,
+    hasAnyDateSignal: !!(schemaDate.dateModified || schemaDate.datePublished || visibleDate.found || dateSignals.length > 0),
+    answerFormat
+  };
+}
+
+/**
+ * Extract answer-format content signals for AI discoverability
+ * Detects "best for" statements, comparison content, how-to content, and use case descriptions
+ * @returns {Object} Answer format content signals
+ */
+function extractAnswerFormatContent() {
+  const bodyText = targetDocument.body.innerText;
+
+  // Count "best for" / "ideal for" / "perfect for" / "great for" / "designed for" statements
+  const bestForMatches = bodyText.match(/\b(?:best|ideal|perfect|great|designed)\s+for\b/gi) || [];
+  const bestForCount = bestForMatches.length;
+
+  // Check for comparison content: "vs." or "versus" or "compared to"
+  const hasComparison = /\b(?:vs\.?|versus|compared\s+to)\b/i.test(bodyText);
+
+  // Check for "how to" patterns near product context (exclude size/ordering pages)
+  const hasHowTo = /\bhow\s+to\s+(?!(?:measure|size|fit|order|buy|care|return|shop|checkout|wash|clean)\b)/i.test(bodyText);
+
+  // Count use case descriptions ("great for outdoor", "perfect for small spaces", etc.)
+  const useCaseMatches = bodyText.match(/\b(?:best|ideal|perfect|great|designed|suitable|recommended)\s+for\s+[a-z][a-z\s]{3,30}/gi) || [];
+  const useCaseCount = useCaseMatches.length;
+
+  return {
+    bestForCount,
+    hasComparison,
+    hasHowTo,
+    useCaseCount
+  };
+}
+
+/**
+ * Extract date signals from schema.org markup
+ * @returns {Object} Schema date signals
+ */
+function extractSchemaDateSignals() {
+  const result = {
+    dateModified: null,
+    datePublished: null,
+    dateCreated: null,
+    source: null
+  };
+
+  // Check JSON-LD
+  targetDocument.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    if (result.dateModified) return; // Already found
+
+    try {
+      const data = JSON.parse(script.textContent.trim());
+      const items = data['@graph'] || (Array.isArray(data) ? data : [data]);
+
+      items.forEach(item => {
+        if (!item || result.dateModified) return;
+
+        // Check Product, Article, WebPage types
+        const type = (Array.isArray(item['@type']) ? item['@type'][0] : item['@type'] || '').toLowerCase();
+        if (['product', 'article', 'webpage', 'newsarticle', 'blogposting'].includes(type)) {
+          if (item.dateModified) {
+            result.dateModified = item.dateModified;
+            result.source = 'json-ld';
+          }
+          if (item.datePublished && !result.datePublished) {
+            result.datePublished = item.datePublished;
+            result.source = result.source || 'json-ld';
+          }
+          if (item.dateCreated && !result.dateCreated) {
+            result.dateCreated = item.dateCreated;
+            result.source = result.source || 'json-ld';
+          }
+        }
+      });
+    } catch (e) {
+      // Invalid JSON, skip
+    }
+  });
+
+  // Check microdata
+  if (!result.dateModified) {
+    const dateModifiedEl = targetDocument.querySelector('[itemprop="dateModified"]');
+    if (dateModifiedEl) {
+      result.dateModified = dateModifiedEl.content || dateModifiedEl.getAttribute('datetime') || dateModifiedEl.textContent.trim();
+      result.source = 'microdata';
+    }
+  }
+
+  if (!result.datePublished) {
+    const datePublishedEl = targetDocument.querySelector('[itemprop="datePublished"]');
+    if (datePublishedEl) {
+      result.datePublished = datePublishedEl.content || datePublishedEl.getAttribute('datetime') || datePublishedEl.textContent.trim();
+      result.source = result.source || 'microdata';
+    }
+  }
+
+  // Check meta tags
+  if (!result.dateModified) {
+    const metaModified = targetDocument.querySelector('meta[property="article:modified_time"], meta[name="last-modified"]');
+    if (metaModified) {
+      result.dateModified = metaModified.content;
+      result.source = 'meta';
+    }
+  }
+
+  if (!result.datePublished) {
+    const metaPublished = targetDocument.querySelector('meta[property="article:published_time"], meta[name="publish-date"]');
+    if (metaPublished) {
+      result.datePublished = metaPublished.content;
+      result.source = result.source || 'meta';
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Extract visible date signals from page content
+ * @returns {Object} Visible date signals
+ */
+function extractVisibleDateSignals() {
+  const result = {
+    found: false,
+    dateText: null,
+    dateType: null, // 'updated', 'published', 'modified', 'unknown'
+    parsedDate: null
+  };
+
+  const bodyText = targetDocument.body.innerText;
+
+  // Date patterns to match
+  const patterns = [
+    // "Updated on [date]", "Last updated [date]", "Updated: [date]"
+    {
+      regex: /(?:last\s+)?updated(?:\s+on)?[:\s]+([A-Za-z]+\s+\d{1,2},?\s+\d{4}|\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}|\d{4}[\/\-]\d{1,2}[\/\-]\d{1,2})/i,
+      type: 'updated'
+    },
+    // "Published [date]", "Published on [date]"
+    {
+      regex: /published(?:\s+on)?[:\s]+([A-Za-z]+\s+\d{1,2},?\s+\d{4}|\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}|\d{4}[\/\-]\d{1,2}[\/\-]\d{1,2})/i,
+      type: 'published'
+    },
+    // "Last modified [date]"
+    {
+      regex: /last\s+modified[:\s]+([A-Za-z]+\s+\d{1,2},?\s+\d{4}|\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}|\d{4}[\/\-]\d{1,2}[\/\-]\d{1,2})/i,
+      type: 'modified'
+    },
+    // "As of [date]"
+    {
+      regex: /as\s+of[:\s]+([A-Za-z]+\s+\d{1,2},?\s+\d{4}|\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}|\d{4}[\/\-]\d{1,2}[\/\-]\d{1,2})/i,
+      type: 'updated'
+    },
+    // "Date: [date]"
+    {
+      regex: /\bdate[:\s]+([A-Za-z]+\s+\d{1,2},?\s+\d{4}|\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}|\d{4}[\/\-]\d{1,2}[\/\-]\d{1,2})/i,
+      type: 'unknown'
+    }
+  ];
+
+  for (const { regex, type } of patterns) {
+    const match = bodyText.match(regex);
+    if (match) {
+      result.found = true;
+      result.dateText = match[0].trim().substring(0, 50);
+      result.dateType = type;
+
+      // Try to parse the date
+      try {
+        const parsed = new Date(match[1]);
+        if (!isNaN(parsed.getTime())) {
+          result.parsedDate = parsed.toISOString();
+        }
+      } catch (e) {
+        // Date parsing failed, but we still found a date signal
+      }
+
+      break;
+    }
+  }
+
+  // Also check for time elements with datetime attribute
+  if (!result.found) {
+    const timeEls = targetDocument.querySelectorAll('time[datetime]');
+    for (const timeEl of timeEls) {
+      const datetime = timeEl.getAttribute('datetime');
+      if (datetime) {
+        try {
+          const parsed = new Date(datetime);
+          if (!isNaN(parsed.getTime())) {
+            result.found = true;
+            result.dateText = timeEl.textContent.trim().substring(0, 50) || datetime;
+            result.dateType = 'unknown';
+            result.parsedDate = parsed.toISOString();
+            break;
+          }
+        } catch (e) {
+          // Skip invalid dates
+        }
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Collect every date candidate on the page for freshness reconciliation
+ * Unlike extractSchemaDateSignals/extractVisibleDateSignals (first match wins),
+ * this keeps all sources so the scoring engine can detect contradictions
+ * @returns {Array<{source: string, field: string, kind: string, raw: string, date: string|null}>}
+ */
+function collectDateSignals() {
+  const signals = [];
+  const seen = new Set();
+
+  const add = (source, field, kind, raw) => {
+    if (!raw || typeof raw !== 'string') return;
+    const value = raw.trim();
+    const key = `${source}|${field}|${value}`;
+    if (!value || seen.has(key)) return;
+    seen.add(key);
+    signals.push({ source, field, kind, raw: value.substring(0, 60), date: parseDateSignal(value) });
+  };
+
+  // Dates inside reviews describe the review, not the page
+  const reviewScope = '[itemprop="review"], [itemtype*="Review"], .review, .reviews, [class*="review-item"], [data-review-id]';
+
+  // JSON-LD (page-level and product entities only)
+  const dateFields = { dateModified: 'modified', datePublished: 'published', dateCreated: 'published' };
+  const datedTypes = ['product', 'productgroup', 'webpage', 'itempage', 'article', 'newsarticle', 'blogposting'];
+  for (const { item } of iterateSchemaItems(datedTypes)) {
+    for (const [field, kind] of Object.entries(dateFields)) {
+      add('json-ld', field, kind, item[field]);
+    }
+  }
+
+  // Microdata
+  Object.entries(dateFields).forEach(([field, kind]) => {
+    targetDocument.querySelectorAll(`[itemprop="${field}"]`).forEach(el => {
+      if (el.closest(reviewScope)) return;
+      add('microdata', field, kind, el.getAttribute('content') || el.getAttribute('datetime') || el.textContent);
+    });
+  });
+
+  // Meta tags
+  const metaDates = [
+    ['meta[property="article:modified_time"]', 'article:modified_time', 'modified'],
+    ['meta[property="og:updated_time"]', 'og:updated_time', 'modified'],
+    ['meta[name="last-modified"]', 'last-modified', 'modified'],
+    ['meta[name="dcterms.modified"], meta[name="DC.date.modified"]', 'dcterms.modified', 'modified'],
+    ['meta[property="article:published_time"]', 'article:published_time', 'published'],
+    ['meta[name="publish-date"]', 'publish-date', 'published']
+  ];
+  metaDates.forEach(([selector, field, kind]) => {
+    targetDocument.querySelectorAll(selector).forEach(meta => add('meta', field, kind, meta.content));
+  });
+
+  // Visible "Updated on ..." / "Published ..." text
+  const datePattern = '([A-Za-z]+\\s+\\d{1,2},?\\s+\\d{4}|\\d{1,2}[\\/\\-]\\d{1,2}[\\/\\-]\\d{2,4}|\\d{4}[\\/\\-]\\d{1,2}[\\/\\-]\\d{1,2})';
+  const textPatterns = [
+    { regex: new RegExp(`(?:last\\s+)?(?:updated|modified)(?:\\s+on)?[:\\s]+${datePattern}`, 'gi'), kind: 'modified' },
+    { regex: new RegExp(`\\bas\\s+of[:\\s]+${datePattern}`, 'gi'), kind: 'modified' },
+    { regex: new RegExp(`published(?:\\s+on)?[:\\s]+${datePattern}`, 'gi'), kind: 'published' }
+  ];
+  const bodyText = targetDocument.body.innerText;
+  textPatterns.forEach(({ regex, kind }) => {
+    const matches = [...bodyText.matchAll(regex)].slice(0, 5);
+    matches.forEach(match => add('visible-text', match[0].replace(match[1], '').replace(/[:\s]+$/, '').trim(), kind, match[1]));
+  });
+
+  // <time datetime> elements outside review widgets
+  let timeCount = 0;
+  for (const timeEl of targetDocument.querySelectorAll('time[datetime]')) {
+    if (timeCount >= 10) break;
+    if (timeEl.closest(reviewScope)) continue;
+    const context = (timeEl.parentElement?.textContent || '').toLowerCase();
+    const kind = /updated|modified|as of/.test(context) ? 'modified'
+      : /published|posted/.test(context) ? 'published'
+      : 'unknown';
+    add('time-element', 'datetime', kind, timeEl.getAttribute('datetime'));
+    timeCount++;
+  }
+
+  return signals;
+}
+
+/**
+ * Parse a date string from markup into an ISO string
+ * @param {string} value - Raw date value
+ * @returns {string|null} ISO date or null if unparseable/implausible
+ */
+function parseDateSignal(value) {
+  const parsed = new Date(value);
+  if (isNaN(parsed.getTime())) return null;
+  // Reject obvious placeholders (epoch, 0001-01-01, etc.)
+  if (parsed.getFullYear() < 1995) return null;
+  return parsed.toISOString();
+}
@@ -3,13 +3,16 @@
  * Analyzes description, specifications, features, FAQ, and product details
  */
 
+import { targetDocument } from './dom-context.js';
+import { iterateSchemaItems } from './json-ld.js';
+
 /**
  * Extract and analyze content quality metrics
  * @returns {Object} Content quality data
  */
 export function extractContentQuality() {
   const mainContent = getMainContentArea();
-  const bodyText = document.body.innerText;
+  const bodyText = targetDocument.body.innerText;
 
   return {
     description: analyzeDescription(mainContent),
@@ -17,602 +20,971 @@ export function extractContentQuality() {
     features: extractFeatures(),
     faq: extractFaqContent(),
     productDetails: extractProductDetails(bodyText),
-    textMetrics: analyzeTextMetrics(mainContent)
+    textMetrics: analyzeTextMetrics(mainContent),
+    price: extractVisiblePrice(),
+    availability: extractVisibleAvailability(bodyText),
+    identifiers: extractVisibleIdentifiers(bodyText),
+    verticalSignals: extractVerticalSignals(bodyText),
+    breadcrumbTrail: extractBreadcrumbTrail()
   };
 }
 
-/**
- * Get the main content area of the page
- * @returns {Element|null} Main content element
- */
 function getMainContentArea() {
-  // Try semantic elements first
-  const selectors = [
-    'main',
-    '[role="main"]',
-    'article',
-    '.product-detail',
-    '.product-details',
-    '.pdp-content',
-    '#product-detail',
-    '#product-content',
-    '.product-page',
-    '.product-info',
-    '[data-component="product"]',
-    '.product-description'
-  ];
-
-  for (const selector of selectors) {
-    const element = document.querySelector(selector);
-    if (element && element.innerText.length > 200) {
-      return element;
-    }
+  const selectors = ['main', '[role="main"]', 'article', '.product-detail', '.product-details', '.pdp-content', '#product-detail'];
+  for (const sel of selectors) {
+    const el = targetDocument.querySelector(sel);
+    if (el && el.innerText.length > 200) return el;
   }
-
-  // Fallback to body
-  return document.body;
+  return targetDocument.body;
 }
 
-/**
- * Analyze product description
- * @param {Element} content - Content container
- * @returns {Object} Description analysis
- */
 function analyzeDescription(content) {
-  // Try to find description-specific elements
-  const descriptionSelectors = [
-    '.product-description',
-    '.description',
-    '#description',
-    '[data-component="description"]',
-    '.product-info__description',
-    '.pdp-description',
+  const selectors = [
+    '.product-description', '.description', '#description', '[data-component="description"]',
     // Shopify selectors
-    '.product-single__description',
-    '.product__description',
-    '.rte',
-    '.rte-formatter',
+    '.product-single__description', '.product__description', '.rte', '.rte-formatter',
     // Additional Shopify theme patterns
-    '.product__info-description',
-    '.product-single__content',
-    '.product__content',
-    '[data-product-description]',
-    '#tab-description',
-    '.tab-content[data-tab="description"]',
-    '.product-details__description',
-    '.accordion__content',
-    '.collapsible-content',
+    '.product__info-description', '.product-single__content', '.product__content',
+    '[data-product-description]', '#tab-description', '.tab-content[data-tab="description"]',
+    '.product-details__description', '.accordion__content', '.collapsible-content',
     // Attribute-based fallbacks
-    '[class*="product-description"]',
-    '[class*="product_description"]',
-    '[id*="product-description"]',
-    '[id*="ProductDescription"]'
+    '[class*="product-description"]', '[class*="product_description"]',
+    '[id*="product-description"]', '[id*="ProductDescription"]'
   ];
+  let el = null;
+  for (const sel of selectors) {
+    try {
+      el = targetDocument.querySelector(sel);
+      if (el && el.innerText.length > 50) break;
+      el = null;
+    } catch (e) {
+      // Invalid selector, skip
+    }
+  }
 
-  let descriptionElement = null;
-  for (const selector of descriptionSelectors) {
-    const el = document.querySelector(selector);
-    if (el && el.innerText.length > 50) {
-      descriptionElement = el;
-      break;
+  let text = el?.innerText || '';
+  let source = el ? 'dom' : null;
+
+  // Fallback: Extract description from JSON-LD structured data if no DOM element found
+  if (!el || text.length < 50) {
+    const schemaDescription = extractDescriptionFromSchema();
+    if (schemaDescription && schemaDescription.length > text.length) {
+      text = schemaDescription;
+      source = 'schema';
     }
   }
 
-  const text = descriptionElement?.innerText || '';
   const words = text.split(/\s+/).filter(w => w.length > 0);
 
   return {
-    found: !!descriptionElement,
-    text: text.substring(0, 1000),
-    length: text.length,
+    found: !!el || text.length > 0,
+    source: source,
+    text: text.trim().substring(0, 2000),
     wordCount: words.length,
+    hasEmotionalLanguage: /amazing|beautiful|perfect|love|best|incredible|stunning/i.test(text),
+    hasBenefitStatements: /you (can|will|get)|helps? (you|your)|designed (for|to)/i.test(text),
+    hasTechnicalTerms: /\d+\s*(mm|cm|in|kg|lb|mAh|GB|MHz|GHz)/i.test(text),
+    lengthScore: words.length < 100 ? Math.round((words.length / 100) * 50) :
+                 words.length < 200 ? 50 + Math.round(((words.length - 100) / 100) * 30) :
+                 words.length < 400 ? 80 + Math.round(((words.length - 200) / 200) * 20) : 100
+  };
+}
 
-    // Quality indicators
-    hasEmotionalLanguage: detectEmotionalLanguage(text),
-    hasBenefitStatements: detectBenefitStatements(text),
-    hasTechnicalTerms: detectTechnicalTerms(text),
-    hasCallToAction: detectCallToAction(text),
-
-    // Scoring thresholds
-    lengthScore: calculateLengthScore(words.length),
+/**
+ * Extract description from JSON-LD Product/ProductGroup schema as fallback
+ * Uses cached JSON-LD data for performance
+ * @returns {string|null} Description text or null
+ */
+function extractDescriptionFromSchema() {
+  for (const { item } of iterateSchemaItems(['product', 'productgroup'])) {
+    if (item.description && typeof item.description === 'string') {
+      // Use textarea for safe HTML entity decoding (doesn't execute scripts)
+      const textarea = targetDocument.createElement('textarea');
+      textarea.innerHTML = item.description;
+      // Get decoded text, then strip any remaining HTML tags
+      const decoded = textarea.value;
+      return decoded.replace(/<[^>]*>/g, '').trim();
+    }
+  }
 
-    // Detected elements
-    emotionalPhrases: extractEmotionalPhrases(text),
-    benefitPhrases: extractBenefitPhrases(text)
-  };
+  return null;
 }
 
 /**
- * Extract product specifications
- * @returns {Object} Specifications data
+ * Extract product specifications from tables, definition lists, list items, and schema
+ * @returns {Object} { found, source, count, items, countScore }
  */
-function extractSpecifications() {
+export function extractSpecifications() {
   const specs = [];
-
-  // Look for specification tables
-  const specSelectors = [
-    '.specifications',
-    '.specs',
-    '.product-specs',
-    '.technical-specs',
-    '#specifications',
-    '#specs',
-    '.product-attributes',
-    '[data-component="specifications"]'
+  const selectors = [
+    '.specifications', '.specs', '.product-specs', '.technical-specs', '#specifications',
+    // Shopify selectors
+    '.product__specs', '.product-single__specs', '.product-specifications',
+    '.product-attributes', '.product-details', '.product-meta',
+    '[data-product-specs]', '[data-specifications]',
+    // Attribute-based fallbacks
+    '[class*="specification"]', '[class*="specs"]', '[class*="attributes"]'
   ];
 
-  for (const selector of specSelectors) {
-    const container = document.querySelector(selector);
-    if (container) {
-      // Extract from tables
-      container.querySelectorAll('tr').forEach(row => {
-        const cells = row.querySelectorAll('td, th');
-        if (cells.length >= 2) {
-          specs.push({
-            name: cells[0].textContent.trim(),
-            value: cells[1].textContent.trim(),
-            hasUnit: detectUnit(cells[1].textContent)
-          });
-        }
-      });
-
-      // Extract from definition lists
-      container.querySelectorAll('dt').forEach(dt => {
-        const dd = dt.nextElementSibling;
-        if (dd && dd.tagName === 'DD') {
-          specs.push({
-            name: dt.textContent.trim(),
-            value: dd.textContent.trim(),
-            hasUnit: detectUnit(dd.textContent)
-          });
-        }
-      });
-
-      // Extract from key-value divs
-      container.querySelectorAll('.spec-row, .attribute-row, .spec-item').forEach(row => {
-        const label = row.querySelector('.spec-name, .attribute-name, .spec-label, label');
-        const value = row.querySelector('.spec-value, .attribute-value, .spec-data');
-        if (label && value) {
-          specs.push({
-            name: label.textContent.trim(),
-            value: value.textContent.trim(),
-            hasUnit: detectUnit(value.textContent)
-          });
-        }
-      });
+  for (const sel of selectors) {
+    try {
+      const container = targetDocument.querySelector(sel);
+      if (container) {
+        extractSpecsFromContainer(container, specs);
+      }
+    } catch (e) {
+      // Invalid selector, skip
     }
   }
 
-  // Also look for standalone tables that might be specs
+  // Fallback: Look for spec-like lists in content areas (li with "Label: Value" pattern)
   if (specs.length === 0) {
-    document.querySelectorAll('table').forEach(table => {
-      const rows = table.querySelectorAll('tr');
-      if (rows.length >= 3 && rows.length <= 30) {
-        rows.forEach(row => {
-          const cells = row.querySelectorAll('td, th');
-          if (cells.length === 2) {
-            const name = cells[0].textContent.trim();
-            const value = cells[1].textContent.trim();
-            if (name.length < 50 && value.length < 200) {
-              specs.push({
-                name,
-                value,
-                hasUnit: detectUnit(value)
-              });
-            }
+    const contentSelectors = [
+      '.product-single__description', '.product__description', '.product-description',
+      '.rte', '.rte-formatter', '.product__content', '.product-single__content',
+      '.description', '#description', 'main', '[role="main"]', 'article'
+    ];
+    for (const sel of contentSelectors) {
+      try {
+        const containers = targetDocument.querySelectorAll(sel);
+        containers.forEach(container => {
+          if (specs.length === 0) {
+            extractSpecsFromListItems(container, specs);
           }
         });
+        if (specs.length > 0) break;
+      } catch (e) {
+        // Invalid selector, skip
       }
-    });
+    }
   }
 
-  const specsWithUnits = specs.filter(s => s.hasUnit).length;
+  // Final fallback: Search entire body for spec-like list items
+  if (specs.length === 0) {
+    extractSpecsFromListItems(targetDocument.body, specs);
+  }
+
+  // Fallback: Extract from JSON-LD additionalProperty if still no specs
+  if (specs.length === 0) {
+    extractSpecsFromSchema(specs);
+  }
+
+  let source = specs.length > 0 ? (specs[0].source || 'dom') : null;
 
   return {
     found: specs.length > 0,
+    source: source,
     count: specs.length,
-    items: specs.slice(0, 50), // Limit to prevent huge payloads
-    specsWithUnits,
-    detailScore: calculateSpecsDetailScore(specs),
-    countScore: calculateSpecsCountScore(specs.length)
+    items: specs.slice(0, 30),
+    countScore: specs.length < 5 ? Math.round((specs.length / 5) * 25) :
+                specs.length < 10 ? 25 + Math.round(((specs.length - 5) / 5) * 25) :
+                specs.length < 20 ? 50 + Math.round(((specs.length - 10) / 10) * 30) : 100
   };
 }
 
+function extractSpecsFromContainer(container, specs) {
+  // Extract from tables
+  container.querySelectorAll('tr').forEach(row => {
+    const cells = row.querySelectorAll('td, th');
+    if (cells.length >= 2) {
+      const name = cells[0].textContent.trim();
+      const value = cells[1].textContent.trim();
+      if (name && value && name.length < 100 && value.length < 200) {
+        specs.push({ name, value, hasUnit: hasUnitPattern(value) });
+      }
+    }
+  });
+
+  // Extract from definition lists
+  container.querySelectorAll('dt').forEach(dt => {
+    const dd = dt.nextElementSibling;
+    if (dd?.tagName === 'DD') {
+      const name = dt.textContent.trim();
+      const value = dd.textContent.trim();
+      if (name && value) {
+        specs.push({ name, value, hasUnit: hasUnitPattern(value) });
+      }
+    }
+  });
+
+  // Extract from list items with "Label: Value" pattern
+  extractSpecsFromListItems(container, specs);
+}
+
+function extractSpecsFromListItems(container, specs) {
+  container.querySelectorAll('li').forEach(li => {
+    // Skip list items that are likely navigation or too short
+    const fullText = li.textContent.trim().replace(/\s+/g, ' ');
+    if (fullText.length < 5 || fullText.length > 300) return;
+
+    // Pattern 1: <strong>Label:</strong> Value or <b>Label:</b> Value
+    const strong = li.querySelector('strong, b');
+    if (strong) {
+      const labelText = strong.textContent.trim();
+      const label = labelText.replace(/:$/, '').trim();
+      // Get value by removing the label from full text
+      let value = fullText;
+      const labelIndex = value.indexOf(labelText);
+      if (labelIndex !== -1) {
+        value = value.substring(labelIndex + labelText.length);
+      }
+      value = value.trim().replace(/^:\s*/, '').trim();
+
+      if (label && value && label.length >= 2 && label.length < 50 && value.length >= 1 && value.length < 200) {
+        // Avoid adding duplicates
+        if (!specs.some(s => s.name === label)) {
+          specs.push({ name: label, value, hasUnit: hasUnitPattern(value) });
+        }
+        return;
+      }
+    }
+
+    // Pattern 2: "Label: Value" in plain text (colon-separated)
+    const colonMatch = fullText.match(/^([^:]{2,40}):\s*(.{1,150})$/);
+    if (colonMatch) {
+      const name = colonMatch[1].trim();
+      const value = colonMatch[2].trim();
+      if (name && value && !specs.some(s => s.name === name)) {
+        specs.push({ name, value, hasUnit: hasUnitPattern(value) });
+      }
+    }
+  });
+}
+
+function extractSpecsFromSchema(specs) {
+  for (const { item } of iterateSchemaItems(['product'])) {
+    // Extract from additionalProperty
+    if (item.additionalProperty && Array.isArray(item.additionalProperty)) {
+      item.additionalProperty.forEach(prop => {
+        if (prop.name && prop.value) {
+          specs.push({ name: prop.name, value: String(prop.value), hasUnit: hasUnitPattern(String(prop.value)), source: 'schema' });
+        }
+      });
+    }
+    // Extract common spec fields
+    const specFields = ['weight', 'width', 'height', 'depth', 'color', 'material', 'model', 'mpn', 'gtin', 'gtin13', 'gtin14', 'isbn'];
+    specFields.forEach(field => {
+      if (item[field]) {
+        const value = typeof item[field] === 'object' ? (item[field].value || JSON.stringify(item[field])) : String(item[field]);
+        specs.push({ name: field.charAt(0).toUpperCase() + field.slice(1), value, hasUnit: hasUnitPattern(value), source: 'schema' });
+      }
+    });
+  }
+}
+
+function hasUnitPattern(text) {
+  return /\d+\s*(mm|cm|m|in|inch|"|ft|kg|lb|lbs|oz|g|ml|L|gal|gallon|mAh|GB|TB|MHz|GHz|W|V|A|hp|HP|GPH|GPM|PSI|°F|°C|ft³|CFM)/i.test(text);
+}
+
 /**
- * Extract product features
- * @returns {Object} Features data
+ * Extract feature/benefit bullet lists
+ * @returns {Object} { found, source, count, items, countScore }
  */
-function extractFeatures() {
+export function extractFeatures() {
   const features = [];
-
-  // Look for feature lists
-  const featureSelectors = [
-    '.features',
-    '.product-features',
-    '.key-features',
-    '.highlights',
-    '#features',
-    '.feature-list',
-    '[data-component="features"]'
+  const selectors = [
+    '.features', '.product-features', '.key-features', '.highlights', '#features',
+    // Shopify selectors
+    '.product__features', '.product-single__features', '.feature-list',
+    '[data-product-features]', '[data-features]',
+    // Attribute-based fallbacks
+    '[class*="feature"]', '[class*="benefit"]', '[class*="highlight"]'
   ];
 
-  for (const selector of featureSelectors) {
-    const container = document.querySelector(selector);
-    if (container) {
-      // Extract from lists
-      container.querySelectorAll('li').forEach(li => {
-        const text = li.textContent.trim();
-        if (text.length > 10 && text.length < 500) {
-          features.push({
-            text,
-            hasBenefit: detectBenefitStatements(text),
-            hasEmotional: detectEmotionalLanguage(text)
-          });
-        }
-      });
+  for (const sel of selectors) {
+    try {
+      const container = targetDocument.querySelector(sel);
+      if (container) {
+        extractFeaturesFromContainer(container, features);
+      }
+    } catch (e) {
+      // Invalid selector, skip
     }
   }
 
-  // Look for bullet points in description if no dedicated section
+  // Fallback: Look for feature lists in content areas
   if (features.length === 0) {
-    const mainContent = getMainContentArea();
-    mainContent?.querySelectorAll('ul li, ol li').forEach(li => {
-      const text = li.textContent.trim();
-      if (text.length > 20 && text.length < 300 && !text.includes('$')) {
-        features.push({
-          text,
-          hasBenefit: detectBenefitStatements(text),
-          hasEmotional: detectEmotionalLanguage(text)
-        });
+    // Find lists that follow "feature" or "benefit" headings
+    const headings = targetDocument.querySelectorAll('h1, h2, h3, h4, h5, h6, strong, b');
+    headings.forEach(heading => {
+      const text = heading.textContent.toLowerCase();
+      if (text.includes('feature') || text.includes('benefit') || text.includes('highlight') || text.includes('why choose')) {
+        // Look for the next ul/ol sibling or within parent
+        let list = heading.nextElementSibling;
+        while (list && !['UL', 'OL'].includes(list.tagName)) {
+          list = list.nextElementSibling;
+        }
+        if (list) {
+          extractFeaturesFromContainer(list, features);
+        }
+        // Also check parent for ul
+        const parent = heading.closest('div, section, article');
+        if (parent && features.length === 0) {
+          const ul = parent.querySelector('ul, ol');
+          if (ul) extractFeaturesFromContainer(ul, features);
+        }
       }
     });
   }
 
-  const benefitFeatures = features.filter(f => f.hasBenefit).length;
+  // Fallback: Look for feature-like lists in description area (items with dash/em-dash pattern, not colon pattern)
+  if (features.length === 0) {
+    const contentSelectors = [
+      '.product-single__description', '.product__description', '.product-description',
+      '.rte', '.description', '#description', 'main', 'article'
+    ];
+    for (const sel of contentSelectors) {
+      try {
+        const container = targetDocument.querySelector(sel);
+        if (container) {
+          extractFeatureLikeItems(container, features);
+          if (features.length > 0) break;
+        }
+      } catch (e) {
+        // Invalid selector, skip
+      }
+    }
+  }
+
+  let source = features.length > 0 ? (features[0].source || 'dom') : null;
 
   return {
     found: features.length > 0,
+    source: source,
     count: features.length,
-    items: features.slice(0, 20),
-    benefitFocused: benefitFeatures,
-    countScore: calculateFeatureCountScore(features.length)
+    items: features.slice(0, 15),
+    countScore: features.length < 3 ? Math.round((features.length / 3) * 25) :
+                features.length < 5 ? 25 + Math.round(((features.length - 3) / 2) * 25) :
+                features.length < 10 ? 50 + Math.round(((features.length - 5) / 5) * 30) : 100
   };
 }
 
+function extractFeaturesFromContainer(container, features) {
+  // Skip containers that are part of navigation/header/footer
+  if (container.closest('nav, header, footer, [role="navigation"]')) return;
+  container.querySelectorAll('li').forEach(li => {
+    const text = li.textContent.trim().replace(/\s+/g, ' ');
+    if (text.length > 15 && text.length < 500) {
+      // Avoid duplicates
+      if (!features.some(f => f.text === text)) {
+        features.push({ text });
+      }
+    }
+  });
+}
+
+function extractFeatureLikeItems(container, features) {
+  // Look for list items that are features (not specs)
+  // Features typically: have dash/em-dash, describe benefits, don't have "Label: Value" pattern
+  container.querySelectorAll('li').forEach(li => {
+    const text = li.textContent.trim().replace(/\s+/g, ' ');
+    if (text.length < 20 || text.length > 400) return;
+
+    // Skip if it looks like a spec (has colon with short label and value)
+    if (/^[^:]{2,30}:\s*\S/.test(text)) return;
+
+    // Check for feature patterns
+    const hasStrong = li.querySelector('strong, b');
+    const hasDash = /[–—-]\s/.test(text); // em-dash, en-dash, or hyphen followed by space
+
+    // Feature pattern: <strong>Name</strong> – description
+    if (hasStrong && hasDash) {
+      if (!features.some(f => f.text === text)) {
+        features.push({ text });
+      }
+      return;
+    }
+
+    // Feature pattern: starts with action verb or benefit language
+    const benefitPattern = /^(enjoy|experience|get|includes?|provides?|offers?|delivers?|ensures?|features?|designed|built|made|perfect|ideal|great|easy|quick|fast|reliable|durable|powerful|efficient)/i;
+    if (benefitPattern.test(text)) {
+      if (!features.some(f => f.text === text)) {
+        features.push({ text });
+      }
+    }
+  });
+}
+
 /**
- * Extract FAQ content from HTML (not schema)
- * @returns {Object} FAQ data
+ * Extract FAQ questions and answers from the page and FAQPage schema
+ * @returns {Object} { found, source, count, items, countScore }
  */
-function extractFaqContent() {
+export function extractFaqContent() {
   const faqs = [];
+  let source = null;
+  const selectors = ['.faq', '.faqs', '#faq', '.frequently-asked-questions'];
 
-  // Look for FAQ sections
-  const faqSelectors = [
-    '.faq',
-    '.faqs',
-    '.frequently-asked-questions',
-    '#faq',
-    '#faqs',
-    '[data-component="faq"]',
-    '.product-faq',
-    '.questions-answers'
-  ];
-
-  for (const selector of faqSelectors) {
-    const container = document.querySelector(selector);
+  for (const sel of selectors) {
+    const container = targetDocument.querySelector(sel);
     if (container) {
-      // Look for accordion patterns
-      container.querySelectorAll('[data-question], .question, .faq-question, dt, summary').forEach(q => {
-        const questionText = q.textContent.trim();
-        let answerText = '';
-
-        // Try to find corresponding answer
-        const answer = q.nextElementSibling ||
-                       q.closest('.faq-item')?.querySelector('.answer, .faq-answer, dd') ||
-                       q.closest('details')?.querySelector('p, .answer');
-
-        if (answer) {
-          answerText = answer.textContent.trim();
-        }
-
-        if (questionText.length > 10 && questionText.length < 300) {
-          faqs.push({
-            question: questionText,
-            answer: answerText.substring(0, 500),
-            answerLength: answerText.length
-          });
-        }
-      });
-
-      // Also check for details/summary pattern
-      container.querySelectorAll('details').forEach(details => {
-        const summary = details.querySelector('summary');
-        const content = Array.from(details.children)
-          .filter(el => el.tagName !== 'SUMMARY')
-          .map(el => el.textContent.trim())
-          .join(' ');
-
-        if (summary) {
-          faqs.push({
-            question: summary.textContent.trim(),
-            answer: content.substring(0, 500),
-            answerLength: content.length
-          });
+      container.querySelectorAll('.question, dt, summary, [data-question]').forEach(q => {
+        const answer = q.nextElementSibling || q.closest('.faq-item')?.querySelector('.answer, dd');
+        if (q.textContent.trim().length > 10) {
+          faqs.push({ question: q.textContent.trim(), answerLength: (answer?.textContent || '').length });
         }
       });
+      if (faqs.length > 0) source = 'dom';
     }
   }
 
-  const avgAnswerLength = faqs.length > 0
-    ? Math.round(faqs.reduce((sum, f) => sum + f.answerLength, 0) / faqs.length)
-    : 0;
+  // Fallback: Extract FAQs from FAQPage schema
+  if (faqs.length === 0) {
+    const schemaFaqs = extractFaqFromSchema();
+    if (schemaFaqs.length > 0) {
+      faqs.push(...schemaFaqs);
+      source = 'schema';
+    }
+  }
 
   return {
     found: faqs.length > 0,
+    source: source,
     count: faqs.length,
-    items: faqs.slice(0, 20),
-    averageAnswerLength: avgAnswerLength,
-    countScore: calculateFaqCountScore(faqs.length),
-    qualityScore: avgAnswerLength >= 50 ? 100 : Math.round((avgAnswerLength / 50) * 100)
+    items: faqs.slice(0, 10), // Include the actual FAQ items for details display
+    countScore: faqs.length < 3 ? Math.round((faqs.length / 3) * 50) :
+                faqs.length < 5 ? 50 + Math.round(((faqs.length - 3) / 2) * 25) : 100
   };
 }
 
 /**
- * Extract product detail indicators
- * @param {string} bodyText - Full page text
- * @returns {Object} Product details presence
+ * Extract FAQs from FAQPage schema as fallback
+ * @returns {Array} Array of FAQ objects
  */
-function extractProductDetails(bodyText) {
-  const text = bodyText.toLowerCase();
+function extractFaqFromSchema() {
+  const faqs = [];
 
-  return {
-    hasDimensions: detectDimensions(text),
-    hasMaterials: detectMaterials(text),
-    hasCareInstructions: detectCareInstructions(text),
-    hasWarranty: detectWarranty(text),
-    hasCompatibility: detectCompatibility(text),
-    hasWeight: detectWeight(text),
-    hasCertifications: detectCertifications(text),
-    hasCountryOfOrigin: detectCountryOfOrigin(text)
-  };
-}
+  for (const { item } of iterateSchemaItems(['faqpage'])) {
+    if (!item.mainEntity) continue;
+    const questions = Array.isArray(item.mainEntity) ? item.mainEntity : [item.mainEntity];
+    questions.forEach(q => {
+      if (q['@type'] === 'Question' && q.name) {
+        faqs.push({
+          question: q.name,
+          answerLength: (q.acceptedAnswer?.text || '').length,
+          source: 'schema'
+        });
+      }
+    });
+  }
 
-/**
- * Analyze overall text metrics
- * @param {Element} content - Content container
- * @returns {Object} Text metrics
- */
-function analyzeTextMetrics(content) {
-  const text = content?.innerText || '';
-  const words = text.split(/\s+/).filter(w => w.length > 0);
-  const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
+  return faqs;
+}
 
-  return {
-    totalWords: words.length,
-    totalSentences: sentences.length,
-    averageWordsPerSentence: sentences.length > 0
-      ? Math.round(words.length / sentences.length)
-      : 0,
-    readabilityScore: calculateFleschKincaid(text),
-    readabilityGrade: getReadabilityGrade(calculateFleschKincaid(text))
+function extractProductDetails(text) {
+  const lower = text.toLowerCase();
+  const details = {
+    hasDimensions: false,
+    dimensionsText: null,
+    hasMaterials: false,
+    materialsText: null,
+    hasCareInstructions: false,
+    careText: null,
+    hasWarranty: false,
+    warrantyText: null,
+    hasCompatibility: false,
+    compatibilityText: null,
+    source: 'dom'
   };
-}
 
-// Detection helper functions
+  // Extract dimensions with actual matched text
+  const dimensionPatterns = [
+    /(\d+(?:\.\d+)?\s*(?:"|in|inch|inches|cm|mm|m|ft|feet)\s*(?:x|×)\s*\d+(?:\.\d+)?\s*(?:"|in|inch|inches|cm|mm|m|ft|feet)(?:\s*(?:x|×)\s*\d+(?:\.\d+)?\s*(?:"|in|inch|inches|cm|mm|m|ft|feet))?)/i,
+    /dimensions?[:\s]+([^.\r\n]{5,50})/i,
+    /((?:length|width|height|depth)[:\s]+\d+(?:\.\d+)?\s*(?:"|in|inch|cm|mm|m|ft))/i
+  ];
+  for (const pattern of dimensionPatterns) {
+    const match = text.match(pattern);
+    if (match) {
+      details.hasDimensions = true;
+      details.dimensionsText = match[1] ? match[1].trim().substring(0, 60) : match[0].trim().substring(0, 60);
+      break;
+    }
+  }
 
-function detectEmotionalLanguage(text) {
-  const emotionalWords = [
-    'amazing', 'beautiful', 'stunning', 'perfect', 'love', 'best',
-    'incredible', 'revolutionary', 'transform', 'dream', 'luxury',
-    'premium', 'exclusive', 'elegant', 'sophisticated', 'exceptional',
-    'remarkable', 'outstanding', 'fantastic', 'wonderful', 'brilliant'
+  // Extract materials with actual matched text
+  const materialPatterns = [
+    /(?:made (?:of|from|with)|material[:\s]+|constructed (?:of|from))([^.,\r\n]{10,50})/i,
+    /\b((?:100%\s+)?(?:cotton|polyester|leather|genuine leather|faux leather|metal|aluminum|aluminium|steel|stainless steel|plastic|wood|wooden|bamboo|ceramic|glass|silicone|nylon|rubber|canvas|suede|velvet|linen|silk|wool|cashmere|denim|mesh|foam|titanium|copper|brass|iron|oak|maple|walnut|pine|mahogany|teak|acrylic|polycarbonate|abs|pvc|eva|neoprene|lycra|spandex|microfiber|fleece|polyurethane|pu leather))\b/i
   ];
-  const lower = text.toLowerCase();
-  return emotionalWords.some(word => lower.includes(word));
-}
+  for (const pattern of materialPatterns) {
+    const match = text.match(pattern);
+    if (match) {
+      details.hasMaterials = true;
+      details.materialsText = match[1] ? match[1].trim().substring(0, 50) : match[0].trim().substring(0, 50);
+      break;
+    }
+  }
 
-function detectBenefitStatements(text) {
-  const benefitPatterns = [
-    /you (can|will|get)/i,
-    /helps? (you|your)/i,
-    /makes? (it|your|life)/i,
-    /save[sd]? (time|money|space)/i,
-    /increase[sd]?|improve[sd]?|enhance[sd]?/i,
-    /reduce[sd]?|eliminate[sd]?|prevent[sd]?/i,
-    /enjoy|experience|discover/i,
-    /designed (for|to)/i,
-    /perfect for/i
+  // Extract care instructions with actual matched text
+  const carePatterns = [
+    /(machine wash[^.\r\n]{0,30})/i,
+    /(hand wash[^.\r\n]{0,30})/i,
+    /(dry clean[^.\r\n]{0,30})/i,
+    /care instructions?[:\s]+([^.\r\n]{5,60})/i,
+    /(wash(?:able)? (?:in|on|with)[^.\r\n]{0,30})/i,
+    /(do not (?:wash|bleach|iron|tumble dry)[^.\r\n]{0,30})/i,
+    /(wipe clean[^.\r\n]{0,30})/i
   ];
-  return benefitPatterns.some(pattern => pattern.test(text));
-}
+  for (const pattern of carePatterns) {
+    const match = text.match(pattern);
+    if (match) {
+      details.hasCareInstructions = true;
+      details.careText = match[1] ? match[1].trim().substring(0, 60) : match[0].trim().substring(0, 60);
+      break;
+    }
+  }
 
-function detectTechnicalTerms(text) {
-  const technicalPatterns = [
-    /\d+\s*(mm|cm|in|inch|ft|m|kg|lb|oz|g|mAh|GB|TB|MHz|GHz|W|V|A)/i,
-    /\d+x\d+/,
-    /\d+\s*(fps|dpi|ppi|rpm)/i,
-    /USB|HDMI|Bluetooth|WiFi|NFC/i
+  // Extract warranty with actual matched text (context-aware to avoid false positives)
+  const warrantyPatterns = [
+    /(\d+[\s-]*(?:year|month|day|yr|mo)[\s-]*(?:limited\s+)?(?:warranty|guarantee))/i,
+    /((?:limited\s+)?(?:lifetime|full)\s+(?:warranty|guarantee))/i,
+    /(?:warranty|guarantee)[:\s]+([^.\r\n]{5,50})/i,
+    /(warranted? (?:for|against)[^.\r\n]{0,40})/i,
+    /((?:manufacturer'?s?|factory)\s+(?:warranty|guarantee)[^.\r\n]{0,30})/i
   ];
-  return technicalPatterns.some(pattern => pattern.test(text));
-}
+  // Negative patterns to avoid false positives
+  const warrantyNegative = /no warranty|without warranty|warranty (?:not|does not)|void(?:s|ed)? (?:the\s+)?warranty/i;
+
+  if (!warrantyNegative.test(lower)) {
+    for (const pattern of warrantyPatterns) {
+      const match = text.match(pattern);
+      if (match) {
+        details.hasWarranty = true;
+        details.warrantyText = match[1] ? match[1].trim().substring(0, 50) : match[0].trim().substring(0, 50);
+        break;
+      }
+    }
+  }
 
-function detectCallToAction(text) {
-  const ctaPatterns = [
-    /buy now/i,
-    /add to cart/i,
-    /shop now/i,
-    /order (now|today)/i,
-    /get (yours|it|started)/i
+  // Extract compatibility with actual matched text
+  const compatPatterns = [
+    /compatible (?:with|for)[:\s]*([^.\r\n]{5,80})/i,
+    /works with[:\s]*([^.\r\n]{5,80})/i,
+    /fits[:\s]*([^.\r\n]{5,80})/i,
+    /designed for[:\s]*([^.\r\n]{5,80})/i,
+    /(?:supports?|for use with)[:\s]*([^.\r\n]{5,80})/i
   ];
-  return ctaPatterns.some(pattern => pattern.test(text));
-}
+  for (const pattern of compatPatterns) {
+    const match = text.match(pattern);
+    if (match) {
+      details.hasCompatibility = true;
+      details.compatibilityText = match[1] ? match[1].trim().substring(0, 80) : match[0].trim().substring(0, 80);
+      break;
+    }
+  }
 
-function detectUnit(text) {
-  return /\d+\s*(mm|cm|in|inch|"|ft|m|kg|lb|lbs|oz|g|ml|L|mAh|GB|TB|MHz|GHz|W|V|A|fps|dpi|ppi|rpm)/i.test(text);
-}
+  // Fallback: Extract from Product schema additionalProperty
+  extractProductDetailsFromSchema(details);
 
-function detectDimensions(text) {
-  return /\d+\s*(x|×)\s*\d+/i.test(text) ||
-         /(dimension|size|length|width|height|depth).*\d+/i.test(text);
+  return details;
 }
 
-function detectMaterials(text) {
-  const materials = ['cotton', 'polyester', 'leather', 'metal', 'aluminum', 'steel',
-                     'plastic', 'wood', 'glass', 'ceramic', 'silicone', 'rubber',
-                     'fabric', 'nylon', 'wool', 'silk', 'bamboo', 'titanium'];
-  return materials.some(m => text.includes(m)) ||
-         /made (of|from|with)/i.test(text) ||
-         /material[:\s]/i.test(text);
-}
+/**
+ * Text patterns for vertical-specific PDP content
+ * Each entry is checked in order; the first match is kept as evidence.
+ */
+const VERTICAL_SIGNAL_PATTERNS = {
+  // Apparel
+  sizeChart: [/(size (?:chart|guide)[^.\r\n]{0,40})/i, /(sizing (?:chart|guide|info)[^.\r\n]{0,40})/i, /(find your (?:size|fit)[^.\r\n]{0,30})/i],
+  fitNotes: [/((?:fits|runs) (?:true to size|small|large|big)[^.\r\n]{0,30})/i, /(model (?:is|wears|is wearing)[^.\r\n]{0,50})/i, /\b((?:relaxed|slim|regular|oversized|tailored|athletic|classic) fit)\b/i],
+  colorOptions: [/((?:available )?colou?rs?[:\s]+[^.\r\n]{3,40})/i, /(select (?:a )?colou?r[^.\r\n]{0,30})/i],
+  // Grocery
+  ingredients: [/ingredients?[:\s]+([^\r\n]{10,120})/i],
+  nutrition: [/(nutrition(?:al)? (?:facts|information|info)[^.\r\n]{0,40})/i, /(calories[:\s]+\d+[^.\r\n]{0,30})/i, /((?:total )?fat[:\s]+\d+(?:\.\d+)?\s*g[^.\r\n]{0,30})/i],
+  allergens: [/(allergens?[:\s]+[^.\r\n]{3,60})/i, /((?:contains|may contain)[:\s]+(?:milk|eggs?|fish|shellfish|tree nuts|peanuts|wheat|soy|sesame|gluten)[^.\r\n]{0,40})/i, /\b((?:gluten|dairy|nut|soy)[\s-]free)\b/i],
+  // Beauty
+  skinType: [/((?:for|suitable for) (?:all|dry|oily|sensitive|combination|normal|mature|acne-prone) (?:skin|hair)[^.\r\n]{0,30})/i, /((?:skin|hair) types?[:\s]+[^.\r\n]{3,50})/i],
+  usageInstructions: [/(?:how to use|directions(?: for use)?|usage)[:\s]+([^.\r\n]{10,100})/i, /((?:apply|massage|spray|rinse) (?:to|onto|into|gently)[^.\r\n]{5,60})/i],
+  // Electronics
+  connectivity: [/\b((?:bluetooth|wi-?fi|usb-?c|usb \d(?:\.\d)?|hdmi(?: \d\.\d)?|thunderbolt \d?|nfc|ethernet)[^.\r\n]{0,30})/i],
+  powerSpecs: [/(battery life[:\s]+[^.\r\n]{3,40})/i, /(\d+(?:\.\d+)?\s*(?:mah|wh)\b[^.\r\n]{0,30})/i, /((?:input|output|rated) (?:voltage|power)[:\s]+[^.\r\n]{3,30})/i, /(\d+(?:\.\d+)?\s*(?:watts?|w)\s+(?:power|output|charging|motor)[^.\r\n]{0,20})/i],
+  // Furniture
+  assembly: [/(assembly (?:required|instructions|time|not required)[^.\r\n]{0,40})/i, /((?:no|minimal|easy) assembly[^.\r\n]{0,30})/i, /(tools? (?:required|included)[^.\r\n]{0,30})/i],
+  weightCapacity: [/((?:weight|load) (?:capacity|limit|rating)[:\s]+[^.\r\n]{2,30})/i, /((?:supports|holds) up to \d+[^.\r\n]{0,30})/i, /(max(?:imum)? (?:weight|load)[:\s]+[^.\r\n]{2,30})/i],
+  detailedDimensions: [/((?:seat|arm|back|clearance|leg) (?:height|depth|width)[:\s]+[^.\r\n]{2,30})/i, /((?:overall|assembled|package|box) dimensions?[:\s]+[^.\r\n]{2,40})/i],
+  // B2B / industrial parts
+  partNumber: [/((?:mfr\.?|manufacturer) part (?:number|no\.?|#)[:\s]+[^\s,;]{2,30})/i, /(part (?:number|no\.?|#)[:\s]+[^\s,;]{2,30})/i, /(model (?:number|no\.?|#)[:\s]+[^\s,;]{2,30})/i],
+  bulkPricing: [/((?:volume|bulk|tier(?:ed)?|quantity) (?:pricing|discounts?)[^.\r\n]{0,40})/i, /(price breaks?[^.\r\n]{0,40})/i, /((?:moq|minimum order(?: quantity)?)[:\s]+[^.\r\n]{1,30})/i],
+  technicalDocs: [/((?:spec(?:ification)? sheet|data ?sheet|cad (?:drawing|file|model)s?|installation (?:guide|manual)|user manual|sds|safety data sheet)[^.\r\n]{0,30})/i]
+};
 
-function detectCareInstructions(text) {
-  return /machine wash|hand wash|dry clean|wipe clean|care instruction/i.test(text) ||
-         /do not (wash|bleach|iron|tumble)/i.test(text) ||
-         /cleaning|maintenance/i.test(text);
-}
+/**
+ * Detect vertical-specific PDP content (size charts, nutrition, assembly, ...)
+ * Scored only when the matching vertical is active; see src/scoring/verticals.js
+ * @param {string} text - Page body text
+ * @returns {Object} Map of signal key → { found, text, source }
+ */
+function extractVerticalSignals(text) {
+  const signals = {};
+
+  Object.entries(VERTICAL_SIGNAL_PATTERNS).forEach(([key, patterns]) => {
+    signals[key] = { found: false, text: null, source: null };
+    for (const pattern of patterns) {
+      const match = text.match(pattern);
+      if (match) {
+        signals[key] = { found: true, text: (match[1] || match[0]).trim().substring(0, 80), source: 'text' };
+        break;
+      }
+    }
+  });
+
+  // Size guides are usually a link or modal trigger rather than body text
+  if (!signals.sizeChart.found) {
+    const trigger = Array.from(targetDocument.querySelectorAll('a, button, [role="button"]'))
+      .find(el => /size (?:chart|guide)|sizing/i.test(el.textContent || el.getAttribute('aria-label') || ''));
+    if (trigger) {
+      signals.sizeChart = { found: true, text: trigger.textContent.trim().substring(0, 80), source: 'link' };
+    }
+  }
 
-function detectWarranty(text) {
-  return /warranty|guarantee/i.test(text) ||
-         /\d+\s*(year|month|day)s?\s*(warranty|guarantee)/i.test(text) ||
-         /limited warranty|lifetime warranty/i.test(text);
+  // Nutrition panels are often tables with per-serving rows
+  if (!signals.nutrition.found) {
+    const table = Array.from(targetDocument.querySelectorAll('table'))
+      .find(el => /serving size|calories|energy \(?k(?:j|cal)/i.test(el.textContent));
+    if (table) {
+      signals.nutrition = { found: true, text: 'Nutrition table', source: 'table' };
+    }
+  }
+
+  // Compatibility matrix: a table mentioning compatibility (plain "compatible with" text is scored in Content Quality)
+  const compatTable = Array.from(targetDocument.querySelectorAll('table'))
+    .find(el => /compatib|works with|fits (?:models?|vehicles?)/i.test(el.textContent));
+  signals.compatibilityMatrix = compatTable
+    ? { found: true, text: `${compatTable.querySelectorAll('tr').length} row table`, source: 'table' }
+    : { found: false, text: null, source: null };
+
+  // Downloadable documents (spec sheets, manuals, CAD)
+  if (!signals.technicalDocs.found) {
+    const doc = Array.from(targetDocument.querySelectorAll('a[href]'))
+      .find(el => /\.(?:pdf|dwg|dxf|step|stp)(?:[?#]|$)/i.test(el.getAttribute('href')));
+    if (doc) {
+      signals.technicalDocs = { found: true, text: (doc.textContent.trim() || doc.getAttribute('href')).substring(0, 80), source: 'link' };
+    }
+  }
+
+  return signals;
 }
 
-function detectCompatibility(text) {
-  return /compatible (with|for)|works with|fits|designed for/i.test(text) ||
-         /compatibility|supported (device|model|system)/i.test(text);
+/**
+ * Read the visible breadcrumb trail (used to suggest a vertical when schema has none)
+ * @returns {Array<string>} Breadcrumb labels, root first
+ */
+function extractBreadcrumbTrail() {
+  const selectors = [
+    'nav[aria-label*="breadcrumb" i] a, nav[aria-label*="breadcrumb" i] li',
+    '.breadcrumb a, .breadcrumbs a, .breadcrumb li, .breadcrumbs li',
+    '[class*="breadcrumb"] a'
+  ];
+
+  for (const sel of selectors) {
+    const labels = Array.from(targetDocument.querySelectorAll(sel))
+      .map(el => el.textContent.replace(/\s+/g, ' ').trim())
+      .filter(label => label.length > 0 && label.length < 60);
+    if (labels.length > 0) {
+      return [...new Set(labels)].slice(0, 8);
+    }
+  }
+
+  return [];
 }
 
-function detectWeight(text) {
-  return /weight[:\s]|weighs\s/i.test(text) ||
-         /\d+\s*(kg|lb|lbs|oz|g|gram|kilogram|pound|ounce)/i.test(text);
+/**
+ * Normalize a Product schema category (Text, Thing, or array) to a string
+ * @param {*} category - schema.org category value
+ * @returns {string|null}
+ */
+export function extractSchemaCategory(category) {
+  if (!category) return null;
+  if (Array.isArray(category)) {
+    return category.map(extractSchemaCategory).filter(Boolean).join(' > ') || null;
+  }
+  if (typeof category === 'string') return category.trim() || null;
+  return category.name || null;
 }
 
-function detectCertifications(text) {
-  return /certified|certification|fda|ce mark|ul listed|energy star/i.test(text) ||
-         /iso\s*\d+|rohs|fcc/i.test(text);
+/**
+ * Extract product details from Product schema additionalProperty as fallback
+ * @param {Object} details - The details object to populate
+ */
+function extractProductDetailsFromSchema(details) {
+  for (const { item } of iterateSchemaItems(['product'])) {
+    // Check direct properties
+    if (!details.hasDimensions) {
+      const dims = [];
+      if (item.width) dims.push(`W: ${formatSchemaValue(item.width)}`);
+      if (item.height) dims.push(`H: ${formatSchemaValue(item.height)}`);
+      if (item.depth) dims.push(`D: ${formatSchemaValue(item.depth)}`);
+      if (dims.length > 0) {
+        details.hasDimensions = true;
+        details.dimensionsText = dims.join(', ');
+        details.source = 'schema';
+      }
+    }
+    if (!details.hasMaterials && item.material) {
+      details.hasMaterials = true;
+      details.materialsText = formatSchemaValue(item.material).substring(0, 50);
+      details.source = 'schema';
+    }
+    if (!details.hasWarranty && item.warranty) {
+      details.hasWarranty = true;
+      details.warrantyText = formatSchemaValue(item.warranty).substring(0, 50);
+      details.source = 'schema';
+    }
+
+    // Check additionalProperty array
+    if (item.additionalProperty && Array.isArray(item.additionalProperty)) {
+      item.additionalProperty.forEach(prop => {
+        const name = (prop.name || '').toLowerCase();
+        const value = String(prop.value || '');
+
+        if (!details.hasDimensions && /dimension|size|length|width|height|depth/i.test(name)) {
+          details.hasDimensions = true;
+          details.dimensionsText = `${prop.name}: ${value}`.substring(0, 60);
+          details.source = 'schema';
+        }
+        if (!details.hasMaterials && /material|fabric|composition/i.test(name)) {
+          details.hasMaterials = true;
+          details.materialsText = value.substring(0, 50);
+          details.source = 'schema';
+        }
+        if (!details.hasCareInstructions && /care|wash|clean/i.test(name)) {
+          details.hasCareInstructions = true;
+          details.careText = value.substring(0, 60);
+          details.source = 'schema';
+        }
+        if (!details.hasWarranty && /warranty|guarantee/i.test(name)) {
+          details.hasWarranty = true;
+          details.warrantyText = value.substring(0, 50);
+          details.source = 'schema';
+        }
+        if (!details.hasCompatibility && /compatible|compatibility|fits|works with/i.test(name)) {
+          details.hasCompatibility = true;
+          details.compatibilityText = value.substring(0, 80);
+          details.source = 'schema';
+        }
+      });
+    }
+  }
 }
 
-function detectCountryOfOrigin(text) {
-  return /made in|manufactured in|country of origin/i.test(text);
+/**
+ * Format a schema value (handles QuantitativeValue objects)
+ * @param {any} value - The schema value
+ * @returns {string} Formatted string
+ */
+function formatSchemaValue(value) {
+  if (!value) return '';
+  if (typeof value === 'string') return value;
+  if (typeof value === 'number') return String(value);
+  if (value.value !== undefined) {
+    return value.unitCode ? `${value.value} ${value.unitCode}` : String(value.value);
+  }
+  return JSON.stringify(value);
 }
 
-function extractEmotionalPhrases(text) {
-  const phrases = [];
-  const patterns = [
-    /love (this|the|your|how)/gi,
-    /perfect for/gi,
-    /amazing quality/gi,
-    /beautiful design/gi,
-    /best (choice|option|product)/gi
-  ];
-  patterns.forEach(p => {
-    const matches = text.match(p);
-    if (matches) phrases.push(...matches);
-  });
-  return phrases.slice(0, 5);
+function analyzeTextMetrics(content) {
+  const text = content?.innerText || '';
+  const words = text.split(/\s+/).filter(w => w.length > 0);
+  const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
+
+  // Simple readability approximation
+  let readabilityScore = 60;
+  if (words.length > 0 && sentences.length > 0) {
+    const avgWordsPerSentence = words.length / sentences.length;
+    readabilityScore = Math.max(0, Math.min(100, 100 - (avgWordsPerSentence - 15) * 3));
+  }
+
+  return {
+    totalWords: words.length,
+    totalSentences: sentences.length,
+    readabilityScore: Math.round(readabilityScore)
+  };
 }
 
-function extractBenefitPhrases(text) {
-  const phrases = [];
-  const patterns = [
-    /helps you [\w\s]+/gi,
-    /designed to [\w\s]+/gi,
-    /makes it easy to [\w\s]+/gi,
-    /save[sd]? [\w\s]+/gi
+/**
+ * Extract the price shown on the page (independent of schema markup)
+ * @returns {Object} { found, text, amount, currency, source }
+ */
+function extractVisiblePrice() {
+  const result = { found: false, text: null, amount: null, currency: null, source: null };
+
+  const selectors = [
+    '[itemprop="price"]',
+    '[data-testid*="price"]', '[data-price]',
+    '.product-price', '.product__price', '.price__current', '.price-item--sale', '.price-item--regular',
+    '.product-single__price', '.current-price', '.sale-price', '.price'
   ];
-  patterns.forEach(p => {
-    const matches = text.match(p);
-    if (matches) phrases.push(...matches.map(m => m.substring(0, 50)));
-  });
-  return phrases.slice(0, 5);
-}
 
-// Scoring helper functions
+  const currencySymbols = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR', 'C$': 'CAD', 'A$': 'AUD' };
 
-function calculateLengthScore(wordCount) {
-  if (wordCount < 100) return Math.round((wordCount / 100) * 50);
-  if (wordCount < 200) return 50 + Math.round(((wordCount - 100) / 100) * 30);
-  if (wordCount < 400) return 80 + Math.round(((wordCount - 200) / 200) * 20);
-  return 100;
-}
+  for (const sel of selectors) {
+    let el;
+    try {
+      el = targetDocument.querySelector(sel);
+    } catch (e) {
+      continue;
+    }
+    if (!el || el.closest('nav, footer, [class*="cart"], [class*="upsell"], [class*="recommend"]')) continue;
+
+    const raw = (el.getAttribute('content') || el.getAttribute('data-price') || el.textContent || '').trim();
+    const match = raw.match(/(C\$|A\$|[$€£¥₹])?\s*(\d{1,3}(?:[,.\s]\d{3})*(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?)\s*(USD|EUR|GBP|CAD|AUD|JPY|INR)?/i);
+    if (!match) continue;
+
+    result.found = true;
+    result.text = raw.replace(/\s+/g, ' ').substring(0, 40);
+    result.amount = parsePriceAmount(match[2]);
+    result.currency = match[3]?.toUpperCase() || currencySymbols[match[1]] || null;
+    result.source = sel;
+    break;
+  }
 
-function calculateSpecsCountScore(count) {
-  if (count < 5) return Math.round((count / 5) * 25);
-  if (count < 10) return 25 + Math.round(((count - 5) / 5) * 25);
-  if (count < 20) return 50 + Math.round(((count - 10) / 10) * 30);
-  return 100;
+  return result;
 }
 
-function calculateSpecsDetailScore(specs) {
-  if (specs.length === 0) return 0;
-  const withUnits = specs.filter(s => s.hasUnit).length;
-  return Math.round((withUnits / specs.length) * 100);
-}
+/**
+ * Parse a displayed price string into a number
+ * Handles "1,299.99", "1.299,99" and "1 299,99"
+ * @param {string} value - Numeric portion of a price
+ * @returns {number|null}
+ */
+function parsePriceAmount(value) {
+  let normalized = value.replace(/\s/g, '');
+  const lastComma = normalized.lastIndexOf(',');
+  const lastDot = normalized.lastIndexOf('.');
+
+  if (lastComma > lastDot) {
+    // Comma is the decimal separator when followed by 1-2 digits
+    normalized = /,\d{1,2}$/.test(normalized)
+      ? normalized.replace(/\./g, '').replace(',', '.')
+      : normalized.replace(/,/g, '');
+  } else {
+    normalized = normalized.replace(/,/g, '');
+  }
 
-function calculateFeatureCountScore(count) {
-  if (count < 3) return Math.round((count / 3) * 25);
-  if (count < 5) return 25 + Math.round(((count - 3) / 2) * 25);
-  if (count < 10) return 50 + Math.round(((count - 5) / 5) * 30);
-  return 100;
+  const amount = parseFloat(normalized);
+  return isNaN(amount) ? null : amount;
 }
 
-function calculateFaqCountScore(count) {
-  if (count < 3) return Math.round((count / 3) * 50);
-  if (count < 5) return 50 + Math.round(((count - 3) / 2) * 25);
-  return 100;
-}
+/**
+ * Availability phrases mapped to schema.org ItemAvailability values
+ * Checked in order so "out of stock" wins over a stray "in stock"
+ */
+const AVAILABILITY_PATTERNS = [
+  { status: 'OutOfStock', pattern: /\b(out of stock|sold out|currently unavailable|no longer available)\b/i },
+  { status: 'PreOrder', pattern: /\b(pre-?order(?: now)?|available for pre-?order)\b/i },
+  { status: 'BackOrder', pattern: /\b(back-?order(?:ed)?|ships in \d+[-–]\d+ weeks)\b/i },
+  { status: 'LimitedAvailability', pattern: /\b(only \d+ left(?: in stock)?|low stock|limited stock)\b/i },
+  { status: 'InStock', pattern: /\b(in stock|available now|ready to ship|ships (?:today|tomorrow))\b/i }
+];
 
 /**
- * Calculate Flesch-Kincaid readability score
- * @param {string} text - Text to analyze
- * @returns {number} Readability score (0-100)
+ * Detect the availability shown to shoppers
+ * Prefers stock/availability elements, then the add-to-cart button state,
+ * then page text.
+ * @param {string} bodyText - Page body text
+ * @returns {Object} { found, text, status, source }
  */
-function calculateFleschKincaid(text) {
-  const words = text.split(/\s+/).filter(w => w.length > 0);
-  const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
+function extractVisibleAvailability(bodyText) {
+  const result = { found: false, text: null, status: null, source: null };
+
+  const itemprop = targetDocument.querySelector('[itemprop="availability"]');
+  const itempropValue = itemprop?.getAttribute('href') || itemprop?.getAttribute('content') || '';
+  const itempropMatch = itempropValue.match(/(InStock|OutOfStock|PreOrder|BackOrder|LimitedAvailability|SoldOut|Discontinued)$/i);
+  if (itempropMatch) {
+    const status = itempropMatch[1].toLowerCase() === 'soldout' ? 'SoldOut' : itempropMatch[1];
+    return { found: true, text: itempropValue, status, source: 'itemprop' };
+  }
 
-  if (words.length === 0 || sentences.length === 0) return 0;
+  const selectors = [
+    '[data-testid*="availability"]', '[data-testid*="stock"]',
+    '.product-availability', '.availability', '.stock-status', '.stock', '.inventory-status',
+    '[class*="availability"]', '[class*="stock-status"]', '[class*="inventory"]'
+  ];
+  for (const sel of selectors) {
+    let el;
+    try {
+      el = targetDocument.querySelector(sel);
+    } catch (e) {
+      continue;
+    }
+    if (!el || el.closest('nav, footer, [class*="cart-drawer"], [class*="recommend"]')) continue;
+    const text = el.textContent.replace(/\s+/g, ' ').trim();
+    const match = matchAvailability(text);
+    if (match) return { found: true, text: match.text, status: match.status, source: sel };
+  }
 
-  // Count syllables (approximation)
-  const syllables = words.reduce((total, word) => {
-    return total + countSyllables(word);
-  }, 0);
+  const addToCart = targetDocument.querySelector('button[name="add"], [data-testid*="add-to-cart"], .add-to-cart, #add-to-cart, [class*="add-to-cart"]');
+  if (addToCart) {
+    const label = addToCart.textContent.replace(/\s+/g, ' ').trim();
+    const match = matchAvailability(label);
+    if (match) return { found: true, text: match.text, status: match.status, source: 'add-to-cart' };
+    if (addToCart.disabled) return { found: true, text: label.substring(0, 40), status: 'OutOfStock', source: 'add-to-cart' };
+  }
 
-  // Flesch Reading Ease formula
-  const score = 206.835 -
-                (1.015 * (words.length / sentences.length)) -
-                (84.6 * (syllables / words.length));
+  const match = matchAvailability(bodyText);
+  if (match) {
+    return { found: true, text: match.text, status: match.status, source: 'text' };
+  }
 
-  return Math.max(0, Math.min(100, Math.round(score)));
+  return result;
 }
 
 /**
- * Count syllables in a word (approximation)
- * @param {string} word - Word to count
- * @returns {number} Syllable count
+ * Match availability phrases in text
+ * @param {string} text - Text to search
+ * @returns {Object|null} { status, text }
  */
-function countSyllables(word) {
-  word = word.toLowerCase().replace(/[^a-z]/g, '');
-  if (word.length <= 3) return 1;
-
-  word = word.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '');
-  word = word.replace(/^y/, '');
-
-  const matches = word.match(/[aeiouy]{1,2}/g);
-  return matches ? matches.length : 1;
+function matchAvailability(text) {
+  for (const { status, pattern } of AVAILABILITY_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) return { status, text: match[1] };
+  }
+  return null;
 }
 
 /**
- * Get readability grade from score
- * @param {number} score - Flesch-Kincaid score
- * @returns {string} Grade description
+ * Product identifier labels as shoppers see them ("SKU: ABC-123", "UPC 0123...")
  */
-function getReadabilityGrade(score) {
-  if (score >= 90) return 'Very Easy (5th grade)';
-  if (score >= 80) return 'Easy (6th grade)';
-  if (score >= 70) return 'Fairly Easy (7th grade)';
-  if (score >= 60) return 'Standard (8th-9th grade)';
-  if (score >= 50) return 'Fairly Difficult (10th-12th grade)';
-  if (score >= 30) return 'Difficult (College)';
-  return 'Very Difficult (Professional)';
+const IDENTIFIER_PATTERNS = {
+  sku: [/\b(?:sku|item (?:no\.?|number|#))[:\s#]+([A-Z0-9][A-Z0-9._\/-]{2,30})/i],
+  mpn: [/\b(?:mpn|(?:mfr\.?|manufacturer) part (?:number|no\.?|#)|model (?:number|no\.?|#))[:\s#]+([A-Z0-9][A-Z0-9._\/-]{2,30})/i],
+  gtin: [/\b(?:gtin(?:-?\d{1,2})?|upc|ean|isbn(?:-1[03])?)[:\s#]+(\d[\d\s-]{6,16}\d)/i]
+};
+
+/**
+ * Extract SKU, MPN, and GTIN shown on the page
+ * itemprop microdata wins over text patterns.
+ * @param {string} bodyText - Page body text
+ * @returns {Object} { sku, mpn, gtin, source }
+ */
+function extractVisibleIdentifiers(bodyText) {
+  const identifiers = { sku: null, mpn: null, gtin: null, source: {} };
+
+  const itempropSelectors = {
+    sku: '[itemprop="sku"]',
+    mpn: '[itemprop="mpn"]',
+    gtin: '[itemprop^="gtin"]'
+  };
+  Object.entries(itempropSelectors).forEach(([key, sel]) => {
+    const el = targetDocument.querySelector(sel);
+    const value = (el?.getAttribute('content') || el?.textContent || '').trim();
+    if (value) {
+      identifiers[key] = value.substring(0, 40);
+      identifiers.source[key] = 'itemprop';
+    }
+  });
+
+  Object.entries(IDENTIFIER_PATTERNS).forEach(([key, patterns]) => {
+    if (identifiers[key]) return;
+    for (const pattern of patterns) {
+      const match = bodyText.match(pattern);
+      if (match) {
+        identifiers[key] = key === 'gtin' ? match[1].replace(/[\s-]/g, '') : match[1];
+        identifiers.source[key] = 'text';
+        break;
+      }
+    }
+  });
+
+  return identifiers;
 }
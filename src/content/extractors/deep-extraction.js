@@ -0,0 +1,233 @@
+/**
+ * Deep Extraction (opt-in)
+ * Opens collapsed tabs, <details>, and accordions so content rendered only
+ * on interaction can be read, then puts the page back the way it was
+ */
+
+import { targetDocument } from './dom-context.js';
+import { clearJsonLdCache } from './json-ld.js';
+import { performFullExtraction } from './page-extraction.js';
+import { extractSpecifications, extractFeatures, extractFaqContent } from './content-quality.js';
+import { extractReviewSignals } from './trust-signals.js';
+
+/**
+ * DOM is considered settled after this long without mutations
+ */
+const DEEP_SETTLE_QUIET_MS = 300;
+
+/**
+ * Upper bound on waiting for lazy tab/accordion content
+ */
+const DEEP_SETTLE_MAX_MS = 3000;
+
+/**
+ * Cap on toggles clicked so a page full of accordions can't run away
+ */
+const MAX_DEEP_INTERACTIONS = 40;
+
+/**
+ * Collapsed accordion/disclosure triggers
+ */
+const ACCORDION_TRIGGER_SELECTORS = [
+  'button[aria-expanded="false"][aria-controls]',
+  '[role="button"][aria-expanded="false"][aria-controls]',
+  'a[href^="#"][aria-expanded="false"]',
+  '.accordion-button.collapsed',
+  '[data-toggle="collapse"].collapsed',
+  '[data-bs-toggle="collapse"].collapsed',
+  '[class*="accordion"] button[aria-expanded="false"]',
+  '[class*="collapsible"] button[aria-expanded="false"]'
+];
+
+/**
+ * Toggles inside these never hold product content (and may open overlays)
+ */
+const DEEP_EXCLUDED_CONTAINERS = 'header, nav, footer, [role="dialog"], [aria-modal="true"], [role="navigation"], [role="menu"], [role="menubar"]';
+
+/**
+ * Toggle labels that lead to carts, menus, or modals instead of content
+ */
+const DEEP_EXCLUDED_LABELS = /\b(cart|bag|checkout|buy|add to|menu|search|account|sign in|log ?in|filter|sort|share|wishlist|size guide|chat)\b/i;
+
+/**
+ * Run the full extraction with hidden content expanded
+ * Content found only after expansion is listed in deepExtraction.revealed.
+ * @returns {Promise<Object>} Extraction result with a deepExtraction report
+ */
+export async function performDeepExtraction() {
+  clearJsonLdCache();
+  const before = {
+    specifications: extractSpecifications(),
+    features: extractFeatures(),
+    faq: extractFaqContent(),
+    reviews: extractReviewSignals()
+  };
+  clearJsonLdCache();
+
+  const scroll = { x: window.scrollX, y: window.scrollY };
+  const session = expandHiddenContent();
+  try {
+    const settle = await waitForDomSettle();
+    const result = performFullExtraction();
+    if (!result.error) {
+      result.deepExtraction = {
+        expanded: session.expanded,
+        settle,
+        revealed: compareRevealedContent(before, result)
+      };
+    }
+    return result;
+  } finally {
+    session.restore();
+    window.scrollTo(scroll.x, scroll.y);
+  }
+}
+
+/**
+ * Open <details>, accordions, and tab panels
+ * @returns {Object} { expanded: { details, accordions, tabs, panels }, restore() }
+ */
+function expandHiddenContent() {
+  const undo = [];
+  const expanded = { details: 0, accordions: 0, tabs: 0, panels: 0 };
+  let interactions = 0;
+
+  targetDocument.querySelectorAll('details:not([open])').forEach(details => {
+    if (details.closest(DEEP_EXCLUDED_CONTAINERS)) return;
+    details.open = true;
+    expanded.details++;
+    undo.push(() => { details.open = false; });
+  });
+
+  const triggers = new Set();
+  ACCORDION_TRIGGER_SELECTORS.forEach(selector => {
+    targetDocument.querySelectorAll(selector).forEach(trigger => triggers.add(trigger));
+  });
+  triggers.forEach(trigger => {
+    if (interactions >= MAX_DEEP_INTERACTIONS || !isSafeToggle(trigger)) return;
+    const state = toggleState(trigger);
+    trigger.click();
+    interactions++;
+    expanded.accordions++;
+    undo.push(() => {
+      if (trigger.isConnected && toggleState(trigger) !== state) trigger.click();
+    });
+  });
+
+  // Visit every tab (lazy panels load on selection), then show all panels at once
+  targetDocument.querySelectorAll('[role="tablist"]').forEach(tablist => {
+    if (tablist.closest(DEEP_EXCLUDED_CONTAINERS)) return;
+    const tabs = Array.from(tablist.querySelectorAll('[role="tab"]'));
+    const selected = tabs.find(tab => tab.getAttribute('aria-selected') === 'true');
+    const unselected = tabs.filter(tab => tab !== selected && isSafeToggle(tab));
+    if (unselected.length === 0) return;
+
+    unselected.forEach(tab => {
+      if (interactions >= MAX_DEEP_INTERACTIONS) return;
+      tab.click();
+      interactions++;
+      expanded.tabs++;
+    });
+    if (selected) undo.push(() => { if (selected.isConnected) selected.click(); });
+
+    tabs.forEach(tab => {
+      const panel = tab.getAttribute('aria-controls') && targetDocument.getElementById(tab.getAttribute('aria-controls'));
+      if (panel && forceShow(panel, undo)) expanded.panels++;
+    });
+  });
+
+  return {
+    expanded,
+    restore() {
+      // Undo in reverse so panels are re-hidden before tabs are re-selected
+      undo.reverse().forEach(step => {
+        try {
+          step();
+        } catch (e) {
+          // Element replaced by the page; nothing to restore
+        }
+      });
+    }
+  };
+}
+
+function isSafeToggle(el) {
+  if (el.closest(DEEP_EXCLUDED_CONTAINERS)) return false;
+  if (el.tagName === 'A' && !(el.getAttribute('href') || '#').startsWith('#')) return false;
+  if (el.type === 'submit') return false;
+  const popup = el.getAttribute('aria-haspopup');
+  if (popup && popup !== 'false') return false;
+  const label = `${el.textContent} ${el.getAttribute('aria-label') || ''}`;
+  return !DEEP_EXCLUDED_LABELS.test(label);
+}
+
+function toggleState(el) {
+  return `${el.getAttribute('aria-expanded')}|${el.classList.contains('collapsed')}`;
+}
+
+function forceShow(el, undo) {
+  const hiddenAttr = el.hidden;
+  const style = el.getAttribute('style');
+  if (!hiddenAttr && getComputedStyle(el).display !== 'none') return false;
+  el.hidden = false;
+  el.style.setProperty('display', 'block', 'important');
+  undo.push(() => {
+    el.hidden = hiddenAttr;
+    if (style === null) el.removeAttribute('style');
+    else el.setAttribute('style', style);
+  });
+  return true;
+}
+
+/**
+ * Resolve once the DOM has had no mutations for quietMs (or maxMs passes)
+ * @param {number} quietMs
+ * @param {number} maxMs
+ * @returns {Promise<Object>} { waitedMs, settled }
+ */
+function waitForDomSettle(quietMs = DEEP_SETTLE_QUIET_MS, maxMs = DEEP_SETTLE_MAX_MS) {
+  const start = performance.now();
+  return new Promise(resolve => {
+    let quietTimer = null;
+    let maxTimer = null;
+    const observer = new MutationObserver(() => {
+      clearTimeout(quietTimer);
+      quietTimer = setTimeout(() => finish(true), quietMs);
+    });
+    const finish = (settled) => {
+      observer.disconnect();
+      clearTimeout(quietTimer);
+      clearTimeout(maxTimer);
+      resolve({ waitedMs: Math.round(performance.now() - start), settled });
+    };
+    observer.observe(targetDocument.body, { childList: true, subtree: true, attributes: true, characterData: true });
+    quietTimer = setTimeout(() => finish(true), quietMs);
+    maxTimer = setTimeout(() => finish(false), maxMs);
+  });
+}
+
+/**
+ * List content that only appeared after expansion
+ * @param {Object} before - Extractor results before expanding
+ * @param {Object} after - Full extraction after expanding
+ * @returns {Object} Per section: { before, after, items } (items: sample of new entries)
+ */
+function compareRevealedContent(before, after) {
+  const section = (previous, current, key) => {
+    const seen = new Set((previous.items || []).map(key));
+    const items = (current.items || []).map(key).filter(value => value && !seen.has(value));
+    return { before: previous.count, after: current.count, items: items.slice(0, 10) };
+  };
+
+  const reviewsAfter = after.trustSignals?.reviews || {};
+  return {
+    specifications: section(before.specifications, after.contentQuality?.specifications || {}, item => item.name),
+    features: section(before.features, after.contentQuality?.features || {}, item => item.text),
+    faq: section(before.faq, after.contentQuality?.faq || {}, item => item.question),
+    reviews: {
+      before: before.reviews.reviewsAnalyzed,
+      after: reviewsAfter.reviewsAnalyzed || 0,
+      items: []
+    }
+  };
+}
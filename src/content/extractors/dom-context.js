@@ -0,0 +1,26 @@
+/**
+ * Extraction Target
+ * Extractors read from targetDocument so the same logic can run against
+ * the live DOM or a DOMParser document built from the raw server HTML
+ */
+
+/**
+ * Document the extractors read (live binding: importers see reassignments)
+ */
+export let targetDocument = document;
+
+/**
+ * Run a function with the extractors pointed at another document
+ * @param {Document} doc - Document to extract from
+ * @param {Function} fn - Work to run
+ * @returns {*} fn's return value
+ */
+export function withTargetDocument(doc, fn) {
+  const previous = targetDocument;
+  targetDocument = doc;
+  try {
+    return fn();
+  } finally {
+    targetDocument = previous;
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * Extraction Result Schema
+ * Shape of the object the content script sends with EXTRACTION_COMPLETE.
+ * Built by page-extraction.js and checked by the side panel before scoring.
+ */
+
+/**
+ * Bump when a section is added, removed, or changes shape
+ */
+export const EXTRACTION_SCHEMA_VERSION = 2;
+
+/**
+ * Top-level sections and the extractor that produces each
+ */
+export const EXTRACTION_SECTIONS = {
+  structuredData: 'extractStructuredData',
+  metaTags: 'extractMetaTags',
+  contentQuality: 'extractContentQuality',
+  contentStructure: 'extractContentStructure',
+  trustSignals: 'extractTrustSignals',
+  aiDiscoverability: 'extractAIDiscoverabilitySignals',
+  platform: 'detectPlatform'
+};
+
+/**
+ * @typedef {Object} ExtractionResult
+ * @property {number} schemaVersion - EXTRACTION_SCHEMA_VERSION at extraction time
+ * @property {Object} structuredData - JSON-LD, Microdata, RDFa, and categorized schemas
+ * @property {Object} metaTags - Open Graph, Twitter Card, standard meta, canonical, robots
+ * @property {Object} contentQuality - Description, specs, features, FAQ, product details, vertical signals
+ * @property {Object} contentStructure - Headings, semantic HTML, tables, lists, accessibility, images, JS dependency
+ * @property {Object} trustSignals - Reviews (schema, vendor widget, DOM), brand, certifications, awards
+ * @property {Object} aiDiscoverability - Date signals and answer-format content
+ * @property {Object} platform - Detected commerce platform ({ id, name, confidence, signals, headless, framework })
+ * @property {Object} pageInfo - { url, title, domain, pathname, extractedAt }
+ * @property {string} [error] - Set (with pageInfo only) when extraction threw
+ * @property {number} [extractionTime] - Milliseconds spent extracting, added by the content script
+ * @property {Object} [timings] - { readinessMs, extractionMs, totalMs }, added by the content script
+ * @property {Object} [readiness] - waitForPageReady() report
+ * @property {Object} [deepExtraction] - performDeepExtraction() report
+ */
+
+/**
+ * Assemble an extraction result from extractor output
+ * @param {Object} sections - One entry per EXTRACTION_SECTIONS key
+ * @param {Object} pageInfo - Page identity
+ * @returns {ExtractionResult}
+ */
+export function createExtractionResult(sections, pageInfo) {
+  return {
+    schemaVersion: EXTRACTION_SCHEMA_VERSION,
+    ...sections,
+    pageInfo
+  };
+}
+
+/**
+ * List sections an extraction result is missing
+ * @param {Object} data - Extraction result
+ * @returns {Array<string>} Missing section keys (all of them for failed extractions)
+ */
+export function getMissingSections(data) {
+  return Object.keys(EXTRACTION_SECTIONS).filter(key => !data || data[key] == null);
+}
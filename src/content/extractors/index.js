@@ -1,10 +1,18 @@
 /**
  * Extractors Index
- * Re-exports all extractor functions
+ * Entry point loaded by content-script.js; the single implementation of
+ * every extractor
  */
 
+export { performFullExtraction, performRawHtmlExtraction } from './page-extraction.js';
+export { performDeepExtraction } from './deep-extraction.js';
+export { waitForPageReady } from './readiness.js';
 export { extractStructuredData } from './structured-data.js';
 export { extractMetaTags } from './meta-tags.js';
 export { extractContentQuality } from './content-quality.js';
 export { extractContentStructure } from './content-structure.js';
 export { extractTrustSignals } from './trust-signals.js';
+export { extractReviewPlatformData } from './review-platforms.js';
+export { extractAIDiscoverabilitySignals } from './ai-discoverability.js';
+export { detectPlatform } from './platform.js';
+export { EXTRACTION_SCHEMA_VERSION, getMissingSections } from './extraction-schema.js';
@@ -0,0 +1,284 @@
+/**
+ * JSON-LD Graph
+ * Parses JSON-LD scripts once per extraction, merges nodes that share an
+ * @id, resolves references, and picks the primary product
+ */
+
+import { targetDocument } from './dom-context.js';
+import { normalizeUrl } from './meta-tags.js';
+
+let _jsonLdCache = null;
+
+/**
+ * Get parsed JSON-LD data (cached)
+ * Parses all JSON-LD scripts once and caches the result
+ * @returns {Array} Array of {valid, data, error} objects
+ */
+export function getParsedJsonLd() {
+  if (_jsonLdCache !== null) return _jsonLdCache;
+
+  _jsonLdCache = [];
+  targetDocument.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    try {
+      const data = JSON.parse(script.textContent.trim());
+      _jsonLdCache.push({ valid: true, data });
+    } catch (e) {
+      _jsonLdCache.push({ valid: false, error: e.message });
+    }
+  });
+
+  return _jsonLdCache;
+}
+
+/**
+ * schema.org types treated as products
+ * Product subtypes plus Book and SoftwareApplication, which Google's Product
+ * and merchant listing features accept as purchasable items
+ */
+const PRODUCT_TYPES = [
+  'product', 'productgroup', 'individualproduct', 'productmodel', 'someproducts',
+  'vehicle', 'car', 'motorcycle', 'busorcoach', 'motorizedbicycle',
+  'book', 'softwareapplication', 'mobileapplication', 'webapplication', 'videogame'
+];
+
+/**
+ * Properties whose product values describe other products (variants,
+ * accessories), never the page's own product
+ */
+const SECONDARY_PRODUCT_PROPERTIES = [
+  'hasVariant', 'isVariantOf', 'isRelatedTo', 'isSimilarTo',
+  'isAccessoryOrSparePartFor', 'isConsumableFor', 'model'
+];
+
+/**
+ * Nesting limit when resolving @id references (guards against cycles)
+ */
+const MAX_RESOLVE_DEPTH = 8;
+
+let _jsonLdGraphCache = null;
+
+/**
+ * Get lowercase schema.org types of a JSON-LD node
+ * @param {Object} node - JSON-LD node
+ * @returns {Array<string>} e.g. ['product', 'car']
+ */
+export function getSchemaTypes(node) {
+  if (!node || typeof node !== 'object' || !node['@type']) return [];
+  return [].concat(node['@type'])
+    .filter(type => typeof type === 'string')
+    .map(type => type.replace(/^(https?:\/\/schema\.org\/|schema:)/i, '').toLowerCase());
+}
+
+/**
+ * Check whether a JSON-LD node is a product type (see PRODUCT_TYPES)
+ * @param {Object} node - JSON-LD node
+ * @returns {boolean}
+ */
+export function isProductNode(node) {
+  return getSchemaTypes(node).some(type => PRODUCT_TYPES.includes(type));
+}
+
+/**
+ * Build the resolved JSON-LD graph for the page (cached)
+ * Nodes sharing an @id are merged across all script tags, @id references are
+ * replaced by the nodes they point to, and product nodes nested under other
+ * entities (e.g. WebPage.mainEntity) are promoted to top level.
+ * @returns {Object} { nodes, primaryProduct, productCount }
+ */
+export function getJsonLdGraph() {
+  if (_jsonLdGraphCache !== null) return _jsonLdGraphCache;
+
+  const topLevel = [];
+  const idIndex = {};
+
+  // Index every identified node, merging duplicates
+  const indexNode = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(indexNode);
+      return;
+    }
+    if (typeof node['@id'] === 'string' && Object.keys(node).length > 1) {
+      idIndex[node['@id']] = mergeJsonLdNodes(idIndex[node['@id']], node);
+    }
+    Object.entries(node).forEach(([key, value]) => {
+      if (key !== '@context' && value && typeof value === 'object') indexNode(value);
+    });
+  };
+
+  getParsedJsonLd().forEach(({ valid, data }) => {
+    if (!valid || !data) return;
+    const items = Array.isArray(data) ? data : Array.isArray(data['@graph']) ? data['@graph'] : [data];
+    items.forEach(item => {
+      if (!item || typeof item !== 'object') return;
+      topLevel.push(item);
+      indexNode(item);
+    });
+  });
+
+  // Resolve top-level nodes, keeping one entry per @id
+  const nodes = [];
+  const seenIds = new Set();
+  topLevel.forEach(item => {
+    const id = typeof item['@id'] === 'string' ? item['@id'] : null;
+    if (id && seenIds.has(id)) return;
+    if (id) seenIds.add(id);
+    const resolved = resolveJsonLdNode(item, idIndex, new Set(), 0);
+    if (getSchemaTypes(resolved).length > 0) nodes.push(resolved);
+  });
+
+  // Promote nested products (WebPage.mainEntity, Offer.itemOffered, ...)
+  const promoted = [];
+  const collectNested = (value, parentKey) => {
+    if (!value || typeof value !== 'object') return;
+    if (Array.isArray(value)) {
+      value.forEach(child => collectNested(child, parentKey));
+      return;
+    }
+    if (SECONDARY_PRODUCT_PROPERTIES.includes(parentKey)) return;
+    if (parentKey && isProductNode(value) && !nodes.includes(value) && !promoted.includes(value)) {
+      const id = value['@id'];
+      if (!id || !seenIds.has(id)) {
+        promoted.push(value);
+        if (id) seenIds.add(id);
+      }
+    }
+    Object.entries(value).forEach(([key, child]) => {
+      if (key !== '@context') collectNested(child, key);
+    });
+  };
+  nodes.forEach(node => collectNested(node, null));
+  nodes.push(...promoted);
+
+  const products = nodes.filter(isProductNode);
+  _jsonLdGraphCache = {
+    nodes,
+    primaryProduct: selectPrimaryProduct(products, nodes),
+    productCount: products.length
+  };
+  return _jsonLdGraphCache;
+}
+
+/**
+ * Merge two JSON-LD nodes with the same @id
+ * Types are combined; for other properties the first non-reference value wins.
+ * @param {Object|undefined} existing - Node merged so far
+ * @param {Object} node - Node to merge in
+ * @returns {Object} Merged node
+ */
+function mergeJsonLdNodes(existing, node) {
+  if (!existing) return { ...node };
+  const merged = { ...existing };
+  Object.entries(node).forEach(([key, value]) => {
+    if (key === '@type') {
+      const types = [...new Set([].concat(existing['@type'] || [], value || []))];
+      merged['@type'] = types.length === 1 ? types[0] : types;
+    } else if (merged[key] === undefined || isJsonLdReference(merged[key])) {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Check whether a value is a bare {"@id": ...} reference
+ */
+function isJsonLdReference(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+    typeof value['@id'] === 'string' && Object.keys(value).every(key => key === '@id' || key === '@type');
+}
+
+/**
+ * Return a copy of a node with @id references replaced by indexed nodes
+ * @param {*} value - JSON-LD value
+ * @param {Object} idIndex - Merged nodes by @id
+ * @param {Set} path - @ids on the current path (cycle guard)
+ * @param {number} depth - Current nesting depth
+ * @returns {*} Resolved value
+ */
+function resolveJsonLdNode(value, idIndex, path, depth) {
+  if (!value || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(child => resolveJsonLdNode(child, idIndex, path, depth));
+
+  const id = typeof value['@id'] === 'string' ? value['@id'] : null;
+  if (id && (path.has(id) || depth >= MAX_RESOLVE_DEPTH)) return value;
+
+  const source = id && idIndex[id] ? mergeJsonLdNodes(idIndex[id], value) : value;
+  const nextPath = id ? new Set(path).add(id) : path;
+  const resolved = {};
+  Object.entries(source).forEach(([key, child]) => {
+    resolved[key] = key === '@context' ? child : resolveJsonLdNode(child, idIndex, nextPath, depth + 1);
+  });
+  return resolved;
+}
+
+/**
+ * Pick the product the page is about
+ * Prefers the WebPage/ItemPage mainEntity, then a node whose url/@id matches
+ * the page, then the most complete node. Ties keep document order.
+ * @param {Array} products - Product nodes
+ * @param {Array} nodes - All resolved nodes
+ * @returns {Object|null} Primary product node
+ */
+function selectPrimaryProduct(products, nodes) {
+  if (products.length === 0) return null;
+  if (products.length === 1) return products[0];
+
+  const pageUrl = normalizeUrl(window.location.href);
+  const mainEntities = nodes
+    .filter(node => getSchemaTypes(node).some(type => ['webpage', 'itempage', 'productpage'].includes(type)))
+    .flatMap(node => [].concat(node.mainEntity || []));
+
+  const scored = products.map((product, index) => {
+    let score = 0;
+    if (mainEntities.includes(product) || mainEntities.some(entity => entity?.['@id'] && entity['@id'] === product['@id'])) score += 5;
+    const urls = [product.url, product['@id'], product.mainEntityOfPage?.['@id'] || product.mainEntityOfPage]
+      .filter(url => typeof url === 'string');
+    if (urls.some(url => normalizeUrl(url.split('#')[0]) === pageUrl)) score += 3;
+    if (getSchemaTypes(product).includes('productgroup')) score += 2;
+    ['offers', 'aggregateRating', 'brand', 'image', 'name'].forEach(key => {
+      if (product[key]) score += 1;
+    });
+    return { product, score, index };
+  });
+
+  scored.sort((a, b) => b.score - a.score || a.index - b.index);
+  return scored[0].product;
+}
+
+/**
+ * Iterate over resolved JSON-LD nodes (generator)
+ * Covers @graph arrays, top-level arrays, single objects, and nested products.
+ * A 'product' filter entry matches every product subtype, and the primary
+ * product is yielded before other products.
+ * @param {Array|null} typeFilter - Optional array of types to filter (lowercase)
+ * @yields {{type: string, item: Object}}
+ */
+export function* iterateSchemaItems(typeFilter = null) {
+  const { nodes, primaryProduct } = getJsonLdGraph();
+  const ordered = primaryProduct ? [primaryProduct, ...nodes.filter(node => node !== primaryProduct)] : nodes;
+
+  for (const item of ordered) {
+    const types = getSchemaTypes(item);
+    if (types.length === 0) continue;
+
+    if (!typeFilter) {
+      yield { type: types[0], item };
+      continue;
+    }
+
+    const matched = types.find(type => typeFilter.includes(type)) ||
+      (typeFilter.includes('product') && isProductNode(item) ? 'product' : null);
+    if (matched) {
+      yield { type: matched, item };
+    }
+  }
+}
+
+/**
+ * Clear JSON-LD cache (call after extraction completes)
+ */
+export function clearJsonLdCache() {
+  _jsonLdCache = null;
+  _jsonLdGraphCache = null;
+}
@@ -3,369 +3,210 @@
  * Extracts Open Graph, Twitter Cards, and standard meta tags
  */
 
+import { targetDocument } from './dom-context.js';
+import { parseRobotsDirectives, combineDirectives, SEARCH_AGENTS } from './robots-directives.js';
+
 /**
  * Extract all meta tag information from the page
  * @returns {Object} Extracted meta tags
  */
 export function extractMetaTags() {
-  return {
-    openGraph: extractOpenGraph(),
-    twitterCards: extractTwitterCards(),
-    standard: extractStandardMeta(),
-    canonical: extractCanonical(),
-    robots: extractRobots(),
-    technical: extractTechnical()
-  };
-}
-
-/**
- * Extract Open Graph meta tags
- * @returns {Object} Open Graph properties
- */
-function extractOpenGraph() {
-  const og = {
-    // Core properties
-    title: null,
-    type: null,
-    url: null,
-    description: null,
-    siteName: null,
-    locale: null,
-
-    // Image properties (critical for LLM visibility)
-    image: null,
-    imageSecureUrl: null,
-    imageType: null,
-    imageWidth: null,
-    imageHeight: null,
-    imageAlt: null,
-
-    // Product properties
-    priceAmount: null,
-    priceCurrency: null,
-    availability: null,
-
-    // All raw properties
-    raw: {}
-  };
-
-  // Extract all og: meta tags
-  document.querySelectorAll('meta[property^="og:"]').forEach(meta => {
-    const property = meta.getAttribute('property');
-    const content = meta.getAttribute('content');
-
-    if (property && content) {
-      og.raw[property] = content;
+  const og = { title: null, description: null, image: null, type: null, url: null, imageWidth: null, imageHeight: null, imageAlt: null };
+  const twitter = { card: null, title: null, description: null, image: null };
+  const standard = { description: null, keywords: null };
+
+  targetDocument.querySelectorAll('meta[property^="og:"]').forEach(meta => {
+    const prop = meta.getAttribute('property');
+    const content = meta.content;
+    if (prop === 'og:title') og.title = content;
+    if (prop === 'og:description') og.description = content;
+    if (prop === 'og:image') og.image = content;
+    if (prop === 'og:type') og.type = content;
+    if (prop === 'og:url') og.url = content;
+    if (prop === 'og:image:width') og.imageWidth = parseInt(content, 10);
+    if (prop === 'og:image:height') og.imageHeight = parseInt(content, 10);
+    if (prop === 'og:image:alt') og.imageAlt = content;
+  });
 
-      // Map to structured properties
-      switch (property) {
-        case 'og:title':
-          og.title = content;
-          break;
-        case 'og:type':
-          og.type = content;
-          break;
-        case 'og:url':
-          og.url = content;
-          break;
-        case 'og:description':
-          og.description = content;
-          break;
-        case 'og:site_name':
-          og.siteName = content;
-          break;
-        case 'og:locale':
-          og.locale = content;
-          break;
-        case 'og:image':
-          og.image = content;
-          break;
-        case 'og:image:secure_url':
-          og.imageSecureUrl = content;
-          break;
-        case 'og:image:type':
-          og.imageType = content;
-          break;
-        case 'og:image:width':
-          og.imageWidth = parseInt(content, 10) || null;
-          break;
-        case 'og:image:height':
-          og.imageHeight = parseInt(content, 10) || null;
-          break;
-        case 'og:image:alt':
-          og.imageAlt = content;
-          break;
-        case 'og:price:amount':
-        case 'product:price:amount':
-          og.priceAmount = content;
-          break;
-        case 'og:price:currency':
-        case 'product:price:currency':
-          og.priceCurrency = content;
-          break;
-        case 'og:availability':
-        case 'product:availability':
-          og.availability = content;
-          break;
-      }
-    }
+  targetDocument.querySelectorAll('meta[name^="twitter:"]').forEach(meta => {
+    const name = meta.getAttribute('name');
+    if (name === 'twitter:card') twitter.card = meta.content;
+    if (name === 'twitter:title') twitter.title = meta.content;
+    if (name === 'twitter:description') twitter.description = meta.content;
+    if (name === 'twitter:image') twitter.image = meta.content;
   });
 
-  // Also check for product: prefix tags
-  document.querySelectorAll('meta[property^="product:"]').forEach(meta => {
-    const property = meta.getAttribute('property');
-    const content = meta.getAttribute('content');
+  const descMeta = targetDocument.querySelector('meta[name="description"]');
+  standard.description = descMeta?.content;
+  const keywordsMeta = targetDocument.querySelector('meta[name="keywords"]');
+  standard.keywords = keywordsMeta?.content;
 
-    if (property && content) {
-      og.raw[property] = content;
+  const canonical = targetDocument.querySelector('link[rel="canonical"]')?.href;
 
-      switch (property) {
-        case 'product:price:amount':
-          if (!og.priceAmount) og.priceAmount = content;
-          break;
-        case 'product:price:currency':
-          if (!og.priceCurrency) og.priceCurrency = content;
-          break;
-        case 'product:availability':
-          if (!og.availability) og.availability = content;
-          break;
+  return {
+    openGraph: {
+      ...og,
+      metrics: {
+        hasTitle: !!og.title,
+        titleLength: og.title?.length || 0,
+        hasDescription: !!og.description,
+        descriptionLength: og.description?.length || 0,
+        hasImage: !!og.image,
+        hasImageDimensions: !!(og.imageWidth && og.imageHeight),
+        isProductType: og.type === 'product'
       }
-    }
-  });
-
-  // Calculate quality metrics
-  og.metrics = {
-    titleLength: og.title?.length || 0,
-    titleOptimal: og.title && og.title.length > 0 && og.title.length <= 60,
-    descriptionLength: og.description?.length || 0,
-    descriptionOptimal: og.description && og.description.length >= 100 && og.description.length <= 200,
-    hasImage: !!og.image,
-    hasImageDimensions: !!(og.imageWidth && og.imageHeight),
-    imageDimensionsOptimal: og.imageWidth >= 1200 && og.imageHeight >= 630,
-    hasImageAlt: !!og.imageAlt,
-    isProductType: og.type === 'product' || og.type === 'og:product',
-    urlMatchesCanonical: null // Will be set after canonical is extracted
+    },
+    twitterCards: {
+      ...twitter,
+      metrics: {
+        hasCard: !!twitter.card,
+        isLargeImage: twitter.card === 'summary_large_image',
+        hasImage: !!twitter.image
+      }
+    },
+    standard: {
+      ...standard,
+      metrics: {
+        hasDescription: !!standard.description,
+        descriptionLength: standard.description?.length || 0
+      }
+    },
+    canonical: {
+      url: canonical,
+      present: !!canonical,
+      matchesCurrentUrl: canonical ? normalizeUrl(canonical) === normalizeUrl(window.location.href) : null,
+      isProductCanonical: canonical ? isCanonicalForCurrentUrl(canonical, window.location.href) : false
+    },
+    robots: extractRobots(),
+    tdm: extractTdmMeta(),
+    technical: extractTechnical()
   };
-
-  return og;
 }
 
 /**
- * Extract Twitter Card meta tags
- * @returns {Object} Twitter Card properties
+ * Extract TDM Reservation Protocol meta tags (tdm-reservation, tdm-policy)
+ * @returns {Object} { reservation: 1|0|null, policy }
  */
-function extractTwitterCards() {
-  const twitter = {
-    card: null,
-    site: null,
-    creator: null,
-    title: null,
-    description: null,
-    image: null,
-    imageAlt: null,
-    raw: {}
-  };
-
-  document.querySelectorAll('meta[name^="twitter:"]').forEach(meta => {
-    const name = meta.getAttribute('name');
-    const content = meta.getAttribute('content');
-
-    if (name && content) {
-      twitter.raw[name] = content;
-
-      switch (name) {
-        case 'twitter:card':
-          twitter.card = content;
-          break;
-        case 'twitter:site':
-          twitter.site = content;
-          break;
-        case 'twitter:creator':
-          twitter.creator = content;
-          break;
-        case 'twitter:title':
-          twitter.title = content;
-          break;
-        case 'twitter:description':
-          twitter.description = content;
-          break;
-        case 'twitter:image':
-          twitter.image = content;
-          break;
-        case 'twitter:image:alt':
-          twitter.imageAlt = content;
-          break;
-      }
-    }
-  });
-
-  // Calculate quality metrics
-  twitter.metrics = {
-    hasCard: !!twitter.card,
-    isLargeImage: twitter.card === 'summary_large_image',
-    hasImage: !!twitter.image,
-    hasImageAlt: !!twitter.imageAlt
+function extractTdmMeta() {
+  const reservation = targetDocument.querySelector('meta[name="tdm-reservation" i]')?.content?.trim();
+  const policy = targetDocument.querySelector('meta[name="tdm-policy" i]')?.content?.trim();
+  return {
+    reservation: reservation === '1' || reservation === '0' ? Number(reservation) : null,
+    policy: policy || null
   };
-
-  return twitter;
 }
 
 /**
- * Extract standard meta tags
- * @returns {Object} Standard meta properties
+ * Extract robots meta directives (robots and bot-scoped tags such as googlebot)
+ * and data-nosnippet regions. X-Robots-Tag headers are added by the service
+ * worker and merged at scoring time.
+ * @returns {Object} Robots directives
  */
-function extractStandardMeta() {
-  const meta = {
-    description: null,
-    keywords: null,
-    author: null,
-    viewport: null,
-    themeColor: null,
-    raw: {}
-  };
-
-  // Meta name tags
-  document.querySelectorAll('meta[name]').forEach(el => {
-    const name = el.getAttribute('name').toLowerCase();
-    const content = el.getAttribute('content');
-
-    if (name && content) {
-      meta.raw[name] = content;
-
-      switch (name) {
-        case 'description':
-          meta.description = content;
-          break;
-        case 'keywords':
-          meta.keywords = content;
-          break;
-        case 'author':
-          meta.author = content;
-          break;
-        case 'viewport':
-          meta.viewport = content;
-          break;
-        case 'theme-color':
-          meta.themeColor = content;
-          break;
-      }
-    }
+function extractRobots() {
+  const metas = [...targetDocument.querySelectorAll('meta[name]')]
+    .filter(meta => /^(robots|[a-z0-9_.-]*bot)$/i.test(meta.getAttribute('name').trim()));
+  const tags = metas.map(meta => ({ name: meta.getAttribute('name').trim().toLowerCase(), content: meta.content || '' }));
+
+  // Repeated tags for the same agent add up, so parse them all into one map
+  const agents = {};
+  tags.forEach(tag => {
+    const parsed = parseRobotsDirectives(tag.content, tag.name === 'robots' ? '*' : tag.name);
+    Object.entries(parsed).forEach(([agent, directives]) => {
+      agents[agent] = agents[agent] ? combineDirectives(agents[agent], directives) : directives;
+    });
   });
 
-  // Calculate quality metrics
-  meta.metrics = {
-    hasDescription: !!meta.description,
-    descriptionLength: meta.description?.length || 0,
-    descriptionOptimal: meta.description && meta.description.length >= 120 && meta.description.length <= 160,
-    hasKeywords: !!meta.keywords,
-    hasViewport: !!meta.viewport
-  };
-
-  return meta;
-}
-
-/**
- * Extract canonical URL
- * @returns {Object} Canonical information
- */
-function extractCanonical() {
-  const link = document.querySelector('link[rel="canonical"]');
-  const canonical = link?.href || null;
-  const currentUrl = window.location.href.split('?')[0].split('#')[0];
+  const effective = combineDirectives(agents['*'], ...SEARCH_AGENTS.map(agent => agents[agent]));
+  const robotsContent = tags.filter(tag => tag.name === 'robots').map(tag => tag.content).join(', ');
 
   return {
-    url: canonical,
-    present: !!canonical,
-    matchesCurrentUrl: canonical ? normalizeUrl(canonical) === normalizeUrl(currentUrl) : null,
-    currentUrl
+    content: robotsContent || null,
+    tags,
+    agents,
+    noindex: effective.noindex,
+    nosnippet: effective.nosnippet,
+    noai: effective.noai,
+    noimageai: effective.noimageai,
+    maxSnippet: effective.maxSnippet,
+    maxImagePreview: effective.maxImagePreview,
+    nosnippetRegions: extractNosnippetRegions(),
+    // LLM visibility concern
+    isBlocked: effective.noindex
   };
 }
 
 /**
- * Normalize URL for comparison
- * @param {string} url - URL to normalize
- * @returns {string} Normalized URL
- */
-function normalizeUrl(url) {
-  try {
-    const parsed = new URL(url);
-    // Remove trailing slash, lowercase, remove www
-    return (parsed.origin + parsed.pathname)
-      .toLowerCase()
-      .replace(/\/$/, '')
-      .replace('://www.', '://');
-  } catch {
-    return url.toLowerCase().replace(/\/$/, '');
-  }
-}
-
-/**
- * Extract robots directives
- * @returns {Object} Robots directives
+ * Measure data-nosnippet regions and whether they hide key product content
+ * @returns {Object} { count, textLength, shareOfText, covers }
  */
-function extractRobots() {
-  const robotsMeta = document.querySelector('meta[name="robots"]');
-  const googlebotMeta = document.querySelector('meta[name="googlebot"]');
-
-  const content = robotsMeta?.content?.toLowerCase() || '';
-  const googlebotContent = googlebotMeta?.content?.toLowerCase() || '';
+function extractNosnippetRegions() {
+  const regions = [...targetDocument.querySelectorAll('[data-nosnippet]')];
+  const bodyLength = targetDocument.body?.innerText?.length || 0;
+  // Nested regions would be counted twice
+  const outer = regions.filter(region => !regions.some(other => other !== region && other.contains(region)));
+  const textLength = outer.reduce((sum, region) => sum + (region.innerText || '').length, 0);
+
+  const keyContent = {
+    h1: 'h1',
+    price: '[itemprop="price"], [class*="price" i]',
+    description: '[itemprop="description"], [class*="product-description" i], [class*="product__description" i]',
+    reviews: '[itemprop="review"], [itemprop="aggregateRating"], [class*="review" i]'
+  };
+  const covers = Object.entries(keyContent)
+    .filter(([, selector]) => outer.some(region => region.matches(selector) || region.querySelector(selector)))
+    .map(([name]) => name);
 
   return {
-    content: robotsMeta?.content || null,
-    googlebotContent: googlebotMeta?.content || null,
-    noindex: content.includes('noindex') || googlebotContent.includes('noindex'),
-    nofollow: content.includes('nofollow') || googlebotContent.includes('nofollow'),
-    noarchive: content.includes('noarchive'),
-    nosnippet: content.includes('nosnippet'),
-    noimageindex: content.includes('noimageindex'),
-    // LLM visibility concern
-    isBlocked: content.includes('noindex') || googlebotContent.includes('noindex')
+    count: regions.length,
+    textLength,
+    shareOfText: bodyLength > 0 ? Math.round((textLength / bodyLength) * 100) / 100 : 0,
+    covers
   };
 }
 
 /**
- * Extract technical meta information
+ * Extract technical document information (HTTP headers come from the service worker)
  * @returns {Object} Technical information
  */
 function extractTechnical() {
   return {
-    charset: document.characterSet || document.charset,
-    lang: document.documentElement.lang || null,
-    dir: document.documentElement.dir || null,
     isHttps: window.location.protocol === 'https:',
-    responseHeaders: {
-      // These can only be detected via actual HTTP headers
-      // We'll note what we can detect client-side
-      note: 'Full header inspection requires service worker'
-    },
-    doctype: document.doctype ? {
-      name: document.doctype.name,
-      publicId: document.doctype.publicId,
-      systemId: document.doctype.systemId
-    } : null,
-    htmlVersion: detectHtmlVersion()
+    hasLang: !!targetDocument.documentElement.lang,
+    lang: targetDocument.documentElement.lang || null,
+    charset: targetDocument.characterSet || null,
+    contentType: targetDocument.contentType || null
   };
 }
 
 /**
- * Detect HTML version from doctype
- * @returns {string} HTML version
+ * Normalize a URL for comparison (origin + path, lowercase, no www or trailing slash)
+ * @param {string} url - URL
+ * @returns {string} Normalized URL
  */
-function detectHtmlVersion() {
-  const doctype = document.doctype;
-  if (!doctype) return 'unknown';
-
-  if (doctype.publicId === '' && doctype.systemId === '') {
-    return 'HTML5';
-  }
-
-  if (doctype.publicId.includes('XHTML')) {
-    return 'XHTML';
-  }
-
-  if (doctype.publicId.includes('HTML 4')) {
-    return 'HTML4';
-  }
+export function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return (parsed.origin + parsed.pathname).toLowerCase().replace(/\/$/, '').replace('://www.', '://');
+  } catch { return url.toLowerCase().replace(/\/$/, ''); }
+}
 
-  return 'unknown';
+/**
+ * Detect if a canonical URL is a legitimate parent canonical for the current URL.
+ * Handles patterns like Shopify's /collections/X/products/Y → canonical: /products/Y
+ * @param {string} canonicalUrl - The canonical URL from the <link rel="canonical"> tag
+ * @param {string} currentUrl - The current page URL
+ * @returns {boolean} True if canonical is a valid parent/product URL for the current path
+ */
+function isCanonicalForCurrentUrl(canonicalUrl, currentUrl) {
+  try {
+    const canon = new URL(canonicalUrl);
+    const current = new URL(currentUrl);
+    // Must be same hostname (ignoring www prefix)
+    if (canon.hostname.replace(/^www\./, '') !== current.hostname.replace(/^www\./, '')) return false;
+    const canonPath = canon.pathname.toLowerCase().replace(/\/$/, '');
+    const currentPath = current.pathname.toLowerCase().replace(/\/$/, '');
+    if (canonPath === currentPath) return false; // Already handled by matchesCurrentUrl
+    // Current path ends with the canonical path (e.g., /collections/cat/products/slug → /products/slug)
+    return currentPath.endsWith(canonPath);
+  } catch { return false; }
 }
@@ -0,0 +1,72 @@
+/**
+ * Page Extraction
+ * Runs every extractor against the live DOM or the raw server HTML and
+ * assembles the extraction result (see extraction-schema.js)
+ */
+
+import { targetDocument, withTargetDocument } from './dom-context.js';
+import { createExtractionResult } from './extraction-schema.js';
+import { clearJsonLdCache } from './json-ld.js';
+import { extractStructuredData } from './structured-data.js';
+import { extractMetaTags } from './meta-tags.js';
+import { extractContentQuality } from './content-quality.js';
+import { extractContentStructure } from './content-structure.js';
+import { detectPlatform } from './platform.js';
+import { extractTrustSignals } from './trust-signals.js';
+import { extractAIDiscoverabilitySignals } from './ai-discoverability.js';
+
+/**
+ * Main extraction orchestrator
+ * @returns {Object} All extracted data (ExtractionResult, or { error, pageInfo })
+ */
+export function performFullExtraction() {
+  // Clear JSON-LD cache for fresh extraction
+  clearJsonLdCache();
+
+  try {
+    const result = createExtractionResult({
+      structuredData: extractStructuredData(),
+      metaTags: extractMetaTags(),
+      contentQuality: extractContentQuality(),
+      contentStructure: extractContentStructure(),
+      trustSignals: extractTrustSignals(),
+      aiDiscoverability: extractAIDiscoverabilitySignals(),
+      platform: detectPlatform()
+    }, {
+      url: window.location.href,
+      title: targetDocument.title,
+      domain: window.location.hostname,
+      pathname: window.location.pathname,
+      extractedAt: new Date().toISOString()
+    });
+
+    // Clear cache after extraction to free memory
+    clearJsonLdCache();
+    return result;
+  } catch (error) {
+    console.error('pdpIQ: Extraction error', error);
+    clearJsonLdCache();
+    return {
+      error: error.message,
+      pageInfo: {
+        url: window.location.href,
+        title: targetDocument.title
+      }
+    };
+  }
+}
+
+/**
+ * Run the full extraction against the page's raw server HTML
+ * Approximates what a crawler that doesn't execute JavaScript sees
+ * @param {string} html - Raw HTML as served
+ * @returns {Object} Extraction result in the same shape as performFullExtraction()
+ */
+export function performRawHtmlExtraction(html) {
+  const rawDocument = new DOMParser().parseFromString(html, 'text/html');
+
+  // Inline scripts/styles aren't content; DOMParser leaves their text in textContent
+  rawDocument.querySelectorAll('script:not([type="application/ld+json"]), style, template').forEach(el => el.remove());
+
+  return withTargetDocument(rawDocument, performFullExtraction);
+}
@@ -0,0 +1,140 @@
+/**
+ * Platform Detector
+ * Fingerprints the commerce platform so recommendations can give
+ * stack-specific steps
+ */
+
+import { targetDocument } from './dom-context.js';
+
+/**
+ * Platform fingerprints, checked in order
+ * Each signal is a selector (matched against the page) or a pattern
+ * (matched against script/link/img URLs and inline script text).
+ */
+const PLATFORM_FINGERPRINTS = [
+  {
+    id: 'shopify',
+    name: 'Shopify',
+    selectors: ['meta[name="shopify-checkout-api-token"]', 'meta[name="shopify-digital-wallet"]', '[id^="shopify-section-"]', 'link[href*="cdn.shopify.com"]'],
+    urls: /cdn\.shopify\.com|\/cdn\/shop\/|shopifycdn\.com/i,
+    inline: /\bShopify\.(?:shop|theme|routes)\b/,
+    headless: { selectors: ['meta[name="generator"][content*="Hydrogen" i]'], inline: /\bhydrogen\b|__remixContext/i }
+  },
+  {
+    id: 'sfcc',
+    name: 'Salesforce Commerce Cloud',
+    selectors: ['link[href*="demandware.static"]', 'img[src*="demandware.static"]', 'form[action*="/on/demandware.store/"]', 'a[href*="/on/demandware.store/"]'],
+    urls: /demandware\.(?:static|store|net)|\/dw\/shop\/|dwanalytics/i,
+    inline: /\bdw\.ac\b|demandware/i,
+    headless: { urls: /\/mobify\/bundle\/|\/pwa-kit\//i, inline: /__PRELOADED_STATE__|pwa-kit/i }
+  },
+  {
+    id: 'magento',
+    name: 'Magento / Adobe Commerce',
+    selectors: ['script[type="text/x-magento-init"]', '[data-mage-init]', 'link[href*="/static/version"][href*="/frontend/"]'],
+    urls: /\/static\/(?:version\d+\/)?frontend\/|\/mage\/|Magento_/i,
+    inline: /Magento_|mage\/cookies/,
+    headless: { inline: /__APOLLO_STATE__[\s\S]*magento|upward/i }
+  },
+  {
+    id: 'bigcommerce',
+    name: 'BigCommerce',
+    selectors: ['link[href*="cdn11.bigcommerce.com"]', 'img[src*="bigcommerce.com/s-"]', '[data-content-region]'],
+    urls: /bigcommerce\.com|stencil-utils/i,
+    inline: /\bBCData\b|stencilBootstrap/,
+    headless: { inline: /catalyst|__NEXT_DATA__[\s\S]*bigcommerce/i }
+  },
+  {
+    id: 'woocommerce',
+    name: 'WooCommerce',
+    selectors: ['body.woocommerce', 'body.woocommerce-page', '.woocommerce-product-gallery', 'meta[name="generator"][content^="WooCommerce"]', 'link[href*="/plugins/woocommerce/"]'],
+    urls: /\/plugins\/woocommerce\//i,
+    inline: /wc_add_to_cart_params|woocommerce_params/
+  },
+  {
+    id: 'commercetools',
+    name: 'commercetools',
+    selectors: ['img[src*="commercetools.com"]', 'link[href*="commercetools.com"]'],
+    urls: /commercetools\.com|\.commercetools\.|frontastic/i,
+    inline: /commercetools|frontastic/i,
+    // No first-party storefront: always a custom frontend
+    alwaysHeadless: true
+  }
+];
+
+/**
+ * JavaScript storefront frameworks that indicate a headless build
+ */
+const HEADLESS_FRAMEWORKS = [
+  { name: 'Next.js', selectors: ['script#__NEXT_DATA__', '#__next'], urls: /\/_next\/static\// },
+  { name: 'Nuxt', selectors: ['#__nuxt', '#__layout'], inline: /window\.__NUXT__/, urls: /\/_nuxt\// },
+  { name: 'Gatsby', selectors: ['#___gatsby'] },
+  { name: 'Remix', inline: /__remixContext/ },
+  { name: 'Vue Storefront', selectors: ['[data-vsf]'], inline: /vue-storefront|vsf-/i },
+  { name: 'Angular', selectors: ['[ng-version]'] }
+];
+
+/**
+ * Cap on inline script text scanned for platform globals
+ */
+const PLATFORM_INLINE_SCRIPT_LIMIT = 200000;
+
+/**
+ * Detect the eCommerce platform and whether the storefront is headless
+ * @returns {Object} { id, name, confidence, signals, headless, framework }
+ */
+export function detectPlatform() {
+  const urls = Array.from(targetDocument.querySelectorAll('script[src], link[href]'))
+    .map(el => el.getAttribute('src') || el.getAttribute('href'))
+    .join('\n');
+  let inlineText = '';
+  for (const script of targetDocument.querySelectorAll('script:not([src])')) {
+    inlineText += script.textContent + '\n';
+    if (inlineText.length > PLATFORM_INLINE_SCRIPT_LIMIT) break;
+  }
+
+  const matchSignals = (fingerprint) => {
+    const signals = [];
+    (fingerprint.selectors || []).forEach(selector => {
+      try {
+        if (targetDocument.querySelector(selector)) signals.push(selector);
+      } catch (e) {
+        // Selector unsupported in this engine
+      }
+    });
+    if (fingerprint.urls && fingerprint.urls.test(urls)) signals.push(`asset URL ${fingerprint.urls.source}`);
+    if (fingerprint.inline && fingerprint.inline.test(inlineText)) signals.push(`inline script ${fingerprint.inline.source}`);
+    return signals;
+  };
+
+  const frameworkMatch = HEADLESS_FRAMEWORKS.find(framework => matchSignals(framework).length > 0);
+  const framework = frameworkMatch ? frameworkMatch.name : null;
+
+  const candidates = PLATFORM_FINGERPRINTS
+    .map(fingerprint => ({ fingerprint, signals: matchSignals(fingerprint) }))
+    .filter(candidate => candidate.signals.length > 0)
+    .sort((a, b) => b.signals.length - a.signals.length);
+
+  if (candidates.length === 0) {
+    return {
+      id: framework ? 'headless' : null,
+      name: framework ? `Headless storefront (${framework})` : null,
+      confidence: framework ? 'low' : null,
+      signals: [],
+      headless: !!framework,
+      framework
+    };
+  }
+
+  const { fingerprint, signals } = candidates[0];
+  const headlessSignals = fingerprint.headless ? matchSignals(fingerprint.headless) : [];
+  return {
+    id: fingerprint.id,
+    name: fingerprint.name,
+    confidence: signals.length >= 2 ? 'high' : 'medium',
+    signals,
+    // Platform assets served under a JS framework's shell mean a custom frontend
+    headless: !!fingerprint.alwaysHeadless || headlessSignals.length > 0 || !!framework,
+    framework
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * Page Readiness
+ * Holds extraction until a hydrating page has finished rendering: document
+ * loaded, network idle, DOM quiet, and any configured selectors present,
+ * all within one time budget
+ */
+
+import { targetDocument } from './dom-context.js';
+import { DEFAULT_READINESS } from '../../storage/extraction-settings.js';
+
+/**
+ * How often readiness conditions are re-checked
+ */
+const READINESS_POLL_MS = 100;
+
+/**
+ * Progress is re-sent at least this often while waiting
+ */
+const READINESS_PROGRESS_MS = 1000;
+
+/**
+ * Wait until the page looks fully rendered, or the budget runs out
+ * Network idle is approximated from resource timing entries: requests still
+ * in flight are invisible until they finish.
+ * @param {Object} options - { maxWaitMs, networkIdleMs, quietMs, waitForSelectors }
+ * @param {Function} [onProgress] - Called with a description of what is still awaited
+ * @returns {Promise<Object>} { ready, skipped, budgetExceeded, waitedMs, budgetMs, loadedAtMs, networkIdle, domQuiet, selectors, pending }
+ */
+export function waitForPageReady(options = {}, onProgress = () => {}) {
+  const settings = { ...DEFAULT_READINESS, ...options };
+  const start = performance.now();
+  const elapsed = () => Math.round(performance.now() - start);
+
+  const selectors = (settings.waitForSelectors || []).map(selector => {
+    try {
+      targetDocument.querySelector(selector);
+      return { selector, valid: true, foundAtMs: null };
+    } catch (e) {
+      return { selector, valid: false, foundAtMs: null };
+    }
+  });
+
+  const report = {
+    ready: false,
+    skipped: false,
+    budgetExceeded: false,
+    waitedMs: 0,
+    budgetMs: settings.maxWaitMs,
+    loadedAtMs: null,
+    networkIdle: false,
+    domQuiet: false,
+    selectors,
+    pending: []
+  };
+
+  if (!(settings.maxWaitMs > 0)) {
+    return Promise.resolve({ ...report, skipped: true });
+  }
+
+  let lastNetworkActivity = performance.getEntriesByType('resource')
+    .reduce((latest, entry) => Math.max(latest, entry.responseEnd), 0);
+  let lastMutation = start;
+
+  let resourceObserver = null;
+  try {
+    resourceObserver = new PerformanceObserver(() => {
+      lastNetworkActivity = performance.now();
+    });
+    resourceObserver.observe({ type: 'resource' });
+  } catch (e) {
+    // Resource timing unavailable; treat the network as idle
+  }
+  const mutationObserver = new MutationObserver(() => {
+    lastMutation = performance.now();
+  });
+  mutationObserver.observe(targetDocument.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+
+  return new Promise(resolve => {
+    let lastDetail = null;
+    let lastReport = 0;
+    let intervalId = null;
+
+    const check = () => {
+      const now = performance.now();
+      if (report.loadedAtMs === null && targetDocument.readyState === 'complete') {
+        report.loadedAtMs = elapsed();
+      }
+      report.networkIdle = now - lastNetworkActivity >= settings.networkIdleMs;
+      report.domQuiet = now - lastMutation >= settings.quietMs;
+      selectors.forEach(entry => {
+        if (entry.valid && entry.foundAtMs === null && targetDocument.querySelector(entry.selector)) {
+          entry.foundAtMs = elapsed();
+        }
+      });
+
+      const pending = [];
+      if (report.loadedAtMs === null) pending.push('page load');
+      if (!report.networkIdle) pending.push('network requests');
+      if (!report.domQuiet) pending.push('page updates');
+      selectors.forEach(entry => {
+        if (entry.valid && entry.foundAtMs === null) pending.push(entry.selector);
+      });
+      report.pending = pending;
+
+      if (pending.length === 0) {
+        finish(true);
+        return;
+      }
+      if (now - start >= settings.maxWaitMs) {
+        finish(false);
+        return;
+      }
+
+      const detail = `Waiting for ${pending.join(', ')}`;
+      if (detail !== lastDetail || now - lastReport >= READINESS_PROGRESS_MS) {
+        lastDetail = detail;
+        lastReport = now;
+        onProgress(detail);
+      }
+    };
+
+    const finish = (ready) => {
+      clearInterval(intervalId);
+      mutationObserver.disconnect();
+      if (resourceObserver) resourceObserver.disconnect();
+      report.ready = ready;
+      report.budgetExceeded = !ready;
+      report.waitedMs = elapsed();
+      resolve(report);
+    };
+
+    intervalId = setInterval(check, READINESS_POLL_MS);
+    check();
+  });
+}
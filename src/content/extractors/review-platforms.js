@@ -0,0 +1,368 @@
+/**
+ * Review Platform Adapters
+ * Vendor widgets (Bazaarvoice, PowerReviews, Yotpo, Okendo, Trustpilot,
+ * Judge.me) use their own markup, so generic review selectors miss them
+ */
+
+import { targetDocument } from './dom-context.js';
+
+/**
+ * Review vendor adapters, tried in order
+ * detect: widget containers; scriptSrc: loader script URL
+ * Field specs are selectors (text/aria-label/content is parsed) or
+ * { selector, attr } to read an attribute. extractEmbedded reads vendor
+ * JSON/attributes and wins over the DOM fields it returns.
+ */
+const REVIEW_PLATFORM_ADAPTERS = [
+  {
+    id: 'bazaarvoice',
+    name: 'Bazaarvoice',
+    detect: '[data-bv-show], [data-bv-product-id], #BVRRContainer, #BVRRSummaryContainer, .bv_main_container, .bv-cv2-cleanslate, .bvseo-review',
+    scriptSrc: /bazaarvoice\.com/i,
+    rating: ['.bv_avgRating_component_container', '.bv-rating-ratio-number', '.bv-secondary-rating-summary-rating', '.bvseo-ratingValue'],
+    count: ['.bv_numReviews_text', '.bv-rating-ratio-count', '.bv-secondary-rating-summary-reviews-count', '.bvseo-reviewCount'],
+    distribution: {
+      row: '.bv-inline-histogram-ratings tr, .bv-histogram-filter-helper',
+      star: ['.bv-inline-histogram-ratings-star', '.bv-histogram-filter-helper-star'],
+      count: ['.bv-inline-histogram-ratings-count', '.bv-histogram-filter-helper-count']
+    },
+    review: {
+      item: '.bv-content-review, .bvseo-review',
+      date: [{ selector: 'meta[itemprop="datePublished"]', attr: 'content' }, '.bv-content-datetime-stamp', '.bvseo-publishedDate'],
+      body: ['.bv-content-summary-body-text', '[itemprop="reviewBody"]'],
+      rating: [{ selector: 'meta[itemprop="ratingValue"]', attr: 'content' }, '.bv-content-rating .bv-off-screen'],
+      verified: '.bv-badge-verifiedPurchaser, [class*="bv-badge-verified"]'
+    }
+  },
+  {
+    id: 'powerreviews',
+    name: 'PowerReviews',
+    detect: '#pr-reviewdisplay, #pr-reviewsnippet, .pr-snippet, .pr-review-display, [id^="pr-review"]',
+    scriptSrc: /powerreviews\.com/i,
+    rating: ['.pr-snippet-rating-decimal', '.pr-review-snapshot-snippets .pr-snippet-rating-decimal'],
+    count: ['.pr-snippet-review-count', '.pr-snippet-read-and-write .pr-snippet-review-count'],
+    distribution: {
+      row: '.pr-ratings-histogram-content li, .pr-histogram__row',
+      star: ['.pr-histogram-label', '.pr-histogram__label'],
+      count: ['.pr-histogram-count', '.pr-histogram__count']
+    },
+    review: {
+      item: '.pr-review, .pr-rd-review',
+      date: [{ selector: 'time[datetime]', attr: 'datetime' }, '.pr-rd-details.pr-rd-author-submission-date time', '.pr-rd-review-date'],
+      body: ['.pr-rd-description-text', '.pr-rd-review-body'],
+      rating: ['.pr-snippet-rating-decimal', '.pr-rd-star-rating .pr-accessible-text'],
+      verified: '.pr-rd-badging-text, .pr-verified_buyer, [class*="pr-rd-badging"]',
+      verifiedText: /verified (?:buyer|purchaser|purchase)/i
+    }
+  },
+  {
+    id: 'yotpo',
+    name: 'Yotpo',
+    detect: '.yotpo, .yotpo-main-widget, .yotpo-widget-instance, [data-yotpo-product-id], [data-yotpo-instance-id]',
+    scriptSrc: /yotpo\.com/i,
+    rating: ['.yotpo-bottom-line-score', '.yotpo-bottomline .sr-only', '.yotpo-stars .sr-only', '.yotpo-star-rating'],
+    count: ['.yotpo-bottom-line-basic-text', '.yotpo-bottomline .text-m', '.yotpo-sum-reviews'],
+    distribution: {
+      row: '.yotpo-star-distribution-content .yotpo-distribution-row, [class*="yotpo-distribution-row"], .yotpo-star-distribution-content li',
+      star: ['.yotpo-distribution-stars', '.yotpo-star-distribution-score-value'],
+      count: ['.yotpo-distribution-count', '.yotpo-star-distribution-score-wrapper']
+    },
+    review: {
+      item: '.yotpo-review, .yotpo-regular-box.yotpo-review',
+      date: ['.yotpo-review-date', '.yotpo-header-element .yotpo-review-date', '.yotpo-date'],
+      body: ['.yotpo-review-content', '.content-review', '.yotpo-read-more-text'],
+      rating: ['.yotpo-review-stars .sr-only', '.yotpo-review-star-rating'],
+      verified: '.yotpo-verified-buyer, .yotpo-user-title, [class*="yotpo-verified"]',
+      verifiedText: /verified (?:buyer|reviewer|purchase)/i
+    }
+  },
+  {
+    id: 'okendo',
+    name: 'Okendo',
+    detect: '[data-oke-widget], [data-oke-reviews-product-id], [data-oke-star-rating], .okeReviews, [class^="oke-"]',
+    scriptSrc: /okendo\.io/i,
+    rating: ['.oke-sr-rating', '.oke-w-reviews-head .oke-sr-rating', '.oke-reviewsHead-rating'],
+    count: ['.oke-sr-count-number', '.oke-sr-count', '.oke-w-reviews-count'],
+    distribution: {
+      row: '.oke-ratingBreakdown-row, [class*="oke-w-ratingBreakdown-row"]',
+      star: ['.oke-ratingBreakdown-label', '[class*="ratingBreakdown-label"]'],
+      count: ['.oke-ratingBreakdown-count', '[class*="ratingBreakdown-count"]']
+    },
+    review: {
+      item: '.oke-w-review, .oke-review, [class*="oke-w-reviews-list-item"]',
+      date: [{ selector: 'time[datetime]', attr: 'datetime' }, '.oke-reviewContent-date', '.oke-w-review-date'],
+      body: ['.oke-reviewContent-body', '.oke-w-review-body'],
+      rating: ['.oke-reviewContent-rating .oke-a11yText', '.oke-w-review-rating .oke-a11yText'],
+      verified: '.oke-w-reviewer-verified, [class*="oke-verified"], [class*="reviewer-verified"]'
+    },
+    extractEmbedded(query) {
+      // Shopify metafield snapshot rendered server-side next to the star rating
+      const script = query.one('script[data-oke-metafield-data], script[type="application/json"][data-oke-reviews-metafield]');
+      const data = parseJsonSafely(script?.textContent);
+      if (!data) return null;
+      return {
+        rating: parseFloat(data.averageRating) || null,
+        count: parseInt(data.reviewCount, 10) || null
+      };
+    }
+  },
+  {
+    id: 'trustpilot',
+    name: 'Trustpilot',
+    detect: '.trustpilot-widget, [data-businessunit-id][data-template-id]',
+    scriptSrc: /widget\.trustpilot\.com/i,
+    // TrustBoxes render in a cross-origin iframe; only the container is readable
+    iframe: true
+  },
+  {
+    id: 'judgeme',
+    name: 'Judge.me',
+    detect: '.jdgm-widget, .jdgm-rev-widg, .jdgm-preview-badge, .jdgm-prev-badge, #judgeme_product_reviews',
+    scriptSrc: /judge\.me/i,
+    rating: [{ selector: '.jdgm-rev-widg[data-average-rating]', attr: 'data-average-rating' }, { selector: '.jdgm-prev-badge[data-average-rating]', attr: 'data-average-rating' }, '.jdgm-rev-widg__summary-average'],
+    count: [{ selector: '.jdgm-rev-widg[data-number-of-reviews]', attr: 'data-number-of-reviews' }, { selector: '.jdgm-prev-badge[data-number-of-reviews]', attr: 'data-number-of-reviews' }, '.jdgm-rev-widg__summary-text', '.jdgm-prev-badge__text'],
+    distribution: {
+      row: '.jdgm-histogram__row',
+      star: [{ selector: ':scope', attr: 'data-rating' }],
+      count: [{ selector: ':scope', attr: 'data-frequency' }, '.jdgm-histogram__frequency']
+    },
+    review: {
+      item: '.jdgm-rev',
+      date: [{ selector: '.jdgm-rev__timestamp[data-content]', attr: 'data-content' }, '.jdgm-rev__timestamp'],
+      body: ['.jdgm-rev__body'],
+      rating: [{ selector: '.jdgm-rev__rating[data-score]', attr: 'data-score' }],
+      verified: '.jdgm-rev__buyer-badge, [data-verified-buyer="true"]'
+    }
+  }
+];
+
+/**
+ * Cap on individual reviews read per vendor
+ */
+const MAX_PLATFORM_REVIEWS = 50;
+
+/**
+ * Find review vendor widgets and read their data
+ * @returns {Object} { detected: [vendor ids], primary: vendor result with data (or the first detected), results }
+ */
+export function extractReviewPlatformData() {
+  const query = createDeepQuery();
+  const scriptSrcs = Array.from(targetDocument.querySelectorAll('script[src]')).map(script => script.getAttribute('src'));
+
+  const results = [];
+  REVIEW_PLATFORM_ADAPTERS.forEach(adapter => {
+    const container = query.one(adapter.detect);
+    const script = scriptSrcs.find(src => adapter.scriptSrc.test(src));
+    if (!container && !script) return;
+
+    const result = {
+      id: adapter.id,
+      name: adapter.name,
+      detectedBy: container ? 'widget' : 'script',
+      inShadowRoot: !!(container && container.getRootNode() !== targetDocument),
+      rating: null,
+      count: null,
+      distribution: null,
+      reviews: [],
+      source: null,
+      iframe: !!adapter.iframe,
+      pending: false
+    };
+
+    if (!adapter.iframe) {
+      readAdapterFields(adapter, query, result);
+      if (adapter.extractEmbedded) {
+        const embedded = adapter.extractEmbedded(query);
+        if (embedded?.rating || embedded?.count) {
+          result.rating = embedded.rating ?? result.rating;
+          result.count = embedded.count ?? result.count;
+          result.source = 'json';
+        }
+      }
+    }
+
+    result.hasData = result.rating !== null || result.count !== null || result.reviews.length > 0;
+    // Container on the page but not rendered yet (widgets load after the page)
+    result.pending = !result.hasData && !adapter.iframe && !!container;
+    results.push(result);
+  });
+
+  return {
+    detected: results.map(result => result.id),
+    primary: results.find(result => result.hasData) || results[0] || null,
+    results
+  };
+}
+
+function readAdapterFields(adapter, query, result) {
+  const rating = readFieldNumber(query, adapter.rating, parseRatingText);
+  if (rating !== null && rating >= 0 && rating <= 5) result.rating = rating;
+  result.count = readFieldNumber(query, adapter.count, parseCountText);
+  if (result.rating !== null || result.count !== null) result.source = 'dom';
+
+  if (adapter.distribution) {
+    const distribution = {};
+    query.all(adapter.distribution.row).forEach(row => {
+      const rowText = readElementText(row);
+      const star = readFieldNumber(scopedQuery(row), adapter.distribution.star, text => parseStarLabel(text))
+        ?? parseStarLabel(rowText);
+      const count = readFieldNumber(scopedQuery(row), adapter.distribution.count, text => parseCountText(text, true))
+        ?? parseDistributionCount(rowText);
+      if (star >= 1 && star <= 5 && count !== null && distribution[star] === undefined) {
+        distribution[star] = count;
+      }
+    });
+    if (Object.keys(distribution).length > 0) result.distribution = distribution;
+  }
+
+  if (adapter.review) {
+    const spec = adapter.review;
+    result.reviews = query.all(spec.item).slice(0, MAX_PLATFORM_REVIEWS).map(item => {
+      const scoped = scopedQuery(item);
+      const dateText = readFieldText(scoped, spec.date);
+      const body = readFieldText(scoped, spec.body) || '';
+      const verifiedEl = spec.verified ? matchSelfOrDescendant(item, spec.verified) : null;
+      const verified = !!verifiedEl && (!spec.verifiedText || spec.verifiedText.test(readElementText(verifiedEl)));
+      const date = parseReviewDate(dateText);
+      return {
+        date: date ? date.toISOString() : null,
+        rating: readFieldNumber(scoped, spec.rating, parseRatingText),
+        verified,
+        length: body.length
+      };
+    });
+  }
+}
+
+/**
+ * querySelector across the document and every open shadow root
+ */
+function createDeepQuery() {
+  const roots = [targetDocument, ...collectShadowRoots(targetDocument)];
+  const all = (selector) => {
+    const found = [];
+    roots.forEach(root => {
+      try {
+        found.push(...root.querySelectorAll(selector));
+      } catch (e) {
+        // Selector unsupported in this engine
+      }
+    });
+    return found;
+  };
+  return { all, one: (selector) => all(selector)[0] || null };
+}
+
+function collectShadowRoots(root, roots = []) {
+  root.querySelectorAll('*').forEach(el => {
+    if (el.shadowRoot) {
+      roots.push(el.shadowRoot);
+      collectShadowRoots(el.shadowRoot, roots);
+    }
+  });
+  return roots;
+}
+
+function scopedQuery(el) {
+  const all = (selector) => {
+    if (selector === ':scope') return [el];
+    try {
+      return Array.from(el.querySelectorAll(selector));
+    } catch (e) {
+      return [];
+    }
+  };
+  return { all, one: (selector) => all(selector)[0] || null };
+}
+
+function matchSelfOrDescendant(el, selector) {
+  try {
+    return el.matches(selector) ? el : el.querySelector(selector);
+  } catch (e) {
+    return null;
+  }
+}
+
+function readFieldText(query, specs = []) {
+  for (const spec of specs) {
+    const { selector, attr } = typeof spec === 'string' ? { selector: spec } : spec;
+    const el = query.one(selector);
+    if (!el) continue;
+    const value = attr ? el.getAttribute(attr) : readElementText(el);
+    if (value && value.trim()) return value.trim();
+  }
+  return null;
+}
+
+function readFieldNumber(query, specs, parse) {
+  for (const spec of specs || []) {
+    const value = parse(readFieldText(query, [spec]));
+    if (value !== null) return value;
+  }
+  return null;
+}
+
+function readElementText(el) {
+  return [el.getAttribute('content'), el.getAttribute('aria-label'), el.textContent]
+    .filter(Boolean).join(' ').replace(/\s+/g, ' ').trim();
+}
+
+function parseRatingText(text) {
+  if (!text) return null;
+  const match = text.match(/(\d(?:[.,]\d{1,2})?)\s*(?:out of|\/|of)\s*5\b/i) ||
+                text.match(/(\d(?:[.,]\d{1,2})?)\s*stars?/i) ||
+                text.match(/^\(?(\d(?:[.,]\d{1,2})?)\)?(?:\s|$)/);
+  return match ? parseFloat(match[1].replace(',', '.')) : null;
+}
+
+function parseCountText(text, allowZero = false) {
+  if (!text) return null;
+  const match = text.match(/(\d[\d,.]*)\s*(?:reviews?|ratings?|\))/i) || text.match(/(\d[\d,.]*)/);
+  if (!match) return null;
+  const count = parseInt(match[1].replace(/[,.]/g, ''), 10);
+  return isNaN(count) || (!allowZero && count === 0) ? null : count;
+}
+
+function parseStarLabel(text) {
+  const match = text && text.match(/\b([1-5])\s*(?:stars?|★)?/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function parseDistributionCount(rowText) {
+  // Last number that isn't a percentage: "5 stars, 120 reviews", "5 ★ 80% 120"
+  const match = rowText.replace(/^\s*[1-5]\s*(?:stars?|★)?/i, '').match(/(\d[\d,]*)(?!\s*%|[\d,])\D*$/);
+  return match ? parseInt(match[1].replace(/,/g, ''), 10) : null;
+}
+
+function parseJsonSafely(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Parse absolute ("2024-03-14", "03/14/24") and relative ("3 weeks ago") review dates
+ * @param {string} text
+ * @returns {Date|null}
+ */
+function parseReviewDate(text) {
+  if (!text) return null;
+  const absolute = new Date(text);
+  if (!isNaN(absolute.getTime())) return absolute;
+
+  const relative = text.match(/\b(\d+|an?)\s+(minute|hour|day|week|month|year)s?\s+ago\b/i);
+  if (!relative) return null;
+  const amount = /^an?$/i.test(relative[1]) ? 1 : parseInt(relative[1], 10);
+  const date = new Date();
+  const unit = relative[2].toLowerCase();
+  if (unit === 'minute') date.setMinutes(date.getMinutes() - amount);
+  if (unit === 'hour') date.setHours(date.getHours() - amount);
+  if (unit === 'day') date.setDate(date.getDate() - amount);
+  if (unit === 'week') date.setDate(date.getDate() - amount * 7);
+  if (unit === 'month') date.setMonth(date.getMonth() - amount);
+  if (unit === 'year') date.setFullYear(date.getFullYear() - amount);
+  return date;
+}
@@ -0,0 +1,197 @@
+/**
+ * Robots Directives
+ * Parses indexing and snippet directives from robots meta tags and
+ * X-Robots-Tag headers (same grammar), and merges the two sources.
+ * Shared by the content script, the service worker, and scoring.
+ */
+
+/**
+ * Directives that take a value after a colon (so "max-snippet: 50" is not a user-agent prefix)
+ */
+const VALUED_DIRECTIVES = ['max-snippet', 'max-image-preview', 'max-video-preview', 'unavailable_after'];
+
+/**
+ * Crawlers whose scoped directives also apply when scoring indexability and snippets
+ */
+export const SEARCH_AGENTS = ['googlebot', 'bingbot'];
+
+/**
+ * Create an empty directive set
+ * @returns {Object} Directive flags and limits
+ */
+function createDirectives() {
+  return {
+    noindex: false,
+    nofollow: false,
+    noarchive: false,
+    nosnippet: false,
+    noimageindex: false,
+    noai: false,
+    noimageai: false,
+    maxSnippet: null,
+    maxImagePreview: null,
+    maxVideoPreview: null,
+    unavailableAfter: null
+  };
+}
+
+/**
+ * Apply one directive token to a directive set
+ * @param {Object} directives - Directive set to update
+ * @param {string} token - e.g. "noindex" or "max-snippet:50"
+ */
+function applyDirective(directives, token) {
+  const separator = token.indexOf(':');
+  const name = (separator === -1 ? token : token.slice(0, separator)).trim().toLowerCase();
+  const value = separator === -1 ? '' : token.slice(separator + 1).trim();
+
+  switch (name) {
+    case 'none':
+      directives.noindex = true;
+      directives.nofollow = true;
+      break;
+    case 'noindex':
+    case 'nofollow':
+    case 'noarchive':
+    case 'nosnippet':
+    case 'noimageindex':
+    case 'noai':
+    case 'noimageai':
+      directives[name] = true;
+      break;
+    case 'max-snippet': {
+      const limit = parseInt(value, 10);
+      if (Number.isFinite(limit)) directives.maxSnippet = limit;
+      break;
+    }
+    case 'max-video-preview': {
+      const limit = parseInt(value, 10);
+      if (Number.isFinite(limit)) directives.maxVideoPreview = limit;
+      break;
+    }
+    case 'max-image-preview':
+      if (value) directives.maxImagePreview = value.toLowerCase();
+      break;
+    case 'unavailable_after': {
+      const time = Date.parse(value);
+      if (!Number.isNaN(time)) directives.unavailableAfter = new Date(time).toISOString();
+      break;
+    }
+  }
+}
+
+// Split on commas, except the one after the weekday of an unavailable_after
+// date (RFC 850 "Sunday, 25-Jun-10 15:00:00 PST", RFC 1123 "Sun, 25 Jun ...")
+function splitDirectiveTokens(content) {
+  const tokens = [];
+  (content || '').split(',').forEach(piece => {
+    const previous = tokens[tokens.length - 1];
+    if (previous !== undefined && /unavailable_after\s*:\s*[a-z]+\s*$/i.test(previous)) {
+      tokens[tokens.length - 1] = `${previous},${piece}`;
+    } else {
+      tokens.push(piece);
+    }
+  });
+  return tokens;
+}
+
+/**
+ * Parse a robots directive string (meta content or X-Robots-Tag value)
+ * "googlebot: noindex, nofollow" scopes the following directives to that
+ * user-agent, which is how X-Robots-Tag names a bot; multiple header lines
+ * arrive joined with ", ".
+ * @param {string} content - Directive string
+ * @param {string} [agent] - User-agent the whole string applies to ('*' for all)
+ * @returns {Object} Directive sets keyed by lowercase user-agent
+ */
+export function parseRobotsDirectives(content, agent = '*') {
+  const agents = {};
+  let current = agent.toLowerCase();
+
+  splitDirectiveTokens(content).forEach(rawToken => {
+    let token = rawToken.trim();
+    if (!token) return;
+
+    const scoped = token.match(/^([a-z0-9_.-]+)\s*:\s*(.*)$/i);
+    if (scoped && !VALUED_DIRECTIVES.includes(scoped[1].toLowerCase())) {
+      current = scoped[1].toLowerCase();
+      token = scoped[2].trim();
+      if (!token) return;
+    }
+
+    agents[current] = agents[current] || createDirectives();
+    applyDirective(agents[current], token);
+  });
+
+  return agents;
+}
+
+/**
+ * Merge directive sets; the most restrictive value wins
+ * @param {...Object} sets - Directive sets (falsy entries are skipped)
+ * @returns {Object} Combined directive set
+ */
+export function combineDirectives(...sets) {
+  const combined = createDirectives();
+  const previewRank = { none: 0, standard: 1, large: 2 };
+
+  sets.filter(Boolean).forEach(set => {
+    ['noindex', 'nofollow', 'noarchive', 'nosnippet', 'noimageindex', 'noai', 'noimageai'].forEach(flag => {
+      if (set[flag]) combined[flag] = true;
+    });
+    ['maxSnippet', 'maxVideoPreview'].forEach(limit => {
+      if (set[limit] === null || set[limit] === undefined) return;
+      // -1 means "no limit", so it only wins when nothing stricter is set
+      if (combined[limit] === null || combined[limit] === -1 || (set[limit] !== -1 && set[limit] < combined[limit])) {
+        combined[limit] = set[limit];
+      }
+    });
+    if (set.maxImagePreview && (combined.maxImagePreview === null ||
+        (previewRank[set.maxImagePreview] ?? 2) < (previewRank[combined.maxImagePreview] ?? 2))) {
+      combined.maxImagePreview = set.maxImagePreview;
+    }
+    if (set.unavailableAfter && (!combined.unavailableAfter || set.unavailableAfter < combined.unavailableAfter)) {
+      combined.unavailableAfter = set.unavailableAfter;
+    }
+  });
+
+  return combined;
+}
+
+/**
+ * Merge meta tag and X-Robots-Tag directives into what search crawlers obey
+ * Generic ('*') rules and rules scoped to SEARCH_AGENTS both apply; the
+ * source list records where each restrictive directive came from.
+ * @param {Object} metaAgents - Parsed meta directives keyed by user-agent
+ * @param {Object} headerAgents - Parsed X-Robots-Tag directives keyed by user-agent
+ * @returns {Object} { directives, sources: [{ source, agent, directive }] }
+ */
+export function mergeRobotsDirectives(metaAgents = {}, headerAgents = {}) {
+  const sets = [];
+  const sources = [];
+
+  [['meta', metaAgents], ['header', headerAgents]].forEach(([source, agents]) => {
+    Object.entries(agents || {}).forEach(([agent, directives]) => {
+      if (agent !== '*' && !SEARCH_AGENTS.includes(agent)) return;
+      sets.push(directives);
+      describeDirectives(directives).forEach(directive => sources.push({ source, agent, directive }));
+    });
+  });
+
+  return { directives: combineDirectives(...sets), sources };
+}
+
+/**
+ * List the restrictive directives in a set, in robots syntax
+ * @param {Object} directives - Directive set
+ * @returns {Array<string>} e.g. ['noindex', 'max-snippet:50']
+ */
+export function describeDirectives(directives) {
+  const list = ['noindex', 'nofollow', 'noarchive', 'nosnippet', 'noimageindex', 'noai', 'noimageai']
+    .filter(flag => directives[flag]);
+  if (directives.maxSnippet !== null && directives.maxSnippet !== -1) list.push(`max-snippet:${directives.maxSnippet}`);
+  if (directives.maxImagePreview && directives.maxImagePreview !== 'large') list.push(`max-image-preview:${directives.maxImagePreview}`);
+  if (directives.maxVideoPreview !== null && directives.maxVideoPreview !== -1) list.push(`max-video-preview:${directives.maxVideoPreview}`);
+  if (directives.unavailableAfter) list.push(`unavailable_after:${directives.unavailableAfter}`);
+  return list;
+}
@@ -3,15 +3,19 @@
  * Extracts JSON-LD, Microdata, and RDFa markup from the page
  */
 
+import { targetDocument } from './dom-context.js';
+import { getParsedJsonLd, getSchemaTypes, isProductNode, getJsonLdGraph } from './json-ld.js';
+import { extractSchemaCategory } from './content-quality.js';
+
 /**
  * Extract all structured data from the page
  * @returns {Object} Extracted structured data
  */
 export function extractStructuredData() {
   const results = {
-    jsonLd: extractJsonLd(),
-    microdata: extractMicrodata(),
-    rdfa: extractRdfa(),
+    jsonLd: [],
+    microdata: [],
+    rdfa: [],
     schemas: {
       product: null,
       offer: null,
@@ -21,536 +25,415 @@ export function extractStructuredData() {
       breadcrumb: null,
       organization: null,
       brand: null,
-      images: []
+      images: [],
+      productGroup: null
     }
   };
 
-  // Categorize schemas from all sources
-  categorizeSchemas(results.jsonLd, results.schemas);
-  categorizeMicrodataSchemas(results.microdata, results.schemas);
-
-  return results;
-}
-
-/**
- * Extract JSON-LD structured data
- * @returns {Array} Array of parsed JSON-LD objects
- */
-function extractJsonLd() {
-  const scripts = document.querySelectorAll('script[type="application/ld+json"]');
-  const results = [];
-
-  scripts.forEach(script => {
-    try {
-      const content = script.textContent.trim();
-      if (content) {
-        const data = JSON.parse(content);
-        results.push({
-          valid: true,
-          data
-        });
-      }
-    } catch (e) {
-      results.push({
-        valid: false,
-        error: e.message,
-        raw: script.textContent.substring(0, 500)
-      });
-    }
+  // Extract JSON-LD (uses cached parsing for performance)
+  const parsedJsonLd = getParsedJsonLd();
+  parsedJsonLd.forEach(({ valid, data, error }) => {
+    results.jsonLd.push(valid ? { valid: true, data } : { valid: false, error });
   });
+  categorizeSchemas(getJsonLdGraph(), results.schemas);
 
-  return results;
-}
+  // Extract Microdata
+  targetDocument.querySelectorAll('[itemscope]').forEach(scope => {
+    // Items that are a property of another item are extracted with their parent
+    if (scope.hasAttribute('itemprop') && scope.parentElement?.closest('[itemscope]')) return;
+    const item = extractMicrodataItem(scope);
+    if (item.type) results.microdata.push(item);
+  });
 
-/**
- * Extract Microdata structured data
- * @returns {Array} Array of microdata items
- */
-function extractMicrodata() {
-  const items = [];
-  const scopes = document.querySelectorAll('[itemscope]');
-
-  scopes.forEach(scope => {
-    // Skip nested itemscopes that will be processed as part of parent
-    if (scope.closest('[itemscope]') !== scope &&
-        scope.parentElement?.closest('[itemscope]')) {
-      return;
-    }
+  // Categorize microdata schemas
+  categorizeMicrodataSchemas(results.microdata, results.schemas);
 
-    const item = extractMicrodataItem(scope);
-    if (item.type) {
-      items.push(item);
-    }
+  // Extract schema.org RDFa (validated in the panel, not categorized)
+  targetDocument.querySelectorAll('[typeof]').forEach(scope => {
+    if (scope.hasAttribute('property') && scope.parentElement?.closest('[typeof]')) return;
+    if (!isSchemaOrgRdfa(scope)) return;
+    const item = extractRdfaItem(scope);
+    if (item.type) results.rdfa.push(item);
   });
 
-  return items;
+  return results;
 }
 
-/**
- * Extract a single microdata item and its properties
- * @param {Element} scope - Element with itemscope
- * @returns {Object} Microdata item
- */
 function extractMicrodataItem(scope) {
-  const item = {
-    type: scope.getAttribute('itemtype') || '',
-    id: scope.getAttribute('itemid') || null,
-    properties: {}
-  };
-
-  // Get all itemprop elements within this scope
-  const props = scope.querySelectorAll('[itemprop]');
-
-  props.forEach(prop => {
-    // Skip if this prop belongs to a nested itemscope
-    const propScope = prop.closest('[itemscope]');
-    if (propScope !== scope && propScope !== prop) {
-      return;
-    }
-
+  const item = { type: scope.getAttribute('itemtype') || '', properties: {} };
+  scope.querySelectorAll('[itemprop]').forEach(prop => {
+    // A property belongs to the nearest itemscope above it (not its own, if it has one)
+    if (prop.parentElement?.closest('[itemscope]') !== scope) return;
     const name = prop.getAttribute('itemprop');
-    let value;
-
-    // Handle nested itemscope
-    if (prop.hasAttribute('itemscope')) {
-      value = extractMicrodataItem(prop);
-    } else {
-      // Extract value based on element type
-      value = getMicrodataValue(prop);
-    }
-
-    // Handle multiple values for same property
-    if (item.properties[name]) {
-      if (Array.isArray(item.properties[name])) {
-        item.properties[name].push(value);
-      } else {
-        item.properties[name] = [item.properties[name], value];
-      }
-    } else {
-      item.properties[name] = value;
-    }
+    const value = prop.hasAttribute('itemscope') ? extractMicrodataItem(prop) :
+                  (prop.content || prop.href || prop.src || prop.textContent.trim());
+    addProperty(item.properties, name, value);
   });
-
   return item;
 }
 
-/**
- * Get the value of a microdata property element
- * @param {Element} el - Element with itemprop
- * @returns {string} Property value
- */
-function getMicrodataValue(el) {
-  const tagName = el.tagName.toLowerCase();
-
-  if (el.hasAttribute('content')) {
-    return el.getAttribute('content');
-  }
-
-  switch (tagName) {
-    case 'meta':
-      return el.content || '';
-    case 'a':
-    case 'link':
-      return el.href || '';
-    case 'img':
-    case 'source':
-      return el.src || el.srcset || '';
-    case 'audio':
-    case 'video':
-    case 'embed':
-    case 'iframe':
-      return el.src || '';
-    case 'object':
-      return el.data || '';
-    case 'time':
-      return el.dateTime || el.textContent.trim();
-    case 'data':
-    case 'meter':
-      return el.value || el.textContent.trim();
-    default:
-      return el.textContent.trim();
+// Repeated properties (several reviews, offers, images) collect into an array
+function addProperty(properties, name, value) {
+  if (!(name in properties)) {
+    properties[name] = value;
+  } else if (Array.isArray(properties[name])) {
+    properties[name].push(value);
+  } else {
+    properties[name] = [properties[name], value];
   }
 }
 
-/**
- * Extract RDFa structured data
- * @returns {Array} Array of RDFa items
- */
-function extractRdfa() {
-  const items = [];
-
-  // Look for elements with typeof (defines a new subject)
-  const subjects = document.querySelectorAll('[typeof]');
-
-  subjects.forEach(subject => {
-    const item = {
-      type: subject.getAttribute('typeof'),
-      resource: subject.getAttribute('resource') || subject.getAttribute('about'),
-      vocab: findVocab(subject),
-      properties: {}
-    };
-
-    // Get properties within this subject
-    const props = subject.querySelectorAll('[property]');
-    props.forEach(prop => {
-      const name = prop.getAttribute('property');
-      const value = prop.getAttribute('content') ||
-                    prop.href ||
-                    prop.src ||
-                    prop.textContent.trim();
-
-      if (item.properties[name]) {
-        if (Array.isArray(item.properties[name])) {
-          item.properties[name].push(value);
-        } else {
-          item.properties[name] = [item.properties[name], value];
-        }
-      } else {
-        item.properties[name] = value;
-      }
-    });
-
-    items.push(item);
-  });
-
-  return items;
+// First value of a property that may have been repeated
+function firstProperty(value) {
+  return Array.isArray(value) ? value[0] : value;
 }
 
 /**
- * Find the vocab for an RDFa element
- * @param {Element} el - Element to check
- * @returns {string|null} Vocabulary URL
+ * Check that an RDFa scope uses the schema.org vocabulary
+ * @param {Element} scope - Element with a typeof attribute
+ * @returns {boolean}
  */
-function findVocab(el) {
-  let current = el;
-  while (current) {
-    if (current.hasAttribute && current.hasAttribute('vocab')) {
-      return current.getAttribute('vocab');
-    }
-    current = current.parentElement;
-  }
-  return null;
+function isSchemaOrgRdfa(scope) {
+  const vocab = scope.closest('[vocab]')?.getAttribute('vocab') || '';
+  const type = scope.getAttribute('typeof') || '';
+  return /schema\.org/i.test(vocab) || /^(schema:|https?:\/\/schema\.org\/)/i.test(type);
 }
 
 /**
- * Categorize JSON-LD schemas into specific types
- * @param {Array} jsonLdItems - Array of JSON-LD items
- * @param {Object} schemas - Schemas object to populate
+ * Extract an RDFa item in the same { type, properties } shape as microdata
+ * @param {Element} scope - Element with a typeof attribute
+ * @returns {Object} { type, properties }
  */
-function categorizeSchemas(jsonLdItems, schemas) {
-  jsonLdItems.forEach(item => {
-    if (!item.valid || !item.data) return;
-
-    const data = item.data;
-
-    // Handle @graph arrays
-    const items = data['@graph'] || [data];
-
-    items.forEach(schemaItem => {
-      categorizeSchemaItem(schemaItem, schemas);
-    });
+function extractRdfaItem(scope) {
+  const type = (scope.getAttribute('typeof') || '').split(/\s+/)[0].replace(/^(schema:|https?:\/\/schema\.org\/)/i, '');
+  const item = { type, properties: {} };
+  scope.querySelectorAll('[property]').forEach(prop => {
+    if (prop.parentElement?.closest('[typeof]') !== scope) return;
+    const name = prop.getAttribute('property').split(/\s+/)[0].replace(/^(schema:|https?:\/\/schema\.org\/)/i, '');
+    if (name.includes(':')) return;
+    const value = prop.hasAttribute('typeof') ? extractRdfaItem(prop) :
+                  (prop.getAttribute('content') || prop.getAttribute('resource') || prop.getAttribute('href') || prop.getAttribute('src') || prop.textContent.trim());
+    addProperty(item.properties, name, value);
   });
+  return item;
 }
 
 /**
- * Categorize a single schema item
- * @param {Object} item - Schema item
- * @param {Object} schemas - Schemas object to populate
+ * Summarize resolved JSON-LD nodes into results.schemas
+ * Product, Offer, and rating fields come from the primary product entity only,
+ * so variant and related-product nodes can't overwrite them.
+ * @param {Object} graph - Result of getJsonLdGraph()
+ * @param {Object} schemas - Summary to populate
  */
-function categorizeSchemaItem(item, schemas) {
-  if (!item || !item['@type']) return;
-
-  const type = Array.isArray(item['@type']) ? item['@type'][0] : item['@type'];
-  const typeLower = type.toLowerCase();
-
-  // Product or ProductGroup
-  if (typeLower === 'product' || typeLower === 'productgroup') {
-    schemas.product = extractProductSchema(item, typeLower === 'productgroup');
-
-    // Extract nested schemas from Product/ProductGroup
-    // Check direct offers first, then hasVariant for ProductGroup
-    let offersSource = item.offers;
-    if (!offersSource && item.hasVariant) {
-      const variants = Array.isArray(item.hasVariant) ? item.hasVariant : [item.hasVariant];
-      for (const variant of variants) {
-        if (variant && variant.offers) {
-          offersSource = variant.offers;
-          break;
+function categorizeSchemas(graph, schemas) {
+  graph.nodes.forEach(item => {
+    const types = getSchemaTypes(item);
+    if (types.length === 0) return;
+
+    if (item === graph.primaryProduct) {
+      schemas.productGroup = extractProductGroup(item);
+      const isProductGroup = types.includes('productgroup');
+      const brandName = extractBrandName(item.brand) || extractBrandName(item.manufacturer);
+      // For ProductGroup, GTIN/MPN may live on variants rather than the group itself
+      let gtin = item.gtin || item.gtin13 || item.gtin14 || item.gtin12 || item.gtin8;
+      let mpn = item.mpn;
+      if ((!gtin || !mpn) && item.hasVariant) {
+        const variants = Array.isArray(item.hasVariant) ? item.hasVariant : [item.hasVariant];
+        for (const variant of variants) {
+          if (variant) {
+            if (!gtin) gtin = variant.gtin || variant.gtin13 || variant.gtin14 || variant.gtin12 || variant.gtin8;
+            if (!mpn) mpn = variant.mpn;
+            if (gtin && mpn) break;
+          }
+        }
+      }
+      schemas.product = {
+        name: item.name,
+        description: item.description,
+        image: extractImageUrl(item.image),
+        sku: item.sku || item.productGroupID,
+        gtin,
+        mpn,
+        brand: brandName,
+        category: extractSchemaCategory(item.category),
+        hasOffer: !!item.offers || !!(item.hasVariant && item.hasVariant.length > 0),
+        hasRating: !!item.aggregateRating,
+        isProductGroup,
+        type: [].concat(item['@type']).filter(type => isProductNode({ '@type': type })).sort((a, b) => (a === 'Product') - (b === 'Product'))[0],
+        entityCount: graph.productCount
+      };
+      // Extract offers - check direct offers first, then hasVariant for ProductGroup
+      let offersSource = item.offers;
+      if (!offersSource && item.hasVariant) {
+        // ProductGroup: extract offers from first variant that has them
+        const variants = Array.isArray(item.hasVariant) ? item.hasVariant : [item.hasVariant];
+        for (const variant of variants) {
+          if (variant && variant.offers) {
+            offersSource = variant.offers;
+            break;
+          }
+        }
+      }
+      if (offersSource) {
+        const offers = Array.isArray(offersSource) ? offersSource : [offersSource];
+        schemas.offer = offers.map(o => ({
+          price: o.price || o.lowPrice,
+          priceCurrency: o.priceCurrency,
+          availability: o.availability
+        }));
+      }
+      if (item.aggregateRating) {
+        // @id references (Shopify ProductGroup pattern: "aggregateRating": {"@id": "#reviews"}) are already resolved
+        const ratingData = (Array.isArray(item.aggregateRating) ? item.aggregateRating[0] : item.aggregateRating) || {};
+        const rv = parseFloat(ratingData.ratingValue);
+        if (!isNaN(rv)) {
+          schemas.aggregateRating = {
+            ratingValue: rv,
+            reviewCount: parseInt(ratingData.reviewCount, 10) || parseInt(ratingData.ratingCount, 10) || null,
+            bestRating: parseFloat(ratingData.bestRating) || 5
+          };
+        }
+      }
+      // Extract ImageObject items nested in Product.image
+      if (item.image) {
+        const images = Array.isArray(item.image) ? item.image : [item.image];
+        images.forEach(img => {
+          if (img && typeof img === 'object' && (img['@type'] === 'ImageObject' || img.url || img.contentUrl)) {
+            const imgUrl = img.url || img.contentUrl;
+            if (imgUrl) {
+              schemas.images.push({ url: imgUrl, caption: img.caption || null, width: img.width || null, height: img.height || null, source: 'product-nested' });
+            }
+          }
+        });
+      }
+      // Extract nested brand/organization schemas
+      if (!schemas.brand && item.brand) {
+        const brandObj = Array.isArray(item.brand) ? item.brand[0] : item.brand;
+        if (brandObj && typeof brandObj === 'object' && brandObj['@type']) {
+          schemas.brand = {
+            name: brandObj.name || null,
+            logo: extractImageUrl(brandObj.logo) || null,
+            url: brandObj.url || null,
+            source: 'product-nested'
+          };
+        }
+      }
+      if (!schemas.organization && item.manufacturer) {
+        const mfgObj = Array.isArray(item.manufacturer) ? item.manufacturer[0] : item.manufacturer;
+        if (mfgObj && typeof mfgObj === 'object' && mfgObj['@type']) {
+          schemas.organization = {
+            name: mfgObj.name || null,
+            logo: extractImageUrl(mfgObj.logo) || null,
+            url: mfgObj.url || null,
+            source: 'product-nested'
+          };
         }
       }
     }
-    if (offersSource) {
-      const offers = Array.isArray(offersSource) ? offersSource : [offersSource];
-      schemas.offer = offers.map(extractOfferSchema);
-    }
-    if (item.aggregateRating) {
-      schemas.aggregateRating = extractRatingSchema(item.aggregateRating);
-    }
-    if (item.review) {
-      const reviews = Array.isArray(item.review) ? item.review : [item.review];
-      schemas.reviews = reviews.map(extractReviewSchema);
+    if (types.includes('faqpage')) {
+      const questions = [].concat(item.mainEntity || []).filter(e => e && e['@type'] === 'Question');
+      schemas.faq = {
+        questionCount: questions.length,
+        questions: questions.map(q => ({
+          question: q.name,
+          answer: q.acceptedAnswer?.text,
+          answerLength: (q.acceptedAnswer?.text || '').length
+        }))
+      };
     }
-    if (item.brand) {
-      schemas.brand = extractBrandSchema(item.brand);
+    if (types.includes('breadcrumblist')) {
+      schemas.breadcrumb = {
+        itemCount: (item.itemListElement || []).length,
+        items: (item.itemListElement || []).map(el => ({ position: el.position, name: el.name || (el.item && el.item.name) || null }))
+      };
     }
-    if (item.image) {
-      const images = Array.isArray(item.image) ? item.image : [item.image];
-      schemas.images = images.map(extractImageSchema);
+    if (types.includes('organization')) {
+      schemas.organization = { name: item.name, logo: extractImageUrl(item.logo), url: item.url };
     }
-  }
-
-  // Offer (standalone)
-  if (typeLower === 'offer' && !schemas.offer) {
-    schemas.offer = [extractOfferSchema(item)];
-  }
-
-  // AggregateRating (standalone)
-  if (typeLower === 'aggregaterating' && !schemas.aggregateRating) {
-    schemas.aggregateRating = extractRatingSchema(item);
-  }
-
-  // Review (standalone)
-  if (typeLower === 'review') {
-    schemas.reviews.push(extractReviewSchema(item));
-  }
-
-  // FAQPage
-  if (typeLower === 'faqpage') {
-    schemas.faq = extractFaqSchema(item);
-  }
-
-  // BreadcrumbList
-  if (typeLower === 'breadcrumblist') {
-    schemas.breadcrumb = extractBreadcrumbSchema(item);
-  }
-
-  // Organization
-  if (typeLower === 'organization') {
-    schemas.organization = extractOrganizationSchema(item);
-  }
-
-  // Brand (standalone)
-  if (typeLower === 'brand' && !schemas.brand) {
-    schemas.brand = extractBrandSchema(item);
-  }
-
-  // ImageObject (standalone)
-  if (typeLower === 'imageobject') {
-    schemas.images.push(extractImageSchema(item));
-  }
-}
-
-/**
- * Extract Product schema properties
- * @param {Object} item - Schema item
- * @param {boolean} isProductGroup - Whether this is a ProductGroup type
- */
-function extractProductSchema(item, isProductGroup = false) {
-  return {
-    name: item.name || null,
-    description: item.description || null,
-    image: extractImageValue(item.image),
-    sku: item.sku || item.productGroupID || null,
-    gtin: item.gtin || item.gtin13 || item.gtin14 || item.gtin8 || item.gtin12 || null,
-    mpn: item.mpn || null,
-    brand: item.brand?.name || (typeof item.brand === 'string' ? item.brand : null),
-    category: item.category || null,
-    color: item.color || null,
-    material: item.material || null,
-    weight: item.weight || null,
-    width: item.width || null,
-    height: item.height || null,
-    depth: item.depth || null,
-    hasOffer: !!item.offers || !!(item.hasVariant && item.hasVariant.length > 0),
-    hasRating: !!item.aggregateRating,
-    hasReviews: !!(item.review && (Array.isArray(item.review) ? item.review.length : true)),
-    isProductGroup,
-    raw: item
-  };
-}
-
-/**
- * Extract Offer schema properties
- */
-function extractOfferSchema(item) {
-  if (!item) return null;
-  return {
-    price: item.price || item.lowPrice || null,
-    priceCurrency: item.priceCurrency || null,
-    availability: item.availability || null,
-    url: item.url || null,
-    seller: item.seller?.name || null,
-    priceValidUntil: item.priceValidUntil || null,
-    itemCondition: item.itemCondition || null,
-    raw: item
-  };
-}
-
-/**
- * Extract AggregateRating schema properties
- */
-function extractRatingSchema(item) {
-  if (!item) return null;
-  return {
-    ratingValue: parseFloat(item.ratingValue) || null,
-    bestRating: parseFloat(item.bestRating) || 5,
-    worstRating: parseFloat(item.worstRating) || 1,
-    ratingCount: parseInt(item.ratingCount, 10) || null,
-    reviewCount: parseInt(item.reviewCount, 10) || null,
-    raw: item
-  };
+  });
 }
 
 /**
- * Extract Review schema properties
+ * Cap on summarized variants (large apparel groups list hundreds)
  */
-function extractReviewSchema(item) {
-  if (!item) return null;
-  return {
-    author: item.author?.name || (typeof item.author === 'string' ? item.author : null),
-    datePublished: item.datePublished || null,
-    reviewBody: item.reviewBody || item.description || null,
-    reviewRating: item.reviewRating ? {
-      ratingValue: parseFloat(item.reviewRating.ratingValue) || null,
-      bestRating: parseFloat(item.reviewRating.bestRating) || 5
-    } : null,
-    raw: item
-  };
-}
+const MAX_VARIANTS = 300;
 
 /**
- * Extract FAQ schema properties
+ * Summarize the ProductGroup behind the primary product
+ * Handles a ProductGroup with hasVariant as well as a variant Product
+ * pointing at its group through isVariantOf.
+ * @param {Object} product - Primary product node (resolved)
+ * @returns {Object|null} Group summary, or null when the product has no variants
  */
-function extractFaqSchema(item) {
-  if (!item) return null;
-
-  const questions = [];
-  const mainEntity = item.mainEntity || [];
-  const entities = Array.isArray(mainEntity) ? mainEntity : [mainEntity];
-
-  entities.forEach(entity => {
-    if (entity['@type'] === 'Question') {
-      questions.push({
-        question: entity.name || null,
-        answer: entity.acceptedAnswer?.text || null,
-        answerLength: (entity.acceptedAnswer?.text || '').length
-      });
-    }
-  });
+function extractProductGroup(product) {
+  const isGroup = getSchemaTypes(product).includes('productgroup') || !!product.hasVariant;
+  const parent = [].concat(product.isVariantOf || []).find(node => node && typeof node === 'object');
+  const group = isGroup ? product : parent;
+  if (!group) return null;
+
+  const variantNodes = [].concat(group.hasVariant || []).filter(node => node && typeof node === 'object');
+  // A variant page whose group doesn't list it still counts as a variant
+  if (!isGroup && !variantNodes.some(node => node === product || (node['@id'] && node['@id'] === product['@id']))) {
+    variantNodes.unshift(product);
+  }
 
   return {
-    questionCount: questions.length,
-    questions,
-    averageAnswerLength: questions.length > 0
-      ? Math.round(questions.reduce((sum, q) => sum + q.answerLength, 0) / questions.length)
-      : 0,
-    raw: item
+    groupId: group.productGroupID ? String(group.productGroupID) : null,
+    name: group.name || null,
+    variesBy: [].concat(group.variesBy || []).map(axis => String(axis).replace(/^https?:\/\/schema\.org\//i, '')),
+    pageEntity: isGroup ? 'group' : 'variant',
+    pageVariant: isGroup ? null : summarizeVariant(product),
+    variantCount: variantNodes.length,
+    variants: variantNodes.slice(0, MAX_VARIANTS).map(summarizeVariant),
+    truncated: variantNodes.length > MAX_VARIANTS,
+    selected: getSelectedVariant(),
+    source: 'json-ld'
   };
 }
 
 /**
- * Extract Breadcrumb schema properties
+ * Summarize one variant Product node
+ * @param {Object} node - Variant node (resolved)
+ * @returns {Object} Variant summary
  */
-function extractBreadcrumbSchema(item) {
-  if (!item) return null;
-
-  const items = item.itemListElement || [];
-  const elements = Array.isArray(items) ? items : [items];
-
+function summarizeVariant(node) {
+  const offer = [].concat(node.offers || []).find(o => o && typeof o === 'object');
   return {
-    itemCount: elements.length,
-    items: elements.map(el => ({
-      position: el.position || null,
-      name: el.name || el.item?.name || null,
-      url: el.item?.['@id'] || el.item?.url || (typeof el.item === 'string' ? el.item : null)
-    })),
-    raw: item
+    id: node['@id'] || null,
+    name: node.name || null,
+    sku: node.sku ? String(node.sku) : null,
+    gtin: [node.gtin, node.gtin14, node.gtin13, node.gtin12, node.gtin8].find(Boolean) || null,
+    mpn: node.mpn || null,
+    url: node.url || offer?.url || null,
+    image: extractImageUrl(node.image) || null,
+    color: schemaText(node.color),
+    size: schemaText(node.size),
+    material: schemaText(node.material),
+    pattern: schemaText(node.pattern),
+    hasOffer: !!offer,
+    price: offer ? (offer.price ?? offer.lowPrice ?? offer.priceSpecification?.price ?? null) : null,
+    priceCurrency: offer?.priceCurrency || offer?.priceSpecification?.priceCurrency || null,
+    availability: offer?.availability ? String(offer.availability) : null
   };
 }
 
 /**
- * Extract Organization schema properties
+ * Read a text value that may be a string, a DefinedTerm/SizeSpecification, or a list
  */
-function extractOrganizationSchema(item) {
-  if (!item) return null;
-  return {
-    name: item.name || null,
-    logo: extractImageValue(item.logo),
-    url: item.url || null,
-    sameAs: item.sameAs || [],
-    raw: item
-  };
+function schemaText(value) {
+  const first = Array.isArray(value) ? value[0] : value;
+  if (first === null || first === undefined) return null;
+  if (typeof first === 'object') return first.name || first.value || null;
+  return String(first);
 }
 
 /**
- * Extract Brand schema properties
+ * Detect which variant the page has selected
+ * The URL (?variant=, ?sku=) wins over the add-to-cart form's variant input.
+ * @returns {Object|null} { id, source }
  */
-function extractBrandSchema(item) {
-  if (!item) return null;
-  if (typeof item === 'string') {
-    return { name: item };
+function getSelectedVariant() {
+  const params = new URLSearchParams(window.location.search);
+  for (const param of ['variant', 'variant_id', 'variantId', 'sku']) {
+    if (params.get(param)) return { id: params.get(param), source: `url ?${param}=` };
   }
-  return {
-    name: item.name || null,
-    logo: extractImageValue(item.logo),
-    url: item.url || null,
-    raw: item
-  };
-}
 
-/**
- * Extract ImageObject schema properties
- */
-function extractImageSchema(item) {
-  if (!item) return null;
-  if (typeof item === 'string') {
-    return { url: item };
-  }
-  return {
-    url: item.url || item.contentUrl || item['@id'] || null,
-    caption: item.caption || null,
-    description: item.description || null,
-    width: item.width || null,
-    height: item.height || null,
-    encodingFormat: item.encodingFormat || null,
-    raw: item
-  };
+  const input = targetDocument.querySelector('form[action*="/cart/add"] [name="id"], [data-variant-id][aria-selected="true"], [data-variant-id].selected');
+  const value = input?.value || input?.getAttribute('data-variant-id');
+  return value ? { id: String(value), source: 'add-to-cart form' } : null;
 }
 
-/**
- * Extract image URL from various formats
- */
-function extractImageValue(image) {
+function extractImageUrl(image) {
   if (!image) return null;
   if (typeof image === 'string') return image;
-  if (Array.isArray(image)) {
-    return image[0]?.url || image[0]?.contentUrl || image[0] || null;
-  }
-  return image.url || image.contentUrl || image['@id'] || null;
+  if (Array.isArray(image)) return image[0]?.url || image[0];
+  return image.url || image.contentUrl;
 }
 
 /**
- * Categorize microdata schemas
+ * Extract brand/organization name from various schema formats
+ * Handles: string, object with name, array of objects, array of strings
+ * @param {any} brandData - Brand data in various formats
+ * @returns {string|null} Brand name or null
  */
+export function extractBrandName(brandData) {
+  if (!brandData) return null;
+  if (typeof brandData === 'string') return brandData;
+  if (Array.isArray(brandData)) {
+    if (brandData.length === 0) return null;
+    const first = brandData[0];
+    if (typeof first === 'string') return first;
+    return first?.name || null;
+  }
+  return brandData?.name || null;
+}
+
 function categorizeMicrodataSchemas(microdataItems, schemas) {
+  const standaloneListItems = [];
+
   microdataItems.forEach(item => {
     if (!item.type) return;
-
-    // Normalize type (remove schema.org prefix)
     const type = item.type.replace(/^https?:\/\/schema\.org\//, '').toLowerCase();
 
     if ((type === 'product' || type === 'productgroup') && !schemas.product) {
+      const brand = firstProperty(item.properties.brand);
+      const category = firstProperty(item.properties.category);
       schemas.product = {
-        name: item.properties.name || null,
-        description: item.properties.description || null,
-        image: item.properties.image || null,
-        sku: item.properties.sku || item.properties.productGroupID || null,
-        brand: item.properties.brand || null,
+        name: firstProperty(item.properties.name) || null,
+        description: firstProperty(item.properties.description) || null,
+        image: firstProperty(item.properties.image) || null,
+        sku: firstProperty(item.properties.sku) || firstProperty(item.properties.productGroupID) || null,
+        brand: extractBrandName(brand?.properties?.name || brand) || extractBrandName(firstProperty(item.properties.manufacturer)),
+        category: extractSchemaCategory(category?.properties?.name || category),
         hasOffer: !!item.properties.offers || !!item.properties.hasVariant,
+        hasRating: !!item.properties.aggregateRating,
         isProductGroup: type === 'productgroup',
-        source: 'microdata',
-        raw: item
+        source: 'microdata'
       };
+      // Extract nested offers from Product
+      if (item.properties.offers && !schemas.offer) {
+        const offers = Array.isArray(item.properties.offers) ? item.properties.offers : [item.properties.offers];
+        schemas.offer = offers.map(o => ({
+          price: o.properties?.price || o.properties?.lowPrice || null,
+          priceCurrency: o.properties?.priceCurrency || null,
+          availability: o.properties?.availability || null,
+          source: 'microdata'
+        }));
+      }
+      // Extract nested aggregateRating from Product
+      if (item.properties.aggregateRating && !schemas.aggregateRating) {
+        const rating = firstProperty(item.properties.aggregateRating);
+        schemas.aggregateRating = {
+          ratingValue: parseFloat(rating.properties?.ratingValue) || null,
+          reviewCount: parseInt(rating.properties?.reviewCount, 10) || null,
+          ratingCount: parseInt(rating.properties?.ratingCount, 10) || null,
+          bestRating: parseFloat(rating.properties?.bestRating) || 5,
+          source: 'microdata'
+        };
+      }
+      // Extract nested reviews from Product
+      if (item.properties.review && schemas.reviews.length === 0) {
+        const reviews = Array.isArray(item.properties.review) ? item.properties.review : [item.properties.review];
+        schemas.reviews = reviews.map(r => ({
+          author: r.properties?.author?.properties?.name || r.properties?.author || null,
+          datePublished: r.properties?.datePublished || null,
+          reviewBody: r.properties?.reviewBody || r.properties?.description || null,
+          reviewRating: r.properties?.reviewRating ? {
+            ratingValue: parseFloat(r.properties.reviewRating.properties?.ratingValue) || null,
+            bestRating: parseFloat(r.properties.reviewRating.properties?.bestRating) || 5
+          } : null,
+          source: 'microdata'
+        }));
+      }
+    }
+
+    if (type === 'offer' && !schemas.offer) {
+      schemas.offer = [{
+        price: item.properties.price || item.properties.lowPrice || null,
+        priceCurrency: item.properties.priceCurrency || null,
+        availability: item.properties.availability || null,
+        source: 'microdata'
+      }];
     }
 
     if (type === 'aggregaterating' && !schemas.aggregateRating) {
@@ -558,34 +441,98 @@ function categorizeMicrodataSchemas(microdataItems, schemas) {
         ratingValue: parseFloat(item.properties.ratingValue) || null,
         reviewCount: parseInt(item.properties.reviewCount, 10) || null,
         ratingCount: parseInt(item.properties.ratingCount, 10) || null,
-        source: 'microdata',
-        raw: item
+        bestRating: parseFloat(item.properties.bestRating) || 5,
+        source: 'microdata'
+      };
+    }
+
+    if (type === 'review') {
+      schemas.reviews.push({
+        author: item.properties.author?.properties?.name || item.properties.author || null,
+        datePublished: item.properties.datePublished || null,
+        reviewBody: item.properties.reviewBody || item.properties.description || null,
+        reviewRating: item.properties.reviewRating ? {
+          ratingValue: parseFloat(item.properties.reviewRating.properties?.ratingValue) || null,
+          bestRating: parseFloat(item.properties.reviewRating.properties?.bestRating) || 5
+        } : null,
+        source: 'microdata'
+      });
+    }
+
+    if (type === 'faqpage' && !schemas.faq) {
+      const mainEntity = item.properties.mainEntity || [];
+      const questions = Array.isArray(mainEntity) ? mainEntity : [mainEntity];
+      schemas.faq = {
+        questionCount: questions.length,
+        questions: questions.filter(q => q.type?.includes('Question')).map(q => ({
+          question: q.properties?.name || null,
+          answer: q.properties?.acceptedAnswer?.properties?.text || null,
+          answerLength: (q.properties?.acceptedAnswer?.properties?.text || '').length
+        })),
+        source: 'microdata'
       };
     }
 
     if (type === 'breadcrumblist' && !schemas.breadcrumb) {
-      schemas.breadcrumb = extractBreadcrumbFromMicrodata(item);
+      const listElements = item.properties.itemListElement || [];
+      const elements = Array.isArray(listElements) ? listElements : [listElements];
+      schemas.breadcrumb = {
+        itemCount: elements.length,
+        items: elements.map(el => ({
+          position: el.properties?.position || null,
+          name: el.properties?.name || null,
+          url: el.properties?.item || null
+        })),
+        source: 'microdata'
+      };
     }
-  });
-}
 
-/**
- * Extract breadcrumb data from microdata format
- * @param {Object} item - Microdata item with BreadcrumbList type
- * @returns {Object} Breadcrumb schema properties
- */
-function extractBreadcrumbFromMicrodata(item) {
-  const listElements = item.properties.itemListElement || [];
-  const elements = Array.isArray(listElements) ? listElements : [listElements];
+    if (type === 'organization' && !schemas.organization) {
+      schemas.organization = {
+        name: item.properties.name || null,
+        logo: item.properties.logo?.properties?.url || item.properties.logo || null,
+        url: item.properties.url || null,
+        source: 'microdata'
+      };
+    }
 
-  return {
-    itemCount: elements.length,
-    items: elements.map(el => ({
-      position: el.properties?.position || null,
-      name: el.properties?.name || null,
-      url: el.properties?.item || null
-    })),
-    source: 'microdata',
-    raw: item
-  };
+    if (type === 'brand' && !schemas.brand) {
+      schemas.brand = {
+        name: item.properties.name || null,
+        logo: item.properties.logo?.properties?.url || item.properties.logo || null,
+        url: item.properties.url || null,
+        source: 'microdata'
+      };
+    }
+
+    if (type === 'imageobject') {
+      schemas.images.push({
+        url: item.properties.url || item.properties.contentUrl || null,
+        caption: item.properties.caption || null,
+        width: item.properties.width || null,
+        height: item.properties.height || null,
+        source: 'microdata'
+      });
+    }
+
+    // Collect standalone ListItem for breadcrumb fallback assembly
+    if (type === 'listitem') {
+      standaloneListItems.push({
+        position: parseInt(item.properties.position, 10) || null,
+        name: item.properties.name || item.properties.item?.properties?.name || null,
+        url: item.properties.item || null,
+        source: 'microdata'
+      });
+    }
+  });
+
+  // Assemble standalone ListItem elements into breadcrumb if no BreadcrumbList was found
+  if (!schemas.breadcrumb && standaloneListItems.length > 0) {
+    standaloneListItems.sort((a, b) => (a.position || 0) - (b.position || 0));
+    schemas.breadcrumb = {
+      itemCount: standaloneListItems.length,
+      items: standaloneListItems,
+      source: 'microdata'
+    };
+  }
 }
@@ -3,6 +3,11 @@
  * Extracts reviews, ratings, brand information, certifications, and trust indicators
  */
 
+import { targetDocument } from './dom-context.js';
+import { isProductNode, iterateSchemaItems } from './json-ld.js';
+import { extractBrandName } from './structured-data.js';
+import { extractReviewPlatformData } from './review-platforms.js';
+
 /**
  * Extract all trust signals from the page
  * @returns {Object} Trust signals data
@@ -14,642 +19,650 @@ export function extractTrustSignals() {
     certifications: extractCertifications(),
     awards: extractAwards(),
     expertAttribution: detectExpertAttribution(),
-    trustBadges: extractTrustBadges(),
     socialProof: extractSocialProof()
   };
 }
 
 /**
- * Extract review-related signals
- * @returns {Object} Review data
- */
-function extractReviewSignals() {
-  // Try to get from structured data first (more reliable)
-  const structuredRating = getStructuredRating();
-
-  // Also extract from DOM for comparison/fallback
-  const domReviewData = extractReviewsFromDOM();
-
-  // Combine sources, preferring structured data
-  const reviewCount = structuredRating.reviewCount || domReviewData.count || 0;
-  const ratingValue = structuredRating.ratingValue || domReviewData.rating || null;
-
-  // Extract individual reviews for depth analysis
-  const individualReviews = extractIndividualReviews();
-  const avgReviewLength = calculateAverageReviewLength(individualReviews);
-
-  // Check for recent reviews
-  const hasRecentReviews = checkRecentReviews(individualReviews);
-
-  // Check for verified purchases
-  const hasVerifiedPurchases = detectVerifiedPurchases();
-
-  return {
-    count: reviewCount,
-    averageRating: ratingValue,
-    bestRating: structuredRating.bestRating || 5,
-    hasRating: ratingValue !== null,
-    hasReviews: reviewCount > 0,
-
-    // Review quality indicators
-    individualReviewsFound: individualReviews.length,
-    averageReviewLength: avgReviewLength,
-    hasRecentReviews,
-    hasVerifiedPurchases,
-
-    // Scoring
-    countScore: calculateReviewCountScore(reviewCount),
-    ratingScore: calculateRatingScore(ratingValue),
-    depthScore: calculateReviewDepthScore(avgReviewLength),
-    recencyScore: hasRecentReviews ? 100 : 50,
-
-    // Source
-    dataSource: structuredRating.ratingValue ? 'structured-data' :
-                domReviewData.rating ? 'dom' : 'none'
-  };
-}
-
-/**
- * Get rating from structured data
- * @returns {Object} Rating from structured data
+ * Extract review rating, count, and individual reviews (schema, then vendor widget, then generic DOM)
+ * @returns {Object} Review signals
  */
-function getStructuredRating() {
-  const result = {
-    ratingValue: null,
-    reviewCount: null,
-    ratingCount: null,
-    bestRating: 5
-  };
-
-  // Check JSON-LD
-  const scripts = document.querySelectorAll('script[type="application/ld+json"]');
-  scripts.forEach(script => {
-    try {
-      const data = JSON.parse(script.textContent);
-      const items = data['@graph'] || [data];
-
-      items.forEach(item => {
-        // Look for AggregateRating
-        const rating = item.aggregateRating || item;
-        const itemType = (item['@type'] || '').toLowerCase();
-        if (rating['@type'] === 'AggregateRating' || itemType === 'product' || itemType === 'productgroup') {
-          const r = item.aggregateRating || rating;
-          if (r.ratingValue) {
-            result.ratingValue = parseFloat(r.ratingValue);
-            result.reviewCount = parseInt(r.reviewCount, 10) || parseInt(r.ratingCount, 10) || null;
-            result.ratingCount = parseInt(r.ratingCount, 10) || null;
-            result.bestRating = parseFloat(r.bestRating) || 5;
+export function extractReviewSignals() {
+  let rating = null, count = null;
+  let reviews = [];
+  let mostRecentDate = null;
+  let reviewLengths = [];
+  // Where each value came from: 'schema', a review vendor id, or 'dom'
+  const sources = { rating: null, count: null, reviews: null };
+
+  // From structured data (resolved graph, primary product first)
+  for (const { type: itemType, item } of iterateSchemaItems()) {
+    if (item.aggregateRating) {
+      // @id references (Shopify ProductGroup pattern: "aggregateRating": {"@id": "#reviews"}) are already resolved
+      const ratingData = (Array.isArray(item.aggregateRating) ? item.aggregateRating[0] : item.aggregateRating) || {};
+      const rv = parseFloat(ratingData.ratingValue);
+      if (!isNaN(rv) && rating === null) {
+        rating = rv;
+        count = parseInt(ratingData.reviewCount, 10) || parseInt(ratingData.ratingCount, 10) || null;
+        sources.rating = 'schema';
+        if (count) sources.count = 'schema';
+      }
+    }
+    // Extract individual reviews for depth/recency analysis
+    // Handle standalone AggregateRating items (not nested via @id reference)
+    if (itemType === 'aggregaterating' && rating === null) {
+      const rv = parseFloat(item.ratingValue);
+      if (!isNaN(rv)) {
+        rating = rv;
+        count = parseInt(item.reviewCount, 10) || parseInt(item.ratingCount, 10) || null;
+        sources.rating = 'schema';
+        if (count) sources.count = 'schema';
+      }
+    }
+    if (isProductNode(item) && item.review) {
+      const reviewList = Array.isArray(item.review) ? item.review : [item.review];
+      reviewList.forEach(r => {
+        if (r.datePublished) {
+          const date = new Date(r.datePublished);
+          if (!isNaN(date.getTime())) {
+            if (!mostRecentDate || date > mostRecentDate) {
+              mostRecentDate = date;
+            }
           }
         }
+        if (r.reviewBody) {
+          reviewLengths.push(r.reviewBody.length);
+        }
       });
-    } catch (e) {
-      // Invalid JSON-LD
     }
-  });
-
-  // Check microdata
-  if (!result.ratingValue) {
-    const ratingEl = document.querySelector('[itemprop="ratingValue"]');
-    const reviewCountEl = document.querySelector('[itemprop="reviewCount"]');
-
-    if (ratingEl) {
-      result.ratingValue = parseFloat(ratingEl.content || ratingEl.textContent);
-    }
-    if (reviewCountEl) {
-      result.reviewCount = parseInt(reviewCountEl.content || reviewCountEl.textContent, 10);
+    if (item['@type'] === 'Review') {
+      if (item.datePublished) {
+        const date = new Date(item.datePublished);
+        if (!isNaN(date.getTime())) {
+          if (!mostRecentDate || date > mostRecentDate) {
+            mostRecentDate = date;
+          }
+        }
+      }
+      if (item.reviewBody) {
+        reviewLengths.push(item.reviewBody.length);
+      }
     }
   }
 
-  return result;
-}
-
-/**
- * Extract review data from DOM elements
- * @returns {Object} DOM-extracted review data
- */
-function extractReviewsFromDOM() {
-  const result = {
-    rating: null,
-    count: null
-  };
+  if (reviewLengths.length > 0 || mostRecentDate) sources.reviews = 'schema';
 
-  // Common rating display patterns
-  const ratingSelectors = [
-    '.rating-value',
-    '.average-rating',
-    '.star-rating-value',
-    '[data-rating]',
-    '.review-rating',
-    '.product-rating'
-  ];
-
-  for (const selector of ratingSelectors) {
-    const el = document.querySelector(selector);
-    if (el) {
-      const value = parseFloat(el.getAttribute('data-rating') ||
-                               el.getAttribute('content') ||
-                               el.textContent);
-      if (value && value >= 0 && value <= 5) {
-        result.rating = value;
-        break;
-      }
+  // Review vendor widgets (Bazaarvoice, Yotpo, ...) before generic selectors
+  const platformData = extractReviewPlatformData();
+  const platform = platformData.primary;
+  if (platform?.hasData) {
+    if (!rating && platform.rating !== null) {
+      rating = platform.rating;
+      sources.rating = platform.id;
+    }
+    if (!count && platform.count !== null) {
+      count = platform.count;
+      sources.count = platform.id;
+    }
+    if (!mostRecentDate && reviewLengths.length === 0 && platform.reviews.length > 0) {
+      platform.reviews.forEach(review => {
+        const date = review.date ? new Date(review.date) : null;
+        if (date && (!mostRecentDate || date > mostRecentDate)) mostRecentDate = date;
+        if (review.length > 10) reviewLengths.push(review.length);
+      });
+      sources.reviews = platform.id;
     }
   }
 
-  // Common review count patterns
-  const countSelectors = [
-    '.review-count',
-    '.reviews-count',
-    '.rating-count',
-    '[data-review-count]',
-    '.num-reviews'
-  ];
-
-  for (const selector of countSelectors) {
-    const el = document.querySelector(selector);
-    if (el) {
-      const text = el.getAttribute('data-review-count') ||
-                   el.textContent;
-      const match = text.match(/(\d[\d,]*)/);
-      if (match) {
-        result.count = parseInt(match[1].replace(/,/g, ''), 10);
-        break;
-      }
-    }
+  // Visible rating/count, kept separately so schema claims can be cross-checked
+  const visible = extractVisibleReviewSummary();
+  if (visible.rating === null && platform?.source === 'dom' && platform.rating !== null) {
+    visible.rating = platform.rating;
+    visible.ratingText = `${platform.rating} (${platform.name})`;
+  }
+  if (visible.count === null && platform?.source === 'dom' && platform.count !== null) {
+    visible.count = platform.count;
+    visible.countText = `${platform.count} (${platform.name})`;
   }
 
-  // Fallback: look for "X reviews" pattern in text
-  if (!result.count) {
-    const bodyText = document.body.innerText;
-    const match = bodyText.match(/(\d[\d,]*)\s*reviews?/i);
-    if (match) {
-      result.count = parseInt(match[1].replace(/,/g, ''), 10);
+  // Fallback to DOM for rating
+  if (!rating) {
+    const ratingEl = targetDocument.querySelector('[itemprop="ratingValue"], .rating-value, .average-rating');
+    if (ratingEl) rating = parseFloat(ratingEl.content || ratingEl.getAttribute('data-rating') || ratingEl.textContent);
+    if (rating) sources.rating = 'dom';
+  }
+  if (!count) {
+    const countEl = targetDocument.querySelector('[itemprop="reviewCount"], .review-count, .reviews-count');
+    if (countEl) {
+      const match = (countEl.content || countEl.textContent).match(/(\d[\d,]*)/);
+      if (match) count = parseInt(match[1].replace(/,/g, ''), 10);
+      if (count) sources.count = 'dom';
     }
   }
 
-  return result;
-}
-
-/**
- * Extract individual reviews for depth analysis
- * @returns {Array} Individual reviews
- */
-function extractIndividualReviews() {
-  const reviews = [];
-
-  // Common review container selectors
-  const reviewContainerSelectors = [
-    '.review',
-    '.customer-review',
-    '.product-review',
-    '[itemprop="review"]',
-    '.review-item',
-    '.reviews-list > li',
-    '.review-card'
-  ];
-
-  for (const selector of reviewContainerSelectors) {
-    const containers = document.querySelectorAll(selector);
-    if (containers.length > 0) {
-      containers.forEach(container => {
-        const review = extractReviewFromContainer(container);
-        if (review) {
-          reviews.push(review);
+  // Extract review dates from DOM if not found in schema
+  if (!mostRecentDate) {
+    const dateSelectors = [
+      '[itemprop="datePublished"]',
+      '.review-date',
+      '.review-time',
+      '.review-meta time',
+      '.review [datetime]',
+      '.review-item time',
+      '.comment-date'
+    ];
+    for (const sel of dateSelectors) {
+      const dateEls = targetDocument.querySelectorAll(sel);
+      dateEls.forEach(el => {
+        const dateStr = el.getAttribute('datetime') || el.getAttribute('content') || el.textContent;
+        if (dateStr) {
+          const date = new Date(dateStr);
+          if (!isNaN(date.getTime())) {
+            if (!mostRecentDate || date > mostRecentDate) {
+              mostRecentDate = date;
+            }
+          }
         }
       });
-      break; // Found reviews, stop looking
+      if (mostRecentDate) break;
     }
+    if (mostRecentDate) sources.reviews = 'dom';
   }
 
-  return reviews.slice(0, 20); // Limit to 20 reviews
-}
-
-/**
- * Extract review data from a container element
- * @param {Element} container - Review container
- * @returns {Object|null} Review data
- */
-function extractReviewFromContainer(container) {
-  // Get review text
-  const bodySelectors = ['.review-body', '.review-text', '.review-content', '[itemprop="reviewBody"]', 'p'];
-  let reviewText = '';
-  for (const sel of bodySelectors) {
-    const el = container.querySelector(sel);
-    if (el) {
-      reviewText = el.textContent.trim();
-      break;
+  // Extract review text lengths from DOM if not found in schema
+  if (reviewLengths.length === 0) {
+    const reviewTextSelectors = [
+      '[itemprop="reviewBody"]',
+      '.review-text',
+      '.review-content',
+      '.review-body',
+      '.review-description',
+      '.comment-text',
+      '.review-message'
+    ];
+    for (const sel of reviewTextSelectors) {
+      const textEls = targetDocument.querySelectorAll(sel);
+      textEls.forEach(el => {
+        const text = el.textContent.trim();
+        if (text.length > 10) {
+          reviewLengths.push(text.length);
+        }
+      });
+      if (reviewLengths.length > 0) break;
     }
+    if (reviewLengths.length > 0 && !sources.reviews) sources.reviews = 'dom';
   }
 
-  if (reviewText.length < 20) return null;
-
-  // Get date
-  const dateSelectors = ['.review-date', '[itemprop="datePublished"]', 'time', '.date'];
-  let dateText = null;
-  for (const sel of dateSelectors) {
-    const el = container.querySelector(sel);
-    if (el) {
-      dateText = el.getAttribute('datetime') ||
-                 el.getAttribute('content') ||
-                 el.textContent.trim();
-      break;
-    }
-  }
+  // Verified flags are only reliable from vendor widgets
+  const platformReviews = platform?.reviews || [];
+  const verifiedCount = platformReviews.filter(review => review.verified).length;
 
-  // Get rating
-  const ratingEl = container.querySelector('[itemprop="ratingValue"], .rating, .stars');
-  let rating = null;
-  if (ratingEl) {
-    rating = parseFloat(ratingEl.getAttribute('content') ||
-                        ratingEl.getAttribute('data-rating') ||
-                        ratingEl.textContent);
-  }
+  // Calculate average review length
+  const averageReviewLength = reviewLengths.length > 0
+    ? Math.round(reviewLengths.reduce((a, b) => a + b, 0) / reviewLengths.length)
+    : 0;
+
+  // Check if reviews are recent (within last 6 months)
+  const sixMonthsAgo = new Date();
+  sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
+  const hasRecentReviews = mostRecentDate ? mostRecentDate > sixMonthsAgo : null;
 
-  // Check for verified purchase
-  const isVerified = container.textContent.toLowerCase().includes('verified') ||
-                     container.querySelector('.verified-purchase, .verified-buyer') !== null;
+  // Format the most recent date for display
+  const mostRecentDateStr = mostRecentDate
+    ? mostRecentDate.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+    : null;
 
   return {
-    text: reviewText.substring(0, 1000),
-    length: reviewText.length,
-    date: dateText,
-    parsedDate: parseReviewDate(dateText),
-    rating,
-    isVerified
+    count: count || 0,
+    averageRating: rating,
+    hasRating: rating !== null,
+    hasReviews: count > 0,
+    hasRecentReviews: hasRecentReviews,
+    mostRecentDate: mostRecentDateStr,
+    averageReviewLength: averageReviewLength,
+    reviewsAnalyzed: reviewLengths.length,
+    countScore: !count ? 0 : count < 10 ? Math.round((count / 10) * 25) :
+                count < 50 ? 25 + Math.round(((count - 10) / 40) * 35) :
+                count < 200 ? 60 + Math.round(((count - 50) / 150) * 25) : 100,
+    ratingScore: !rating ? 0 : rating < 3 ? 25 : rating < 3.5 ? 50 : rating < 4 ? 75 : rating < 4.5 ? 90 : 100,
+    depthScore: averageReviewLength < 50 ? 25 : averageReviewLength < 100 ? 50 : averageReviewLength < 200 ? 75 : 100,
+    distribution: platform?.distribution || null,
+    verifiedCount,
+    hasVerifiedPurchases: platformReviews.length > 0 ? verifiedCount > 0 : null,
+    platform: platform ? {
+      id: platform.id,
+      name: platform.name,
+      detectedBy: platform.detectedBy,
+      inShadowRoot: platform.inShadowRoot,
+      source: platform.source,
+      iframe: platform.iframe,
+      pending: platform.pending,
+      reviewsRead: platformReviews.length
+    } : null,
+    platformsDetected: platformData.detected,
+    sources,
+    visible
   };
 }
 
 /**
- * Parse review date string
- * @param {string} dateText - Date text
- * @returns {Date|null} Parsed date
+ * Read the rating and review count shoppers actually see
+ * Ignores <meta> tags and JSON-LD so the result can be compared against the schema.
+ * @returns {Object} { rating, count, ratingText, countText }
  */
-function parseReviewDate(dateText) {
-  if (!dateText) return null;
+function extractVisibleReviewSummary() {
+  const result = { rating: null, count: null, ratingText: null, countText: null };
 
-  // Try ISO format first
-  const isoDate = new Date(dateText);
-  if (!isNaN(isoDate.getTime())) {
-    return isoDate;
+  const ratingSelectors = [
+    '[itemprop="ratingValue"]:not(meta)', '.rating-value', '.average-rating', '.rating__value',
+    '[class*="average-rating"]', '[class*="rating-average"]', '[class*="avg-rating"]',
+    '[data-testid*="rating"]', '[aria-label*="out of 5"]', '[title*="out of 5"]'
+  ];
+  for (const sel of ratingSelectors) {
+    let el;
+    try {
+      el = targetDocument.querySelector(sel);
+    } catch (e) {
+      continue;
+    }
+    if (!el || el.closest('[class*="recommend"], [class*="related"]')) continue;
+    const text = [el.getAttribute('aria-label'), el.getAttribute('title'), el.getAttribute('data-rating'), el.textContent]
+      .filter(Boolean).join(' ').replace(/\s+/g, ' ').trim();
+    const match = text.match(/(\d(?:[.,]\d{1,2})?)\s*(?:out of|\/|of)\s*5\b/i) || text.match(/^(\d(?:[.,]\d{1,2})?)\b/);
+    if (!match) continue;
+    const value = parseFloat(match[1].replace(',', '.'));
+    if (value >= 0 && value <= 5) {
+      result.rating = value;
+      result.ratingText = text.substring(0, 60);
+      break;
+    }
   }
 
-  // Try relative dates
-  const now = new Date();
-  const relativePatternsPatterns = [
-    { pattern: /(\d+)\s*days?\s*ago/i, unit: 'days' },
-    { pattern: /(\d+)\s*weeks?\s*ago/i, unit: 'weeks' },
-    { pattern: /(\d+)\s*months?\s*ago/i, unit: 'months' },
-    { pattern: /(\d+)\s*years?\s*ago/i, unit: 'years' }
+  const countSelectors = [
+    '[itemprop="reviewCount"]:not(meta)', '[itemprop="ratingCount"]:not(meta)',
+    '.review-count', '.reviews-count', '.rating-count',
+    '[class*="review-count"]', '[class*="reviews-count"]', '[class*="rating-count"]', '[data-testid*="review-count"]'
   ];
-
-  for (const { pattern, unit } of relativePatternsPatterns) {
-    const match = dateText.match(pattern);
-    if (match) {
-      const value = parseInt(match[1], 10);
-      const date = new Date(now);
-      switch (unit) {
-        case 'days': date.setDate(date.getDate() - value); break;
-        case 'weeks': date.setDate(date.getDate() - value * 7); break;
-        case 'months': date.setMonth(date.getMonth() - value); break;
-        case 'years': date.setFullYear(date.getFullYear() - value); break;
-      }
-      return date;
+  for (const sel of countSelectors) {
+    let el;
+    try {
+      el = targetDocument.querySelector(sel);
+    } catch (e) {
+      continue;
     }
+    if (!el || el.closest('[class*="recommend"], [class*="related"]')) continue;
+    const text = el.textContent.replace(/\s+/g, ' ').trim();
+    const match = text.match(/(\d[\d,.]*)/);
+    if (!match) continue;
+    result.count = parseInt(match[1].replace(/[,.]/g, ''), 10);
+    result.countText = text.substring(0, 60);
+    break;
   }
 
-  return null;
+  return result;
 }
 
-/**
- * Calculate average review length
- * @param {Array} reviews - Reviews array
- * @returns {number} Average length
- */
-function calculateAverageReviewLength(reviews) {
-  if (reviews.length === 0) return 0;
-  const totalLength = reviews.reduce((sum, r) => sum + r.length, 0);
-  return Math.round(totalLength / reviews.length);
-}
 
-/**
- * Check if there are recent reviews
- * @param {Array} reviews - Reviews array
- * @returns {boolean} Has recent reviews
- */
-function checkRecentReviews(reviews) {
-  const ninetyDaysAgo = new Date();
-  ninetyDaysAgo.setDate(ninetyDaysAgo.getDate() - 90);
-
-  return reviews.some(r => r.parsedDate && r.parsedDate >= ninetyDaysAgo);
-}
-
-/**
- * Detect verified purchase indicators
- * @returns {boolean} Has verified purchases
- */
-function detectVerifiedPurchases() {
-  const text = document.body.innerText.toLowerCase();
-  return text.includes('verified purchase') ||
-         text.includes('verified buyer') ||
-         document.querySelector('.verified-purchase, .verified-buyer') !== null;
-}
-
-/**
- * Extract brand signals
- * @returns {Object} Brand data
- */
 function extractBrandSignals() {
-  // Try structured data first
   let brandName = null;
-  let brandLogo = null;
-
-  const scripts = document.querySelectorAll('script[type="application/ld+json"]');
-  scripts.forEach(script => {
-    try {
-      const data = JSON.parse(script.textContent);
-      const items = data['@graph'] || [data];
 
-      items.forEach(item => {
-        const itemType = (item['@type'] || '').toLowerCase();
-        if ((itemType === 'product' || itemType === 'productgroup') && item.brand) {
-          brandName = typeof item.brand === 'string' ? item.brand : item.brand.name;
-        }
-        if (item['@type'] === 'Organization' || item['@type'] === 'Brand') {
-          brandName = brandName || item.name;
-          brandLogo = item.logo?.url || item.logo;
-        }
-      });
-    } catch (e) {}
-  });
+  // Resolved graph: brand: {"@id": "#brand"} references point at the Brand node
+  for (const { item } of iterateSchemaItems(['product'])) {
+    if (item.brand) brandName = extractBrandName(item.brand);
+    if (!brandName && item.manufacturer) brandName = extractBrandName(item.manufacturer);
+    if (brandName) break;
+  }
 
-  // Check microdata
   if (!brandName) {
-    const brandEl = document.querySelector('[itemprop="brand"]');
-    if (brandEl) {
-      brandName = brandEl.content || brandEl.textContent.trim();
-    }
+    const brandEl = targetDocument.querySelector('[itemprop="brand"]');
+    brandName = brandEl?.content || brandEl?.textContent?.trim();
   }
 
-  // Check H1 for brand
-  const h1 = document.querySelector('h1');
-  const h1ContainsBrand = h1 && brandName && h1.textContent.toLowerCase().includes(brandName.toLowerCase());
-
-  // Check title for brand
-  const titleContainsBrand = brandName && document.title.toLowerCase().includes(brandName.toLowerCase());
+  const h1 = targetDocument.querySelector('h1');
+  const inH1 = h1 && brandName && h1.textContent.toLowerCase().includes(brandName.toLowerCase());
+  const inTitle = brandName && targetDocument.title.toLowerCase().includes(brandName.toLowerCase());
 
   return {
     name: brandName,
-    logo: brandLogo,
-    inH1: h1ContainsBrand,
-    inTitle: titleContainsBrand,
-    inSchema: brandName !== null,
-    clarity: calculateBrandClarity(brandName, h1ContainsBrand, titleContainsBrand),
-    score: calculateBrandScore(brandName, h1ContainsBrand, titleContainsBrand)
+    inH1,
+    inTitle,
+    clarity: !brandName ? 'missing' : (inH1 && inTitle) ? 'excellent' : (inH1 || inTitle) ? 'good' : 'present',
+    score: !brandName ? 0 : 40 + (inH1 ? 30 : 0) + (inTitle ? 30 : 0)
   };
 }
 
-/**
- * Calculate brand clarity level
- */
-function calculateBrandClarity(name, inH1, inTitle) {
-  if (!name) return 'missing';
-  if (inH1 && inTitle) return 'excellent';
-  if (inH1 || inTitle) return 'good';
-  return 'present';
-}
-
-/**
- * Calculate brand score
- */
-function calculateBrandScore(name, inH1, inTitle) {
-  if (!name) return 0;
-  let score = 40; // Base score for having brand
-  if (inH1) score += 30;
-  if (inTitle) score += 30;
-  return score;
-}
-
-/**
- * Extract certifications
- * @returns {Object} Certifications data
- */
 function extractCertifications() {
-  const text = document.body.innerText.toLowerCase();
-  const certifications = [];
-
-  const certPatterns = [
-    { name: 'FDA Approved', pattern: /fda\s*(?:approved|cleared|registered)/i },
-    { name: 'CE Certified', pattern: /ce\s*(?:mark|certified|compliant)/i },
-    { name: 'UL Listed', pattern: /ul\s*(?:listed|certified)/i },
-    { name: 'Energy Star', pattern: /energy\s*star/i },
-    { name: 'ISO Certified', pattern: /iso\s*\d{4,}/i },
-    { name: 'RoHS Compliant', pattern: /rohs\s*(?:compliant|certified)/i },
-    { name: 'FCC Certified', pattern: /fcc\s*(?:certified|compliant|approved)/i },
-    { name: 'USDA Organic', pattern: /usda\s*organic/i },
-    { name: 'Non-GMO', pattern: /non[\s-]?gmo/i },
-    { name: 'Fair Trade', pattern: /fair\s*trade/i },
-    { name: 'Cruelty Free', pattern: /cruelty[\s-]?free/i },
-    { name: 'Vegan Certified', pattern: /vegan\s*(?:certified|society)/i },
-    { name: 'B Corp', pattern: /b[\s-]?corp/i },
-    { name: 'Carbon Neutral', pattern: /carbon[\s-]?neutral/i },
-    { name: 'FSC Certified', pattern: /fsc\s*(?:certified|forest)/i },
-    { name: 'GOTS Certified', pattern: /gots\s*(?:certified|organic)/i }
+  const text = targetDocument.body.innerText;
+  const lower = text.toLowerCase();
+  const certs = [];
+  let source = 'dom';
+
+  // Context-aware certification patterns with negative lookbehind simulation
+  const patterns = [
+    {
+      name: 'FDA Approved',
+      pattern: /fda\s*(?:approved|cleared|registered)/gi,
+      negative: /not\s+fda|no\s+fda|without\s+fda|pending\s+fda|awaiting\s+fda/i
+    },
+    {
+      name: 'CE Certified',
+      pattern: /ce\s*(?:mark(?:ed)?|certified|compliant)/gi,
+      negative: /not\s+ce|no\s+ce|without\s+ce/i
+    },
+    {
+      name: 'UL Listed',
+      pattern: /ul\s*(?:listed|certified|recognized|approved)/gi,
+      negative: /not\s+ul|no\s+ul|without\s+ul/i
+    },
+    {
+      name: 'Energy Star',
+      pattern: /energy\s*star(?:\s+(?:certified|rated|compliant))?/gi,
+      negative: /not\s+energy\s*star|no\s+energy\s*star/i
+    },
+    {
+      name: 'ISO Certified',
+      pattern: /iso\s*\d{4,}(?:[-:]\d+)?(?:\s+certified)?/gi,
+      negative: /not\s+iso|no\s+iso|without\s+iso/i
+    },
+    {
+      name: 'USDA Organic',
+      pattern: /usda\s*(?:certified\s+)?organic/gi,
+      negative: /not\s+usda|no\s+usda|without\s+usda/i
+    },
+    {
+      name: 'Non-GMO',
+      pattern: /non[\s-]?gmo(?:\s+(?:project\s+)?verified)?/gi,
+      negative: null
+    },
+    {
+      name: 'Fair Trade',
+      pattern: /fair\s*trade(?:\s+certified)?/gi,
+      negative: /not\s+fair\s*trade|no\s+fair\s*trade/i
+    },
+    {
+      name: 'Cruelty Free',
+      pattern: /cruelty[\s-]?free|leaping\s+bunny/gi,
+      negative: /not\s+cruelty[\s-]?free/i
+    },
+    {
+      name: 'Vegan',
+      pattern: /\bvegan(?:\s+certified)?/gi,
+      negative: /not\s+vegan|non[\s-]?vegan/i
+    },
+    {
+      name: 'Gluten Free',
+      pattern: /gluten[\s-]?free(?:\s+certified)?/gi,
+      negative: /not\s+gluten[\s-]?free|contains\s+gluten/i
+    },
+    {
+      name: 'Kosher',
+      pattern: /\bkosher(?:\s+certified)?/gi,
+      negative: /not\s+kosher|non[\s-]?kosher/i
+    },
+    {
+      name: 'Halal',
+      pattern: /\bhalal(?:\s+certified)?/gi,
+      negative: /not\s+halal|non[\s-]?halal/i
+    },
+    {
+      name: 'FSC Certified',
+      pattern: /fsc\s*(?:certified|approved)/gi,
+      negative: /not\s+fsc|no\s+fsc/i
+    },
+    {
+      name: 'GOTS Certified',
+      pattern: /gots\s*(?:certified|organic)/gi,
+      negative: /not\s+gots|no\s+gots/i
+    },
+    {
+      name: 'OEKO-TEX',
+      pattern: /oeko[\s-]?tex(?:\s+(?:standard|certified))?/gi,
+      negative: /not\s+oeko/i
+    },
+    {
+      name: 'B Corp',
+      pattern: /\bb[\s-]?corp(?:oration)?(?:\s+certified)?/gi,
+      negative: /not\s+b[\s-]?corp/i
+    },
+    {
+      name: 'ETL Listed',
+      pattern: /etl\s*(?:listed|certified)/gi,
+      negative: /not\s+etl|no\s+etl/i
+    },
+    {
+      name: 'RoHS Compliant',
+      pattern: /rohs\s*(?:compliant|certified)/gi,
+      negative: /not\s+rohs|no\s+rohs/i
+    },
+    {
+      name: 'FCC Certified',
+      pattern: /fcc\s*(?:certified|compliant|approved)/gi,
+      negative: /not\s+fcc|no\s+fcc/i
+    },
+    {
+      name: 'NFPA Compliant',
+      pattern: /nfpa\s*(?:70e?|2112|701|1|13|25|72|\d{2,})?(?:\s+(?:compliant|certified|rated))?/gi,
+      negative: /not\s+nfpa|no\s+nfpa/i
+    },
+    {
+      name: 'ASTM Certified',
+      pattern: /astm\s*(?:f\d{3,}|[a-z]\d{3,}|\d{3,})?(?:\s+(?:certified|compliant|tested|approved))?/gi,
+      negative: /not\s+astm|no\s+astm/i
+    },
+    {
+      name: 'OSHA Compliant',
+      pattern: /osha(?:\s+29\s+cfr\s*[\d.]+)?(?:\s+compliant)?/gi,
+      negative: /not\s+osha|no\s+osha/i
+    },
+    {
+      name: 'ANSI Certified',
+      pattern: /ansi(?:\s+z\d{2,}|\s+[a-z]\d{2,})?(?:\s+(?:certified|compliant|approved))?/gi,
+      negative: /not\s+ansi|no\s+ansi/i
+    },
+    {
+      name: 'CSA Certified',
+      pattern: /csa\s*(?:certified|approved|listed|group|c22\.2)?/gi,
+      negative: /not\s+csa|no\s+csa/i
+    },
+    {
+      name: 'FMVSS Certified',
+      pattern: /fmvss(?:\s+\d{3})?(?:\s+(?:certified|compliant))?/gi,
+      negative: /not\s+fmvss|no\s+fmvss/i
+    },
+    {
+      name: 'EN ISO Certified',
+      pattern: /en\s+iso\s+\d{4,}(?:[-:]\d+)?(?:\s+certified)?/gi,
+      negative: /not\s+en\s+iso|no\s+en\s+iso/i
+    }
   ];
 
-  certPatterns.forEach(({ name, pattern }) => {
-    if (pattern.test(text)) {
-      certifications.push(name);
+  patterns.forEach(({ name, pattern, negative }) => {
+    // Check negative pattern first (context-aware)
+    if (negative && negative.test(lower)) {
+      return; // Skip - found negative context
+    }
+
+    const match = text.match(pattern);
+    if (match) {
+      certs.push({
+        name: name,
+        matched: match[0].trim(), // Store what was actually matched
+        source: 'dom'
+      });
     }
   });
 
-  // Also check for certification badges/images
-  const certImages = document.querySelectorAll('img[alt*="certif"], img[alt*="approved"], img[alt*="compliant"]');
+  // Fallback: Check Product schema for certifications
+  const schemaCerts = extractCertificationsFromSchema();
+  if (schemaCerts.length > 0) {
+    schemaCerts.forEach(cert => {
+      // Avoid duplicates
+      if (!certs.some(c => c.name.toLowerCase() === cert.name.toLowerCase())) {
+        certs.push(cert);
+        source = 'schema';
+      }
+    });
+  }
 
   return {
-    found: certifications.length > 0,
-    count: certifications.length,
-    items: certifications,
-    certificationImages: certImages.length,
-    score: certifications.length > 0 ? Math.min(100, 50 + certifications.length * 15) : 0
+    found: certs.length > 0,
+    count: certs.length,
+    items: certs.map(c => c.name), // Backwards compatible
+    details: certs, // Full details with matched text
+    source: certs.length > 0 ? (certs.some(c => c.source === 'schema') ? 'schema' : 'dom') : null,
+    score: certs.length > 0 ? Math.min(100, 50 + certs.length * 15) : 0
   };
 }
 
 /**
- * Extract awards and recognition
- * @returns {Object} Awards data
+ * Extract certifications from Product schema
+ * @returns {Array} Array of certification objects
  */
+function extractCertificationsFromSchema() {
+  const certs = [];
+
+  for (const { item } of iterateSchemaItems(['product'])) {
+    // Check certification field (schema.org spec)
+    if (item.certification) {
+      const certifications = Array.isArray(item.certification) ? item.certification : [item.certification];
+      certifications.forEach(cert => {
+        const certName = cert.name || cert.certificationIdentification || cert;
+        if (certName && typeof certName === 'string') {
+          certs.push({ name: certName, matched: certName, source: 'schema' });
+        }
+      });
+    }
+
+    // Check additionalProperty for certification keywords
+    if (item.additionalProperty && Array.isArray(item.additionalProperty)) {
+      item.additionalProperty.forEach(prop => {
+        const name = (prop.name || '').toLowerCase();
+        const value = String(prop.value || '');
+
+        if (/certification|certified|compliance|compliant/i.test(name) ||
+            /certification|certified/i.test(value)) {
+          certs.push({
+            name: value || prop.name,
+            matched: `${prop.name}: ${value}`,
+            source: 'schema'
+          });
+        }
+      });
+    }
+  }
+
+  return certs;
+}
+
 function extractAwards() {
-  const text = document.body.innerText.toLowerCase();
+  const text = targetDocument.body.innerText;
   const awards = [];
-
-  const awardPatterns = [
-    { name: 'Award Winner', pattern: /award[\s-]?winner|won\s+(?:the\s+)?award/i },
-    { name: 'Best of', pattern: /best\s+of\s+\d{4}/i },
-    { name: "Editor's Choice", pattern: /editor'?s?\s*choice/i },
-    { name: 'Top Rated', pattern: /top[\s-]?rated/i },
-    { name: 'Best Seller', pattern: /best[\s-]?seller/i },
-    { name: 'Product of the Year', pattern: /product\s+of\s+the\s+year/i },
-    { name: 'Innovation Award', pattern: /innovation\s+award/i },
-    { name: 'Design Award', pattern: /design\s+award|red\s+dot|if\s+design/i }
+  let source = 'dom';
+
+  // Award patterns with actual text capture
+  const patterns = [
+    { name: 'Award Winner', pattern: /(?:award[\s-]?winner|won\s+(?:the\s+)?[\w\s]+award|received\s+(?:the\s+)?[\w\s]+award)/gi },
+    { name: 'Best of Year', pattern: /best\s+of\s+\d{4}/gi },
+    { name: "Editor's Choice", pattern: /editor'?s?\s*choice(?:\s+award)?/gi },
+    { name: 'Best Seller', pattern: /(?:#?\d+\s+)?best[\s-]?seller/gi },
+    { name: 'Top Rated', pattern: /top[\s-]?rated(?:\s+\d{4})?/gi },
+    { name: 'Product of the Year', pattern: /product\s+of\s+the\s+year/gi },
+    { name: 'Innovation Award', pattern: /innovation\s+award/gi },
+    { name: 'Design Award', pattern: /(?:red\s+dot|if|good\s+)?design\s+award/gi },
+    { name: "People's Choice", pattern: /people'?s?\s*choice(?:\s+award)?/gi },
+    { name: 'Gold Award', pattern: /(?:gold|silver|bronze)\s+(?:medal|award)/gi },
+    { name: 'Top Pick', pattern: /top\s+pick(?:\s+\d{4})?/gi },
+    { name: 'Recommended', pattern: /(?:highly\s+)?recommended\s+by\s+[\w\s]+/gi },
+    { name: 'Certified Best', pattern: /certified\s+(?:best|top)/gi },
+    { name: 'Critics Choice', pattern: /critics?\s*choice(?:\s+award)?/gi },
+    { name: 'Consumer Choice', pattern: /consumer\s+choice(?:\s+award)?/gi }
   ];
 
-  awardPatterns.forEach(({ name, pattern }) => {
-    if (pattern.test(text)) {
-      awards.push(name);
+  patterns.forEach(({ name, pattern }) => {
+    const match = text.match(pattern);
+    if (match) {
+      awards.push({
+        name: name,
+        matched: match[0].trim().substring(0, 50), // Store what was actually matched
+        source: 'dom'
+      });
     }
   });
 
+  // Fallback: Check Product schema for awards
+  const schemaAwards = extractAwardsFromSchema();
+  if (schemaAwards.length > 0) {
+    schemaAwards.forEach(award => {
+      // Avoid duplicates
+      if (!awards.some(a => a.name.toLowerCase() === award.name.toLowerCase())) {
+        awards.push(award);
+        source = 'schema';
+      }
+    });
+  }
+
   return {
     found: awards.length > 0,
     count: awards.length,
-    items: awards,
+    items: awards.map(a => a.matched || a.name), // Show actual matched text
+    details: awards, // Full details
+    source: awards.length > 0 ? (awards.some(a => a.source === 'schema') ? 'schema' : 'dom') : null,
     score: awards.length > 0 ? Math.min(100, 40 + awards.length * 20) : 0
   };
 }
 
 /**
- * Detect expert attribution
- * @returns {Object} Expert attribution data
+ * Extract awards from Product schema
+ * @returns {Array} Array of award objects
  */
-function detectExpertAttribution() {
-  const text = document.body.innerText.toLowerCase();
-
-  const expertIndicators = [
-    /expert\s+review/i,
-    /reviewed\s+by\s+[\w\s]+,?\s*(?:md|phd|expert)/i,
-    /as\s+(?:seen|featured)\s+(?:in|on)/i,
-    /recommended\s+by\s+(?:doctors?|experts?|professionals?)/i,
-    /clinically\s+(?:tested|proven)/i,
-    /laboratory\s+tested/i,
-    /dermatologist\s+(?:tested|recommended)/i
-  ];
-
-  const found = expertIndicators.some(pattern => pattern.test(text));
-
-  // Check for "as seen in" logos
-  const asSeenIn = document.querySelectorAll('.as-seen-in, .featured-in, .press-logos');
-
-  return {
-    found,
-    hasAsSeenIn: asSeenIn.length > 0,
-    score: found ? 100 : (asSeenIn.length > 0 ? 60 : 0)
-  };
-}
-
-/**
- * Extract trust badges
- * @returns {Object} Trust badges data
- */
-function extractTrustBadges() {
-  const badges = [];
-
-  // Common trust badge selectors
-  const badgeSelectors = [
-    '.trust-badge',
-    '.trust-seal',
-    '.security-badge',
-    '.payment-badge',
-    '.guarantee-badge'
-  ];
+function extractAwardsFromSchema() {
+  const awards = [];
 
-  badgeSelectors.forEach(selector => {
-    const elements = document.querySelectorAll(selector);
-    elements.forEach(el => {
-      badges.push({
-        type: selector.replace('.', ''),
-        text: el.textContent.trim().substring(0, 100)
+  for (const { item } of iterateSchemaItems(['product'])) {
+    // Check award field (schema.org spec)
+    if (item.award) {
+      const awardList = Array.isArray(item.award) ? item.award : [item.award];
+      awardList.forEach(award => {
+        if (typeof award === 'string' && award.length > 0) {
+          awards.push({ name: award, matched: award, source: 'schema' });
+        }
       });
-    });
-  });
-
-  // Check for common trust indicators in images
-  const trustImagePatterns = [
-    'secure',
-    'guarantee',
-    'money-back',
-    'ssl',
-    'payment',
-    'verified'
-  ];
+    }
 
-  document.querySelectorAll('img').forEach(img => {
-    const alt = (img.alt || '').toLowerCase();
-    const src = (img.src || '').toLowerCase();
-    if (trustImagePatterns.some(p => alt.includes(p) || src.includes(p))) {
-      badges.push({
-        type: 'trust-image',
-        alt: img.alt
+    // Check additionalProperty for award keywords
+    if (item.additionalProperty && Array.isArray(item.additionalProperty)) {
+      item.additionalProperty.forEach(prop => {
+        const name = (prop.name || '').toLowerCase();
+        const value = String(prop.value || '');
+
+        if (/award|recognition|accolade/i.test(name)) {
+          awards.push({
+            name: value || prop.name,
+            matched: value || prop.name,
+            source: 'schema'
+          });
+        }
       });
     }
-  });
-
-  return {
-    found: badges.length > 0,
-    count: badges.length,
-    items: badges.slice(0, 10)
-  };
-}
-
-/**
- * Extract social proof indicators
- * @returns {Object} Social proof data
- */
-function extractSocialProof() {
-  const text = document.body.innerText.toLowerCase();
-
-  const indicators = {
-    soldCount: null,
-    viewCount: null,
-    customerCount: null,
-    testimonials: false
-  };
-
-  // Check for sold count
-  const soldMatch = text.match(/(\d[\d,]+)\s*(?:sold|purchased|bought)/i);
-  if (soldMatch) {
-    indicators.soldCount = parseInt(soldMatch[1].replace(/,/g, ''), 10);
   }
 
-  // Check for view count
-  const viewMatch = text.match(/(\d[\d,]+)\s*(?:views?|people\s+viewing)/i);
-  if (viewMatch) {
-    indicators.viewCount = parseInt(viewMatch[1].replace(/,/g, ''), 10);
-  }
-
-  // Check for customer count
-  const customerMatch = text.match(/(\d[\d,]+)\s*(?:happy\s+)?customers?/i);
-  if (customerMatch) {
-    indicators.customerCount = parseInt(customerMatch[1].replace(/,/g, ''), 10);
-  }
-
-  // Check for testimonials
-  indicators.testimonials = document.querySelector('.testimonial, .testimonials, [data-testimonial]') !== null;
-
-  return indicators;
+  return awards;
 }
 
-// Scoring helper functions
-
-function calculateReviewCountScore(count) {
-  if (!count || count === 0) return 0;
-  if (count < 10) return Math.round((count / 10) * 25);
-  if (count < 50) return 25 + Math.round(((count - 10) / 40) * 35);
-  if (count < 200) return 60 + Math.round(((count - 50) / 150) * 25);
-  return 100;
+function detectExpertAttribution() {
+  const text = targetDocument.body.innerText.toLowerCase();
+  const found = /expert\s+review|as\s+(?:seen|featured)\s+(?:in|on)|clinically\s+(?:tested|proven)|dermatologist/i.test(text);
+  return { found, score: found ? 100 : 0 };
 }
 
-function calculateRatingScore(rating) {
-  if (!rating) return 0;
-  if (rating < 3) return 25;
-  if (rating < 3.5) return 50;
-  if (rating < 4) return 75;
-  if (rating < 4.5) return 90;
-  return 100;
-}
+function extractSocialProof() {
+  const text = targetDocument.body.innerText.toLowerCase();
+  const soldMatch = text.match(/\b(\d[\d,]+)[ \t]*(?:sold|purchased)\b/i);
+  const customerMatch = text.match(/\b(\d{3,}[\d,]*)[ \t]*(?:happy[ \t]+)?customers?\b/i);
 
-function calculateReviewDepthScore(avgLength) {
-  if (avgLength < 50) return Math.round((avgLength / 50) * 40);
-  if (avgLength < 100) return 40 + Math.round(((avgLength - 50) / 50) * 30);
-  if (avgLength < 200) return 70 + Math.round(((avgLength - 100) / 100) * 30);
-  return 100;
+  return {
+    soldCount: soldMatch ? parseInt(soldMatch[1].replace(/,/g, ''), 10) : null,
+    customerCount: customerMatch ? parseInt(customerMatch[1].replace(/,/g, ''), 10) : null,
+    testimonials: targetDocument.querySelector('.testimonial, .testimonials') !== null
+  };
 }
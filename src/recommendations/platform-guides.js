@@ -0,0 +1,575 @@
+/**
+ * Platform Guides
+ * Platform-specific implementation steps and effort for recommendations,
+ * keyed by the platform the content script fingerprints
+ */
+
+/**
+ * Recommendation templates grouped by the part of the stack that fixes them
+ * variant-* and vertical-* templates are matched by prefix in getTopic()
+ */
+const TEMPLATE_TOPICS = {
+  'product-schema-missing': 'productSchema',
+  'offer-schema-missing': 'productSchema',
+  'schema-price-mismatch': 'productSchema',
+  'schema-availability-mismatch': 'productSchema',
+  'schema-name-mismatch': 'productSchema',
+  'schema-image-mismatch': 'productSchema',
+  'product-identifiers-missing': 'productSchema',
+  'rating-schema-missing': 'reviewSchema',
+  'schema-rating-mismatch': 'reviewSchema',
+  'faq-schema-missing': 'faqSchema',
+  'breadcrumb-schema-missing': 'breadcrumbSchema',
+  'og-image-missing': 'socialMeta',
+  'og-image-webp': 'socialMeta',
+  'og-title-missing': 'socialMeta',
+  'og-description-missing': 'socialMeta',
+  'twitter-card-missing': 'socialMeta',
+  'robots-blocking': 'crawlerAccess',
+  'ai-crawler-blocked': 'crawlerAccess',
+  'ai-crawler-waf-blocked': 'crawlerAccess',
+  'llms-txt-missing': 'rootFiles',
+  'llms-txt-invalid': 'rootFiles',
+  'description-short': 'productContent',
+  'specs-missing': 'productContent',
+  'features-missing': 'productContent',
+  'faq-content-missing': 'productContent',
+  'compatibility-missing': 'productContent',
+  'answer-format-missing': 'productContent',
+  'h1-missing': 'headings',
+  'multiple-h1': 'headings',
+  'primary-image-alt-missing': 'imageAlt',
+  'images-alt-low': 'imageAlt'
+};
+
+/**
+ * Steps per platform and topic
+ * Backticks mark file names, settings paths, and code (rendered as <code>).
+ */
+const PLATFORM_GUIDES = {
+  shopify: {
+    name: 'Shopify',
+    topics: {
+      productSchema: {
+        effort: 'low',
+        steps: [
+          'Online Store → Themes → Edit code → `sections/main-product.liquid`: Dawn-based themes output `{{ product | structured_data }}`; restore it if your theme dropped it.',
+          'Fill in SKU and Barcode (GTIN) on every variant in Products → Variants; the `structured_data` filter emits one Offer per variant with them.',
+          'If an SEO or review app also injects Product JSON-LD, turn one of them off so crawlers see a single Product.'
+        ]
+      },
+      reviewSchema: {
+        effort: 'low',
+        steps: [
+          'Turn on rich snippets / SEO markup in your review app (Judge.me, Yotpo, Okendo, ...).',
+          'Or add aggregateRating to the theme JSON-LD from the standard `product.metafields.reviews.rating.value` and `product.metafields.reviews.rating_count` metafields.'
+        ]
+      },
+      faqSchema: {
+        effort: 'medium',
+        steps: [
+          'Store Q&A in a product metafield (Settings → Custom data → Products) or a collapsible content block.',
+          'Output FAQPage JSON-LD from the same metafield in a custom Liquid block in `sections/main-product.liquid`.'
+        ]
+      },
+      breadcrumbSchema: {
+        effort: 'medium',
+        steps: [
+          'Add a `snippets/breadcrumbs.liquid` that renders the trail from `collection` and `product` plus matching BreadcrumbList JSON-LD.',
+          'Render it from `sections/main-product.liquid`; product URLs under `/collections/` give you the collection.'
+        ]
+      },
+      socialMeta: {
+        effort: 'low',
+        steps: [
+          'og: and twitter: tags come from `snippets/meta-tags.liquid`; the fallback image is set in Online Store → Preferences → Social sharing image.',
+          'Force a JPEG og:image with `{{ product.featured_media | image_url: width: 1200, format: \'pjpg\' }}`, since the Shopify CDN serves WebP by default.'
+        ]
+      },
+      crawlerAccess: {
+        effort: 'low',
+        steps: [
+          'Edit robots.txt with a `templates/robots.txt.liquid` template (Edit code → Add a new template → robots).',
+          'For noindex, check `layout/theme.liquid` for a conditional `<meta name="robots">` and the product\'s `seo.hidden` metafield.'
+        ]
+      },
+      rootFiles: {
+        effort: 'medium',
+        steps: [
+          'Shopify can\'t serve arbitrary root files: upload llms.txt to Content → Files.',
+          'Add a URL redirect (Online Store → Navigation → URL Redirects) from `/llms.txt` to the file URL, or serve it through an app proxy.'
+        ]
+      },
+      productContent: {
+        effort: 'low',
+        steps: [
+          'Expand the description in Products → Description.',
+          'Put specs, compatibility, and FAQs in product metafields (Settings → Custom data) and show them with theme blocks connected as dynamic sources.'
+        ]
+      },
+      headings: {
+        effort: 'low',
+        steps: [
+          'The product title is the title block in `sections/main-product.liquid`; make sure it renders as `<h1>`.',
+          'Check `sections/header.liquid` only wraps the logo in `<h1>` on the home page (`request.page_type == \'index\'`).'
+        ]
+      },
+      imageAlt: {
+        effort: 'low',
+        steps: [
+          'Products → Media → select an image → Add alt text; themes output it from `media.alt`.'
+        ]
+      }
+    }
+  },
+
+  sfcc: {
+    name: 'Salesforce Commerce Cloud',
+    topics: {
+      productSchema: {
+        effort: 'medium',
+        steps: [
+          'SFRA builds Product JSON-LD in `cartridge/scripts/helpers/structuredDataHelper.js` (`getProductSchema`) and renders it from `product/productDetails.isml`.',
+          'Override the helper in your custom cartridge to add gtin/mpn/brand and one Offer per variation (`product.variationModel`).'
+        ]
+      },
+      reviewSchema: {
+        effort: 'medium',
+        steps: [
+          'Add aggregateRating in your `getProductSchema` override from the review provider\'s cartridge (Bazaarvoice, PowerReviews LINK cartridges expose rating and count).',
+          'Or enable the provider\'s server-side SEO content so the rating is in the initial HTML.'
+        ]
+      },
+      faqSchema: {
+        effort: 'medium',
+        steps: [
+          'Manage FAQs as content assets (Merchant Tools → Content → Libraries) or a product custom attribute.',
+          'Render FAQPage JSON-LD from an ISML include on the PDP.'
+        ]
+      },
+      breadcrumbSchema: {
+        effort: 'medium',
+        steps: [
+          'Breadcrumbs render from `components/breadcrumbs/pageBreadcrumbs.isml`; emit BreadcrumbList JSON-LD from the same `breadcrumbs` model.'
+        ]
+      },
+      socialMeta: {
+        effort: 'low',
+        steps: [
+          'Define og:title, og:description, and og:image in Merchant Tools → SEO → Page Meta Tag Rules.',
+          'Request a JPEG from Dynamic Imaging Service with `?sw=1200&sfrm=jpg` on the og:image URL.'
+        ]
+      },
+      crawlerAccess: {
+        effort: 'low',
+        steps: [
+          'Edit robots.txt in Merchant Tools → SEO → Robots (per instance; the production instance must allow crawling).',
+          'For noindex, check Page Meta Tag Rules and the robots meta in `common/htmlHead.isml`.'
+        ]
+      },
+      rootFiles: {
+        effort: 'medium',
+        steps: [
+          'Upload llms.txt to a content library or static folder.',
+          'Map `/llms.txt` to it with Merchant Tools → SEO → Static Mapping.'
+        ]
+      },
+      productContent: {
+        effort: 'medium',
+        steps: [
+          'Edit descriptions in Merchant Tools → Products and Catalogs → Products.',
+          'Add specs as Product system object custom attributes (Administration → Site Development → System Object Types) and render them in `product/productDetails.isml`.'
+        ]
+      },
+      headings: {
+        effort: 'low',
+        steps: [
+          'The product name renders as `<h1 class="product-name">` in the product detail templates; keep the header logo out of `<h1>`.'
+        ]
+      },
+      imageAlt: {
+        effort: 'low',
+        steps: [
+          'Image alt text comes from the product\'s image `alt` attribute (Products → Images); SFRA\'s ProductImage model passes it to the template.'
+        ]
+      }
+    }
+  },
+
+  magento: {
+    name: 'Magento / Adobe Commerce',
+    topics: {
+      productSchema: {
+        effort: 'medium',
+        steps: [
+          'Luma emits only microdata in `Magento_Catalog::product/view/*.phtml`; add Product JSON-LD through a theme override or a module block on `catalog_product_view`.',
+          'Create a GTIN attribute (Stores → Attributes → Product), fill it per simple product, and output one Offer per child of configurable products.'
+        ]
+      },
+      reviewSchema: {
+        effort: 'medium',
+        steps: [
+          'Native review summaries render in `Magento_Review::helper/summary.phtml`; add aggregateRating to your JSON-LD from the review summary model.'
+        ]
+      },
+      faqSchema: {
+        effort: 'medium',
+        steps: [
+          'Build the FAQ with Page Builder or a CMS block and output FAQPage JSON-LD from a custom block template.'
+        ]
+      },
+      breadcrumbSchema: {
+        effort: 'medium',
+        steps: [
+          'Enable Stores → Configuration → Catalog → Catalog → Search Engine Optimization → Use Categories Path for Product URLs so PDPs get a category trail.',
+          'Add BreadcrumbList JSON-LD in an override of `Magento_Theme::html/breadcrumbs.phtml`.'
+        ]
+      },
+      socialMeta: {
+        effort: 'low',
+        steps: [
+          'og: tags come from `Magento_Catalog::product/view/opengraph/general.phtml`; add twitter: tags in a theme override of it.',
+          'If Fastly Image Optimization serves WebP, append `?format=jpg` to the og:image URL.'
+        ]
+      },
+      crawlerAccess: {
+        effort: 'low',
+        steps: [
+          'Content → Design → Configuration → (store view) → Search Engine Robots: set Default Robots to INDEX, FOLLOW and edit the custom robots.txt instructions.'
+        ]
+      },
+      rootFiles: {
+        effort: 'medium',
+        steps: [
+          'Place llms.txt in `pub/` (the web root).',
+          'On Adobe Commerce Cloud, make sure the file is deployed with the build and not blocked by Fastly rules.'
+        ]
+      },
+      productContent: {
+        effort: 'low',
+        steps: [
+          'Edit Catalog → Products → Content → Description.',
+          'Show spec attributes by enabling Storefront Properties → Visible on Catalog Pages on Storefront (they appear in the More Information tab).'
+        ]
+      },
+      headings: {
+        effort: 'low',
+        steps: [
+          'The product name is the `page.main.title` block (`Magento_Theme::html/title.phtml`); keep it the only `<h1>`.'
+        ]
+      },
+      imageAlt: {
+        effort: 'low',
+        steps: [
+          'Catalog → Products → Images and Videos → select an image → Alt Text.'
+        ]
+      }
+    }
+  },
+
+  bigcommerce: {
+    name: 'BigCommerce',
+    topics: {
+      productSchema: {
+        effort: 'medium',
+        steps: [
+          'Cornerstone marks up products in `templates/components/products/product-view.html` (Storefront → Themes → Advanced → Edit Theme Files).',
+          'Fill SKU, MPN, and UPC/EAN per variant under Products → Edit → Variations so the theme can output them.'
+        ]
+      },
+      reviewSchema: {
+        effort: 'medium',
+        steps: [
+          'Add aggregateRating to the product markup from the `product.rating` and `product.num_reviews` template context.'
+        ]
+      },
+      faqSchema: {
+        effort: 'medium',
+        steps: [
+          'Keep FAQs in product custom fields or a Page Builder region and output FAQPage JSON-LD in a custom template.'
+        ]
+      },
+      breadcrumbSchema: {
+        effort: 'low',
+        steps: [
+          'Cornerstone\'s `templates/components/common/breadcrumbs.html` includes BreadcrumbList markup; restore it if your theme removed it.'
+        ]
+      },
+      socialMeta: {
+        effort: 'low',
+        steps: [
+          'og: tags are printed by `{{{head.meta_tags}}}` in `templates/layout/base.html`; og:image is the product\'s thumbnail image.',
+          'Upload a JPEG/PNG as the thumbnail image and add twitter: tags in `base.html`.'
+        ]
+      },
+      crawlerAccess: {
+        effort: 'low',
+        steps: [
+          'Edit robots.txt in Settings → Website → Search Engine Robots.'
+        ]
+      },
+      rootFiles: {
+        effort: 'medium',
+        steps: [
+          'Upload llms.txt over WebDAV to the `/content` folder.',
+          'Add a 301 redirect (Settings → 301 Redirects) from `/llms.txt` to `/content/llms.txt`.'
+        ]
+      },
+      productContent: {
+        effort: 'low',
+        steps: [
+          'Edit Products → Edit → Description.',
+          'Add specs as Custom Fields; Cornerstone lists them in the product view.'
+        ]
+      },
+      headings: {
+        effort: 'low',
+        steps: [
+          'The title is `<h1 class="productView-title">` in `product-view.html`; keep the logo in `header.html` out of `<h1>` on PDPs.'
+        ]
+      },
+      imageAlt: {
+        effort: 'low',
+        steps: [
+          'Products → Edit → Images & Videos → Image description (used as alt text).'
+        ]
+      }
+    }
+  },
+
+  woocommerce: {
+    name: 'WooCommerce',
+    topics: {
+      productSchema: {
+        effort: 'low',
+        steps: [
+          'WooCommerce prints Product JSON-LD in the footer (`WC_Structured_Data`); if it\'s missing, search the theme and plugins for `remove_action` on `output_structured_data`.',
+          'Fill the GTIN, UPC, EAN, or ISBN field (Product data → Inventory, WooCommerce 9.2+) and add other properties with the `woocommerce_structured_data_product` filter.'
+        ]
+      },
+      reviewSchema: {
+        effort: 'low',
+        steps: [
+          'Enable WooCommerce → Settings → Products → Enable product reviews and star ratings; aggregateRating is added once a product has ratings.'
+        ]
+      },
+      faqSchema: {
+        effort: 'low',
+        steps: [
+          'Add the FAQ with Yoast SEO\'s or Rank Math\'s FAQ block in the product description; both output FAQPage schema.'
+        ]
+      },
+      breadcrumbSchema: {
+        effort: 'low',
+        steps: [
+          'Keep `woocommerce_breadcrumb()` in the single product template (WooCommerce adds BreadcrumbList), or enable breadcrumbs in Yoast/Rank Math.'
+        ]
+      },
+      socialMeta: {
+        effort: 'low',
+        steps: [
+          'Set og: and twitter: tags in the product\'s Social tab in Yoast SEO or Rank Math.',
+          'If an image optimization plugin converts to WebP, exclude og:image or keep the original JPEG URL.'
+        ]
+      },
+      crawlerAccess: {
+        effort: 'low',
+        steps: [
+          'Uncheck Settings → Reading → Discourage search engines from indexing this site.',
+          'Edit robots.txt with Yoast (Tools → File editor) or Rank Math (General Settings → Edit robots.txt).'
+        ]
+      },
+      rootFiles: {
+        effort: 'low',
+        steps: [
+          'Upload llms.txt to the WordPress root over SFTP, or generate it with your SEO plugin\'s llms.txt feature.'
+        ]
+      },
+      productContent: {
+        effort: 'low',
+        steps: [
+          'Expand the product Description and Short description.',
+          'Add specs as Product data → Attributes (shown in the Additional information tab).'
+        ]
+      },
+      headings: {
+        effort: 'low',
+        steps: [
+          '`woocommerce_template_single_title` prints the title as `<h1>` (`single-product/title.php`); check theme overrides don\'t change it.'
+        ]
+      },
+      imageAlt: {
+        effort: 'low',
+        steps: [
+          'Media → Library → select the image → Alternative Text.'
+        ]
+      }
+    }
+  },
+
+  commercetools: {
+    name: 'commercetools',
+    topics: {
+      productSchema: {
+        effort: 'medium',
+        steps: [
+          'commercetools has no storefront: render Product JSON-LD server-side in your product route from the Product Projection.',
+          'Map `masterVariant` and `variants` (sku, prices, availability, GTIN attribute) to one Offer per variant.'
+        ]
+      },
+      reviewSchema: {
+        effort: 'medium',
+        steps: [
+          'Use the product\'s `reviewRatingStatistics` (averageRating, count) or your review vendor\'s API to render aggregateRating server-side.'
+        ]
+      },
+      faqSchema: {
+        effort: 'medium',
+        steps: [
+          'Keep FAQs in a Custom Type field or your CMS and render FAQPage JSON-LD in the product route.'
+        ]
+      },
+      breadcrumbSchema: {
+        effort: 'medium',
+        steps: [
+          'Build the trail from the product\'s category `ancestors` and render BreadcrumbList JSON-LD next to the visible breadcrumb.'
+        ]
+      },
+      socialMeta: {
+        effort: 'medium',
+        steps: [
+          'Set og: and twitter: tags in the framework\'s head API during SSR from the product `name`, `metaDescription`, and master variant image.',
+          'Request a JPEG rendition of the image from your image CDN for og:image.'
+        ]
+      },
+      crawlerAccess: {
+        effort: 'low',
+        steps: [
+          'robots.txt is served by your frontend (e.g. `public/robots.txt` or `app/robots.ts` in Next.js).'
+        ]
+      },
+      rootFiles: {
+        effort: 'low',
+        steps: [
+          'Add llms.txt to the frontend\'s static folder (e.g. `public/llms.txt`).'
+        ]
+      },
+      productContent: {
+        effort: 'low',
+        steps: [
+          'Edit the localized description in Merchant Center and add specs as Product Type attributes, then render them in the SSR HTML.'
+        ]
+      },
+      headings: {
+        effort: 'low',
+        steps: [
+          'Render the product name as the page\'s only `<h1>` in the product detail component.'
+        ]
+      },
+      imageAlt: {
+        effort: 'low',
+        steps: [
+          'Set each image `label` in the variant images and pass it to `alt`.'
+        ]
+      }
+    }
+  },
+
+  headless: {
+    name: 'Headless storefront',
+    topics: {
+      productSchema: {
+        effort: 'medium',
+        steps: [
+          'Render Product JSON-LD server-side in the product route (SSR/SSG), not after hydration; confirm it appears in View Source.',
+          'Build one Offer per variant from the commerce API the frontend already calls.'
+        ]
+      },
+      reviewSchema: {
+        effort: 'medium',
+        steps: [
+          'Fetch the rating summary from your review vendor\'s API on the server and render aggregateRating with the product JSON-LD.'
+        ]
+      },
+      faqSchema: {
+        effort: 'medium',
+        steps: [
+          'Render FAQ content and FAQPage JSON-LD from your CMS in the server response.'
+        ]
+      },
+      breadcrumbSchema: {
+        effort: 'medium',
+        steps: [
+          'Render BreadcrumbList JSON-LD from the same category data as the visible breadcrumb, server-side.'
+        ]
+      },
+      socialMeta: {
+        effort: 'medium',
+        steps: [
+          'Set og: and twitter: tags through the framework\'s head API (Next.js metadata, Nuxt `useHead`) during SSR; client-set tags are invisible to link previews.'
+        ]
+      },
+      crawlerAccess: {
+        effort: 'low',
+        steps: [
+          'robots.txt is served by the frontend (e.g. `public/robots.txt`); check the CDN or edge config doesn\'t add `X-Robots-Tag: noindex`.'
+        ]
+      },
+      rootFiles: {
+        effort: 'low',
+        steps: [
+          'Add llms.txt to the frontend\'s static folder (e.g. `public/llms.txt`).'
+        ]
+      },
+      productContent: {
+        effort: 'medium',
+        steps: [
+          'Make sure description, specs, and FAQs are in the server-rendered HTML rather than fetched on the client.'
+        ]
+      },
+      headings: {
+        effort: 'low',
+        steps: [
+          'Render the product name as the only `<h1>` in the product page component.'
+        ]
+      },
+      imageAlt: {
+        effort: 'low',
+        steps: [
+          'Pass the CMS or commerce API image alt text through to the image component\'s `alt`.'
+        ]
+      }
+    }
+  }
+};
+
+/**
+ * Get platform-specific steps for a recommendation
+ * Headless builds of a platform get the headless guide (the theme files
+ * don't exist there), except commercetools which is always headless.
+ * @param {Object|null} platform - extractedData.platform from the content script
+ * @param {string} templateId - Recommendation template id
+ * @returns {Object|null} { platform, name, effort, steps } or null when there's no guide
+ */
+export function getPlatformGuide(platform, templateId) {
+  if (!platform?.id) return null;
+
+  const guideId = platform.headless && platform.id !== 'commercetools' ? 'headless' : platform.id;
+  const guide = PLATFORM_GUIDES[guideId];
+  const topic = guide?.topics[getTopic(templateId)];
+  if (!topic) return null;
+
+  return {
+    platform: guideId,
+    name: guideId === 'headless' && platform.id !== 'headless' ? `${platform.name} (headless)` : platform.name,
+    effort: topic.effort,
+    steps: topic.steps
+  };
+}
+
+function getTopic(templateId) {
+  if (TEMPLATE_TOPICS[templateId]) return TEMPLATE_TOPICS[templateId];
+  if (templateId.startsWith('variant-')) return 'productSchema';
+  if (templateId.startsWith('vertical-')) return 'productContent';
+  return null;
+}
@@ -5,6 +5,8 @@
 
 import { calculatePriority, RECOMMENDATION_TEMPLATES } from './recommendation-rules.js';
 import { getContextMultiplier } from '../scoring/weights.js';
+import { generateProductSchema } from './schema-generator.js';
+import { getPlatformGuide } from './platform-guides.js';
 
 /**
  * Recommendation Engine class
@@ -20,6 +22,12 @@ export class RecommendationEngine {
     this.extractedData = extractedData;
     this.imageVerification = imageVerification;
     this.context = scoreResult.context || 'hybrid';
+    // Fingerprinted commerce platform (Shopify, SFCC, ...) for stack-specific steps
+    this.platform = extractedData.platform || null;
+    // Multipliers the score was calculated with (from the scoring profile)
+    this.multipliers = scoreResult.multipliers
+      ? { [this.context]: scoreResult.multipliers }
+      : undefined;
   }
 
   /**
@@ -41,6 +49,19 @@ export class RecommendationEngine {
     return this.prioritizeRecommendations(recommendations);
   }
 
+  /**
+   * Whether the scoring profile left a factor switched on; every check
+   * below skips its advice when the factor it belongs to is disabled
+   * @param {string} category - Category key (e.g. 'protocolMeta')
+   * @param {string} factorName - Factor name as scored
+   * @returns {boolean} False only when the factor was scored with zero weight
+   */
+  isFactorEnabled(category, factorName) {
+    const factor = (this.scoreResult.categoryScores?.[category]?.factors || [])
+      .find(f => f.name === factorName);
+    return !factor?.disabled;
+  }
+
   /**
    * Check Protocol & Meta issues
    */
@@ -52,17 +73,27 @@ export class RecommendationEngine {
     const canonical = this.extractedData.metaTags?.canonical || {};
     const standard = this.extractedData.metaTags?.standard || {};
 
-    // CRITICAL: Robots blocking
-    if (robots.isBlocked) {
-      recs.push(this.createRecommendation('robots-blocking'));
+    const protocolFactors = this.scoreResult.categoryScores?.protocolMeta?.factors || [];
+    const indexFactor = protocolFactors.find(f => f.name === 'Robots Allows Indexing');
+    const snippetFactor = protocolFactors.find(f => f.name === 'Snippet Eligibility');
+
+    // CRITICAL: Robots blocking (meta tags or X-Robots-Tag header)
+    if ((robots.isBlocked || indexFactor?.status === 'fail') && !indexFactor?.disabled) {
+      recs.push(this.createRecommendation('robots-blocking', { currentState: indexFactor?.details }));
+    }
+
+    if (snippetFactor && snippetFactor.status !== 'pass' && !snippetFactor.disabled) {
+      recs.push(this.createRecommendation('snippet-restricted', { currentState: snippetFactor.details }));
     }
 
     // CRITICAL: og:image missing
     if (!og.image) {
-      recs.push(this.createRecommendation('og-image-missing'));
+      if (this.isFactorEnabled('protocolMeta', 'og:image Present')) {
+        recs.push(this.createRecommendation('og-image-missing'));
+      }
     } else {
       // CRITICAL: og:image is WebP
-      if (this.imageVerification?.isWebP) {
+      if (this.imageVerification?.isWebP && this.isFactorEnabled('protocolMeta', 'og:image Format')) {
         recs.push(this.createRecommendation('og-image-webp', {
           currentUrl: og.image,
           currentFormat: 'WebP'
@@ -71,22 +102,22 @@ export class RecommendationEngine {
     }
 
     // og:title missing
-    if (!og.title) {
+    if (!og.title && this.isFactorEnabled('protocolMeta', 'og:title')) {
       recs.push(this.createRecommendation('og-title-missing'));
     }
 
     // og:description missing
-    if (!og.description) {
+    if (!og.description && this.isFactorEnabled('protocolMeta', 'og:description')) {
       recs.push(this.createRecommendation('og-description-missing'));
     }
 
     // Twitter Card missing
-    if (!twitter.card) {
+    if (!twitter.card && this.isFactorEnabled('protocolMeta', 'Twitter Card')) {
       recs.push(this.createRecommendation('twitter-card-missing'));
     }
 
     // Canonical URL issues
-    if (!canonical.present) {
+    if (!canonical.present && this.isFactorEnabled('protocolMeta', 'Canonical URL')) {
       recs.push({
         id: 'canonical-missing',
         title: 'Add canonical URL',
@@ -99,7 +130,7 @@ export class RecommendationEngine {
     }
 
     // Meta description missing
-    if (!standard.description) {
+    if (!standard.description && this.isFactorEnabled('protocolMeta', 'Meta Description')) {
       recs.push({
         id: 'meta-description-missing',
         title: 'Add meta description',
@@ -122,17 +153,44 @@ export class RecommendationEngine {
     const schemas = this.extractedData.structuredData?.schemas || {};
 
     // Product schema missing
-    if (!schemas.product) {
-      recs.push(this.createRecommendation('product-schema-missing'));
+    if (!schemas.product && this.isFactorEnabled('structuredData', 'Product Schema')) {
+      recs.push(this.createRecommendation('product-schema-missing', {
+        generatedSchema: generateProductSchema(this.extractedData)
+      }));
     }
 
     // Offer schema missing (if Product exists but no Offer)
-    if (schemas.product && !schemas.offer) {
-      recs.push(this.createRecommendation('offer-schema-missing'));
+    if (schemas.product && !schemas.offer && this.isFactorEnabled('structuredData', 'Offer Schema')) {
+      recs.push(this.createRecommendation('offer-schema-missing', {
+        generatedSchema: generateProductSchema(this.extractedData)
+      }));
+    }
+
+    // Schema claims that contradict the page (one recommendation per template)
+    const consistencyFactor = (this.scoreResult.categoryScores?.structuredData?.factors || [])
+      .find(factor => factor.name === 'Schema Matches Page');
+    if (consistencyFactor && !consistencyFactor.disabled) {
+      const mismatchesByTemplate = {};
+      (consistencyFactor.consistency || [])
+        .filter(check => check.status === 'mismatch')
+        .forEach(check => {
+          if (!mismatchesByTemplate[check.recommendation]) mismatchesByTemplate[check.recommendation] = [];
+          mismatchesByTemplate[check.recommendation].push(`${check.label}: schema ${check.schemaValue}, page ${check.pageValue}`);
+        });
+      Object.entries(mismatchesByTemplate).forEach(([templateId, states]) => {
+        recs.push(this.createRecommendation(templateId, { currentState: states.join('; ') }));
+      });
     }
 
+    // ProductGroup variant gaps (scored separately from the total)
+    (this.scoreResult.variants?.factors || [])
+      .filter(factor => factor.status !== 'pass')
+      .forEach(factor => {
+        recs.push(this.createRecommendation(factor.recommendation, { currentState: factor.details }));
+      });
+
     // Rating schema missing (if reviews exist but no schema)
-    if (!schemas.aggregateRating) {
+    if (!schemas.aggregateRating && this.isFactorEnabled('structuredData', 'AggregateRating Schema')) {
       const reviews = this.extractedData.trustSignals?.reviews || {};
       if (reviews.count > 0) {
         recs.push(this.createRecommendation('rating-schema-missing'));
@@ -141,9 +199,10 @@ export class RecommendationEngine {
 
     // FAQ schema missing (if FAQ content exists but no schema)
     const faqContent = this.extractedData.contentQuality?.faq || {};
-    if (!schemas.faq && faqContent.count > 0) {
+    const faqSchemaEnabled = this.isFactorEnabled('structuredData', 'FAQ Schema');
+    if (!schemas.faq && faqSchemaEnabled && faqContent.count > 0) {
       recs.push(this.createRecommendation('faq-schema-missing'));
-    } else if (!schemas.faq && faqContent.count === 0) {
+    } else if (!schemas.faq && faqSchemaEnabled && faqContent.count === 0) {
       // No FAQ content and no schema - recommend adding both
       recs.push({
         id: 'faq-schema-and-content-missing',
@@ -158,7 +217,7 @@ export class RecommendationEngine {
     }
 
     // Breadcrumb schema missing
-    if (!schemas.breadcrumb) {
+    if (!schemas.breadcrumb && this.isFactorEnabled('structuredData', 'Breadcrumb Schema')) {
       recs.push(this.createRecommendation('breadcrumb-schema-missing'));
     }
 
@@ -177,7 +236,7 @@ export class RecommendationEngine {
     const details = this.extractedData.contentQuality?.productDetails || {};
 
     // Description too short (< 100 words)
-    if (desc.wordCount < 100) {
+    if (desc.wordCount < 100 && this.isFactorEnabled('contentQuality', 'Description Length')) {
       const template = RECOMMENDATION_TEMPLATES['description-short'];
       recs.push({
         ...template,
@@ -189,9 +248,9 @@ export class RecommendationEngine {
     }
 
     // Specifications missing or low
-    if (specs.count < 5) {
+    if (specs.count < 5 && this.isFactorEnabled('contentQuality', 'Specifications')) {
       // Contextual - more important for "need" context
-      const multiplier = getContextMultiplier(this.context, 'technicalSpecifications');
+      const multiplier = getContextMultiplier(this.context, 'technicalSpecifications', this.multipliers);
       const impact = multiplier > 1 ? 'high' : 'medium';
 
       recs.push({
@@ -209,18 +268,18 @@ export class RecommendationEngine {
     }
 
     // Features missing
-    if (features.count < 3) {
+    if (features.count < 3 && this.isFactorEnabled('contentQuality', 'Features List')) {
       recs.push(this.createRecommendation('features-missing'));
     }
 
     // FAQ content missing (skip if count === 0 — faq-schema-and-content-missing already covers that case)
-    if (faq.count > 0 && faq.count < 3) {
+    if (faq.count > 0 && faq.count < 3 && this.isFactorEnabled('contentQuality', 'FAQ Section')) {
       recs.push(this.createRecommendation('faq-content-missing'));
     }
 
     // Compatibility info missing (more important for "need" context)
-    if (!details.hasCompatibility) {
-      const multiplier = getContextMultiplier(this.context, 'compatibilityInfo');
+    if (!details.hasCompatibility && this.isFactorEnabled('contentQuality', 'Compatibility Information')) {
+      const multiplier = getContextMultiplier(this.context, 'compatibilityInfo', this.multipliers);
       if (multiplier > 1) {
         recs.push({
           ...this.createRecommendation('compatibility-missing'),
@@ -233,8 +292,8 @@ export class RecommendationEngine {
     }
 
     // Warranty info missing (more important for "need" context)
-    if (!details.hasWarranty) {
-      const multiplier = getContextMultiplier(this.context, 'warrantyInfo');
+    if (!details.hasWarranty && this.isFactorEnabled('contentQuality', 'Warranty Information')) {
+      const multiplier = getContextMultiplier(this.context, 'warrantyInfo', this.multipliers);
       const impact = multiplier > 1 ? 'medium' : 'low';
 
       recs.push({
@@ -249,6 +308,16 @@ export class RecommendationEngine {
       });
     }
 
+    // Vertical-specific checks that failed (only present when a vertical is active)
+    (this.scoreResult.categoryScores?.contentQuality?.factors || [])
+      .filter(factor => factor.vertical && factor.status === 'fail' && factor.recommendation && !factor.disabled)
+      .forEach(factor => {
+        recs.push(this.createRecommendation(factor.recommendation, {
+          vertical: factor.vertical,
+          currentState: factor.details
+        }));
+      });
+
     return recs;
   }
 
@@ -262,27 +331,28 @@ export class RecommendationEngine {
     const images = this.extractedData.contentStructure?.images || {};
 
     // H1 missing
-    if (!headings.hasH1) {
+    const h1Enabled = this.isFactorEnabled('contentStructure', 'H1 Heading');
+    if (!headings.hasH1 && h1Enabled) {
       recs.push(this.createRecommendation('h1-missing'));
     }
 
     // Multiple H1s
-    if (headings.h1?.count > 1) {
+    if (headings.h1?.count > 1 && h1Enabled) {
       recs.push(this.createRecommendation('multiple-h1'));
     }
 
     // Semantic HTML missing
-    if (!semantic.hasMain && !semantic.hasArticle) {
+    if (!semantic.hasMain && !semantic.hasArticle && this.isFactorEnabled('contentStructure', 'Semantic HTML')) {
       recs.push(this.createRecommendation('semantic-html-missing'));
     }
 
     // Primary image alt missing
-    if (images.primaryImage && !images.primaryImage.hasAlt) {
+    if (images.primaryImage && !images.primaryImage.hasAlt && this.isFactorEnabled('contentStructure', 'Primary Image Alt Text')) {
       recs.push(this.createRecommendation('primary-image-alt-missing'));
     }
 
     // Low image alt coverage
-    if (images.altCoverage < 0.8 && images.totalCount > 3) {
+    if (images.altCoverage < 0.8 && images.totalCount > 3 && this.isFactorEnabled('contentStructure', 'Image Alt Coverage')) {
       recs.push({
         ...this.createRecommendation('images-alt-low'),
         currentState: `${Math.round(images.altCoverage * 100)}% coverage`,
@@ -290,8 +360,19 @@ export class RecommendationEngine {
       });
     }
 
+    // Content that deep extraction only found after opening tabs/accordions
+    const revealed = this.extractedData.deepExtraction?.revealed || {};
+    const interactionOnly = Object.entries(revealed)
+      .filter(([, section]) => section.after > section.before)
+      .map(([key, section]) => `${section.after - section.before} ${key}`);
+    if (interactionOnly.length > 0) {
+      recs.push(this.createRecommendation('content-behind-interaction', {
+        currentState: `Only after interaction: ${interactionOnly.join(', ')}`
+      }));
+    }
+
     // Heading hierarchy issues
-    if (headings.hierarchyIssues?.length > 0) {
+    if (headings.hierarchyIssues?.length > 0 && this.isFactorEnabled('contentStructure', 'Heading Hierarchy')) {
       recs.push({
         id: 'heading-hierarchy',
         title: 'Fix heading hierarchy',
@@ -317,11 +398,12 @@ export class RecommendationEngine {
     const certs = this.extractedData.trustSignals?.certifications || {};
 
     // No reviews
-    if (!reviews.hasReviews || reviews.count === 0) {
+    const reviewCountEnabled = this.isFactorEnabled('authorityTrust', 'Review Count');
+    if ((!reviews.hasReviews || reviews.count === 0) && reviewCountEnabled) {
       recs.push(this.createRecommendation('reviews-missing'));
-    } else if (reviews.count < 10) {
+    } else if (reviews.count < 10 && reviewCountEnabled) {
       // Low review count - contextual importance
-      const multiplier = getContextMultiplier(this.context, 'reviewCount');
+      const multiplier = getContextMultiplier(this.context, 'reviewCount', this.multipliers);
       const impact = multiplier > 1 ? 'high' : 'medium';
 
       recs.push({
@@ -334,9 +416,10 @@ export class RecommendationEngine {
     }
 
     // Brand unclear
-    if (!brand.name || brand.clarity === 'missing') {
+    const brandEnabled = this.isFactorEnabled('authorityTrust', 'Brand Clarity');
+    if ((!brand.name || brand.clarity === 'missing') && brandEnabled) {
       recs.push(this.createRecommendation('brand-unclear'));
-    } else if (brand.clarity === 'present' && !brand.inH1 && !brand.inTitle) {
+    } else if (brand.clarity === 'present' && !brand.inH1 && !brand.inTitle && brandEnabled) {
       recs.push({
         id: 'brand-visibility',
         title: 'Improve brand visibility',
@@ -349,8 +432,8 @@ export class RecommendationEngine {
     }
 
     // Certifications missing (more important for "need" context)
-    if (!certs.found) {
-      const multiplier = getContextMultiplier(this.context, 'certifications');
+    if (!certs.found && this.isFactorEnabled('authorityTrust', 'Certifications')) {
+      const multiplier = getContextMultiplier(this.context, 'certifications', this.multipliers);
       if (multiplier > 1) {
         recs.push({
           ...this.createRecommendation('certifications-missing'),
@@ -372,28 +455,65 @@ export class RecommendationEngine {
     const aiDisc = this.scoreResult.categoryScores?.aiDiscoverability;
     if (!aiDisc) return recs;
 
+    if (aiDisc.usagePolicy?.conflicts?.length > 0) {
+      recs.push(this.createRecommendation('ai-policy-conflict', {
+        currentState: aiDisc.usagePolicy.conflicts.join('; ')
+      }));
+    }
+
     for (const factor of aiDisc.factors || []) {
-      if (factor.name === 'AI Crawler Access' && factor.status === 'fail') {
+      if (factor.name === 'AI Crawler Access' && factor.wafBlockedCrawlers?.length > 0 && !factor.disabled) {
+        // The score drop comes from the CDN/WAF, so robots.txt advice would mislead
+        recs.push(this.createRecommendation('ai-crawler-waf-blocked', {
+          currentState: `Blocked at the CDN/WAF: ${factor.wafBlockedCrawlers.join(', ')}`
+        }));
+      } else if (factor.name === 'AI Crawler Access' && factor.status === 'fail' && !factor.disabled) {
         recs.push(this.createRecommendation('ai-crawler-blocked'));
-      } else if (factor.name === 'AI Crawler Access' && factor.status === 'warning' && factor.points < factor.maxPoints * 0.5) {
+      } else if (factor.name === 'AI Crawler Access' && factor.status === 'warning' && factor.points < factor.maxPoints * 0.5 && !factor.disabled) {
         recs.push(this.createRecommendation('ai-crawler-blocked'));
       }
 
-      if (factor.name === 'Entity Consistency' && (factor.status === 'fail' || factor.status === 'warning')) {
+      if (factor.name === 'Entity Consistency' && (factor.status === 'fail' || factor.status === 'warning') && !factor.disabled) {
         recs.push(this.createRecommendation('entity-consistency-low'));
       }
 
-      if (factor.name === 'Answer-Format Content' && factor.status === 'fail') {
+      if (factor.name === 'Answer-Format Content' && factor.status === 'fail' && !factor.disabled) {
         recs.push(this.createRecommendation('answer-format-missing'));
       }
 
-      if (factor.name === 'Product Identifiers' && factor.status === 'fail') {
+      if (factor.name === 'Product Identifiers' && factor.status === 'fail' && !factor.disabled) {
         recs.push(this.createRecommendation('product-identifiers-missing'));
       }
 
-      if (factor.name === 'llms.txt Presence' && factor.status === 'fail') {
+      if (factor.name === 'llms.txt Presence' && factor.llms?.found) {
+        const problems = [
+          ...factor.llms.issues.map(issue => (issue.line ? `Line ${issue.line}: ${issue.message}` : issue.message)),
+          ...factor.llms.brokenLinks.map(link => `Broken link (${link.status || link.error}): ${link.url}`)
+        ];
+        if (problems.length > 0 && !factor.disabled) {
+          recs.push(this.createRecommendation('llms-txt-invalid', {
+            details: problems.slice(0, 5).join('; ') + (problems.length > 5 ? `; +${problems.length - 5} more` : '')
+          }));
+        }
+      } else if (factor.name === 'llms.txt Presence' && factor.status === 'fail' && !factor.disabled) {
         recs.push(this.createRecommendation('llms-txt-missing'));
       }
+
+      if (factor.name === 'Content Freshness' && !factor.disabled) {
+        const freshness = factor.freshness || {};
+        if (freshness.state === 'missing') {
+          recs.push(this.createRecommendation('content-freshness-missing'));
+        } else if (freshness.state === 'stale' || freshness.state === 'aging') {
+          recs.push(this.createRecommendation('content-freshness-stale', {
+            currentState: `Last updated ${freshness.ageDays} days ago (${freshness.source})`
+          }));
+        }
+        if (freshness.conflicts?.length > 0) {
+          recs.push(this.createRecommendation('content-freshness-conflict', {
+            details: freshness.conflicts.join('; ')
+          }));
+        }
+      }
     }
 
     return recs;
@@ -421,6 +541,7 @@ export class RecommendationEngine {
       category: template.category,
       priority: calculatePriority(template.impact, template.effort),
       implementation: template.implementation,
+      platformGuide: getPlatformGuide(this.platform, templateId),
       ...extras
     };
   }
@@ -81,11 +81,20 @@ export const RECOMMENDATION_TEMPLATES = {
 
   'robots-blocking': {
     title: 'Remove noindex directive',
-    description: 'Page is blocked from indexing by robots meta tag, preventing LLMs from accessing content.',
+    description: 'Page is blocked from indexing by a robots meta tag or X-Robots-Tag header, preventing LLMs from accessing content.',
     impact: 'high',
     effort: 'low',
     category: 'protocolMeta',
-    implementation: 'Remove the noindex value from the robots meta tag, or remove the tag entirely if not needed.'
+    implementation: 'Remove the noindex value from the robots meta tag, or remove the tag entirely if not needed. Check the X-Robots-Tag response header too (set in the web server, CDN, or platform config), including bot-scoped values like "googlebot: noindex", and remove expired unavailable_after dates.'
+  },
+
+  'snippet-restricted': {
+    title: 'Let search and AI answers quote this page',
+    description: 'Snippet directives (nosnippet, a low max-snippet, max-image-preview:none, noai) or data-nosnippet around key product content stop search results and AI answers from quoting the page.',
+    impact: 'medium',
+    effort: 'low',
+    category: 'protocolMeta',
+    implementation: 'Remove nosnippet and noai from the robots meta tag and X-Robots-Tag header, raise max-snippet to -1 (no limit), and set max-image-preview:large. Keep data-nosnippet for boilerplate such as legal text, not the title, price, description, or reviews.'
   },
 
   'og-title-missing': {
@@ -134,6 +143,106 @@ export const RECOMMENDATION_TEMPLATES = {
     implementation: 'Add Offer schema nested in Product schema with: price, priceCurrency (e.g., "USD"), availability (e.g., "https://schema.org/InStock").'
   },
 
+  // Schema claims that contradict the visible page
+  'schema-price-mismatch': {
+    title: 'Fix price in schema to match the page',
+    description: 'The Offer price or currency in structured data differs from the price shoppers see. Google and AI answer engines distrust (and may drop) markup that contradicts the page.',
+    impact: 'high',
+    effort: 'low',
+    category: 'structuredData',
+    implementation: 'Render Offer.price and priceCurrency from the same data source as the visible price (not a cached feed), and update them when a sale or variant price is shown.'
+  },
+
+  'schema-availability-mismatch': {
+    title: 'Fix availability in schema to match the page',
+    description: 'Offer.availability says one thing while the page shows another (e.g. InStock vs "Sold out"). Assistants will tell shoppers the wrong stock status.',
+    impact: 'high',
+    effort: 'low',
+    category: 'structuredData',
+    implementation: 'Set Offer.availability from live inventory (https://schema.org/InStock, OutOfStock, PreOrder, ...) and regenerate it whenever the add-to-cart state changes.'
+  },
+
+  'schema-rating-mismatch': {
+    title: 'Sync AggregateRating with the review widget',
+    description: 'The ratingValue or reviewCount in schema differs from what the review widget displays, which usually means stale markup.',
+    impact: 'medium',
+    effort: 'low',
+    category: 'structuredData',
+    implementation: 'Output AggregateRating from the review platform\'s current summary (most platforms provide a server-side snippet or API) instead of a hard-coded or cached value.'
+  },
+
+  'schema-name-mismatch': {
+    title: 'Align Product name with the H1',
+    description: 'The Product schema name and the page H1 describe different products or variants, so LLMs can\'t be sure which product the markup refers to.',
+    impact: 'medium',
+    effort: 'low',
+    category: 'structuredData',
+    implementation: 'Use the same product title for the H1 and Product.name; variant-specific names belong on the variant\'s own Product entity.'
+  },
+
+  'schema-image-mismatch': {
+    title: 'Use gallery images in Product schema',
+    description: 'The Product schema image isn\'t one of the images in the product gallery, so the markup may point to a placeholder or another product.',
+    impact: 'low',
+    effort: 'low',
+    category: 'structuredData',
+    implementation: 'Set Product.image to the main gallery image URL(s), ideally the same JPEG/PNG used for og:image.'
+  },
+
+  'variant-group-incomplete': {
+    title: 'Complete the ProductGroup markup',
+    description: 'Without productGroupID, variesBy, and hasVariant, LLMs and shopping surfaces can\'t tell that the variants belong to one product or which attributes they differ by.',
+    impact: 'medium',
+    effort: 'low',
+    category: 'structuredData',
+    implementation: 'Mark up the parent as ProductGroup with productGroupID, variesBy (e.g. https://schema.org/color, https://schema.org/size), and hasVariant listing each variant Product. Variant pages can point back with isVariantOf.'
+  },
+
+  'variant-offers-missing': {
+    title: 'Give every variant its own Offer',
+    description: 'Variants without an Offer price leave AI shopping answers guessing what each color or size costs and whether it is in stock.',
+    impact: 'high',
+    effort: 'medium',
+    category: 'structuredData',
+    implementation: 'Add offers to each hasVariant Product with price, priceCurrency, availability, and the variant URL (e.g. ?variant=123).'
+  },
+
+  'variant-identifiers-shared': {
+    title: 'Use a unique SKU and GTIN per variant',
+    description: 'Variants that share or lack identifiers get merged or dropped when products are matched across retailers.',
+    impact: 'medium',
+    effort: 'low',
+    category: 'structuredData',
+    implementation: 'Output each variant\'s own sku and gtin (from the variant record, not the parent product) in its hasVariant entry.'
+  },
+
+  'variant-attributes-missing': {
+    title: 'State each variant\'s attributes',
+    description: 'Variants need the attributes listed in variesBy so LLMs can answer "is this available in blue, size M?".',
+    impact: 'medium',
+    effort: 'low',
+    category: 'structuredData',
+    implementation: 'Add color, size, material, or pattern to every variant Product, matching the values in the variant picker.'
+  },
+
+  'variant-images-missing': {
+    title: 'Add an image to each variant',
+    description: 'Variant images let shopping surfaces show the right color instead of the default product photo.',
+    impact: 'low',
+    effort: 'low',
+    category: 'structuredData',
+    implementation: 'Set image on each hasVariant Product to that variant\'s main gallery image.'
+  },
+
+  'variant-selected-mismatch': {
+    title: 'Match the selected variant in schema',
+    description: 'The variant selected in the URL isn\'t in the schema or shows a different price, so crawlers landing on the variant URL see contradictory data.',
+    impact: 'high',
+    effort: 'medium',
+    category: 'structuredData',
+    implementation: 'Include the selected variant in hasVariant with its URL or sku, and render its price in both the page and its Offer.'
+  },
+
   'rating-schema-missing': {
     title: 'Add AggregateRating schema',
     description: 'Rating schema helps LLMs provide review information when recommending products.',
@@ -207,6 +316,160 @@ export const RECOMMENDATION_TEMPLATES = {
     implementation: 'Add a section listing compatible devices, systems, or products. Be specific about versions and models.'
   },
 
+  // Vertical-specific content (only when a vertical profile is active)
+  'vertical-size-chart-missing': {
+    title: 'Add a size chart',
+    description: 'Apparel shoppers ask assistants "what size should I get?". Without a size chart LLMs can\'t answer.',
+    impact: 'high',
+    effort: 'low',
+    category: 'contentQuality',
+    implementation: 'Link a size guide from the size selector and render the measurements (chest, waist, inseam by size) as an HTML table on the page.'
+  },
+
+  'vertical-fit-notes-missing': {
+    title: 'Add fit notes',
+    description: 'Fit guidance ("runs small", "relaxed fit", model height and size) answers the most common apparel questions.',
+    impact: 'medium',
+    effort: 'low',
+    category: 'contentQuality',
+    implementation: 'Add a short fit line near the size selector, e.g. "Fits true to size. Model is 6\'1" and wears size M."'
+  },
+
+  'vertical-color-options-missing': {
+    title: 'Name available colors in text',
+    description: 'Color swatches without text labels are invisible to LLMs.',
+    impact: 'low',
+    effort: 'low',
+    category: 'contentQuality',
+    implementation: 'Label each swatch with its color name and list available colors in text (and in Product schema `color`).'
+  },
+
+  'vertical-compatibility-matrix-missing': {
+    title: 'Add a compatibility matrix',
+    description: 'Electronics questions are often "does this work with X?". A table of supported devices and versions answers them directly.',
+    impact: 'high',
+    effort: 'medium',
+    category: 'contentQuality',
+    implementation: 'Add an HTML table listing compatible devices, OS versions, or models with a clear yes/no or notes column.'
+  },
+
+  'vertical-connectivity-missing': {
+    title: 'List connectivity specs',
+    description: 'Ports and wireless standards (Bluetooth version, Wi-Fi, USB-C, HDMI) are key comparison points for electronics.',
+    impact: 'medium',
+    effort: 'low',
+    category: 'contentQuality',
+    implementation: 'Add ports and wireless standards with versions to the specifications table.'
+  },
+
+  'vertical-power-specs-missing': {
+    title: 'Add power and battery specs',
+    description: 'Battery life, capacity, and wattage are among the most-asked electronics questions.',
+    impact: 'medium',
+    effort: 'low',
+    category: 'contentQuality',
+    implementation: 'State battery capacity (mAh/Wh), rated battery life, charging wattage, and input voltage in the specifications.'
+  },
+
+  'vertical-ingredients-missing': {
+    title: 'Publish the full ingredients list',
+    description: 'Ingredient questions (allergies, diets, INCI for cosmetics) can\'t be answered from images of packaging.',
+    impact: 'high',
+    effort: 'low',
+    category: 'contentQuality',
+    implementation: 'Add the ingredients as text under an "Ingredients" heading, in the same order as the label.'
+  },
+
+  'vertical-nutrition-missing': {
+    title: 'Add nutrition facts as text',
+    description: 'Nutrition panels shown only as images are invisible to LLMs answering dietary questions.',
+    impact: 'high',
+    effort: 'low',
+    category: 'contentQuality',
+    implementation: 'Render the nutrition panel as an HTML table (serving size, calories, macros) and consider NutritionInformation schema.'
+  },
+
+  'vertical-allergens-missing': {
+    title: 'State allergen information',
+    description: 'Allergen statements ("Contains: milk, soy") are safety-critical and frequently asked.',
+    impact: 'medium',
+    effort: 'low',
+    category: 'contentQuality',
+    implementation: 'Add "Contains" and "May contain" statements and dietary claims (gluten-free, vegan) as text.'
+  },
+
+  'vertical-skin-type-missing': {
+    title: 'Say who the product is for',
+    description: 'Beauty queries usually include a skin or hair type ("best serum for oily skin").',
+    impact: 'medium',
+    effort: 'low',
+    category: 'contentQuality',
+    implementation: 'Add a "Suitable for" line naming skin or hair types and concerns the product addresses.'
+  },
+
+  'vertical-usage-missing': {
+    title: 'Add how-to-use directions',
+    description: 'Application steps help LLMs answer "how do I use this?" and routine-building questions.',
+    impact: 'medium',
+    effort: 'low',
+    category: 'contentQuality',
+    implementation: 'Add a "How to Use" section with numbered steps, frequency, and any warnings.'
+  },
+
+  'vertical-detailed-dimensions-missing': {
+    title: 'Add detailed furniture dimensions',
+    description: 'Overall W×D×H alone doesn\'t answer "will this fit?" questions about seat height, clearance, or doorways.',
+    impact: 'high',
+    effort: 'low',
+    category: 'contentQuality',
+    implementation: 'List overall, seat/arm/leg heights, and package dimensions in a dimensions table.'
+  },
+
+  'vertical-assembly-missing': {
+    title: 'Describe assembly',
+    description: 'Shoppers and assistants want to know whether assembly is required, how long it takes, and what tools are needed.',
+    impact: 'medium',
+    effort: 'low',
+    category: 'contentQuality',
+    implementation: 'State "Assembly required/not required", estimated time, tools included, and link the assembly instructions.'
+  },
+
+  'vertical-weight-capacity-missing': {
+    title: 'State weight capacity',
+    description: 'Load ratings are a common safety and comparison question for chairs, beds, and shelving.',
+    impact: 'medium',
+    effort: 'low',
+    category: 'contentQuality',
+    implementation: 'Add the maximum weight capacity per seat, shelf, or unit to the specifications.'
+  },
+
+  'vertical-part-number-missing': {
+    title: 'Show manufacturer part numbers',
+    description: 'B2B buyers search by MPN and cross-reference numbers; without them LLMs can\'t match the part.',
+    impact: 'high',
+    effort: 'low',
+    category: 'contentQuality',
+    implementation: 'Display the manufacturer part number and any cross-reference/replacement numbers as text, and add `mpn` to Product schema.'
+  },
+
+  'vertical-technical-docs-missing': {
+    title: 'Link technical documents',
+    description: 'Spec sheets, CAD files, and manuals are what engineers need to approve a part.',
+    impact: 'medium',
+    effort: 'low',
+    category: 'contentQuality',
+    implementation: 'Link datasheets, CAD drawings, installation guides, and SDS documents from the product page with descriptive link text.'
+  },
+
+  'vertical-bulk-pricing-missing': {
+    title: 'Publish volume pricing',
+    description: 'Tiered pricing and minimum order quantities are central to B2B purchase questions.',
+    impact: 'low',
+    effort: 'medium',
+    category: 'contentQuality',
+    implementation: 'Show quantity price breaks and MOQ as text or a table; consider `priceSpecification` with eligibleQuantity in Offer schema.'
+  },
+
   // Content Structure
   'h1-missing': {
     title: 'Add H1 heading',
@@ -226,6 +489,15 @@ export const RECOMMENDATION_TEMPLATES = {
     implementation: 'Keep only one &lt;h1&gt; for the product name. Convert other H1s to H2 or lower.'
   },
 
+  'content-behind-interaction': {
+    title: 'Render tab and accordion content in the initial HTML',
+    description: 'Some specs, features, FAQs, or reviews only appeared after opening tabs or accordions. Crawlers and LLM fetchers don\'t click, so they may never see this content.',
+    impact: 'medium',
+    effort: 'medium',
+    category: 'contentStructure',
+    implementation: 'Keep collapsed content in the DOM on page load (hidden with CSS, &lt;details&gt;, or the hidden attribute) instead of fetching or rendering it when the tab or accordion is opened.'
+  },
+
   'semantic-html-missing': {
     title: 'Use semantic HTML elements',
     description: 'Semantic HTML helps LLMs understand content structure and importance.',
@@ -293,11 +565,20 @@ export const RECOMMENDATION_TEMPLATES = {
   // AI Discoverability
   'ai-crawler-blocked': {
     title: 'Allow AI crawlers in robots.txt',
-    description: 'Major AI crawlers (GPTBot, ClaudeBot, PerplexityBot) are blocked in robots.txt, preventing AI systems from discovering and citing your product content.',
+    description: 'Major AI crawlers (GPTBot, ClaudeBot, PerplexityBot) are blocked from this page in robots.txt, preventing AI systems from discovering and citing your product content.',
     impact: 'high',
     effort: 'low',
     category: 'aiDiscoverability',
-    implementation: 'Update your robots.txt to allow AI crawlers. Remove or modify Disallow rules for User-agent: GPTBot, ChatGPT-User, ClaudeBot, Claude-Web, Anthropic-AI, PerplexityBot, Google-Extended. Consider allowing at least read-only access for product pages.'
+    implementation: 'Update your robots.txt to allow AI crawlers. Remove or modify Disallow rules for User-agent: GPTBot, ChatGPT-User, ClaudeBot, Claude-Web, Anthropic-AI, PerplexityBot, Google-Extended. Check path-specific rules too: Disallow lines covering /products/ or query-string URLs (e.g., /*?) block product pages even when the site root is allowed.'
+  },
+
+  'ai-crawler-waf-blocked': {
+    title: 'Let AI crawlers past your CDN/WAF',
+    description: 'robots.txt allows these AI crawlers, but requests with their user-agents get a 403, a bot challenge, or stripped HTML from your CDN or firewall. The crawlers never see the product content robots.txt invites them to read.',
+    impact: 'high',
+    effort: 'medium',
+    category: 'aiDiscoverability',
+    implementation: 'Review bot rules in your CDN/WAF (Cloudflare Bot Fight Mode / AI Scrapers and Crawlers, Akamai Bot Manager, custom user-agent rules). Allow the verified AI crawlers you want, such as OpenAI, Anthropic, and Perplexity, which publish their IP ranges, and serve them the same HTML as browsers, including the Product JSON-LD.'
   },
 
   'llms-txt-missing': {
@@ -309,6 +590,24 @@ export const RECOMMENDATION_TEMPLATES = {
     implementation: 'Create /llms.txt at your domain root with site description, key content areas, and AI-friendly guidelines. Optionally create /llms-full.txt with more detailed instructions. See llmstxt.org for the specification.'
   },
 
+  'llms-txt-invalid': {
+    title: 'Fix llms.txt structure and links',
+    description: 'Your llms.txt exists but doesn\'t follow the llms.txt format or links to URLs that don\'t resolve. AI systems that read it get an incomplete or misleading map of your site.',
+    impact: 'medium',
+    effort: 'low',
+    category: 'aiDiscoverability',
+    implementation: 'Serve /llms.txt as plain-text markdown: start with "# Site name", follow with a "> one-sentence summary" blockquote, then H2 sections ("## Products", "## Policies") whose entries are "- [Page title](https://url): short note". Put skippable links under "## Optional". Link your key category and product pages and remove or fix URLs that return errors.'
+  },
+
+  'ai-policy-conflict': {
+    title: 'Align AI usage declarations',
+    description: 'The site\'s AI and text-and-data-mining declarations (robots.txt, TDMRep, ai.txt, noai) contradict each other, so AI systems get different answers depending on which one they read. These are often set by legal and SEO teams independently.',
+    impact: 'medium',
+    effort: 'low',
+    category: 'aiDiscoverability',
+    implementation: 'Decide on one policy with legal and SEO, then make every declaration match it: User-agent rules for training crawlers in robots.txt, tdm-reservation in /.well-known/tdmrep.json, the tdm-reservation header and meta tag, /ai.txt, and noai robots directives.'
+  },
+
   'entity-consistency-low': {
     title: 'Align product name across page elements',
     description: 'The product name in your schema markup doesn\'t consistently match the H1, og:title, and meta description. LLMs cross-reference these elements to verify entity identity.',
@@ -334,6 +633,33 @@ export const RECOMMENDATION_TEMPLATES = {
     effort: 'low',
     category: 'aiDiscoverability',
     implementation: 'Add at least two of: gtin (UPC/EAN/ISBN barcode number), mpn (manufacturer part number), or sku to your Product schema markup. These identifiers help AI systems confidently identify and recommend specific products.'
+  },
+
+  'content-freshness-missing': {
+    title: 'Expose when the page was last updated',
+    description: 'No dateModified, visible "Updated on" date, or meaningful Last-Modified header was found. AI systems use these signals to judge whether pricing, availability, and specs are current.',
+    impact: 'medium',
+    effort: 'low',
+    category: 'aiDiscoverability',
+    implementation: 'Add "dateModified" to your Product or WebPage JSON-LD and update it whenever product content changes. Optionally show a visible "Updated on [date]" line and serve an accurate Last-Modified HTTP header instead of the response time.'
+  },
+
+  'content-freshness-stale': {
+    title: 'Refresh outdated product content',
+    description: 'The most recent update date on this page is more than 90 days old. LLMs favor recently maintained sources when answering questions about price, availability, and specifications.',
+    impact: 'medium',
+    effort: 'medium',
+    category: 'aiDiscoverability',
+    implementation: 'Review the description, specs, and FAQ for accuracy, then publish the changes and bump "dateModified" in your schema. Tie dateModified to real content edits rather than deploy times so the signal stays trustworthy.'
+  },
+
+  'content-freshness-conflict': {
+    title: 'Reconcile conflicting page dates',
+    description: 'Date signals on this page disagree (e.g., schema dateModified vs. visible "Updated" text vs. Last-Modified header, or a date in the future). Contradictory dates reduce confidence in the page\'s accuracy.',
+    impact: 'low',
+    effort: 'low',
+    category: 'aiDiscoverability',
+    implementation: 'Generate schema dateModified, article:modified_time, visible update text, and the Last-Modified header from the same source of truth. Ensure dateModified is never earlier than datePublished and never in the future.'
   }
 };
 
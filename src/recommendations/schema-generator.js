@@ -0,0 +1,203 @@
+/**
+ * Schema Generator
+ * Builds a ready-to-paste Product + Offer + AggregateRating JSON-LD block
+ * from values the page already shows
+ */
+
+/**
+ * Placeholder prefix for required values we couldn't find on the page
+ */
+export const MISSING_MARKER = 'TODO:';
+
+/**
+ * Fields Google requires for Product rich results and merchant listings
+ */
+const REQUIRED_FIELDS = {
+  name: 'product name',
+  image: 'absolute image URL',
+  'offers.price': 'numeric price, e.g. 49.99',
+  'offers.priceCurrency': 'ISO 4217 currency code, e.g. USD',
+  'offers.availability': 'https://schema.org/InStock (or OutOfStock, PreOrder, ...)'
+};
+
+/**
+ * Spec rows that hold identifiers or brand rather than product attributes
+ */
+const SPEC_FIELD_PATTERNS = {
+  brand: /^(brand|manufacturer)$/i,
+  sku: /^(sku|item (?:no\.?|number|#))$/i,
+  mpn: /^(mpn|model(?: (?:no\.?|number|#))?|(?:mfr\.? |manufacturer )?part (?:no\.?|number|#))$/i,
+  gtin: /^(gtin(?:-?\d{1,2})?|upc|ean|isbn(?:-1[03])?)$/i
+};
+
+/**
+ * Generate Product JSON-LD from extracted page data
+ * Visible page values win over any existing (incomplete) schema values.
+ * Required fields that can't be filled get a "TODO:" placeholder and are
+ * listed in `missing`; recommended fields that can't be filled are left
+ * out and listed in `omitted`.
+ * @param {Object} extractedData - Data from content script
+ * @returns {Object} { jsonLd, text, missing, omitted, sources }
+ */
+export function generateProductSchema(extractedData) {
+  const contentQuality = extractedData.contentQuality || {};
+  const existing = extractedData.structuredData?.schemas?.product || {};
+  const metaTags = extractedData.metaTags || {};
+  const headings = extractedData.contentStructure?.headings || {};
+  const reviews = extractedData.trustSignals?.reviews || {};
+  const specs = contentQuality.specifications?.items || [];
+  const identifiers = contentQuality.identifiers || {};
+
+  const sources = {};
+  const missing = [];
+  const omitted = [];
+
+  const pick = (field, candidates) => {
+    const found = candidates.find(candidate => hasValue(candidate.value));
+    if (found) sources[field] = found.source;
+    return found ? found.value : null;
+  };
+
+  const specValue = (field) => specs.find(spec => SPEC_FIELD_PATTERNS[field].test(String(spec.name).trim()))?.value;
+
+  const productSpecs = specs.filter(spec =>
+    !Object.values(SPEC_FIELD_PATTERNS).some(pattern => pattern.test(String(spec.name).trim()))
+  );
+
+  const name = pick('name', [
+    { value: headings.h1?.texts?.[0], source: 'H1' },
+    { value: existing.name, source: 'existing schema' },
+    { value: metaTags.openGraph?.title, source: 'og:title' }
+  ]);
+  const description = pick('description', [
+    { value: contentQuality.description?.text, source: 'description' },
+    { value: existing.description, source: 'existing schema' },
+    { value: metaTags.standard?.description, source: 'meta description' },
+    { value: metaTags.openGraph?.description, source: 'og:description' }
+  ]);
+  const image = pick('image', [
+    { value: metaTags.openGraph?.image, source: 'og:image' },
+    { value: existing.image, source: 'existing schema' },
+    { value: extractedData.contentStructure?.images?.primaryImage?.src, source: 'primary image' },
+    { value: metaTags.twitterCards?.image, source: 'twitter:image' }
+  ]);
+  const brand = pick('brand', [
+    { value: extractedData.trustSignals?.brand?.name, source: 'brand signals' },
+    { value: specValue('brand'), source: 'spec table' },
+    { value: existing.brand, source: 'existing schema' }
+  ]);
+  const sku = pick('sku', [
+    { value: identifiers.sku, source: identifiers.source?.sku ? `page ${identifiers.source.sku}` : null },
+    { value: specValue('sku'), source: 'spec table' },
+    { value: existing.sku, source: 'existing schema' }
+  ]);
+  const mpn = pick('mpn', [
+    { value: identifiers.mpn, source: identifiers.source?.mpn ? `page ${identifiers.source.mpn}` : null },
+    { value: specValue('mpn'), source: 'spec table' },
+    { value: existing.mpn, source: 'existing schema' }
+  ]);
+  const gtin = pick('gtin', [
+    { value: normalizeGtin(identifiers.gtin), source: identifiers.source?.gtin ? `page ${identifiers.source.gtin}` : null },
+    { value: normalizeGtin(specValue('gtin')), source: 'spec table' },
+    { value: normalizeGtin(existing.gtin), source: 'existing schema' }
+  ]);
+
+  const price = contentQuality.price?.found ? contentQuality.price : null;
+  if (price?.amount !== null && price?.amount !== undefined) sources['offers.price'] = `visible price (${price.source})`;
+  if (price?.currency) sources['offers.priceCurrency'] = 'visible price';
+
+  const availability = contentQuality.availability?.found ? contentQuality.availability : null;
+  if (availability?.status) sources['offers.availability'] = `"${availability.text}" (${availability.source})`;
+
+  const url = extractedData.metaTags?.canonical?.url || extractedData.pageInfo?.url || null;
+
+  const required = (field, value) => {
+    if (hasValue(value)) return value;
+    missing.push(field);
+    return `${MISSING_MARKER} ${REQUIRED_FIELDS[field]}`;
+  };
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    name: required('name', name),
+    image: required('image', image)
+  };
+
+  if (description) {
+    jsonLd.description = truncate(description, 5000);
+  } else {
+    omitted.push('description');
+  }
+
+  if (brand) {
+    jsonLd.brand = { '@type': 'Brand', name: brand };
+  } else {
+    omitted.push('brand');
+  }
+
+  if (sku) jsonLd.sku = sku;
+  if (mpn) jsonLd.mpn = mpn;
+  if (gtin) jsonLd[`gtin${gtin.length}`] = gtin;
+  if (!gtin && !mpn) omitted.push('gtin or mpn');
+  if (!sku) omitted.push('sku');
+
+  if (productSpecs.length > 0) {
+    sources.additionalProperty = `spec table (${productSpecs.length} rows)`;
+    jsonLd.additionalProperty = productSpecs.map(spec => ({
+      '@type': 'PropertyValue',
+      name: spec.name,
+      value: spec.value
+    }));
+  }
+
+  jsonLd.offers = {
+    '@type': 'Offer',
+    ...(url ? { url } : {}),
+    price: required('offers.price', price?.amount ?? null),
+    priceCurrency: required('offers.priceCurrency', price?.currency),
+    availability: required('offers.availability', availability?.status ? `https://schema.org/${availability.status}` : null)
+  };
+
+  if (reviews.count > 0 && reviews.averageRating) {
+    sources.aggregateRating = 'review widget';
+    jsonLd.aggregateRating = {
+      '@type': 'AggregateRating',
+      ratingValue: reviews.averageRating,
+      reviewCount: reviews.count,
+      bestRating: reviews.averageRating > 5 ? 10 : 5
+    };
+  } else {
+    omitted.push('aggregateRating');
+  }
+
+  const json = JSON.stringify(jsonLd, null, 2);
+
+  return {
+    jsonLd,
+    text: `<script type="application/ld+json">\n${json}\n</script>`,
+    missing,
+    omitted,
+    sources
+  };
+}
+
+/**
+ * Keep GTINs with a valid length (8, 12, 13, or 14 digits)
+ */
+function normalizeGtin(value) {
+  if (!hasValue(value)) return null;
+  const digits = String(value).replace(/[\s-]/g, '');
+  return /^\d+$/.test(digits) && [8, 12, 13, 14].includes(digits.length) ? digits : null;
+}
+
+function hasValue(value) {
+  if (value === null || value === undefined) return false;
+  if (typeof value === 'string') return value.trim().length > 0;
+  return true;
+}
+
+function truncate(text, length) {
+  const trimmed = String(text).trim();
+  return trimmed.length > length ? trimmed.substring(0, length) : trimmed;
+}
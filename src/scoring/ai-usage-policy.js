@@ -0,0 +1,199 @@
+/**
+ * AI Usage Policy
+ * Combines every AI / text-and-data-mining declaration a site makes
+ * (robots.txt training crawler rules, TDMRep file/header/meta, ai.txt,
+ * noai directives) into one summary and lists where they contradict
+ */
+
+import { parseRobotsDirectives, mergeRobotsDirectives } from '../content/extractors/robots-directives.js';
+
+/**
+ * robots.txt user-agents that collect AI training data
+ */
+const TRAINING_CRAWLERS = [
+  'gptbot',
+  'claudebot',
+  'anthropic-ai',
+  'google-extended',
+  'applebot-extended',
+  'meta-externalagent',
+  'bytespider',
+  'cohere-ai',
+  'ccbot'
+];
+
+/**
+ * Display names for crawler tokens in conflict messages
+ */
+const CRAWLER_LABELS = {
+  gptbot: 'GPTBot',
+  claudebot: 'ClaudeBot',
+  'anthropic-ai': 'anthropic-ai',
+  'google-extended': 'Google-Extended',
+  'applebot-extended': 'Applebot-Extended',
+  'meta-externalagent': 'meta-externalagent',
+  bytespider: 'Bytespider',
+  'cohere-ai': 'cohere-ai',
+  ccbot: 'CCBot'
+};
+
+/**
+ * Summarize the site's AI usage policy for the analyzed page
+ * @param {Object} extractedData - Extracted page data (meta tdm and robots tags)
+ * @param {Object} networkData - { robots, aiPolicy, headers } from the service worker
+ * @returns {Object} { stance, declarations: [{ source, stance, detail, url }], conflicts, siteSignal }
+ */
+export function summarizeAIUsagePolicy(extractedData, networkData) {
+  const robots = networkData?.robots || {};
+  const aiPolicy = networkData?.aiPolicy || {};
+  const headers = networkData?.headers || {};
+  const meta = extractedData?.metaTags || {};
+  const declarations = [];
+
+  // robots.txt rules for the training crawlers
+  const robotsDeclaration = describeRobotsTraining(robots);
+  if (robotsDeclaration) declarations.push(robotsDeclaration);
+
+  // TDMRep: well-known file, HTTP header, HTML meta
+  const tdmrep = aiPolicy.tdmrep || {};
+  if (tdmrep.found && tdmrep.match) {
+    declarations.push(tdmDeclaration('tdmrep.json', tdmrep.match.reservation, tdmrep.match.policy, tdmrep.url,
+      `rule "${tdmrep.match.location}"`));
+  } else if (tdmrep.found && tdmrep.errors?.length > 0) {
+    declarations.push({ source: 'tdmrep.json', stance: 'unknown', detail: tdmrep.errors[0], url: tdmrep.url });
+  }
+  if (headers.tdm?.reservation !== null && headers.tdm?.reservation !== undefined) {
+    declarations.push(tdmDeclaration('tdm-reservation header', headers.tdm.reservation, headers.tdm.policy, null));
+  }
+  if (meta.tdm?.reservation !== null && meta.tdm?.reservation !== undefined) {
+    declarations.push(tdmDeclaration('tdm-reservation meta', meta.tdm.reservation, meta.tdm.policy, null));
+  }
+
+  // ai.txt
+  const aiTxt = aiPolicy.aiTxt || {};
+  if (aiTxt.found && aiTxt.text) {
+    const blockedMedia = Object.entries(aiTxt.media || {})
+      .filter(([, result]) => !result.allowed)
+      .map(([type]) => type);
+    const stance = !aiTxt.text.allowed ? 'reserved' : blockedMedia.length > 0 ? 'partial' : 'allowed';
+    const rule = aiTxt.text.rule ? ` (${aiTxt.text.rule.type === 'allow' ? 'Allow' : 'Disallow'}: ${aiTxt.text.rule.pattern}, line ${aiTxt.text.rule.line})` : '';
+    declarations.push({
+      source: 'ai.txt',
+      stance,
+      detail: stance === 'reserved'
+        ? `Disallows AI use of this page${rule}`
+        : stance === 'partial'
+          ? `Allows page text, disallows ${blockedMedia.join(', ')}`
+          : 'Allows AI use of this page',
+      url: aiTxt.url
+    });
+  }
+
+  // noai / noimageai in robots meta tags or X-Robots-Tag
+  const directives = mergeRobotsDirectives(
+    meta.robots?.agents || parseRobotsDirectives(meta.robots?.content),
+    headers.robotsDirectives
+  ).directives;
+  if (directives.noai || directives.noimageai) {
+    declarations.push({
+      source: 'noai directive',
+      stance: directives.noai ? 'reserved' : 'partial',
+      detail: directives.noai ? 'noai opts the page out of AI use' : 'noimageai opts images out of AI use',
+      url: null
+    });
+  }
+
+  return {
+    stance: overallStance(declarations),
+    declarations,
+    conflicts: findConflicts(declarations, robotsDeclaration),
+    siteSignal: aiPolicy.cache || null
+  };
+}
+
+/**
+ * Describe robots.txt access for the training crawlers
+ * @param {Object} robots - robots.txt evaluation from the service worker
+ * @returns {Object|null} Declaration, or null when robots.txt couldn't be read
+ */
+function describeRobotsTraining(robots) {
+  if (robots.unreachable) {
+    return { source: 'robots.txt', stance: 'reserved', detail: `robots.txt returned ${robots.status}; crawlers treat the site as disallowed`, url: null };
+  }
+  if (robots.accessible === false && robots.error) return null;
+  if (robots.accessible === false) {
+    return { source: 'robots.txt', stance: 'allowed', detail: 'No robots.txt, so AI training crawlers are allowed', url: null, allowed: TRAINING_CRAWLERS, blocked: [] };
+  }
+  if (!robots.crawlerAccess) return null;
+
+  const blocked = TRAINING_CRAWLERS.filter(crawler => robots.crawlerAccess[crawler] && !robots.crawlerAccess[crawler].allowed);
+  const allowed = TRAINING_CRAWLERS.filter(crawler => robots.crawlerAccess[crawler]?.allowed);
+  const stance = blocked.length === 0 ? 'allowed' : allowed.length === 0 ? 'reserved' : 'partial';
+
+  return {
+    source: 'robots.txt',
+    stance,
+    detail: stance === 'allowed'
+      ? 'Allows all AI training crawlers'
+      : stance === 'reserved'
+        ? 'Blocks all AI training crawlers'
+        : `Blocks ${blocked.map(crawler => CRAWLER_LABELS[crawler]).join(', ')}`,
+    url: null,
+    allowed,
+    blocked
+  };
+}
+
+// One TDMRep source (file rule, header, or meta) as a declaration
+function tdmDeclaration(source, reservation, policy, url, where = '') {
+  const suffix = [where, policy ? `policy ${policy}` : ''].filter(Boolean).join(', ');
+  return {
+    source,
+    stance: reservation === 1 ? 'reserved' : 'allowed',
+    detail: `${reservation === 1 ? 'Reserves text and data mining rights' : 'Does not reserve text and data mining rights'}${suffix ? ` (${suffix})` : ''}`,
+    url
+  };
+}
+
+// Declarations that agree give their stance; reserved next to allowed is 'mixed'
+function overallStance(declarations) {
+  const stances = new Set(declarations.map(d => d.stance).filter(stance => stance !== 'unknown'));
+  if (stances.size === 0) return 'unknown';
+  if (stances.size === 1) return [...stances][0];
+  return stances.has('reserved') && (stances.has('allowed') || stances.has('partial')) ? 'mixed' : 'partial';
+}
+
+/**
+ * List contradictions between declarations
+ * @param {Array<Object>} declarations - All declarations
+ * @param {Object|null} robotsDeclaration - The robots.txt declaration
+ * @returns {Array<string>} Conflict descriptions
+ */
+function findConflicts(declarations, robotsDeclaration) {
+  const conflicts = [];
+  const others = declarations.filter(d => d.source !== 'robots.txt');
+
+  if (robotsDeclaration) {
+    const allowedLabels = (robotsDeclaration.allowed || []).slice(0, 3).map(crawler => CRAWLER_LABELS[crawler]).join(', ');
+    others.filter(d => d.stance === 'reserved').forEach(d => {
+      if (robotsDeclaration.stance === 'allowed' || robotsDeclaration.stance === 'partial') {
+        conflicts.push(`${d.source} opts out of AI use, but robots.txt still lets ${allowedLabels || 'AI training crawlers'} crawl this page`);
+      }
+    });
+    if (robotsDeclaration.stance === 'reserved') {
+      others.filter(d => d.stance === 'allowed').forEach(d => {
+        conflicts.push(`robots.txt blocks AI training crawlers, but ${d.source} allows AI / text and data mining use`);
+      });
+    }
+  }
+
+  // TDMRep sources should agree with each other
+  const tdm = others.filter(d => d.source === 'tdmrep.json' || d.source.startsWith('tdm-reservation'));
+  const reserved = tdm.filter(d => d.stance === 'reserved');
+  const waived = tdm.filter(d => d.stance === 'allowed');
+  if (reserved.length > 0 && waived.length > 0) {
+    conflicts.push(`tdm-reservation is 1 in ${reserved.map(d => d.source).join(', ')} but 0 in ${waived.map(d => d.source).join(', ')}`);
+  }
+
+  return conflicts;
+}
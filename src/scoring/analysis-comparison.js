@@ -0,0 +1,219 @@
+/**
+ * Analysis Comparison
+ * Side-by-side diff of two scored analyses: category and factor points
+ * plus the extraction values that explain them
+ */
+
+/**
+ * Schema types reported as "present" when the extractor found them
+ */
+const SCHEMA_TYPE_LABELS = {
+  product: 'Product',
+  offer: 'Offer',
+  aggregateRating: 'AggregateRating',
+  reviews: 'Review',
+  faq: 'FAQPage',
+  breadcrumb: 'BreadcrumbList',
+  organization: 'Organization',
+  brand: 'Brand'
+};
+
+/**
+ * Compare two analyses
+ * Deltas are A minus B, so a positive delta means page A is ahead.
+ * @param {Object} a - { label, extraction, scoreResult }
+ * @param {Object} b - { label, extraction, scoreResult }
+ * @returns {Object} { a, b, totalDelta, winner, categories, extraction, differingValues }
+ */
+export function compareAnalyses(a, b) {
+  const categoryKeys = unionKeys(a.scoreResult.categoryScores, b.scoreResult.categoryScores);
+
+  const categories = categoryKeys.map(key => {
+    const categoryA = a.scoreResult.categoryScores[key];
+    const categoryB = b.scoreResult.categoryScores[key];
+    const scoreA = categoryA ? Math.round(categoryA.score) : null;
+    const scoreB = categoryB ? Math.round(categoryB.score) : null;
+
+    return {
+      key,
+      name: categoryA?.categoryName || categoryB?.categoryName || key,
+      a: scoreA,
+      b: scoreB,
+      delta: (scoreA ?? 0) - (scoreB ?? 0),
+      winner: getWinner(scoreA, scoreB),
+      factors: compareFactors(categoryA?.factors || [], categoryB?.factors || [])
+    };
+  });
+
+  const extraction = compareExtractions(a.extraction || {}, b.extraction || {});
+
+  return {
+    a: summarize(a),
+    b: summarize(b),
+    totalDelta: a.scoreResult.totalScore - b.scoreResult.totalScore,
+    winner: getWinner(a.scoreResult.totalScore, b.scoreResult.totalScore),
+    categories,
+    extraction,
+    differingValues: extraction.filter(row => row.differs).length
+  };
+}
+
+/**
+ * Pair factors by name, keeping A's order and appending B-only factors
+ * @param {Array} factorsA - Factors from page A
+ * @param {Array} factorsB - Factors from page B
+ * @returns {Array} Factor rows
+ */
+function compareFactors(factorsA, factorsB) {
+  const byNameA = new Map(factorsA.map(factor => [factor.name, factor]));
+  const byNameB = new Map(factorsB.map(factor => [factor.name, factor]));
+  const names = [...new Set([...byNameA.keys(), ...byNameB.keys()])];
+
+  return names.map(name => {
+    const factorA = byNameA.get(name) || null;
+    const factorB = byNameB.get(name) || null;
+    const pointsA = factorA ? factorA.points : null;
+    const pointsB = factorB ? factorB.points : null;
+
+    return {
+      name,
+      a: factorA ? pickFactor(factorA) : null,
+      b: factorB ? pickFactor(factorB) : null,
+      delta: roundPoints((pointsA ?? 0) - (pointsB ?? 0)),
+      winner: getWinner(pointsA, pointsB),
+      critical: !!(factorA?.critical || factorB?.critical)
+    };
+  });
+}
+
+/**
+ * Compare the extraction values that most often explain score gaps
+ * @param {Object} a - Extraction for page A
+ * @param {Object} b - Extraction for page B
+ * @returns {Array} { key, label, a, b, differs, winner }
+ */
+function compareExtractions(a, b) {
+  const productA = a.structuredData?.schemas?.product || {};
+  const productB = b.structuredData?.schemas?.product || {};
+  const reviewsA = a.trustSignals?.reviews || {};
+  const reviewsB = b.trustSignals?.reviews || {};
+
+  return [
+    countRow('specCount', 'Specifications', a.contentQuality?.specifications?.count, b.contentQuality?.specifications?.count),
+    listRow('schemaTypes', 'Schema types', getSchemaTypes(a), getSchemaTypes(b)),
+    textRow('gtin', 'GTIN', productA.gtin, productB.gtin),
+    textRow('mpn', 'MPN', productA.mpn, productB.mpn),
+    textRow('sku', 'SKU', productA.sku, productB.sku),
+    textRow('brand', 'Brand', productA.brand, productB.brand),
+    countRow('reviewCount', 'Review count', reviewsA.count, reviewsB.count),
+    textRow('rating', 'Average rating', reviewsA.hasRating ? reviewsA.averageRating : null, reviewsB.hasRating ? reviewsB.averageRating : null),
+    textRow('reviewPlatform', 'Review platform', reviewsA.platform?.name, reviewsB.platform?.name),
+    textRow('platform', 'Commerce platform', a.platform?.name, b.platform?.name),
+    countRow('descriptionWords', 'Description (words)', a.contentQuality?.description?.wordCount, b.contentQuality?.description?.wordCount),
+    countRow('featureCount', 'Features', a.contentQuality?.features?.count, b.contentQuality?.features?.count),
+    countRow('faqCount', 'FAQ items', a.contentQuality?.faq?.count, b.contentQuality?.faq?.count),
+    countRow('imageCount', 'Schema images', a.structuredData?.schemas?.images?.length, b.structuredData?.schemas?.images?.length),
+    textRow('h1', 'H1', a.contentStructure?.headings?.h1?.texts?.[0], b.contentStructure?.headings?.h1?.texts?.[0])
+  ];
+}
+
+/**
+ * List the schema types the extractor found
+ * @param {Object} data - Extraction result
+ * @returns {Array<string>} Schema type names
+ */
+function getSchemaTypes(data) {
+  const schemas = data.structuredData?.schemas || {};
+  return Object.entries(SCHEMA_TYPE_LABELS)
+    .filter(([key]) => Array.isArray(schemas[key]) ? schemas[key].length > 0 : !!schemas[key])
+    .map(([, label]) => label);
+}
+
+/**
+ * Numeric row; the higher count wins
+ */
+function countRow(key, label, valueA, valueB) {
+  const countA = valueA || 0;
+  const countB = valueB || 0;
+  return { key, label, a: String(countA), b: String(countB), differs: countA !== countB, winner: getWinner(countA, countB) };
+}
+
+/**
+ * Set row; differs when either side has a type the other lacks
+ */
+function listRow(key, label, listA, listB) {
+  const differs = listA.length !== listB.length || listA.some(item => !listB.includes(item));
+  return {
+    key,
+    label,
+    a: listA.join(', ') || 'None',
+    b: listB.join(', ') || 'None',
+    differs,
+    winner: differs ? getWinner(listA.length, listB.length) : 'tie'
+  };
+}
+
+/**
+ * Free-text row; presence wins over absence, values are otherwise unranked
+ */
+function textRow(key, label, valueA, valueB) {
+  const textA = valueA !== null && valueA !== undefined && valueA !== '' ? String(valueA) : '';
+  const textB = valueB !== null && valueB !== undefined && valueB !== '' ? String(valueB) : '';
+  const differs = textA.trim().toLowerCase() !== textB.trim().toLowerCase();
+
+  let winner = 'tie';
+  if (textA && !textB) winner = 'a';
+  else if (!textA && textB) winner = 'b';
+
+  return { key, label, a: textA || 'None', b: textB || 'None', differs, winner };
+}
+
+/**
+ * Header summary for one side
+ */
+function summarize(side) {
+  return {
+    label: side.label,
+    url: side.extraction?.pageInfo?.url || null,
+    totalScore: side.scoreResult.totalScore,
+    grade: side.scoreResult.grade,
+    context: side.scoreResult.context
+  };
+}
+
+/**
+ * Pick the factor fields shown in the diff
+ */
+function pickFactor(factor) {
+  return {
+    points: factor.points,
+    maxPoints: factor.maxPoints,
+    status: factor.status,
+    details: factor.details
+  };
+}
+
+/**
+ * Decide which side is ahead; a missing value always loses
+ * @returns {string} 'a' | 'b' | 'tie'
+ */
+function getWinner(valueA, valueB) {
+  if (valueA === valueB) return 'tie';
+  if (valueA === null || valueA === undefined) return 'b';
+  if (valueB === null || valueB === undefined) return 'a';
+  return valueA > valueB ? 'a' : 'b';
+}
+
+/**
+ * Keys from both objects, first object's order first
+ */
+function unionKeys(objA = {}, objB = {}) {
+  return [...new Set([...Object.keys(objA), ...Object.keys(objB)])];
+}
+
+/**
+ * Round factor point deltas (some factors award fractional points)
+ */
+function roundPoints(value) {
+  return Math.round(value * 10) / 10;
+}
@@ -0,0 +1,204 @@
+/**
+ * Raw HTML Comparison
+ * Compares the rendered-DOM extraction with the raw server-HTML extraction
+ * to show what crawlers that don't execute JavaScript can see
+ */
+
+/**
+ * Raw values below this share of the rendered value count as "reduced"
+ */
+const REDUCED_THRESHOLD = 0.8;
+
+/**
+ * Compare rendered and raw extraction results
+ * @param {Object} rendered - Extraction from the live DOM
+ * @param {Object} raw - Extraction from the raw server HTML
+ * @returns {Object} { rows, missingCount, reducedCount, criticalMissing, jsOnly }
+ */
+export function compareRenderedToRaw(rendered, raw) {
+  const rows = [
+    compareProductSchema(rendered, raw),
+    compareH1(rendered, raw),
+    compareCount('description', 'Description (words)', rendered.contentQuality?.description?.wordCount, raw.contentQuality?.description?.wordCount, true),
+    compareCount('specifications', 'Specifications', rendered.contentQuality?.specifications?.count, raw.contentQuality?.specifications?.count, false),
+    compareReviews(rendered, raw),
+    comparePrice(rendered, raw)
+  ];
+
+  const missing = rows.filter(row => row.status === 'missing');
+
+  return {
+    rows,
+    missingCount: missing.length,
+    reducedCount: rows.filter(row => row.status === 'reduced').length,
+    criticalMissing: missing.filter(row => row.critical).length,
+    jsOnly: missing.map(row => row.label)
+  };
+}
+
+/**
+ * Compare Product schema presence and name
+ */
+function compareProductSchema(rendered, raw) {
+  const renderedProduct = rendered.structuredData?.schemas?.product;
+  const rawProduct = raw.structuredData?.schemas?.product;
+
+  let status = 'match';
+  if (renderedProduct && !rawProduct) {
+    status = 'missing';
+  } else if (!renderedProduct && rawProduct) {
+    status = 'differs';
+  } else if (renderedProduct && rawProduct && normalizeText(renderedProduct.name) !== normalizeText(rawProduct.name)) {
+    status = 'differs';
+  }
+
+  return {
+    key: 'productSchema',
+    label: 'Product schema',
+    rendered: renderedProduct ? `Present${renderedProduct.name ? ` (${renderedProduct.name})` : ''}` : 'Missing',
+    raw: rawProduct ? `Present${rawProduct.name ? ` (${rawProduct.name})` : ''}` : 'Missing',
+    status,
+    critical: true
+  };
+}
+
+/**
+ * Compare the first H1 heading
+ */
+function compareH1(rendered, raw) {
+  const renderedH1 = rendered.contentStructure?.headings?.h1?.texts?.[0] || '';
+  const rawH1 = raw.contentStructure?.headings?.h1?.texts?.[0] || '';
+
+  let status = 'match';
+  if (renderedH1 && !rawH1) {
+    status = 'missing';
+  } else if (normalizeText(renderedH1) !== normalizeText(rawH1)) {
+    status = 'differs';
+  }
+
+  return {
+    key: 'h1',
+    label: 'H1',
+    rendered: renderedH1 || 'None',
+    raw: rawH1 || 'None',
+    status,
+    critical: false
+  };
+}
+
+/**
+ * Compare a numeric count (description words, specs)
+ */
+function compareCount(key, label, renderedValue, rawValue, critical) {
+  const renderedCount = renderedValue || 0;
+  const rawCount = rawValue || 0;
+
+  return {
+    key,
+    label,
+    rendered: String(renderedCount),
+    raw: String(rawCount),
+    status: countStatus(renderedCount, rawCount),
+    critical
+  };
+}
+
+/**
+ * Compare review count and rating
+ */
+function compareReviews(rendered, raw) {
+  const renderedReviews = rendered.trustSignals?.reviews || {};
+  const rawReviews = raw.trustSignals?.reviews || {};
+
+  let status = countStatus(renderedReviews.count || 0, rawReviews.count || 0);
+  if (status === 'match' && renderedReviews.hasRating && !rawReviews.hasRating) {
+    status = 'missing';
+  }
+
+  return {
+    key: 'reviews',
+    label: 'Reviews',
+    rendered: formatReviews(renderedReviews),
+    raw: formatReviews(rawReviews),
+    status,
+    critical: false
+  };
+}
+
+/**
+ * Compare price from Offer schema or, failing that, the visible price
+ */
+function comparePrice(rendered, raw) {
+  const renderedPrice = getPrice(rendered);
+  const rawPrice = getPrice(raw);
+
+  let status = 'match';
+  if (renderedPrice && !rawPrice) {
+    status = 'missing';
+  } else if (!renderedPrice && rawPrice) {
+    status = 'differs';
+  } else if (renderedPrice && rawPrice && renderedPrice.amount !== rawPrice.amount) {
+    status = 'differs';
+  }
+
+  return {
+    key: 'price',
+    label: 'Price',
+    rendered: renderedPrice ? renderedPrice.display : 'None',
+    raw: rawPrice ? rawPrice.display : 'None',
+    status,
+    critical: true
+  };
+}
+
+/**
+ * Get the best available price from an extraction
+ * @param {Object} data - Extraction result
+ * @returns {Object|null} { amount, display }
+ */
+function getPrice(data) {
+  const offer = data.structuredData?.schemas?.offer?.[0];
+  const schemaAmount = offer ? parseFloat(offer.price) : NaN;
+  if (!isNaN(schemaAmount)) {
+    return {
+      amount: schemaAmount,
+      display: `${schemaAmount}${offer.priceCurrency ? ` ${offer.priceCurrency}` : ''} (schema)`
+    };
+  }
+
+  const visible = data.contentQuality?.price;
+  if (visible?.found && visible.amount !== null) {
+    return { amount: visible.amount, display: visible.text };
+  }
+
+  return null;
+}
+
+/**
+ * Classify a rendered vs raw count
+ * @param {number} renderedCount
+ * @param {number} rawCount
+ * @returns {string} match | missing | reduced | differs
+ */
+function countStatus(renderedCount, rawCount) {
+  if (renderedCount > 0 && rawCount === 0) return 'missing';
+  if (rawCount < renderedCount * REDUCED_THRESHOLD) return 'reduced';
+  if (renderedCount < rawCount * REDUCED_THRESHOLD) return 'differs';
+  return 'match';
+}
+
+/**
+ * Format review count/rating for display
+ */
+function formatReviews(reviews) {
+  if (!reviews.count && !reviews.hasRating) return 'None';
+  const rating = reviews.hasRating ? `${reviews.averageRating}★` : '';
+  return [reviews.count ? `${reviews.count} reviews` : '', rating].filter(Boolean).join(', ');
+}
+
+/**
+ * Normalize text for comparison
+ */
+function normalizeText(text) {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
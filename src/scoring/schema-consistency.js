@@ -0,0 +1,239 @@
+/**
+ * Schema Consistency
+ * Cross-checks structured data claims (price, availability, rating, name,
+ * image) against what the page visibly shows
+ */
+
+/**
+ * Checks in display order
+ * weight: share of the Schema Matches Page factor; recommendation: template on mismatch
+ */
+const CONSISTENCY_CHECKS = [
+  { key: 'price', label: 'Price', weight: 30, recommendation: 'schema-price-mismatch' },
+  { key: 'currency', label: 'Currency', weight: 10, recommendation: 'schema-price-mismatch' },
+  { key: 'availability', label: 'Availability', weight: 20, recommendation: 'schema-availability-mismatch' },
+  { key: 'ratingValue', label: 'Rating', weight: 10, recommendation: 'schema-rating-mismatch' },
+  { key: 'reviewCount', label: 'Review count', weight: 10, recommendation: 'schema-rating-mismatch' },
+  { key: 'name', label: 'Name vs H1', weight: 10, recommendation: 'schema-name-mismatch' },
+  { key: 'image', label: 'Image vs gallery', weight: 10, recommendation: 'schema-image-mismatch' }
+];
+
+/**
+ * Mismatches on these checks fail the factor outright
+ */
+const BLOCKING_CHECKS = ['price', 'currency', 'availability'];
+
+/**
+ * ItemAvailability values grouped by what a shopper would conclude
+ */
+const AVAILABILITY_GROUPS = {
+  InStock: 'in stock',
+  LimitedAvailability: 'in stock',
+  OnlineOnly: 'in stock',
+  InStoreOnly: 'in stock',
+  MadeToOrder: 'in stock',
+  OutOfStock: 'out of stock',
+  SoldOut: 'out of stock',
+  Discontinued: 'out of stock',
+  PreOrder: 'pre-order',
+  PreSale: 'pre-order',
+  BackOrder: 'pre-order',
+  Reserved: 'out of stock'
+};
+
+/**
+ * Allowed review count drift before it counts as stale (widgets update before cached markup)
+ */
+const REVIEW_COUNT_TOLERANCE = 0.05;
+
+/**
+ * Compare schema claims with visible page values
+ * Checks where either side is missing are skipped, not failed.
+ * @param {Object} extractedData - Data from content script
+ * @returns {Object} { checks, compared, mismatches, hasSchema, ratio, blocking }
+ */
+export function checkSchemaConsistency(extractedData) {
+  const schemas = extractedData.structuredData?.schemas || {};
+  const contentQuality = extractedData.contentQuality || {};
+  const visibleReviews = extractedData.trustSignals?.reviews?.visible || {};
+  const offers = schemas.offer || [];
+
+  const results = {
+    price: comparePrice(offers, contentQuality.price),
+    currency: compareCurrency(offers, contentQuality.price),
+    availability: compareAvailability(offers, contentQuality.availability),
+    ratingValue: compareRating(schemas.aggregateRating, visibleReviews),
+    reviewCount: compareReviewCount(schemas.aggregateRating, visibleReviews),
+    name: compareName(schemas.product?.name, extractedData.contentStructure?.headings?.h1?.texts?.[0]),
+    image: compareImage(schemas.product, schemas.images || [], extractedData.contentStructure?.images)
+  };
+
+  const checks = CONSISTENCY_CHECKS.map(check => ({ ...check, ...results[check.key] }));
+  const compared = checks.filter(check => check.status !== 'skipped');
+  const mismatches = compared.filter(check => check.status === 'mismatch');
+  const comparedWeight = compared.reduce((sum, check) => sum + check.weight, 0);
+  const matchedWeight = compared
+    .filter(check => check.status === 'match')
+    .reduce((sum, check) => sum + check.weight, 0);
+
+  return {
+    checks,
+    compared: compared.length,
+    mismatches,
+    hasSchema: !!(schemas.product || offers.length > 0 || schemas.aggregateRating),
+    ratio: comparedWeight > 0 ? matchedWeight / comparedWeight : 1,
+    blocking: mismatches.some(check => BLOCKING_CHECKS.includes(check.key))
+  };
+}
+
+function comparePrice(offers, visiblePrice) {
+  const schemaPrices = offers.map(offer => parseSchemaNumber(offer.price)).filter(price => price !== null);
+  if (schemaPrices.length === 0 || visiblePrice?.amount === null || visiblePrice?.amount === undefined) {
+    return skipped(schemaPrices[0] ?? null, visiblePrice?.text || null);
+  }
+  // Any offer matching is enough (variants, sale vs regular price)
+  const matches = schemaPrices.some(price => Math.abs(price - visiblePrice.amount) < 0.01);
+  return {
+    status: matches ? 'match' : 'mismatch',
+    schemaValue: schemaPrices.length > 1 ? schemaPrices.join(' / ') : schemaPrices[0],
+    pageValue: visiblePrice.text || visiblePrice.amount
+  };
+}
+
+function compareCurrency(offers, visiblePrice) {
+  const currencies = [...new Set(offers.map(offer => offer.priceCurrency).filter(Boolean).map(c => String(c).toUpperCase()))];
+  if (currencies.length === 0 || !visiblePrice?.currency) {
+    return skipped(currencies[0] || null, visiblePrice?.currency || null);
+  }
+  return {
+    status: currencies.includes(visiblePrice.currency) ? 'match' : 'mismatch',
+    schemaValue: currencies.join(' / '),
+    pageValue: visiblePrice.currency
+  };
+}
+
+function compareAvailability(offers, visibleAvailability) {
+  const schemaValues = offers.map(offer => offer.availability).filter(Boolean).map(value => String(value).replace(/^https?:\/\/schema\.org\//i, ''));
+  if (schemaValues.length === 0 || !visibleAvailability?.status) {
+    return skipped(schemaValues[0] || null, visibleAvailability?.text || null);
+  }
+  const pageGroup = AVAILABILITY_GROUPS[visibleAvailability.status];
+  const schemaGroups = schemaValues.map(value => AVAILABILITY_GROUPS[value]).filter(Boolean);
+  if (schemaGroups.length === 0) {
+    // Invalid enum values are reported by the validator
+    return skipped(schemaValues[0], visibleAvailability.text);
+  }
+  return {
+    status: schemaGroups.includes(pageGroup) ? 'match' : 'mismatch',
+    schemaValue: schemaValues.join(' / '),
+    pageValue: `"${visibleAvailability.text}" (${pageGroup})`
+  };
+}
+
+function compareRating(schemaRating, visibleReviews) {
+  const schemaValue = parseSchemaNumber(schemaRating?.ratingValue);
+  if (schemaValue === null || visibleReviews.rating === null || visibleReviews.rating === undefined) {
+    return skipped(schemaValue, visibleReviews.rating ?? null);
+  }
+  // Widgets round to one decimal or to half stars
+  const bestRating = parseSchemaNumber(schemaRating.bestRating) || 5;
+  const normalized = bestRating !== 5 ? (schemaValue / bestRating) * 5 : schemaValue;
+  return {
+    status: Math.abs(normalized - visibleReviews.rating) <= 0.25 ? 'match' : 'mismatch',
+    schemaValue,
+    pageValue: visibleReviews.rating
+  };
+}
+
+function compareReviewCount(schemaRating, visibleReviews) {
+  const counts = [schemaRating?.reviewCount, schemaRating?.ratingCount]
+    .map(parseSchemaNumber)
+    .filter(count => count !== null);
+  if (counts.length === 0 || !visibleReviews.count) {
+    return skipped(counts[0] ?? null, visibleReviews.count ?? null);
+  }
+  const tolerance = Math.max(2, visibleReviews.count * REVIEW_COUNT_TOLERANCE);
+  return {
+    status: counts.some(count => Math.abs(count - visibleReviews.count) <= tolerance) ? 'match' : 'mismatch',
+    schemaValue: counts[0],
+    pageValue: visibleReviews.count
+  };
+}
+
+function compareName(schemaName, h1) {
+  if (!schemaName || !h1) {
+    return skipped(schemaName || null, h1 || null);
+  }
+  return {
+    status: namesAgree(schemaName, h1) ? 'match' : 'mismatch',
+    schemaValue: schemaName,
+    pageValue: h1
+  };
+}
+
+function compareImage(product, schemaImages, pageImages) {
+  const schemaUrls = [product?.image, ...schemaImages.map(image => image.url)].filter(url => typeof url === 'string' && url);
+  const pageUrls = [...(pageImages?.galleryImages || []), pageImages?.ogImageUrl].filter(Boolean);
+  if (schemaUrls.length === 0 || (pageImages?.galleryImages || []).length === 0) {
+    return skipped(schemaUrls[0] || null, pageUrls[0] || null);
+  }
+  const pageKeys = new Set(pageUrls.map(imageKey));
+  return {
+    status: schemaUrls.some(url => pageKeys.has(imageKey(url))) ? 'match' : 'mismatch',
+    schemaValue: schemaUrls[0],
+    pageValue: `${pageImages.galleryImages.length} gallery image${pageImages.galleryImages.length !== 1 ? 's' : ''}`
+  };
+}
+
+/**
+ * Names agree when one contains the other or most words overlap
+ * (H1s often drop the brand or add a variant)
+ */
+function namesAgree(a, b) {
+  const normalize = text => String(text).toLowerCase().replace(/&amp;/g, '&').replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+  const left = normalize(a);
+  const right = normalize(b);
+  if (!left || !right) return false;
+  if (left === right || left.includes(right) || right.includes(left)) return true;
+
+  const leftWords = new Set(left.split(' '));
+  const rightWords = new Set(right.split(' '));
+  const shared = [...leftWords].filter(word => rightWords.has(word)).length;
+  return shared / Math.min(leftWords.size, rightWords.size) >= 0.7;
+}
+
+/**
+ * Reduce an image URL to its file stem so CDN size variants compare equal
+ * e.g. /files/shoe_800x.jpg?v=1 and /files/shoe.jpg → "shoe"
+ */
+function imageKey(url) {
+  let path;
+  try {
+    path = new URL(url, 'https://example.invalid').pathname;
+  } catch (e) {
+    path = String(url);
+  }
+  const rawFile = path.split('/').pop() || '';
+  let file;
+  try {
+    file = decodeURIComponent(rawFile).toLowerCase();
+  } catch (e) {
+    // Malformed escape (e.g. %E0 on its own): compare the name as written
+    file = rawFile.toLowerCase();
+  }
+  return file
+    .replace(/\.(jpe?g|png|webp|gif|avif)$/, '')
+    .replace(/(_|-)(\d+x\d*|\d*x\d+|small|medium|large|grande|master|compact)$/, '')
+    .replace(/@\dx$/, '');
+}
+
+function parseSchemaNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return value;
+  const number = parseFloat(String(value).replace(/[^\d.-]/g, ''));
+  return isNaN(number) ? null : number;
+}
+
+function skipped(schemaValue, pageValue) {
+  return { status: 'skipped', schemaValue, pageValue };
+}
@@ -0,0 +1,425 @@
+/**
+ * Structured Data Validator
+ * Checks JSON-LD, microdata, and RDFa items against Google rich result
+ * requirements and schema.org value types, reporting each issue with its JSON path
+ */
+
+/**
+ * Properties every schema.org Thing accepts, plus JSON-LD keywords
+ */
+const THING_PROPERTIES = [
+  '@context', '@type', '@id', 'name', 'description', 'image', 'url', 'sameAs', 'identifier',
+  'alternateName', 'additionalType', 'mainEntityOfPage', 'potentialAction', 'subjectOf',
+  'disambiguatingDescription'
+];
+
+/**
+ * Per-type rules
+ * required: missing → error; recommended: missing → warning.
+ * An array entry means "any one of these".
+ * properties: known schema.org properties (beyond THING_PROPERTIES).
+ */
+const TYPE_RULES = {
+  Product: {
+    required: ['name', 'image', 'offers'],
+    recommended: ['description', 'brand', 'sku', ['gtin', 'gtin8', 'gtin12', 'gtin13', 'gtin14', 'mpn', 'isbn'], 'aggregateRating', 'review'],
+    properties: [
+      'offers', 'brand', 'sku', 'gtin', 'gtin8', 'gtin12', 'gtin13', 'gtin14', 'mpn', 'isbn', 'model',
+      'aggregateRating', 'review', 'reviews', 'category', 'color', 'material', 'pattern', 'size', 'weight',
+      'width', 'height', 'depth', 'manufacturer', 'productID', 'releaseDate', 'award', 'awards', 'logo',
+      'additionalProperty', 'audience', 'itemCondition', 'isAccessoryOrSparePartFor', 'isConsumableFor',
+      'isRelatedTo', 'isSimilarTo', 'isVariantOf', 'inProductGroupWithID', 'countryOfOrigin',
+      'countryOfAssembly', 'countryOfLastProcessing', 'hasMerchantReturnPolicy', 'hasEnergyConsumptionDetails',
+      'hasAdultConsideration', 'hasCertification', 'nsn', 'positiveNotes', 'negativeNotes', 'slogan',
+      'keywords', 'productionDate', 'purchaseDate', 'mobileUrl', 'funding', 'asin', 'hasMeasurement'
+    ]
+  },
+  ProductGroup: {
+    required: ['name'],
+    recommended: ['productGroupID', 'variesBy', 'hasVariant'],
+    inherits: 'Product'
+  },
+  Offer: {
+    required: [['price', 'priceSpecification'], ['priceCurrency', 'priceSpecification'], 'availability'],
+    recommended: ['url', 'priceValidUntil', 'itemCondition', 'shippingDetails', 'hasMerchantReturnPolicy'],
+    properties: [
+      'price', 'priceCurrency', 'priceSpecification', 'priceValidUntil', 'availability', 'availabilityStarts',
+      'availabilityEnds', 'itemCondition', 'seller', 'offeredBy', 'shippingDetails', 'hasMerchantReturnPolicy',
+      'validFrom', 'validThrough', 'eligibleRegion', 'ineligibleRegion', 'areaServed', 'itemOffered',
+      'inventoryLevel', 'deliveryLeadTime', 'businessFunction', 'category', 'sku', 'gtin', 'gtin8',
+      'gtin12', 'gtin13', 'gtin14', 'mpn', 'eligibleQuantity', 'acceptedPaymentMethod', 'warranty',
+      'addOn', 'leaseLength', 'checkoutPageURLTemplate', 'mobileUrl', 'review', 'aggregateRating',
+      'hasAdultConsideration', 'asin', 'serialNumber'
+    ]
+  },
+  AggregateOffer: {
+    required: ['lowPrice', 'priceCurrency'],
+    recommended: ['highPrice', 'offerCount'],
+    inherits: 'Offer',
+    properties: ['lowPrice', 'highPrice', 'offerCount', 'offers']
+  },
+  AggregateRating: {
+    required: ['ratingValue', ['ratingCount', 'reviewCount']],
+    recommended: ['bestRating', 'worstRating'],
+    properties: ['ratingValue', 'ratingCount', 'reviewCount', 'bestRating', 'worstRating', 'itemReviewed', 'ratingExplanation', 'reviewAspect', 'author']
+  },
+  Review: {
+    required: ['author', 'reviewRating'],
+    recommended: ['datePublished', 'reviewBody'],
+    properties: [
+      'author', 'reviewRating', 'reviewBody', 'datePublished', 'dateCreated', 'dateModified', 'itemReviewed',
+      'publisher', 'headline', 'reviewAspect', 'positiveNotes', 'negativeNotes', 'inLanguage', 'contentRating'
+    ]
+  },
+  Rating: {
+    required: ['ratingValue'],
+    recommended: ['bestRating'],
+    properties: ['ratingValue', 'bestRating', 'worstRating', 'author', 'ratingExplanation', 'reviewAspect']
+  },
+  FAQPage: {
+    required: ['mainEntity'],
+    recommended: [],
+    properties: [
+      'mainEntity', 'about', 'author', 'datePublished', 'dateModified', 'headline', 'inLanguage', 'publisher',
+      'breadcrumb', 'isPartOf', 'lastReviewed', 'primaryImageOfPage', 'speakable', 'text', 'keywords'
+    ]
+  },
+  Question: {
+    required: ['name', 'acceptedAnswer'],
+    recommended: [],
+    properties: ['acceptedAnswer', 'suggestedAnswer', 'answerCount', 'text', 'author', 'dateCreated', 'upvoteCount']
+  },
+  Answer: {
+    required: ['text'],
+    recommended: [],
+    properties: ['text', 'author', 'dateCreated', 'upvoteCount']
+  },
+  BreadcrumbList: {
+    required: ['itemListElement'],
+    recommended: [],
+    properties: ['itemListElement', 'itemListOrder', 'numberOfItems']
+  },
+  ListItem: {
+    required: ['position', ['name', 'item']],
+    recommended: ['item'],
+    properties: ['position', 'item', 'nextItem', 'previousItem']
+  }
+};
+
+/**
+ * Type implied by a parent property when a nested object has no @type
+ */
+const IMPLIED_TYPES = {
+  offers: 'Offer',
+  aggregateRating: 'AggregateRating',
+  review: 'Review',
+  reviewRating: 'Rating',
+  acceptedAnswer: 'Answer',
+  suggestedAnswer: 'Answer',
+  itemListElement: 'ListItem',
+  hasVariant: 'Product'
+};
+
+/**
+ * schema.org enumeration members
+ */
+const ENUMS = {
+  availability: ['InStock', 'OutOfStock', 'PreOrder', 'PreSale', 'BackOrder', 'LimitedAvailability', 'SoldOut', 'Discontinued', 'InStoreOnly', 'OnlineOnly', 'MadeToOrder', 'Reserved'],
+  itemCondition: ['NewCondition', 'UsedCondition', 'RefurbishedCondition', 'DamagedCondition']
+};
+
+/**
+ * Cap on reported issues (pages with hundreds of Review items)
+ */
+const MAX_ISSUES = 100;
+
+/**
+ * Validate every structured data item on the page
+ * @param {Object} structuredData - extractedData.structuredData
+ * @returns {Object} { issues, itemCount, errorCount, warningCount, truncated }
+ */
+export function validateStructuredData(structuredData) {
+  const issues = [];
+  let itemCount = 0;
+
+  (structuredData?.jsonLd || []).forEach((block, blockIndex) => {
+    const blockPath = `$.jsonLd[${blockIndex}]`;
+    if (!block.valid) {
+      issues.push(createIssue('error', blockPath, null, null, `JSON-LD block does not parse: ${block.error}`, 'json-ld'));
+      return;
+    }
+    const { data } = block;
+    if (Array.isArray(data)) {
+      data.forEach((item, index) => {
+        itemCount++;
+        validateNode(item, `${blockPath}[${index}]`, null, 'json-ld', issues);
+      });
+    } else if (data && Array.isArray(data['@graph'])) {
+      data['@graph'].forEach((item, index) => {
+        itemCount++;
+        validateNode(item, `${blockPath}['@graph'][${index}]`, null, 'json-ld', issues);
+      });
+    } else {
+      itemCount++;
+      validateNode(data, blockPath, null, 'json-ld', issues);
+    }
+  });
+
+  ['microdata', 'rdfa'].forEach(format => {
+    (structuredData?.[format] || []).forEach((item, index) => {
+      itemCount++;
+      validateNode(toJsonLdShape(item), `$.${format}[${index}]`, null, format, issues);
+    });
+  });
+
+  const truncated = issues.length > MAX_ISSUES;
+  const sorted = issues.sort((a, b) => severityRank(a.severity) - severityRank(b.severity));
+
+  return {
+    issues: sorted.slice(0, MAX_ISSUES),
+    itemCount,
+    errorCount: issues.filter(issue => issue.severity === 'error').length,
+    warningCount: issues.filter(issue => issue.severity === 'warning').length,
+    truncated
+  };
+}
+
+/**
+ * Convert a microdata/RDFa { type, properties } item to a JSON-LD-like object
+ * @param {Object} item - Extracted microdata or RDFa item
+ * @returns {Object}
+ */
+function toJsonLdShape(item) {
+  if (Array.isArray(item)) return item.map(toJsonLdShape);
+  if (!item || typeof item !== 'object' || !('properties' in item)) return item;
+
+  const node = {};
+  if (item.type) node['@type'] = stripSchemaPrefix(item.type.split(/\s+/)[0]);
+  Object.entries(item.properties).forEach(([key, value]) => {
+    node[key] = toJsonLdShape(value);
+  });
+  return node;
+}
+
+/**
+ * Validate one node and recurse into its nested objects
+ * @param {*} node - JSON value
+ * @param {string} path - JSON path of the node
+ * @param {string|null} parentProperty - Property holding this node
+ * @param {string} format - json-ld, microdata, or rdfa
+ * @param {Array} issues - Issues collected so far
+ */
+function validateNode(node, path, parentProperty, format, issues) {
+  if (!node || typeof node !== 'object') return;
+
+  if (Array.isArray(node)) {
+    node.forEach((child, index) => validateNode(child, `${path}[${index}]`, parentProperty, format, issues));
+    return;
+  }
+
+  // Bare references are resolved elsewhere
+  const keys = Object.keys(node);
+  if (keys.length === 1 && keys[0] === '@id') return;
+
+  const declaredTypes = [].concat(node['@type'] || []).map(type => stripSchemaPrefix(String(type)));
+  const type = declaredTypes.find(candidate => TYPE_RULES[candidate]) ||
+               (declaredTypes.length === 0 ? inferType(parentProperty) : null);
+
+  if (declaredTypes.length === 0 && type) {
+    issues.push(createIssue('warning', path, type, '@type', `Nested ${parentProperty} has no @type (expected ${type})`, format));
+  }
+
+  if (type) {
+    validateProperties(node, type, path, format, issues);
+  }
+
+  Object.entries(node).forEach(([key, value]) => {
+    if (key.startsWith('@')) return;
+    if (value && typeof value === 'object') {
+      const childProperty = type === 'FAQPage' && key === 'mainEntity' ? 'mainEntity:faq' : key;
+      validateNode(value, joinPath(path, key), childProperty, format, issues);
+    }
+  });
+}
+
+/**
+ * Check required/recommended properties, values, and unknown properties
+ */
+function validateProperties(node, type, path, format, issues) {
+  const rules = TYPE_RULES[type];
+
+  rules.required.forEach(requirement => {
+    if (!hasAny(node, requirement)) {
+      issues.push(createIssue('error', path, type, describeRequirement(requirement), `${type} is missing required ${describeRequirement(requirement)}`, format));
+    }
+  });
+
+  rules.recommended.forEach(requirement => {
+    if (!hasAny(node, requirement)) {
+      issues.push(createIssue('warning', path, type, describeRequirement(requirement), `${type} is missing recommended ${describeRequirement(requirement)}`, format));
+    }
+  });
+
+  checkValues(node, type, path, format, issues);
+
+  const known = getKnownProperties(type);
+  Object.keys(node).forEach(key => {
+    if (key.startsWith('@') || known.has(key)) return;
+    issues.push(createIssue('warning', joinPath(path, key), type, key, `"${key}" is not a known ${type} property and will be ignored`, format));
+  });
+}
+
+/**
+ * Value checks: enums, numbers, ranges, currencies, identifiers, dates, URLs
+ */
+function checkValues(node, type, path, format, issues) {
+  const add = (severity, key, message) => issues.push(createIssue(severity, joinPath(path, key), type, key, message, format));
+
+  ['availability', 'itemCondition'].forEach(key => {
+    if (node[key] === undefined) return;
+    const value = String(firstValue(node[key]));
+    const member = value.replace(/^https?:\/\/schema\.org\//i, '');
+    if (!ENUMS[key].includes(member)) {
+      add('error', key, `${key} "${value}" is not a schema.org ${key === 'availability' ? 'ItemAvailability' : 'OfferItemCondition'} value`);
+    } else if (!/^https?:\/\/schema\.org\//i.test(value)) {
+      add('warning', key, `${key} should be the full URL https://schema.org/${member}`);
+    }
+  });
+
+  ['price', 'lowPrice', 'highPrice'].forEach(key => {
+    if (node[key] === undefined) return;
+    const value = firstValue(node[key]);
+    if (typeof value === 'number') return;
+    if (!/^\d+(\.\d+)?$/.test(String(value).trim())) {
+      add('error', key, `${key} "${value}" must be a plain number (no currency symbols or thousands separators)`);
+    }
+  });
+
+  if (node.priceCurrency !== undefined && !/^[A-Z]{3}$/.test(String(firstValue(node.priceCurrency)))) {
+    add('error', 'priceCurrency', `priceCurrency "${node.priceCurrency}" must be a 3-letter ISO 4217 code`);
+  }
+
+  if (node.ratingValue !== undefined) {
+    const rating = toNumber(node.ratingValue);
+    const best = node.bestRating !== undefined ? toNumber(node.bestRating) : 5;
+    const worst = node.worstRating !== undefined ? toNumber(node.worstRating) : 1;
+    if (rating === null) {
+      add('error', 'ratingValue', `ratingValue "${node.ratingValue}" is not a number`);
+    } else if (best !== null && worst !== null && (rating < worst || rating > best)) {
+      add('error', 'ratingValue', `ratingValue ${rating} is outside the ${worst}-${best} range`);
+    }
+  }
+
+  ['ratingCount', 'reviewCount', 'offerCount'].forEach(key => {
+    if (node[key] === undefined) return;
+    const count = toNumber(node[key]);
+    if (count === null || count < 0 || !Number.isInteger(count)) {
+      add('error', key, `${key} "${node[key]}" must be a non-negative whole number`);
+    } else if (count === 0 && type === 'AggregateRating') {
+      add('warning', key, `${key} is 0; Google ignores ratings without reviews`);
+    }
+  });
+
+  if (type === 'ListItem' && node.position !== undefined) {
+    const position = toNumber(node.position);
+    if (position === null || position < 1 || !Number.isInteger(position)) {
+      add('error', 'position', `position "${node.position}" must be a whole number starting at 1`);
+    }
+  }
+
+  ['gtin', 'gtin8', 'gtin12', 'gtin13', 'gtin14'].forEach(key => {
+    if (node[key] === undefined) return;
+    const digits = String(firstValue(node[key])).replace(/[\s-]/g, '');
+    const expected = key === 'gtin' ? [8, 12, 13, 14] : [parseInt(key.slice(4), 10)];
+    if (!/^\d+$/.test(digits) || !expected.includes(digits.length)) {
+      add('error', key, `${key} "${node[key]}" must be ${expected.join(', ')} digits`);
+    }
+  });
+
+  ['priceValidUntil', 'datePublished'].forEach(key => {
+    if (node[key] === undefined) return;
+    const date = new Date(String(firstValue(node[key])));
+    if (isNaN(date.getTime())) {
+      add('error', key, `${key} "${node[key]}" is not an ISO 8601 date`);
+    } else if (key === 'priceValidUntil' && date < new Date()) {
+      add('warning', key, `priceValidUntil ${node[key]} is in the past`);
+    }
+  });
+
+  ['url', 'image'].forEach(key => {
+    if (node[key] === undefined) return;
+    const value = firstValue(node[key]);
+    if (typeof value === 'string' && !/^https?:\/\//i.test(value)) {
+      add('warning', key, `${key} "${value}" should be an absolute URL`);
+    }
+  });
+
+  if (typeof node.brand === 'string' && format === 'json-ld') {
+    add('warning', 'brand', 'brand should be a Brand object: { "@type": "Brand", "name": ... }');
+  }
+}
+
+/**
+ * Known property names for a type, following inheritance
+ */
+function getKnownProperties(type) {
+  const known = new Set(THING_PROPERTIES);
+  let current = type;
+  while (current && TYPE_RULES[current]) {
+    (TYPE_RULES[current].properties || []).forEach(key => known.add(key));
+    current = TYPE_RULES[current].inherits;
+  }
+  if (type === 'ProductGroup') {
+    ['productGroupID', 'variesBy', 'hasVariant'].forEach(key => known.add(key));
+  }
+  return known;
+}
+
+function inferType(parentProperty) {
+  if (parentProperty === 'mainEntity:faq') return 'Question';
+  return IMPLIED_TYPES[parentProperty] || null;
+}
+
+function hasAny(node, requirement) {
+  return [].concat(requirement).some(key => {
+    const value = node[key];
+    if (value === undefined || value === null) return false;
+    if (typeof value === 'string') return value.trim().length > 0;
+    if (Array.isArray(value)) return value.length > 0;
+    return true;
+  });
+}
+
+function describeRequirement(requirement) {
+  return Array.isArray(requirement) ? requirement.join(' or ') : requirement;
+}
+
+function createIssue(severity, path, type, property, message, format) {
+  return { severity, path, type, property, message, format };
+}
+
+/**
+ * Append a key to a JSON path, bracketing keys that aren't identifiers
+ */
+function joinPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}['${key}']`;
+}
+
+function stripSchemaPrefix(type) {
+  return type.replace(/^(https?:\/\/schema\.org\/|schema:)/i, '');
+}
+
+function firstValue(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function toNumber(value) {
+  const raw = firstValue(value);
+  if (typeof raw === 'number') return raw;
+  if (typeof raw !== 'string' || !/^-?\d+(\.\d+)?$/.test(raw.trim())) return null;
+  return parseFloat(raw);
+}
+
+function severityRank(severity) {
+  return severity === 'error' ? 0 : 1;
+}
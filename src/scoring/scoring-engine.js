@@ -4,13 +4,16 @@
  */
 
 import {
-  CATEGORY_WEIGHTS,
-  CONTEXT_MULTIPLIERS,
-  FACTOR_WEIGHTS,
   getGrade,
-  getGradeDescription,
-  getContextMultiplier
+  getGradeDescription
 } from './weights.js';
+import { DEFAULT_PROFILE, getProfileRef } from './scoring-profiles.js';
+import { getVertical, scoreVerticalChecks } from './verticals.js';
+import { validateStructuredData } from './schema-validator.js';
+import { checkSchemaConsistency } from './schema-consistency.js';
+import { analyzeVariants } from './variant-analysis.js';
+import { parseRobotsDirectives, mergeRobotsDirectives } from '../content/extractors/robots-directives.js';
+import { summarizeAIUsagePolicy } from './ai-usage-policy.js';
 
 /**
  * Main scoring engine class
@@ -18,10 +21,16 @@ import {
 export class ScoringEngine {
   /**
    * @param {string} context - Consumer context: 'want', 'need', or 'hybrid'
+   * @param {Object} profile - Scoring profile (defaults to the weights.js values)
+   * @param {string} vertical - Vertical ID adding vertical-specific Content Quality checks
    */
-  constructor(context = 'hybrid') {
+  constructor(context = 'hybrid', profile = DEFAULT_PROFILE, vertical = 'general') {
     this.context = context;
-    this.multipliers = CONTEXT_MULTIPLIERS[context] || CONTEXT_MULTIPLIERS.hybrid;
+    this.vertical = getVertical(vertical);
+    this.profile = profile || DEFAULT_PROFILE;
+    this.categoryWeights = this.profile.categoryWeights;
+    this.factorWeights = this.profile.factorWeights;
+    this.multipliers = this.profile.contextMultipliers[context] || this.profile.contextMultipliers.hybrid;
   }
 
   /**
@@ -34,22 +43,29 @@ export class ScoringEngine {
   calculateScore(extractedData, imageVerification = null, aiDiscoverabilityData = null) {
     // Calculate category scores
     const categoryScores = {
-      structuredData: this.scoreStructuredData(extractedData.structuredData),
-      protocolMeta: this.scoreProtocolMeta(extractedData.metaTags, imageVerification),
+      structuredData: this.scoreStructuredData(extractedData.structuredData, extractedData),
+      protocolMeta: this.scoreProtocolMeta(extractedData.metaTags, imageVerification, aiDiscoverabilityData?.headers),
       contentQuality: this.scoreContentQuality(extractedData.contentQuality, extractedData.aiDiscoverability),
       contentStructure: this.scoreContentStructure(extractedData.contentStructure, extractedData.contentQuality?.textMetrics),
       authorityTrust: this.scoreAuthorityTrust(extractedData.trustSignals),
       aiDiscoverability: this.scoreAIDiscoverability(extractedData, aiDiscoverabilityData)
     };
 
+    // Factors the profile weights at zero stay visible but are excluded from recommendations
+    Object.values(categoryScores).forEach(category => {
+      category.factors.forEach(factor => {
+        if (factor.maxPoints === 0) factor.disabled = true;
+      });
+    });
+
     // Calculate weighted total
     const totalScore = Math.round(
-      categoryScores.structuredData.score * CATEGORY_WEIGHTS.structuredData +
-      categoryScores.protocolMeta.score * CATEGORY_WEIGHTS.protocolMeta +
-      categoryScores.contentQuality.score * CATEGORY_WEIGHTS.contentQuality +
-      categoryScores.contentStructure.score * CATEGORY_WEIGHTS.contentStructure +
-      categoryScores.authorityTrust.score * CATEGORY_WEIGHTS.authorityTrust +
-      categoryScores.aiDiscoverability.score * CATEGORY_WEIGHTS.aiDiscoverability
+      categoryScores.structuredData.score * this.categoryWeights.structuredData +
+      categoryScores.protocolMeta.score * this.categoryWeights.protocolMeta +
+      categoryScores.contentQuality.score * this.categoryWeights.contentQuality +
+      categoryScores.contentStructure.score * this.categoryWeights.contentStructure +
+      categoryScores.authorityTrust.score * this.categoryWeights.authorityTrust +
+      categoryScores.aiDiscoverability.score * this.categoryWeights.aiDiscoverability
     );
 
     const grade = getGrade(totalScore);
@@ -61,7 +77,12 @@ export class ScoringEngine {
       grade,
       gradeDescription: getGradeDescription(grade),
       context: this.context,
+      profile: getProfileRef(this.profile),
+      vertical: { id: this.vertical.id, name: this.vertical.name },
+      multipliers: { ...this.multipliers },
       categoryScores,
+      // Shown in its own panel section; not part of the total
+      variants: analyzeVariants(extractedData),
       jsDependent,
       timestamp: new Date().toISOString()
     };
@@ -69,14 +90,16 @@ export class ScoringEngine {
 
   /**
    * Score Structured Data category (25% weight)
+   * @param {Object} data - extractedData.structuredData
+   * @param {Object} extractedData - Full extraction, for cross-checking schema against the page
    */
-  scoreStructuredData(data) {
+  scoreStructuredData(data, extractedData = {}) {
     const factors = [];
     let rawScore = 0;
     const maxScore = 100;
-    const weights = FACTOR_WEIGHTS.structuredData;
+    const weights = this.factorWeights.structuredData;
 
-    // Product Schema (30 points) - Critical, graduated scoring
+    // Product Schema (25 points) - Critical, graduated scoring
     const product = data?.schemas?.product;
     const hasProduct = product !== null;
     let productScore = 0;
@@ -101,10 +124,13 @@ export class ScoringEngine {
       // rating: 3 pts
       if (product.hasRating) { productScore += 3; presentFields.push('rating'); } else { missingFields.push('rating'); }
 
-      // Scale to maxPoints (30)
+      // Scale the 30 field points to maxPoints
       productScore = Math.round((productScore / 30) * weights.productSchema);
 
       productDetails = `Present: ${presentFields.join(', ')}`;
+      if (product.entityCount > 1 || (product.type && product.type !== 'Product')) {
+        productDetails = `Primary ${product.type || 'Product'}${product.entityCount > 1 ? ` (1 of ${product.entityCount} product entities)` : ''} | ${productDetails}`;
+      }
       if (missingFields.length > 0) {
         productDetails += ` | Missing: ${missingFields.join(', ')}`;
       }
@@ -162,7 +188,33 @@ export class ScoringEngine {
     });
     rawScore += reviewScore;
 
-    // FAQ Schema (10 points)
+    // Schema Matches Page (10 points) - stale or contradictory markup
+    const consistency = checkSchemaConsistency(extractedData);
+    let consistencyScore = 0;
+    let consistencyStatus = 'fail';
+    let consistencyDetails = 'No Product/Offer schema to cross-check';
+    if (consistency.hasSchema && consistency.compared === 0) {
+      consistencyScore = weights.schemaConsistency;
+      consistencyStatus = 'warning';
+      consistencyDetails = 'No visible price, availability, rating, or name to compare';
+    } else if (consistency.hasSchema) {
+      consistencyScore = Math.round(weights.schemaConsistency * consistency.ratio);
+      consistencyStatus = consistency.mismatches.length === 0 ? 'pass' : consistency.blocking ? 'fail' : 'warning';
+      consistencyDetails = consistency.mismatches.length === 0
+        ? `${consistency.compared} value${consistency.compared !== 1 ? 's' : ''} match the page`
+        : `Mismatch: ${consistency.mismatches.map(check => `${check.label} (schema ${check.schemaValue}, page ${check.pageValue})`).join('; ')}`;
+    }
+    factors.push({
+      name: 'Schema Matches Page',
+      status: consistencyStatus,
+      points: consistencyScore,
+      maxPoints: weights.schemaConsistency,
+      details: consistencyDetails,
+      consistency: consistency.checks
+    });
+    rawScore += consistencyScore;
+
+    // FAQ Schema (5 points)
     const hasFaq = data?.schemas?.faq !== null && data.schemas.faq?.questionCount > 0;
     const faqScore = hasFaq ? weights.faqSchema : 0;
     factors.push({
@@ -216,22 +268,26 @@ export class ScoringEngine {
     rawScore += imageSchemaScore;
 
     return {
-      score: rawScore,
+      score: normalizeCategoryScore(rawScore, factors),
       maxScore,
       factors,
-      weight: CATEGORY_WEIGHTS.structuredData,
-      categoryName: 'Structured Data'
+      weight: this.categoryWeights.structuredData,
+      categoryName: 'Structured Data',
+      validation: validateStructuredData(data)
     };
   }
 
   /**
    * Score Protocol & Meta Compliance category (20% weight)
+   * @param {Object} data - Extracted meta tags
+   * @param {Object} imageVerification - og:image format check
+   * @param {Object} pageHeaders - Page response headers from the service worker
    */
-  scoreProtocolMeta(data, imageVerification) {
+  scoreProtocolMeta(data, imageVerification, pageHeaders = null) {
     const factors = [];
     let rawScore = 0;
     const maxScore = 100;
-    const weights = FACTOR_WEIGHTS.protocolMeta;
+    const weights = this.factorWeights.protocolMeta;
     const og = data?.openGraph || {};
     const twitter = data?.twitterCards || {};
 
@@ -363,8 +419,12 @@ export class ScoringEngine {
     const hasCanonical = data?.canonical?.present;
     const canonicalMatches = data?.canonical?.matchesCurrentUrl;
     const isProductCanonical = data?.canonical?.isProductCanonical;
+    // A Link: rel="canonical" header that disagrees with the tag leaves crawlers to pick one
+    const headerCanonical = pageHeaders?.links?.canonical || null;
+    const canonicalConflict = hasCanonical && headerCanonical &&
+      canonicalKey(headerCanonical, pageHeaders.finalUrl) !== canonicalKey(data.canonical.url);
     // Pass if canonical matches current URL or is a valid parent canonical (e.g. Shopify collection → product)
-    const canonicalIsValid = canonicalMatches || isProductCanonical;
+    const canonicalIsValid = (canonicalMatches || isProductCanonical) && !canonicalConflict;
     const canonicalScore = hasCanonical ? (canonicalIsValid ? weights.canonical : weights.canonical * 0.7) : 0;
     factors.push({
       name: 'Canonical URL',
@@ -372,10 +432,11 @@ export class ScoringEngine {
       points: canonicalScore,
       maxPoints: weights.canonical,
       details: hasCanonical ?
-        (canonicalMatches ? 'Matches current URL' :
+        (canonicalConflict ? `Link header canonical (${headerCanonical}) differs from the canonical tag` :
+         canonicalMatches ? 'Matches current URL' :
          isProductCanonical ? 'Points to canonical product URL' :
          'Points to a different URL') :
-        'Missing canonical'
+        (headerCanonical ? 'Only set by the Link header (crawlers reading HTML miss it)' : 'Missing canonical')
     });
     rawScore += canonicalScore;
 
@@ -393,8 +454,22 @@ export class ScoringEngine {
     });
     rawScore += metaDescScore;
 
+    // Robots meta tags and X-Robots-Tag headers, merged the way search crawlers apply them
+    const robots = mergeRobotsDirectives(
+      data?.robots?.agents || parseRobotsDirectives(data?.robots?.content),
+      pageHeaders?.robotsDirectives
+    );
+    const directives = robots.directives;
+    const describeSource = (directive) => {
+      const source = robots.sources.find(entry => entry.directive.startsWith(directive));
+      if (!source) return '';
+      const where = source.source === 'header' ? 'X-Robots-Tag header' : 'meta tag';
+      return source.agent === '*' ? ` (${where})` : ` (${source.agent} ${where})`;
+    };
+
     // Robots allows indexing (5 points) - Critical if blocked
-    const isBlocked = data?.robots?.isBlocked;
+    const expired = directives.unavailableAfter && Date.parse(directives.unavailableAfter) <= Date.now();
+    const isBlocked = directives.noindex || !!data?.robots?.isBlocked || expired;
     const robotsScore = isBlocked ? 0 : weights.robotsAllowsIndex;
     factors.push({
       name: 'Robots Allows Indexing',
@@ -402,16 +477,91 @@ export class ScoringEngine {
       points: robotsScore,
       maxPoints: weights.robotsAllowsIndex,
       critical: isBlocked,
-      details: isBlocked ? 'BLOCKED: noindex directive found' : 'Indexing allowed'
+      details: isBlocked
+        ? (expired && !directives.noindex
+          ? `BLOCKED: unavailable_after ${directives.unavailableAfter.slice(0, 10)} has passed${describeSource('unavailable_after')}`
+          : `BLOCKED: noindex directive found${describeSource('noindex')}`)
+        : 'Indexing allowed'
     });
     rawScore += robotsScore;
 
+    // Snippet eligibility (5 points) - can search and AI answers quote the page?
+    const snippetResult = this.scoreSnippetEligibility(directives, data?.robots?.nosnippetRegions, describeSource, weights.snippetEligibility);
+    factors.push(snippetResult.factor);
+    rawScore += snippetResult.score;
+
     return {
-      score: rawScore,
+      score: normalizeCategoryScore(rawScore, factors),
       maxScore,
       factors,
-      weight: CATEGORY_WEIGHTS.protocolMeta,
-      categoryName: 'Protocol & Meta Compliance'
+      weight: this.categoryWeights.protocolMeta,
+      categoryName: 'Protocol & Meta Compliance',
+      headerAudit: pageHeaders ? {
+        accessible: !!pageHeaders.accessible,
+        status: pageHeaders.status || null,
+        error: pageHeaders.error || null,
+        xRobotsTag: pageHeaders.xRobotsTag || null,
+        contentType: pageHeaders.contentType || null,
+        charset: pageHeaders.charset || null,
+        documentCharset: data?.technical?.charset || null,
+        canonical: headerCanonical,
+        alternates: pageHeaders.links?.alternates || [],
+        caching: pageHeaders.caching || null,
+        directives: robots.sources
+      } : null
+    };
+  }
+
+  /**
+   * Score snippet eligibility from nosnippet, max-snippet, max-image-preview,
+   * noai/noimageai, and data-nosnippet regions over key product content
+   * @param {Object} directives - Merged robots directives
+   * @param {Object} regions - data-nosnippet regions from the content script
+   * @param {Function} describeSource - Names where a directive came from
+   * @param {number} maxPoints - Maximum points for this factor
+   */
+  scoreSnippetEligibility(directives, regions, describeSource, maxPoints) {
+    const problems = [];
+    const blocked = directives.nosnippet || directives.maxSnippet === 0;
+    let penalty = 0;
+
+    if (blocked) {
+      const directive = directives.nosnippet ? 'nosnippet' : 'max-snippet:0';
+      problems.push(`${directive}: no text can be quoted${describeSource(directive)}`);
+    } else if (directives.maxSnippet !== null && directives.maxSnippet !== -1 && directives.maxSnippet < 160) {
+      problems.push(`max-snippet:${directives.maxSnippet} limits quotes to ${directives.maxSnippet} characters${describeSource('max-snippet')}`);
+      penalty += 0.4;
+    }
+    if (directives.maxImagePreview === 'none') {
+      problems.push(`max-image-preview:none hides product images${describeSource('max-image-preview')}`);
+      penalty += 0.3;
+    }
+    if (directives.noai || directives.noimageai) {
+      const directive = directives.noai ? 'noai' : 'noimageai';
+      problems.push(`${directive}: opts ${directive === 'noai' ? 'the page' : 'images'} out of AI use${describeSource(directive)}`);
+      penalty += 0.3;
+    }
+    if (regions?.covers?.length > 0) {
+      problems.push(`data-nosnippet hides ${regions.covers.join(', ')}`);
+      penalty += 0.3;
+    } else if (regions?.shareOfText > 0.5) {
+      problems.push(`data-nosnippet hides ${Math.round(regions.shareOfText * 100)}% of the page text`);
+      penalty += 0.3;
+    }
+
+    // Partial restrictions never cost the whole factor; nosnippet does
+    penalty = blocked ? 1 : Math.min(0.8, penalty);
+    const score = Math.round(maxPoints * (1 - penalty) * 10) / 10;
+
+    return {
+      score,
+      factor: {
+        name: 'Snippet Eligibility',
+        status: blocked ? 'fail' : penalty === 0 ? 'pass' : 'warning',
+        points: score,
+        maxPoints,
+        details: problems.length > 0 ? problems.join('; ') : 'No snippet restrictions'
+      }
     };
   }
 
@@ -424,7 +574,7 @@ export class ScoringEngine {
     const factors = [];
     let rawScore = 0;
     const maxScore = 100;
-    const weights = FACTOR_WEIGHTS.contentQuality;
+    const weights = this.factorWeights.contentQuality;
     const desc = data?.description || {};
     const specs = data?.specifications || {};
     const features = data?.features || {};
@@ -609,7 +759,7 @@ export class ScoringEngine {
     // Comparison Content (5 points) - Contextual
     const hasComparison = aiSignals?.answerFormat?.hasComparison || false;
     let comparisonScore = hasComparison ? weights.comparisonContent : 0;
-    comparisonScore = Math.min(weights.comparisonContent, Math.round(comparisonScore * (this.multipliers.comparisonContent || 1.0)));
+    comparisonScore = Math.min(weights.comparisonContent, Math.round(comparisonScore * (this.multipliers.comparisonContent ?? 1.0)));
     factors.push({
       name: 'Comparison Content',
       status: hasComparison ? 'pass' : 'fail',
@@ -620,11 +770,19 @@ export class ScoringEngine {
     });
     rawScore += comparisonScore;
 
+    // Vertical-specific checks (size chart, nutrition, ...) join the category's maximum
+    if (this.vertical.checks.length > 0) {
+      const verticalResult = scoreVerticalChecks(data?.verticalSignals, this.vertical);
+      factors.push(...verticalResult.factors);
+      rawScore += verticalResult.score;
+    }
+    const score = normalizeCategoryScore(rawScore, factors);
+
     return {
-      score: Math.min(100, rawScore),
+      score,
       maxScore,
       factors,
-      weight: CATEGORY_WEIGHTS.contentQuality,
+      weight: this.categoryWeights.contentQuality,
       categoryName: 'Content Depth & Quality'
     };
   }
@@ -638,7 +796,7 @@ export class ScoringEngine {
     const factors = [];
     let rawScore = 0;
     const maxScore = 100;
-    const weights = FACTOR_WEIGHTS.contentStructure;
+    const weights = this.factorWeights.contentStructure;
     const headings = data?.headings || {};
     const semantic = data?.semanticHTML || {};
     const ratio = data?.contentRatio || {};
@@ -798,10 +956,10 @@ export class ScoringEngine {
     rawScore += jsScore;
 
     return {
-      score: Math.min(100, rawScore),
+      score: normalizeCategoryScore(rawScore, factors),
       maxScore,
       factors,
-      weight: CATEGORY_WEIGHTS.contentStructure,
+      weight: this.categoryWeights.contentStructure,
       categoryName: 'Content Structure & Accessibility'
     };
   }
@@ -813,12 +971,22 @@ export class ScoringEngine {
     const factors = [];
     let rawScore = 0;
     const maxScore = 100;
-    const weights = FACTOR_WEIGHTS.authorityTrust;
+    const weights = this.factorWeights.authorityTrust;
     const reviews = data?.reviews || {};
     const brand = data?.brand || {};
     const certs = data?.certifications || {};
     const awards = data?.awards || {};
 
+    // Name the review vendor when its widget supplied the value
+    const platform = reviews.platform;
+    const vendorLabel = (field) => platform && reviews.sources?.[field] === platform.id ? ` (${platform.name})` : '';
+    let noReviewsDetails = 'No reviews found';
+    if (platform?.iframe) {
+      noReviewsDetails = `${platform.name} widget is an iframe; no reviews readable on the page`;
+    } else if (platform?.pending) {
+      noReviewsDetails = `${platform.name} widget found but not loaded yet`;
+    }
+
     // Review Count (25 points) - Contextual
     let reviewCountScore = reviews.countScore ? Math.round((reviews.countScore / 100) * weights.reviewCount) : 0;
     reviewCountScore = Math.round(reviewCountScore * this.multipliers.reviewCount);
@@ -828,7 +996,7 @@ export class ScoringEngine {
       points: Math.min(weights.reviewCount * 1.5, reviewCountScore),
       maxPoints: weights.reviewCount,
       contextual: true,
-      details: reviews.count > 0 ? `${reviews.count} reviews` : 'No reviews found'
+      details: reviews.count > 0 ? `${reviews.count} reviews${vendorLabel('count')}` : noReviewsDetails
     });
     rawScore += Math.min(weights.reviewCount * 1.5, reviewCountScore);
 
@@ -841,7 +1009,7 @@ export class ScoringEngine {
       points: Math.min(weights.averageRating, ratingScore),
       maxPoints: weights.averageRating,
       contextual: true,
-      details: reviews.averageRating ? `${reviews.averageRating.toFixed(1)}/5` : 'No rating'
+      details: reviews.averageRating ? `${reviews.averageRating.toFixed(1)}/5${vendorLabel('rating')}` : 'No rating'
     });
     rawScore += Math.min(weights.averageRating, ratingScore);
 
@@ -889,7 +1057,7 @@ export class ScoringEngine {
       // Calculate score based on average review length
       depthScore = reviews.depthScore ? Math.round((reviews.depthScore / 100) * weights.reviewDepth) : 0;
       depthStatus = avgLength >= 100 ? 'pass' : avgLength >= 50 ? 'warning' : 'fail';
-      depthDetails = `Avg ${avgLength} chars (${reviewsAnalyzed} review${reviewsAnalyzed !== 1 ? 's' : ''} analyzed)`;
+      depthDetails = `Avg ${avgLength} chars (${reviewsAnalyzed} review${reviewsAnalyzed !== 1 ? 's' : ''} analyzed${reviews.verifiedCount > 0 ? `, ${reviews.verifiedCount} verified` : ''})${vendorLabel('reviews')}`;
     }
 
     factors.push({
@@ -947,10 +1115,10 @@ export class ScoringEngine {
     rawScore += awardScore;
 
     return {
-      score: Math.min(100, rawScore),
+      score: normalizeCategoryScore(rawScore, factors),
       maxScore,
       factors,
-      weight: CATEGORY_WEIGHTS.authorityTrust,
+      weight: this.categoryWeights.authorityTrust,
       categoryName: 'Authority & Trust Signals'
     };
   }
@@ -958,22 +1126,23 @@ export class ScoringEngine {
   /**
    * Score AI Discoverability category (20% weight)
    * @param {Object} extractedData - Full extracted data from content script
-   * @param {Object} networkData - Network fetch data (robots.txt, llms.txt, Last-Modified)
+   * @param {Object} networkData - Network fetch data (robots.txt, llms.txt, page headers, TDMRep/ai.txt)
    */
   scoreAIDiscoverability(extractedData, networkData) {
     const factors = [];
     let rawScore = 0;
     const maxScore = 100;
-    const weights = FACTOR_WEIGHTS.aiDiscoverability;
+    const weights = this.factorWeights.aiDiscoverability;
     const robots = networkData?.robots || {};
     const llms = networkData?.llms || {};
+    const lastModified = networkData?.lastModified || {};
 
-    // AI Crawler Access (30 points)
-    const crawlerResult = this.scoreAICrawlerAccess(robots, weights.aiCrawlerAccess);
+    // AI Crawler Access (25 points)
+    const crawlerResult = this.scoreAICrawlerAccess(robots, weights.aiCrawlerAccess, networkData?.crawlerSimulation);
     factors.push(crawlerResult.factor);
     rawScore += crawlerResult.score;
 
-    // Entity Consistency (25 points)
+    // Entity Consistency (20 points)
     const entityResult = this.scoreEntityConsistency(extractedData, weights.entityConsistency);
     factors.push(entityResult.factor);
     rawScore += entityResult.score;
@@ -993,12 +1162,18 @@ export class ScoringEngine {
     factors.push(llmsResult.factor);
     rawScore += llmsResult.score;
 
+    // Content Freshness (10 points)
+    const freshnessResult = this.scoreContentFreshness(extractedData, lastModified, weights.contentFreshness);
+    factors.push(freshnessResult.factor);
+    rawScore += freshnessResult.score;
+
     return {
-      score: Math.min(100, rawScore),
+      score: normalizeCategoryScore(rawScore, factors),
       maxScore,
       factors,
-      weight: CATEGORY_WEIGHTS.aiDiscoverability,
-      categoryName: 'AI Discoverability'
+      weight: this.categoryWeights.aiDiscoverability,
+      categoryName: 'AI Discoverability',
+      usagePolicy: summarizeAIUsagePolicy(extractedData, networkData)
     };
   }
 
@@ -1196,16 +1371,23 @@ export class ScoringEngine {
   }
 
   /**
-   * Score AI crawler access based on robots.txt rules
-   * @param {Object} robotsData - Parsed robots.txt data
+   * Score AI crawler access based on robots.txt rules for the analyzed page's path,
+   * and on CDN/WAF responses to simulated crawler user-agents when available
+   * @param {Object} robotsData - robots.txt evaluation from service worker
    * @param {number} maxPoints - Maximum points for this factor
+   * @param {Object} [simulation] - simulateAICrawlers() result
    */
-  scoreAICrawlerAccess(robotsData, maxPoints) {
+  scoreAICrawlerAccess(robotsData, maxPoints, simulation = null) {
     let score = 0;
     let status = 'unknown';
     let details = 'Unable to check robots.txt';
 
-    if (robotsData.accessible === false && robotsData.error) {
+    if (robotsData.unreachable) {
+      // Server error on robots.txt - compliant crawlers treat the site as fully disallowed
+      status = 'fail';
+      details = `robots.txt returned ${robotsData.status}; crawlers treat the site as disallowed`;
+      score = 0;
+    } else if (robotsData.accessible === false && robotsData.error) {
       // CORS blocked - can't determine
       status = 'warning';
       details = 'robots.txt not accessible (CORS)';
@@ -1216,23 +1398,57 @@ export class ScoringEngine {
       details = 'No robots.txt (AI crawlers allowed)';
       score = maxPoints;
     } else if (robotsData.accessible) {
-      const blockedCount = robotsData.blockedCrawlers?.length || 0;
+      const blocked = robotsData.blockedCrawlers || [];
+      const blockedCount = blocked.length;
       const allowedCount = robotsData.allowedCrawlers?.length || 0;
       const totalMajor = blockedCount + allowedCount;
+      const path = robotsData.path || '/';
 
       if (blockedCount === 0) {
         status = 'pass';
-        details = `All major AI crawlers allowed`;
+        details = `All major AI crawlers allowed for ${path}`;
         score = maxPoints;
       } else if (blockedCount < totalMajor) {
         status = 'warning';
-        details = `${blockedCount}/${totalMajor} AI crawlers blocked: ${robotsData.blockedCrawlers.slice(0, 3).join(', ')}`;
+        details = `${blockedCount}/${totalMajor} AI crawlers blocked for ${path}: ${blocked.slice(0, 3).join(', ')}`;
         score = Math.round(maxPoints * (allowedCount / totalMajor));
       } else {
         status = 'fail';
-        details = `All major AI crawlers blocked`;
+        details = `All major AI crawlers blocked for ${path}`;
         score = 0;
       }
+
+      // Name the rule that decided the first blocked crawler
+      const decidingRule = blockedCount > 0 ? robotsData.crawlerAccess?.[blocked[0]]?.rule : null;
+      if (decidingRule) {
+        const directive = decidingRule.type === 'allow' ? 'Allow' : 'Disallow';
+        details += ` (${directive}: ${decidingRule.pattern}, line ${decidingRule.line})`;
+      }
+    }
+
+    // Crawlers robots.txt lets in but the CDN/WAF turns away
+    let wafBlocked = [];
+    if (simulation?.results?.length > 0) {
+      const robotsBlocked = robotsData.blockedCrawlers || [];
+      const tested = simulation.results.filter(result => result.outcome !== 'skipped' && result.outcome !== 'error');
+      const baselineFailed = simulation.baseline?.error || simulation.baseline?.status >= 400 || simulation.baseline?.challenge;
+      wafBlocked = tested.filter(result => (result.outcome === 'blocked' || result.outcome === 'challenged') && !robotsBlocked.includes(result.crawler));
+      const degraded = tested.filter(result => result.outcome === 'degraded' && !robotsBlocked.includes(result.crawler));
+
+      if (baselineFailed) {
+        details += '; crawler simulation inconclusive (the page also failed for a normal browser request)';
+        wafBlocked = [];
+      } else if (wafBlocked.length > 0) {
+        score = Math.round(score * (1 - wafBlocked.length / tested.length));
+        status = wafBlocked.length >= tested.length ? 'fail' : 'warning';
+        details += `; CDN/WAF blocks ${wafBlocked.length}/${tested.length} simulated crawlers: ${wafBlocked.slice(0, 3).map(result => `${result.crawler} (${result.reason})`).join(', ')}`;
+      } else if (degraded.length > 0) {
+        score = Math.round(score * 0.8);
+        if (status === 'pass') status = 'warning';
+        details += `; ${degraded.length} simulated crawler${degraded.length !== 1 ? 's' : ''} got different HTML: ${degraded[0].crawler} (${degraded[0].reason})`;
+      } else if (tested.length > 0) {
+        details += `; ${tested.length} simulated crawlers received the page`;
+      }
     }
 
     return {
@@ -1243,13 +1459,20 @@ export class ScoringEngine {
         points: score,
         maxPoints,
         critical: status === 'fail',
-        details
+        details,
+        crawlerAccess: robotsData.accessible ? robotsData.crawlerAccess || null : null,
+        robotsPath: robotsData.path || null,
+        crawlerSimulation: simulation,
+        wafBlockedCrawlers: wafBlocked.map(result => result.crawler),
+        siteSignal: robotsData.cache || null
       }
     };
   }
 
   /**
-   * Score llms.txt presence
+   * Score llms.txt presence and structure
+   * A file that is empty, served as HTML, or has neither a title nor links
+   * scores nothing; structural errors, warnings and broken links cost points.
    * @param {Object} llmsData - llms.txt fetch results
    * @param {number} maxPoints - Maximum points for this factor
    */
@@ -1257,21 +1480,61 @@ export class ScoringEngine {
     let score = 0;
     let status = 'fail';
     let details = 'No llms.txt found';
-
-    if (llmsData.found) {
-      if (llmsData.llmsTxt?.found && llmsData.llmsFullTxt?.found) {
-        status = 'pass';
-        score = maxPoints;
-        details = 'Both llms.txt and llms-full.txt found';
-      } else if (llmsData.llmsTxt?.found) {
-        status = 'pass';
-        score = maxPoints;
-        details = 'llms.txt found';
-      } else if (llmsData.llmsFullTxt?.found) {
-        status = 'pass';
-        score = Math.round(maxPoints * 0.8);
-        details = 'llms-full.txt found (llms.txt recommended)';
+    let llms = null;
+    const llmsTxt = llmsData.llmsTxt || {};
+    const hasFull = !!llmsData.llmsFullTxt?.found;
+
+    if (llmsTxt.found && llmsTxt.issues) {
+      const issues = llmsTxt.issues;
+      const errors = issues.filter(issue => issue.severity === 'error');
+      const warnings = issues.filter(issue => issue.severity === 'warning');
+      const broken = llmsTxt.linkCheck?.broken || [];
+      const checked = llmsTxt.linkCheck?.checked || 0;
+      llms = { found: true, issues, brokenLinks: broken, linkCheck: llmsTxt.linkCheck, mentions: llmsTxt.mentions };
+
+      if (!llmsTxt.title && !llmsTxt.linkCount) {
+        details = `llms.txt found but unusable: ${(errors[0]?.message || 'no title or links').toLowerCase()}`;
+      } else {
+        const penalty = Math.min(0.8,
+          errors.length * 0.25 +
+          Math.min(warnings.length, 3) * 0.1 +
+          (checked > 0 ? (broken.length / checked) * 0.4 : 0));
+        score = Math.round(maxPoints * (1 - penalty));
+        status = penalty === 0 ? 'pass' : 'warning';
+
+        const parts = [];
+        if (errors.length > 0 || warnings.length > 0) {
+          const counts = [
+            errors.length > 0 ? `${errors.length} error${errors.length !== 1 ? 's' : ''}` : null,
+            warnings.length > 0 ? `${warnings.length} warning${warnings.length !== 1 ? 's' : ''}` : null
+          ].filter(Boolean).join(', ');
+          parts.push(`llms.txt has ${counts} (${(errors[0] || warnings[0]).message})`);
+        } else {
+          parts.push(`llms.txt well-formed: ${llmsTxt.linkCount} link${llmsTxt.linkCount !== 1 ? 's' : ''} in ${llmsTxt.sections.length} section${llmsTxt.sections.length !== 1 ? 's' : ''}`);
+        }
+        if (broken.length > 0) {
+          parts.push(`${broken.length}/${checked} linked URLs broken`);
+        }
+        const mentions = llmsTxt.mentions;
+        if (mentions?.product) {
+          parts.push('lists this product');
+        } else if (mentions?.category) {
+          parts.push('lists this product\'s category');
+        } else if (mentions) {
+          parts.push('doesn\'t mention this product or its category');
+        }
+        if (hasFull) parts.push('llms-full.txt found');
+        details = parts.join('; ');
       }
+    } else if (llmsTxt.found) {
+      // Presence-only result (content couldn't be read)
+      status = 'pass';
+      score = maxPoints;
+      details = hasFull ? 'Both llms.txt and llms-full.txt found' : 'llms.txt found';
+    } else if (hasFull) {
+      status = 'pass';
+      score = Math.round(maxPoints * 0.8);
+      details = 'llms-full.txt found (llms.txt recommended)';
     }
 
     return {
@@ -1281,8 +1544,196 @@ export class ScoringEngine {
         status,
         points: score,
         maxPoints,
-        details
+        details,
+        llms,
+        siteSignal: llmsData.cache || null
       }
     };
   }
+
+  /**
+   * Score content freshness by reconciling every date signal on the page
+   * with the HTTP Last-Modified header. Stale or contradictory dates lose points.
+   * @param {Object} extractedData - Full extracted data
+   * @param {Object} lastModifiedData - Last-Modified HEAD results from service worker
+   * @param {number} maxPoints - Maximum points for this factor
+   */
+  scoreContentFreshness(extractedData, lastModifiedData, maxPoints) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const FRESH_DAYS = 90;
+    const AGING_DAYS = 365;
+    const DISAGREEMENT_DAYS = 30;
+    const now = Date.now();
+
+    const signals = this.collectFreshnessSignals(extractedData, lastModifiedData);
+    const dated = signals.filter(s => s.time !== null);
+    const conflicts = [];
+
+    // Future dates are a markup error, not a freshness signal
+    const future = dated.filter(s => s.time > now + DAY_MS);
+    future.forEach(s => conflicts.push(`${s.label} is in the future (${s.day})`));
+    const usable = dated.filter(s => s.time <= now + DAY_MS);
+
+    // Page-level "modified" signals from different sources should agree
+    const modified = usable.filter(s => s.kind === 'modified' && !s.weak);
+    if (modified.length > 1) {
+      const newest = modified.reduce((a, b) => (b.time > a.time ? b : a));
+      const oldest = modified.reduce((a, b) => (b.time < a.time ? b : a));
+      if (newest.source !== oldest.source && newest.time - oldest.time > DISAGREEMENT_DAYS * DAY_MS) {
+        conflicts.push(`${oldest.label} (${oldest.day}) vs ${newest.label} (${newest.day})`);
+      }
+    }
+
+    // dateModified earlier than datePublished
+    const published = usable.filter(s => s.kind === 'published');
+    if (modified.length > 0 && published.length > 0) {
+      const latestModified = Math.max(...modified.map(s => s.time));
+      const earliestPublished = published.reduce((a, b) => (b.time < a.time ? b : a));
+      if (latestModified < earliestPublished.time - DAY_MS) {
+        conflicts.push(`Modified date precedes ${earliestPublished.label} (${earliestPublished.day})`);
+      }
+    }
+
+    // Prefer explicit modified dates, then unlabelled dates, then publish dates
+    const strong = usable.filter(s => !s.weak);
+    const candidates = modified.length > 0 ? modified
+      : strong.filter(s => s.kind !== 'published').length > 0 ? strong.filter(s => s.kind !== 'published')
+      : strong;
+    const effective = candidates.length > 0
+      ? candidates.reduce((a, b) => (b.time > a.time ? b : a))
+      : null;
+
+    if (!effective) {
+      const onlyGenerated = usable.some(s => s.weak);
+      return {
+        score: 0,
+        factor: {
+          name: 'Content Freshness',
+          status: 'fail',
+          points: 0,
+          maxPoints,
+          details: onlyGenerated
+            ? 'Only Last-Modified set to request time (dynamic page); no page-level dates'
+            : 'No dateModified, visible update date, or Last-Modified header found',
+          freshness: { state: 'missing', ageDays: null, source: null, conflicts }
+        }
+      };
+    }
+
+    const ageDays = Math.max(0, Math.floor((now - effective.time) / DAY_MS));
+    let state;
+    let ratio;
+    if (ageDays <= FRESH_DAYS) {
+      state = 'fresh';
+      ratio = 1.0;
+    } else if (ageDays <= AGING_DAYS) {
+      state = 'aging';
+      ratio = 0.6;
+    } else {
+      state = 'stale';
+      ratio = 0.2;
+    }
+
+    // A published date alone says nothing about upkeep
+    if (effective.kind === 'published') ratio = Math.min(ratio, 0.6);
+    if (conflicts.length > 0) ratio = Math.max(0, ratio - 0.3);
+
+    const score = Math.round(maxPoints * ratio);
+    const status = ratio >= 0.8 ? 'pass' : ratio >= 0.4 ? 'warning' : 'fail';
+
+    let details = `${effective.kind === 'published' ? 'Published' : 'Updated'} ${ageDays} days ago (${effective.label})`;
+    if (conflicts.length > 0) {
+      details += ` | ${conflicts.length} conflicting date${conflicts.length > 1 ? 's' : ''}: ${conflicts[0]}`;
+    }
+
+    return {
+      score,
+      factor: {
+        name: 'Content Freshness',
+        status,
+        points: score,
+        maxPoints,
+        details,
+        freshness: { state, ageDays, source: effective.label, conflicts }
+      }
+    };
+  }
+
+  /**
+   * Normalize page and HTTP date signals into comparable entries
+   * Falls back to the single-value schemaDate/visibleDate fields when the
+   * extraction predates the full dateSignals list
+   * @param {Object} extractedData - Full extracted data
+   * @param {Object} lastModifiedData - Last-Modified HEAD results
+   * @returns {Array<{source, label, kind, time, day, weak}>}
+   */
+  collectFreshnessSignals(extractedData, lastModifiedData) {
+    const ai = extractedData.aiDiscoverability || {};
+    let raw = ai.dateSignals;
+
+    if (!Array.isArray(raw)) {
+      raw = [];
+      const schemaDate = ai.schemaDate || {};
+      if (schemaDate.dateModified) raw.push({ source: schemaDate.source, field: 'dateModified', kind: 'modified', date: schemaDate.dateModified });
+      if (schemaDate.datePublished) raw.push({ source: schemaDate.source, field: 'datePublished', kind: 'published', date: schemaDate.datePublished });
+      if (ai.visibleDate?.parsedDate) {
+        const kind = ['updated', 'modified'].includes(ai.visibleDate.dateType) ? 'modified' : ai.visibleDate.dateType;
+        raw.push({ source: 'visible-text', field: ai.visibleDate.dateText, kind, date: ai.visibleDate.parsedDate });
+      }
+    }
+
+    const signals = raw.map(s => {
+      const time = s.date ? new Date(s.date).getTime() : NaN;
+      return {
+        source: s.source,
+        label: s.source === 'visible-text' ? `visible "${s.field}"` : `${s.source} ${s.field}`,
+        kind: s.kind,
+        time: isNaN(time) ? null : time,
+        day: isNaN(time) ? null : new Date(time).toISOString().slice(0, 10),
+        weak: false
+      };
+    });
+
+    if (lastModifiedData?.lastModified) {
+      const time = new Date(lastModifiedData.lastModified).getTime();
+      const serverTime = lastModifiedData.serverDate ? new Date(lastModifiedData.serverDate).getTime() : NaN;
+      if (!isNaN(time)) {
+        signals.push({
+          source: 'http',
+          label: 'HTTP Last-Modified',
+          kind: 'modified',
+          time,
+          day: new Date(time).toISOString().slice(0, 10),
+          // Dynamic pages often stamp Last-Modified with the response time
+          weak: !isNaN(serverTime) && Math.abs(serverTime - time) < 60 * 1000
+        });
+      }
+    }
+
+    return signals;
+  }
+}
+
+/**
+ * Scale a category's points to 0-100 against the factors it actually scores
+ * Factors a profile weights at zero drop out of the maximum instead of
+ * lowering it, and factor weights don't have to add up to 100.
+ * @param {number} rawScore - Points earned
+ * @param {Array<Object>} factors - Category factors (maxPoints)
+ * @returns {number} Category score (0-100, rounded)
+ */
+function normalizeCategoryScore(rawScore, factors) {
+  const maxPoints = factors.reduce((sum, factor) => sum + (factor.maxPoints > 0 ? factor.maxPoints : 0), 0);
+  if (maxPoints === 0) return 0;
+  return Math.min(100, Math.round((rawScore / maxPoints) * 100));
+}
+
+// Origin + path for comparing canonical URLs (relative header values resolve against the page)
+function canonicalKey(url, base) {
+  try {
+    const parsed = new URL(url, base);
+    return (parsed.origin + parsed.pathname).toLowerCase().replace(/\/$/, '');
+  } catch (e) {
+    return String(url).toLowerCase();
+  }
 }
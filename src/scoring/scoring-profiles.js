@@ -0,0 +1,188 @@
+/**
+ * Scoring Profiles
+ * Named sets of category weights, factor weights, and context multipliers
+ * that the ScoringEngine loads in place of the weights.js defaults
+ */
+
+import { CATEGORY_WEIGHTS, FACTOR_WEIGHTS, CONTEXT_MULTIPLIERS } from './weights.js';
+
+/**
+ * Export file marker and format version
+ */
+export const PROFILE_EXPORT_TYPE = 'pdpiq-scoring-profile';
+export const PROFILE_EXPORT_VERSION = 1;
+
+/**
+ * Allowed multiplier range (0 switches a contextual factor off)
+ */
+const MULTIPLIER_MIN = 0;
+const MULTIPLIER_MAX = 3;
+
+/**
+ * Rounding tolerance when checking sums
+ */
+const SUM_TOLERANCE = 0.001;
+
+/**
+ * The built-in profile, mirroring weights.js
+ */
+export const DEFAULT_PROFILE = Object.freeze({
+  id: 'default',
+  name: 'pdpIQ Default',
+  builtIn: true,
+  categoryWeights: CATEGORY_WEIGHTS,
+  factorWeights: FACTOR_WEIGHTS,
+  contextMultipliers: CONTEXT_MULTIPLIERS
+});
+
+/**
+ * Profiles shipped with the extension (read-only in the UI)
+ */
+export const BUILT_IN_PROFILES = [DEFAULT_PROFILE];
+
+/**
+ * Fill any missing keys from the defaults so older or partial profiles stay scoreable
+ * Unknown keys are dropped.
+ * @param {Object} profile - Possibly partial profile
+ * @returns {Object} Complete profile
+ */
+export function normalizeProfile(profile) {
+  const categoryWeights = {};
+  Object.keys(CATEGORY_WEIGHTS).forEach(key => {
+    categoryWeights[key] = toNumber(profile.categoryWeights?.[key], CATEGORY_WEIGHTS[key]);
+  });
+
+  const factorWeights = {};
+  Object.entries(FACTOR_WEIGHTS).forEach(([category, defaults]) => {
+    factorWeights[category] = {};
+    Object.keys(defaults).forEach(key => {
+      factorWeights[category][key] = toNumber(profile.factorWeights?.[category]?.[key], defaults[key]);
+    });
+  });
+
+  const contextMultipliers = {};
+  Object.entries(CONTEXT_MULTIPLIERS).forEach(([context, defaults]) => {
+    contextMultipliers[context] = {};
+    Object.keys(defaults).forEach(key => {
+      contextMultipliers[context][key] = toNumber(profile.contextMultipliers?.[context]?.[key], defaults[key]);
+    });
+  });
+
+  return {
+    id: profile.id || null,
+    name: String(profile.name || '').trim(),
+    builtIn: !!profile.builtIn,
+    categoryWeights,
+    factorWeights,
+    contextMultipliers
+  };
+}
+
+/**
+ * Validate a complete profile
+ * Category weights must sum to 1.0. Factor weights are relative points: each
+ * category is scored against the sum of its factor weights, so they needn't
+ * add up to 100.
+ * @param {Object} profile - Normalized profile
+ * @returns {Object} { valid, errors }
+ */
+export function validateProfile(profile) {
+  const errors = [];
+
+  if (!profile.name) {
+    errors.push('Profile name is required');
+  }
+
+  const categoryValues = Object.entries(profile.categoryWeights || {});
+  categoryValues.forEach(([key, value]) => {
+    if (!isValidNumber(value) || value < 0 || value > 1) {
+      errors.push(`Category weight "${key}" must be between 0 and 1`);
+    }
+  });
+  const categorySum = categoryValues.reduce((sum, [, value]) => sum + (Number(value) || 0), 0);
+  if (Math.abs(categorySum - 1) > SUM_TOLERANCE) {
+    errors.push(`Category weights must sum to 1.0 (currently ${round(categorySum, 3)})`);
+  }
+
+  Object.entries(profile.factorWeights || {}).forEach(([category, weights]) => {
+    Object.entries(weights).forEach(([key, value]) => {
+      if (!isValidNumber(value) || value < 0 || value > 100) {
+        errors.push(`Factor weight "${category}.${key}" must be between 0 and 100`);
+      }
+    });
+  });
+
+  Object.entries(profile.contextMultipliers || {}).forEach(([context, multipliers]) => {
+    Object.entries(multipliers).forEach(([key, value]) => {
+      if (!isValidNumber(value) || value < MULTIPLIER_MIN || value > MULTIPLIER_MAX) {
+        errors.push(`Multiplier "${context}.${key}" must be between ${MULTIPLIER_MIN} and ${MULTIPLIER_MAX}`);
+      }
+    });
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Serialize a profile for sharing
+ * @param {Object} profile - Profile to export
+ * @returns {string} JSON string
+ */
+export function serializeProfile(profile) {
+  const { name, categoryWeights, factorWeights, contextMultipliers } = profile;
+  return JSON.stringify({
+    type: PROFILE_EXPORT_TYPE,
+    version: PROFILE_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile: { name, categoryWeights, factorWeights, contextMultipliers }
+  }, null, 2);
+}
+
+/**
+ * Parse an exported profile (or a bare profile object)
+ * @param {string} json - File content
+ * @returns {Object} Normalized profile without an ID
+ * @throws {Error} When the file isn't a scoring profile
+ */
+export function parseProfile(json) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (e) {
+    throw new Error('File is not valid JSON');
+  }
+
+  const source = parsed?.type === PROFILE_EXPORT_TYPE ? parsed.profile : parsed;
+  if (!source || typeof source !== 'object' || (!source.categoryWeights && !source.factorWeights && !source.contextMultipliers)) {
+    throw new Error('File does not contain a scoring profile');
+  }
+
+  return { ...normalizeProfile(source), id: null, builtIn: false };
+}
+
+/**
+ * Short reference stored on score results and history entries
+ * @param {Object} profile - Profile
+ * @returns {Object} { id, name }
+ */
+export function getProfileRef(profile) {
+  return { id: profile.id, name: profile.name };
+}
+
+/**
+ * Coerce a stored value to a number, falling back to the default
+ */
+function toNumber(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+function isValidNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function round(value, digits) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
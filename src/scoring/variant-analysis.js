@@ -0,0 +1,280 @@
+/**
+ * Variant Analysis
+ * Checks ProductGroup/variant markup: group identifiers, per-variant offers
+ * and identifiers, variant attributes, and whether the selected variant
+ * matches the schema and the visible price
+ */
+
+/**
+ * Factor points (out of 100)
+ */
+const VARIANT_WEIGHTS = {
+  groupStructure: 20,
+  variantOffers: 25,
+  uniqueIdentifiers: 20,
+  variantAttributes: 15,
+  variantImages: 5,
+  selectedVariant: 15
+};
+
+/**
+ * Share of variants that must pass before a factor is a warning rather than a failure
+ */
+const WARNING_COVERAGE = 0.8;
+
+/**
+ * How many offending variants to name in factor details
+ */
+const DETAIL_SAMPLE = 3;
+
+/**
+ * Analyze the primary product's variants
+ * @param {Object} extractedData - Data from content script
+ * @returns {Object|null} { score, factors, variantCount, variesBy, groupId, priceRange, selected, truncated } or null when the product has no variants
+ */
+export function analyzeVariants(extractedData) {
+  const group = extractedData.structuredData?.schemas?.productGroup;
+  if (!group) return null;
+
+  const variants = group.variants || [];
+  const factors = [
+    scoreGroupStructure(group),
+    scoreVariantOffers(variants),
+    scoreUniqueIdentifiers(variants),
+    scoreVariantAttributes(variants, group.variesBy),
+    scoreVariantImages(variants),
+    scoreSelectedVariant(group, extractedData.contentQuality?.price)
+  ];
+
+  const prices = variants
+    .map(variant => parseFloat(variant.price))
+    .filter(price => !isNaN(price));
+
+  const maxPoints = factors.reduce((sum, factor) => sum + factor.maxPoints, 0);
+  const points = factors.reduce((sum, factor) => sum + factor.points, 0);
+
+  return {
+    score: maxPoints > 0 ? Math.round((points / maxPoints) * 100) : 0,
+    factors,
+    variantCount: group.variantCount,
+    variesBy: group.variesBy,
+    groupId: group.groupId,
+    pageEntity: group.pageEntity,
+    priceRange: prices.length > 0 ? { min: Math.min(...prices), max: Math.max(...prices) } : null,
+    selected: findSelectedVariant(group),
+    truncated: group.truncated
+  };
+}
+
+function scoreGroupStructure(group) {
+  const present = [];
+  const missing = [];
+  (group.groupId ? present : missing).push('productGroupID');
+  (group.variesBy.length > 0 ? present : missing).push('variesBy');
+  (group.variantCount > 0 ? present : missing).push('hasVariant');
+
+  const points = Math.round(VARIANT_WEIGHTS.groupStructure * (present.length / 3));
+  return {
+    name: 'ProductGroup Structure',
+    status: missing.length === 0 ? 'pass' : missing.length === 1 ? 'warning' : 'fail',
+    points,
+    maxPoints: VARIANT_WEIGHTS.groupStructure,
+    recommendation: 'variant-group-incomplete',
+    details: missing.length === 0
+      ? `Group ${group.groupId}, varies by ${group.variesBy.join(', ')}`
+      : `Missing: ${missing.join(', ')}${group.pageEntity === 'variant' ? ' (page marks up a variant with isVariantOf)' : ''}`
+  };
+}
+
+function scoreVariantOffers(variants) {
+  const withOffer = variants.filter(variant => variant.hasOffer && variant.price !== null && variant.price !== undefined);
+  const withoutOffer = variants.filter(variant => !withOffer.includes(variant));
+  return coverageFactor({
+    name: 'Per-Variant Offers',
+    key: 'variantOffers',
+    recommendation: 'variant-offers-missing',
+    total: variants.length,
+    passing: withOffer.length,
+    passDetails: `All ${variants.length} variants have their own price`,
+    failDetails: `${withoutOffer.length} of ${variants.length} variants have no Offer price${sampleNames(withoutOffer)}`
+  });
+}
+
+function scoreUniqueIdentifiers(variants) {
+  const duplicates = [];
+  ['sku', 'gtin'].forEach(key => {
+    const seen = {};
+    variants.forEach(variant => {
+      const value = variant[key];
+      if (!value) return;
+      seen[value] = (seen[value] || 0) + 1;
+    });
+    Object.entries(seen)
+      .filter(([, count]) => count > 1)
+      .forEach(([value, count]) => duplicates.push(`${key} ${value} ×${count}`));
+  });
+
+  const withId = variants.filter(variant => variant.sku || variant.gtin || variant.mpn);
+  const missing = variants.length - withId.length;
+
+  let status = 'pass';
+  let points = VARIANT_WEIGHTS.uniqueIdentifiers;
+  let details = `${withId.length} variants with unique identifiers`;
+
+  if (duplicates.length > 0) {
+    status = 'fail';
+    points = 0;
+    details = `Shared identifiers: ${duplicates.slice(0, DETAIL_SAMPLE).join(', ')}${duplicates.length > DETAIL_SAMPLE ? ` and ${duplicates.length - DETAIL_SAMPLE} more` : ''}`;
+  } else if (missing > 0) {
+    const coverage = variants.length > 0 ? withId.length / variants.length : 0;
+    status = coverage >= WARNING_COVERAGE ? 'warning' : 'fail';
+    points = Math.round(VARIANT_WEIGHTS.uniqueIdentifiers * coverage);
+    details = `${missing} of ${variants.length} variants have no sku, gtin, or mpn`;
+  }
+
+  return {
+    name: 'Unique Variant Identifiers',
+    status,
+    points,
+    maxPoints: VARIANT_WEIGHTS.uniqueIdentifiers,
+    recommendation: 'variant-identifiers-shared',
+    details
+  };
+}
+
+function scoreVariantAttributes(variants, variesBy) {
+  // Without variesBy, fall back to the attributes shoppers usually pick
+  const axes = variesBy.length > 0
+    ? variesBy.map(axis => axis.charAt(0).toLowerCase() + axis.slice(1)).filter(axis => ['color', 'size', 'material', 'pattern'].includes(axis))
+    : ['color', 'size'].filter(axis => variants.some(variant => variant[axis]));
+
+  if (axes.length === 0) {
+    return {
+      name: 'Variant Attributes',
+      status: variesBy.length > 0 ? 'pass' : 'warning',
+      points: variesBy.length > 0 ? VARIANT_WEIGHTS.variantAttributes : 0,
+      maxPoints: VARIANT_WEIGHTS.variantAttributes,
+      recommendation: 'variant-attributes-missing',
+      details: variesBy.length > 0 ? `Varies by ${variesBy.join(', ')}` : 'No color or size on any variant'
+    };
+  }
+
+  const complete = variants.filter(variant => axes.every(axis => variant[axis]));
+  const incomplete = variants.filter(variant => !complete.includes(variant));
+  return coverageFactor({
+    name: 'Variant Attributes',
+    key: 'variantAttributes',
+    recommendation: 'variant-attributes-missing',
+    total: variants.length,
+    passing: complete.length,
+    passDetails: `Every variant states its ${axes.join(' and ')}`,
+    failDetails: `${incomplete.length} of ${variants.length} variants missing ${axes.join('/')}${sampleNames(incomplete)}`
+  });
+}
+
+function scoreVariantImages(variants) {
+  const withImage = variants.filter(variant => variant.image);
+  const distinct = new Set(withImage.map(variant => variant.image)).size;
+  return coverageFactor({
+    name: 'Variant Images',
+    key: 'variantImages',
+    recommendation: 'variant-images-missing',
+    total: variants.length,
+    passing: withImage.length,
+    passDetails: `${distinct} distinct image${distinct !== 1 ? 's' : ''} across ${variants.length} variants`,
+    failDetails: `${variants.length - withImage.length} of ${variants.length} variants have no image`
+  });
+}
+
+function scoreSelectedVariant(group, visiblePrice) {
+  const factor = {
+    name: 'Selected Variant Match',
+    maxPoints: VARIANT_WEIGHTS.selectedVariant,
+    recommendation: 'variant-selected-mismatch'
+  };
+
+  const match = findSelectedVariant(group);
+  if (!group.selected && !group.pageVariant) {
+    return { ...factor, status: 'pass', points: factor.maxPoints, details: 'No variant selected in the URL' };
+  }
+  if (!match) {
+    return {
+      ...factor,
+      status: 'fail',
+      points: 0,
+      details: `Selected variant ${group.selected?.id} (${group.selected?.source}) is not in the schema`
+    };
+  }
+
+  const price = parseFloat(match.variant.price);
+  if (!isNaN(price) && visiblePrice?.amount !== null && visiblePrice?.amount !== undefined && Math.abs(price - visiblePrice.amount) >= 0.01) {
+    return {
+      ...factor,
+      status: 'fail',
+      points: Math.round(factor.maxPoints / 3),
+      details: `${describeVariant(match.variant)} is priced ${price} in schema but ${visiblePrice.text || visiblePrice.amount} on the page`
+    };
+  }
+
+  return {
+    ...factor,
+    status: 'pass',
+    points: factor.maxPoints,
+    details: `${describeVariant(match.variant)} matched by ${match.matchedBy}`
+  };
+}
+
+/**
+ * Find the schema variant for the page's selected variant
+ * @param {Object} group - structuredData.schemas.productGroup
+ * @returns {Object|null} { variant, matchedBy }
+ */
+function findSelectedVariant(group) {
+  const variants = group.variants || [];
+  const selectedId = group.selected?.id;
+
+  if (selectedId) {
+    const escaped = selectedId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const idPattern = new RegExp(`[?&#/=]${escaped}(?:$|[&#/])`);
+    const byUrl = variants.find(variant => [variant.url, variant.id].some(value => value && idPattern.test(value)));
+    if (byUrl) return { variant: byUrl, matchedBy: 'URL/@id' };
+    const bySku = variants.find(variant => variant.sku === selectedId || variant.gtin === selectedId);
+    if (bySku) return { variant: bySku, matchedBy: 'sku/gtin' };
+    return null;
+  }
+
+  if (group.pageVariant) {
+    return { variant: group.pageVariant, matchedBy: 'page entity' };
+  }
+  return null;
+}
+
+/**
+ * Build a factor scored by the share of variants that pass
+ */
+function coverageFactor({ name, key, recommendation, total, passing, passDetails, failDetails }) {
+  const maxPoints = VARIANT_WEIGHTS[key];
+  if (total === 0) {
+    return { name, status: 'fail', points: 0, maxPoints, recommendation, details: 'No variants listed in hasVariant' };
+  }
+  const coverage = passing / total;
+  return {
+    name,
+    status: coverage === 1 ? 'pass' : coverage >= WARNING_COVERAGE ? 'warning' : 'fail',
+    points: Math.round(maxPoints * coverage),
+    maxPoints,
+    recommendation,
+    details: coverage === 1 ? passDetails : failDetails
+  };
+}
+
+function describeVariant(variant) {
+  const attributes = [variant.color, variant.size].filter(Boolean).join(' / ');
+  return attributes || variant.sku || variant.name || 'Variant';
+}
+
+function sampleNames(variants) {
+  if (variants.length === 0) return '';
+  const names = variants.slice(0, DETAIL_SAMPLE).map(describeVariant);
+  return ` (e.g. ${names.join(', ')})`;
+}
@@ -0,0 +1,178 @@
+/**
+ * Vertical Profiles
+ * Vertical-specific Content Quality checks (size charts for apparel,
+ * nutrition for grocery, ...) and vertical suggestion from page taxonomy
+ */
+
+/**
+ * Vertical definitions
+ * checks[].signal refers to a key in contentQuality.verticalSignals
+ * (extractVerticalSignals() in the content script). Each vertical's checks
+ * add 20 points to Content Quality, which is rescaled back to 0-100.
+ */
+export const VERTICALS = {
+  general: {
+    id: 'general',
+    name: 'General',
+    keywords: [],
+    checks: []
+  },
+  apparel: {
+    id: 'apparel',
+    name: 'Apparel & Footwear',
+    keywords: ['apparel', 'clothing', 'fashion', 'shirt', 't-shirt', 'dress', 'jeans', 'pants', 'trousers', 'jacket', 'coat', 'sweater', 'hoodie', 'shoes', 'sneakers', 'boots', 'footwear', 'activewear', 'swimwear', 'lingerie', 'menswear', 'womenswear', 'skirt', 'shorts'],
+    checks: [
+      { key: 'sizeChart', name: 'Size Chart', signal: 'sizeChart', points: 8, recommendation: 'vertical-size-chart-missing' },
+      { key: 'fitNotes', name: 'Fit Notes', signal: 'fitNotes', points: 7, recommendation: 'vertical-fit-notes-missing' },
+      { key: 'colorOptions', name: 'Color Options', signal: 'colorOptions', points: 5, recommendation: 'vertical-color-options-missing' }
+    ]
+  },
+  electronics: {
+    id: 'electronics',
+    name: 'Electronics',
+    keywords: ['electronics', 'computer', 'laptop', 'tablet', 'phone', 'smartphone', 'headphones', 'earbuds', 'speaker', 'camera', 'television', 'tv', 'monitor', 'audio', 'gaming', 'console', 'charger', 'cable', 'smart home', 'wearable'],
+    checks: [
+      { key: 'compatibilityMatrix', name: 'Compatibility Matrix', signal: 'compatibilityMatrix', points: 8, recommendation: 'vertical-compatibility-matrix-missing' },
+      { key: 'connectivity', name: 'Connectivity Specs', signal: 'connectivity', points: 6, recommendation: 'vertical-connectivity-missing' },
+      { key: 'powerSpecs', name: 'Power & Battery Specs', signal: 'powerSpecs', points: 6, recommendation: 'vertical-power-specs-missing' }
+    ]
+  },
+  grocery: {
+    id: 'grocery',
+    name: 'Grocery & Food',
+    keywords: ['grocery', 'food', 'snack', 'snacks', 'beverage', 'beverages', 'drink', 'coffee', 'tea', 'pantry', 'candy', 'chocolate', 'cereal', 'organic food', 'supplement', 'supplements', 'vitamins', 'baby food', 'pet food'],
+    checks: [
+      { key: 'ingredients', name: 'Ingredients List', signal: 'ingredients', points: 8, recommendation: 'vertical-ingredients-missing' },
+      { key: 'nutrition', name: 'Nutrition Facts', signal: 'nutrition', points: 7, recommendation: 'vertical-nutrition-missing' },
+      { key: 'allergens', name: 'Allergen Information', signal: 'allergens', points: 5, recommendation: 'vertical-allergens-missing' }
+    ]
+  },
+  beauty: {
+    id: 'beauty',
+    name: 'Beauty & Personal Care',
+    keywords: ['beauty', 'skincare', 'skin care', 'makeup', 'cosmetics', 'fragrance', 'perfume', 'haircare', 'hair care', 'shampoo', 'conditioner', 'moisturizer', 'serum', 'cleanser', 'sunscreen', 'nail', 'lipstick', 'personal care', 'bath & body', 'bath and body'],
+    checks: [
+      { key: 'ingredients', name: 'Ingredients (INCI)', signal: 'ingredients', points: 8, recommendation: 'vertical-ingredients-missing' },
+      { key: 'skinType', name: 'Skin/Hair Type Suitability', signal: 'skinType', points: 6, recommendation: 'vertical-skin-type-missing' },
+      { key: 'usageInstructions', name: 'How to Use', signal: 'usageInstructions', points: 6, recommendation: 'vertical-usage-missing' }
+    ]
+  },
+  furniture: {
+    id: 'furniture',
+    name: 'Furniture & Home',
+    keywords: ['furniture', 'sofa', 'couch', 'chair', 'table', 'desk', 'bed', 'mattress', 'dresser', 'cabinet', 'shelf', 'shelving', 'bookcase', 'wardrobe', 'ottoman', 'bench', 'stool', 'living room', 'bedroom', 'dining room', 'patio', 'outdoor furniture', 'home decor'],
+    checks: [
+      { key: 'detailedDimensions', name: 'Detailed Dimensions', signal: 'detailedDimensions', points: 8, recommendation: 'vertical-detailed-dimensions-missing' },
+      { key: 'assembly', name: 'Assembly Information', signal: 'assembly', points: 6, recommendation: 'vertical-assembly-missing' },
+      { key: 'weightCapacity', name: 'Weight Capacity', signal: 'weightCapacity', points: 6, recommendation: 'vertical-weight-capacity-missing' }
+    ]
+  },
+  b2b: {
+    id: 'b2b',
+    name: 'B2B & Industrial Parts',
+    keywords: ['industrial', 'mro', 'fasteners', 'bearings', 'hydraulics', 'pneumatics', 'electrical supplies', 'plumbing supplies', 'safety equipment', 'janitorial', 'lab supplies', 'hvac', 'motors', 'valves', 'fittings', 'abrasives', 'power transmission', 'material handling', 'test & measurement', 'replacement parts', 'spare parts'],
+    checks: [
+      { key: 'partNumber', name: 'Part Numbers', signal: 'partNumber', points: 7, recommendation: 'vertical-part-number-missing' },
+      { key: 'technicalDocs', name: 'Technical Documents', signal: 'technicalDocs', points: 7, recommendation: 'vertical-technical-docs-missing' },
+      { key: 'bulkPricing', name: 'Volume Pricing', signal: 'bulkPricing', points: 6, recommendation: 'vertical-bulk-pricing-missing' }
+    ]
+  }
+};
+
+/**
+ * Look up a vertical, falling back to General
+ * @param {string} id - Vertical ID
+ * @returns {Object} Vertical definition
+ */
+export function getVertical(id) {
+  return VERTICALS[id] || VERTICALS.general;
+}
+
+/**
+ * Suggest a vertical from the Product schema category and breadcrumbs
+ * Schema category matches count double; ties and no matches return General.
+ * @param {Object} extractedData - Data from content script
+ * @returns {Object} { id, name, source, matched, confidence }
+ */
+export function suggestVertical(extractedData) {
+  const schemaCategory = extractedData.structuredData?.schemas?.product?.category || '';
+  const schemaCrumbs = (extractedData.structuredData?.schemas?.breadcrumb?.items || [])
+    .map(item => item.name)
+    .filter(Boolean);
+  const domCrumbs = extractedData.contentQuality?.breadcrumbTrail || [];
+  const crumbs = schemaCrumbs.length > 0 ? schemaCrumbs : domCrumbs;
+
+  const sources = [
+    { source: 'schema category', text: schemaCategory, weight: 2 },
+    { source: schemaCrumbs.length > 0 ? 'breadcrumb schema' : 'breadcrumbs', text: crumbs.join(' > '), weight: 1 }
+  ];
+
+  const results = Object.values(VERTICALS)
+    .filter(vertical => vertical.keywords.length > 0)
+    .map(vertical => {
+      let score = 0;
+      const matched = [];
+      const matchedSources = new Set();
+      sources.forEach(({ source, text, weight }) => {
+        const lower = text.toLowerCase();
+        vertical.keywords.forEach(keyword => {
+          if (containsWord(lower, keyword)) {
+            score += weight;
+            matched.push(keyword);
+            matchedSources.add(source);
+          }
+        });
+      });
+      return { vertical, score, matched: [...new Set(matched)], sources: [...matchedSources] };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = results;
+  if (!best || best.score === 0 || (runnerUp && runnerUp.score === best.score)) {
+    return { id: 'general', name: VERTICALS.general.name, source: null, matched: [], confidence: 'none' };
+  }
+
+  return {
+    id: best.vertical.id,
+    name: best.vertical.name,
+    source: best.sources.join(', '),
+    matched: best.matched,
+    confidence: best.score >= 3 ? 'high' : 'low'
+  };
+}
+
+/**
+ * Score the active vertical's checks
+ * @param {Object} verticalSignals - contentQuality.verticalSignals
+ * @param {Object} vertical - Vertical definition
+ * @returns {Object} { score, maxPoints, factors }
+ */
+export function scoreVerticalChecks(verticalSignals, vertical) {
+  const factors = vertical.checks.map(check => {
+    const signal = verticalSignals?.[check.signal];
+    const found = !!signal?.found;
+    return {
+      name: check.name,
+      status: found ? 'pass' : 'fail',
+      points: found ? check.points : 0,
+      maxPoints: check.points,
+      vertical: vertical.id,
+      recommendation: check.recommendation,
+      details: found ? `Found: "${signal.text}"` : `Not found (expected on ${vertical.name} pages)`
+    };
+  });
+
+  return {
+    score: factors.reduce((sum, factor) => sum + factor.points, 0),
+    maxPoints: factors.reduce((sum, factor) => sum + factor.maxPoints, 0),
+    factors
+  };
+}
+
+/**
+ * Whole-word match (plural allowed) so "tv" doesn't match inside "tvstand"
+ */
+function containsWord(text, keyword) {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z])${escaped}(?:e?s)?($|[^a-z])`).test(text);
+}
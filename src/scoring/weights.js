@@ -12,11 +12,12 @@ export const CATEGORY_DESCRIPTIONS = {
   contentQuality: 'Product descriptions, specifications, features, and FAQ content',
   contentStructure: 'Semantic HTML, headings, accessibility, and image alt text',
   authorityTrust: 'Reviews, ratings, brand clarity, and trust signals',
-  aiDiscoverability: 'AI crawler access, entity consistency, answer-format content, product identifiers, and llms.txt for AI system discovery'
+  aiDiscoverability: 'AI crawler access, entity consistency, answer-format content, product identifiers, content freshness, and llms.txt for AI system discovery'
 };
 
 /**
  * Category weights (must sum to 1.0)
+ * These are the defaults; user scoring profiles override them (see scoring-profiles.js)
  */
 export const CATEGORY_WEIGHTS = {
   structuredData: 0.20,    // 20% (was 23%)
@@ -82,11 +83,12 @@ export const CONTEXT_MULTIPLIERS = {
 export const FACTOR_WEIGHTS = {
   // Structured Data (20% of total)
   structuredData: {
-    productSchema: 30,      // Critical
+    productSchema: 25,      // Critical
     offerSchema: 20,        // Critical
     aggregateRating: 15,
     reviewSchema: 10,
-    faqSchema: 10,
+    schemaConsistency: 10,  // Schema claims match the visible page
+    faqSchema: 5,
     breadcrumbSchema: 5,
     organizationSchema: 5,
     imageSchema: 5
@@ -99,11 +101,12 @@ export const FACTOR_WEIGHTS = {
     ogTitle: 10,
     ogDescription: 10,
     ogType: 5,
-    twitterCard: 10,
-    twitterImage: 5,
+    twitterCard: 7,
+    twitterImage: 3,
     canonical: 10,
     metaDescription: 10,
-    robotsAllowsIndex: 5    // Critical if blocked
+    robotsAllowsIndex: 5,   // Critical if blocked (meta tags + X-Robots-Tag)
+    snippetEligibility: 5   // nosnippet, max-snippet, noai, data-nosnippet
   },
 
   // Content Quality (20% of total)
@@ -150,11 +153,12 @@ export const FACTOR_WEIGHTS = {
 
   // AI Discoverability (20% of total)
   aiDiscoverability: {
-    aiCrawlerAccess: 30,       // robots.txt rules for major AI bots
-    entityConsistency: 25,     // Product name alignment across schema, H1, og:title, meta description
+    aiCrawlerAccess: 25,       // robots.txt rules for major AI bots
+    entityConsistency: 20,     // Product name alignment across schema, H1, og:title, meta description
     answerFormatContent: 20,   // "Best for", comparison, how-to, use case content
     productIdentifiers: 15,    // GTIN/UPC/MPN in Product schema
-    llmsTxtPresence: 10        // /llms.txt and /llms-full.txt presence
+    llmsTxtPresence: 10,       // /llms.txt structure and links, /llms-full.txt presence
+    contentFreshness: 10       // Reconciled schema, meta, visible, and Last-Modified dates
   }
 };
 
@@ -202,10 +206,11 @@ export function getGradeDescription(grade) {
  * Get context multiplier for a factor
  * @param {string} context - Consumer context (want/need/hybrid)
  * @param {string} factor - Factor name
+ * @param {Object} multipliers - Multiplier table to read (defaults to CONTEXT_MULTIPLIERS)
  * @returns {number} Multiplier
  */
-export function getContextMultiplier(context, factor) {
-  return CONTEXT_MULTIPLIERS[context]?.[factor] || 1.0;
+export function getContextMultiplier(context, factor, multipliers = CONTEXT_MULTIPLIERS) {
+  return multipliers[context]?.[factor] ?? 1.0;
 }
 
 /**
@@ -220,6 +225,14 @@ export const FACTOR_RECOMMENDATIONS = {
   'FAQ Schema': 'faq-schema-missing',
   'Breadcrumb Schema': 'breadcrumb-schema-missing',
 
+  // Variants (ProductGroup pages)
+  'ProductGroup Structure': 'variant-group-incomplete',
+  'Per-Variant Offers': 'variant-offers-missing',
+  'Unique Variant Identifiers': 'variant-identifiers-shared',
+  'Variant Attributes': 'variant-attributes-missing',
+  'Variant Images': 'variant-images-missing',
+  'Selected Variant Match': 'variant-selected-mismatch',
+
   // Protocol & Meta
   'og:image Present': 'og-image-missing',
   'og:image Format': 'og-image-webp',
@@ -227,6 +240,7 @@ export const FACTOR_RECOMMENDATIONS = {
   'og:description': 'og-description-missing',
   'Twitter Card': 'twitter-card-missing',
   'Robots Allows Indexing': 'robots-blocking',
+  'Snippet Eligibility': 'snippet-restricted',
 
   // Content Quality
   'Description Length': 'description-short',
@@ -234,6 +248,24 @@ export const FACTOR_RECOMMENDATIONS = {
   'Features List': 'features-missing',
   'FAQ Section': 'faq-content-missing',
   'Compatibility Information': 'compatibility-missing',
+  'Size Chart': 'vertical-size-chart-missing',
+  'Fit Notes': 'vertical-fit-notes-missing',
+  'Color Options': 'vertical-color-options-missing',
+  'Compatibility Matrix': 'vertical-compatibility-matrix-missing',
+  'Connectivity Specs': 'vertical-connectivity-missing',
+  'Power & Battery Specs': 'vertical-power-specs-missing',
+  'Ingredients List': 'vertical-ingredients-missing',
+  'Nutrition Facts': 'vertical-nutrition-missing',
+  'Allergen Information': 'vertical-allergens-missing',
+  'Ingredients (INCI)': 'vertical-ingredients-missing',
+  'Skin/Hair Type Suitability': 'vertical-skin-type-missing',
+  'How to Use': 'vertical-usage-missing',
+  'Detailed Dimensions': 'vertical-detailed-dimensions-missing',
+  'Assembly Information': 'vertical-assembly-missing',
+  'Weight Capacity': 'vertical-weight-capacity-missing',
+  'Part Numbers': 'vertical-part-number-missing',
+  'Technical Documents': 'vertical-technical-docs-missing',
+  'Volume Pricing': 'vertical-bulk-pricing-missing',
 
   // Content Structure
   'H1 Heading': 'h1-missing',
@@ -251,5 +283,6 @@ export const FACTOR_RECOMMENDATIONS = {
   'Entity Consistency': 'entity-consistency-low',
   'Answer-Format Content': 'answer-format-missing',
   'Product Identifiers': 'product-identifiers-missing',
-  'llms.txt Presence': 'llms-txt-missing'
+  'llms.txt Presence': 'llms-txt-missing',
+  'Content Freshness': 'content-freshness-stale'
 };
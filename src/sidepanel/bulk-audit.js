@@ -0,0 +1,224 @@
+/**
+ * Bulk Audit Runner
+ * Loads a queue of URLs in background tabs and runs each through the
+ * standard extraction → scoring → recommendations pipeline
+ */
+
+import { waitForTabComplete, extractTabData } from './tab-extraction.js';
+
+/**
+ * Default bulk audit settings
+ */
+export const BULK_DEFAULTS = {
+  concurrency: 2,
+  timeoutMs: 30000,
+  retries: 1
+};
+
+/**
+ * Upper bounds to keep the browser responsive
+ */
+const MAX_CONCURRENCY = 5;
+const MAX_RETRIES = 3;
+
+/**
+ * Extract unique URLs from pasted text or CSV content
+ * Any http(s) URL in any column is picked up; quotes and delimiters are ignored
+ * @param {string} text - Pasted list or CSV file content
+ * @returns {Array<string>} Unique, normalized URLs in input order
+ */
+export function parseUrlList(text) {
+  const matches = (text || '').match(/https?:\/\/[^\s,;"'<>]+/gi) || [];
+  const seen = new Set();
+  const urls = [];
+
+  for (const match of matches) {
+    try {
+      const url = new URL(match).href;
+      if (!seen.has(url)) {
+        seen.add(url);
+        urls.push(url);
+      }
+    } catch (e) {
+      // Not a valid URL, skip
+    }
+  }
+
+  return urls;
+}
+
+export class BulkAuditRunner {
+  /**
+   * @param {Array<string>} urls - URLs to audit
+   * @param {Object} options
+   * @param {Function} options.analyze - async (extractedData) => { scoreResult, recommendations }
+   * @param {Function} [options.onUpdate] - Called with a result row whenever its status changes
+   * @param {Object} [options.settings] - { concurrency, timeoutMs, retries, readiness }
+   */
+  constructor(urls, { analyze, onUpdate, settings = {} }) {
+    this.settings = {
+      concurrency: clamp(settings.concurrency ?? BULK_DEFAULTS.concurrency, 1, MAX_CONCURRENCY),
+      timeoutMs: Number.isFinite(settings.timeoutMs) ? Math.max(5000, settings.timeoutMs) : BULK_DEFAULTS.timeoutMs,
+      retries: clamp(settings.retries ?? BULK_DEFAULTS.retries, 0, MAX_RETRIES),
+      readiness: settings.readiness
+    };
+    this.analyze = analyze;
+    this.onUpdate = onUpdate || (() => {});
+
+    this.results = urls.map((url, index) => ({
+      index,
+      url,
+      status: 'queued', // queued | running | done | failed | cancelled
+      attempts: 0,
+      error: null,
+      duration: null,
+      pageInfo: null,
+      scoreResult: null,
+      recommendations: []
+    }));
+
+    this.cancelled = false;
+    this.openTabs = new Set();
+  }
+
+  /**
+   * Process the whole queue
+   * @returns {Promise<Array>} Result rows
+   */
+  async run() {
+    let next = 0;
+    const worker = async () => {
+      while (!this.cancelled && next < this.results.length) {
+        const row = this.results[next++];
+        await this.processRow(row);
+      }
+    };
+
+    const workerCount = Math.min(this.settings.concurrency, this.results.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    // Anything never started is reported as cancelled
+    this.results.filter(row => row.status === 'queued').forEach(row => {
+      row.status = 'cancelled';
+      this.onUpdate(row);
+    });
+
+    return this.results;
+  }
+
+  /**
+   * Stop picking up new URLs and close any tabs still loading
+   */
+  cancel() {
+    this.cancelled = true;
+    this.openTabs.forEach(tabId => chrome.tabs.remove(tabId).catch(() => {}));
+  }
+
+  /**
+   * Audit one URL with retries
+   * @param {Object} row - Result row
+   */
+  async processRow(row) {
+    const maxAttempts = 1 + this.settings.retries;
+
+    while (row.attempts < maxAttempts && !this.cancelled) {
+      row.attempts++;
+      row.status = 'running';
+      row.error = null;
+      this.onUpdate(row);
+
+      const startTime = Date.now();
+      try {
+        const data = await this.extractUrl(row.url);
+        if (data.error) {
+          throw new Error(data.error);
+        }
+
+        const { scoreResult, recommendations } = await this.analyze(data);
+
+        row.status = 'done';
+        row.pageInfo = data.pageInfo;
+        row.scoreResult = scoreResult;
+        row.recommendations = recommendations;
+        row.duration = Date.now() - startTime;
+        this.onUpdate(row);
+        return;
+      } catch (e) {
+        row.error = e.message;
+        row.duration = Date.now() - startTime;
+      }
+    }
+
+    row.status = this.cancelled ? 'cancelled' : 'failed';
+    this.onUpdate(row);
+  }
+
+  /**
+   * Open a URL in a background tab and extract its data within the timeout
+   * @param {string} url - Page URL
+   * @returns {Promise<Object>} Extracted data from the content script
+   */
+  async extractUrl(url) {
+    const { timeoutMs } = this.settings;
+    let tabId = null;
+    let timeoutId = null;
+
+    const timeout = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => reject(new Error(`Timed out after ${Math.round(timeoutMs / 1000)}s`)), timeoutMs);
+    });
+
+    try {
+      const tab = await chrome.tabs.create({ url, active: false });
+      tabId = tab.id;
+      this.openTabs.add(tabId);
+
+      return await Promise.race([this.extractFromTab(tabId), timeout]);
+    } finally {
+      clearTimeout(timeoutId);
+      if (tabId !== null) {
+        this.openTabs.delete(tabId);
+        chrome.tabs.remove(tabId).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Wait for a tab to load, then request extraction from its content script
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<Object>} Extracted data
+   */
+  async extractFromTab(tabId) {
+    await waitForTabComplete(tabId);
+    return extractTabData(tabId, this.settings.timeoutMs, { readiness: this.settings.readiness });
+  }
+
+  /**
+   * Aggregate stats for completed rows
+   * @returns {Object} { total, done, failed, averageScore, grades }
+   */
+  getSummary() {
+    const done = this.results.filter(row => row.status === 'done');
+    const grades = { A: 0, B: 0, C: 0, D: 0, F: 0 };
+    done.forEach(row => { grades[row.scoreResult.grade]++; });
+
+    return {
+      total: this.results.length,
+      done: done.length,
+      failed: this.results.filter(row => row.status === 'failed').length,
+      cancelled: this.results.filter(row => row.status === 'cancelled').length,
+      averageScore: done.length > 0
+        ? Math.round(done.reduce((sum, row) => sum + row.scoreResult.totalScore, 0) / done.length)
+        : null,
+      grades
+    };
+  }
+}
+
+/**
+ * Clamp a number to a range
+ */
+function clamp(value, min, max) {
+  const number = parseInt(value, 10);
+  if (isNaN(number)) return min;
+  return Math.min(max, Math.max(min, number));
+}
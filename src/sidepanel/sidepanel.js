@@ -7,11 +7,47 @@ import { ScoringEngine } from '../scoring/scoring-engine.js';
 import { RecommendationEngine } from '../recommendations/recommendation-engine.js';
 import { getGradeDescription, CATEGORY_DESCRIPTIONS, FACTOR_RECOMMENDATIONS } from '../scoring/weights.js';
 import { RECOMMENDATION_TEMPLATES } from '../recommendations/recommendation-rules.js';
+import { MISSING_MARKER } from '../recommendations/schema-generator.js';
+import { compareRenderedToRaw } from '../scoring/raw-html-comparison.js';
+import { compareAnalyses } from '../scoring/analysis-comparison.js';
+import { BulkAuditRunner, parseUrlList } from './bulk-audit.js';
+import { extractTabData } from './tab-extraction.js';
+import { ensureContentScript } from '../content/content-script-loader.js';
+import { getMissingSections } from '../content/extractors/extraction-schema.js';
+import {
+  DEFAULT_PROFILE,
+  normalizeProfile,
+  validateProfile,
+  serializeProfile,
+  parseProfile
+} from '../scoring/scoring-profiles.js';
+import {
+  getProfiles,
+  getActiveProfile,
+  setActiveProfile,
+  saveProfile,
+  deleteProfile
+} from '../storage/profile-store.js';
+import { VERTICALS, suggestVertical } from '../scoring/verticals.js';
 import {
   saveAnalysis,
   getHistory,
-  clearHistory
+  getSnapshot,
+  clearHistory,
+  getRetentionPolicy,
+  setRetentionPolicy
 } from '../storage/storage-manager.js';
+import {
+  DEFAULT_READINESS,
+  getReadinessSettings,
+  setReadinessSettings,
+  parseSelectorList,
+  getAutoReanalyze,
+  setAutoReanalyze,
+  getCrawlerSimulation,
+  setCrawlerSimulation
+} from '../storage/extraction-settings.js';
+import { getSiteSignalTtl, setSiteSignalTtl } from '../storage/site-signal-cache.js';
 
 /**
  * Escape HTML to prevent XSS when inserting user-controlled data
@@ -28,22 +64,123 @@ function escapeHtml(str) {
     .replace(/'/g, '&#039;');
 }
 
+/**
+ * Whether two URLs point at the same page (fragment changes don't count)
+ * @param {string} a - URL
+ * @param {string} b - URL
+ * @returns {boolean}
+ */
+function sameDocumentUrl(a, b) {
+  return (a || '').split('#')[0] === (b || '').split('#')[0];
+}
+
+/**
+ * Escape a value for a CSV cell
+ * Text that a spreadsheet would run as a formula (page titles and URLs come
+ * from third-party sites) is prefixed with an apostrophe.
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function escapeCsv(value) {
+  if (value == null) return '';
+  let str = String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(str)) {
+    str = `'${str}`;
+  }
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Trigger a file download from in-memory content
+ * @param {string} content - File content
+ * @param {string} filename - Download filename
+ * @param {string} type - MIME type
+ */
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Category display names for the profile editor
+ */
+const CATEGORY_LABELS = {
+  structuredData: 'Structured Data',
+  protocolMeta: 'Protocol & Meta',
+  contentQuality: 'Content Quality',
+  contentStructure: 'Content Structure',
+  authorityTrust: 'Authority & Trust',
+  aiDiscoverability: 'AI Discoverability'
+};
+
+/**
+ * Turn a camelCase weight key into a label ("ogImageFormat" → "Og image format")
+ * @param {string} key - Weight key
+ * @returns {string} Label
+ */
+function humanizeKey(key) {
+  const words = key.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Category columns shown in the bulk results table
+ */
+const BULK_CATEGORY_COLUMNS = [
+  { key: 'structuredData', label: 'SD' },
+  { key: 'protocolMeta', label: 'PM' },
+  { key: 'contentQuality', label: 'CQ' },
+  { key: 'contentStructure', label: 'CS' },
+  { key: 'authorityTrust', label: 'AT' },
+  { key: 'aiDiscoverability', label: 'AI' }
+];
+
 class SidePanelApp {
   constructor() {
     this.currentData = null;
     this.selectedContext = null;
     this.scoreResult = null;
     this.recommendations = [];
-    this.currentRequestId = null;
-    this.analysisTimeoutId = null;
+    this.currentTabId = null;
+    this.windowId = null;
+    this.tabStates = new Map(); // tabId -> analysis state (see startAnalysis)
+    this.activeView = 'results';
+    this.viewingHistory = false;
+    this.rawComparison = null;
+    this.bulkRunner = null;
+    this.bulkSort = { key: 'index', direction: 'asc' };
+    this.comparing = false;
+    this.activeProfile = DEFAULT_PROFILE;
+    this.selectedVertical = 'auto';
+    this.deepExtraction = false;
+    this.readiness = DEFAULT_READINESS;
+    this.autoReanalyze = false;
+    this.simulateCrawlers = false;
+    this.editingProfile = null;
 
     this.init();
   }
 
   async init() {
+    this.populateVerticalSelects();
     this.bindEvents();
     this.setupMessageListener();
+    this.setupTabListeners();
+    this.windowId = (await chrome.windows.getCurrent()).id;
     await this.updatePageInfo();
+    await this.loadProfiles();
+    await this.loadRetentionSettings();
+    await this.loadReadinessSettings();
+    await this.loadAutoReanalyze();
+    await this.loadCrawlerSimulation();
+    await this.loadSiteSignalTtl();
     await this.loadHistory();
   }
 
@@ -61,6 +198,33 @@ class SidePanelApp {
       this.showContextSelector();
     });
 
+    // Stale results banner (tab moved to another page)
+    document.getElementById('staleReanalyzeBtn').addEventListener('click', () => {
+      this.startAnalysis(this.selectedContext);
+    });
+
+    document.getElementById('autoReanalyzeToggle').addEventListener('change', async (e) => {
+      this.autoReanalyze = await setAutoReanalyze(e.target.checked);
+    });
+
+    document.getElementById('crawlerSimulationToggle').addEventListener('change', async (e) => {
+      this.simulateCrawlers = await setCrawlerSimulation(e.target.checked);
+    });
+
+    // Site signal cache (robots.txt, llms.txt, AI policy files per origin)
+    document.getElementById('siteSignalTtl').addEventListener('change', async (e) => {
+      await setSiteSignalTtl(parseInt(e.target.value, 10));
+      await this.loadSiteSignalTtl();
+    });
+
+    document.getElementById('clearSiteSignalsBtn').addEventListener('click', async (e) => {
+      const button = e.currentTarget;
+      const label = button.textContent;
+      const { removed } = await this.clearSiteSignals();
+      button.textContent = `Cleared ${removed}`;
+      setTimeout(() => { button.textContent = label; }, 1500);
+    });
+
     // Export button
     document.getElementById('exportBtn').addEventListener('click', () => {
       this.exportData();
@@ -71,6 +235,85 @@ class SidePanelApp {
       this.showContextSelector();
     });
 
+    // Vertical
+    document.getElementById('verticalSelect').addEventListener('change', (e) => {
+      this.selectedVertical = e.target.value;
+    });
+
+    // Deep extraction (opens tabs/accordions before extracting)
+    document.getElementById('deepExtractionToggle').addEventListener('change', (e) => {
+      this.deepExtraction = e.target.checked;
+    });
+
+    // Page readiness (what to wait for before extracting)
+    ['readinessMaxWait', 'readinessSelectors'].forEach(id => {
+      document.getElementById(id).addEventListener('change', async () => {
+        this.readiness = await setReadinessSettings({
+          maxWaitMs: parseInt(document.getElementById('readinessMaxWait').value, 10),
+          waitForSelectors: parseSelectorList(document.getElementById('readinessSelectors').value)
+        });
+        await this.loadReadinessSettings();
+      });
+    });
+
+    // Scoring profiles
+    document.getElementById('profileSelect').addEventListener('change', async (e) => {
+      await setActiveProfile(e.target.value);
+      await this.loadProfiles();
+    });
+
+    document.getElementById('profileEditBtn').addEventListener('click', () => {
+      this.openProfileEditor(this.activeProfile);
+    });
+
+    document.getElementById('profileNewBtn').addEventListener('click', () => {
+      this.openProfileEditor({
+        ...this.activeProfile,
+        id: null,
+        builtIn: false,
+        name: `${this.activeProfile.name} (copy)`
+      });
+    });
+
+    document.getElementById('profileImportInput').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      e.target.value = '';
+      try {
+        this.openProfileEditor(parseProfile(await file.text()));
+      } catch (err) {
+        alert(`Unable to import profile: ${err.message}`);
+      }
+    });
+
+    document.getElementById('profileExportBtn').addEventListener('click', () => {
+      const slug = this.activeProfile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      downloadFile(serializeProfile(this.activeProfile), `pdpiq-profile-${slug || 'custom'}.json`, 'application/json');
+    });
+
+    document.getElementById('profileSection').addEventListener('input', () => {
+      this.updateProfileValidation();
+    });
+
+    document.getElementById('profileSaveBtn').addEventListener('click', () => {
+      this.saveProfileFromEditor();
+    });
+
+    document.getElementById('profileCancelBtn').addEventListener('click', () => {
+      this.editingProfile = null;
+      this.showContextSelector();
+    });
+
+    document.getElementById('profileDeleteBtn').addEventListener('click', async () => {
+      if (!this.editingProfile?.id) return;
+      if (confirm(`Delete the "${this.editingProfile.name}" profile?`)) {
+        await deleteProfile(this.editingProfile.id);
+        this.editingProfile = null;
+        await this.loadProfiles();
+        this.showContextSelector();
+      }
+    });
+
     // Tab navigation
     document.querySelectorAll('.nav-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -86,6 +329,82 @@ class SidePanelApp {
       }
     });
 
+    // Reopen a saved analysis (delegated; rows are re-rendered)
+    document.getElementById('historyList').addEventListener('click', (e) => {
+      const item = e.target.closest('.history-item');
+      if (item && item.dataset.snapshot === 'true') {
+        this.openHistoryEntry(item.dataset.id);
+      }
+    });
+
+    // Retention policy
+    ['retentionMaxEntries', 'retentionMaxAge'].forEach(id => {
+      document.getElementById(id).addEventListener('change', async () => {
+        await setRetentionPolicy({
+          maxEntries: parseInt(document.getElementById('retentionMaxEntries').value, 10),
+          maxAgeDays: parseInt(document.getElementById('retentionMaxAge').value, 10)
+        });
+        await this.loadHistory();
+      });
+    });
+
+    // Bulk audit
+    document.getElementById('bulkUrls').addEventListener('input', () => {
+      this.updateBulkUrlCount();
+    });
+
+    document.getElementById('bulkCsvInput').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const textarea = document.getElementById('bulkUrls');
+      const text = await file.text();
+      textarea.value = textarea.value.trim() ? `${textarea.value.trim()}\n${text}` : text;
+      e.target.value = '';
+      this.updateBulkUrlCount();
+    });
+
+    document.getElementById('bulkStartBtn').addEventListener('click', () => {
+      this.startBulkAudit();
+    });
+
+    document.getElementById('bulkCancelBtn').addEventListener('click', () => {
+      this.bulkRunner?.cancel();
+    });
+
+    document.getElementById('bulkTable').addEventListener('click', (e) => {
+      const th = e.target.closest('th[data-sort]');
+      if (!th) return;
+      const key = th.dataset.sort;
+      this.bulkSort = {
+        key,
+        direction: this.bulkSort.key === key && this.bulkSort.direction === 'asc' ? 'desc' : 'asc'
+      };
+      this.renderBulkResults();
+    });
+
+    document.getElementById('bulkExportJsonBtn').addEventListener('click', () => {
+      this.exportBulkResults('json');
+    });
+
+    document.getElementById('bulkExportCsvBtn').addEventListener('click', () => {
+      this.exportBulkResults('csv');
+    });
+
+    // Compare
+    document.getElementById('compareBtn').addEventListener('click', () => {
+      this.runComparison();
+    });
+
+    document.getElementById('compareFactors').addEventListener('click', (e) => {
+      const row = e.target.closest('.compare-category-row');
+      if (!row) return;
+      const expanded = row.dataset.expanded === 'true';
+      row.dataset.expanded = String(!expanded);
+      row.querySelector('.expand-icon').textContent = expanded ? '+' : '−';
+      document.querySelectorAll(`.compare-factor-row[data-category="${row.dataset.category}"]`)
+        .forEach(factorRow => factorRow.classList.toggle('hidden', expanded));
+    });
+
     // Event delegation for category list (prevents memory leaks from re-rendering)
     document.getElementById('categoryList').addEventListener('click', (e) => {
       // Handle category header clicks (expand/collapse)
@@ -103,39 +422,212 @@ class SidePanelApp {
       const expandBtn = e.target.closest('.factor-expand-btn');
       if (expandBtn) {
         e.stopPropagation();
-        const factor = expandBtn.closest('.factor');
-        const rec = factor.querySelector('.factor-recommendation');
-        const isExpanded = !rec.classList.contains('hidden');
-        rec.classList.toggle('hidden');
-        expandBtn.textContent = isExpanded ? '▶' : '▼';
+        this.toggleFactorRecommendation(expandBtn);
+        return;
       }
+
+      // Re-fetch the cached site-level files and analyze again
+      const refreshBtn = e.target.closest('.site-signal-refresh-btn');
+      if (refreshBtn) {
+        this.clearSiteSignals(refreshBtn.dataset.origin).then(() => this.startAnalysis(this.selectedContext));
+      }
+    });
+
+    document.getElementById('variantFactors').addEventListener('click', (e) => {
+      const expandBtn = e.target.closest('.factor-expand-btn');
+      if (expandBtn) this.toggleFactorRecommendation(expandBtn);
     });
   }
 
+  toggleFactorRecommendation(expandBtn) {
+    const factor = expandBtn.closest('.factor');
+    const rec = factor.querySelector('.factor-recommendation');
+    const isExpanded = !rec.classList.contains('hidden');
+    rec.classList.toggle('hidden');
+    expandBtn.textContent = isExpanded ? '▶' : '▼';
+  }
+
   setupMessageListener() {
-    chrome.runtime.onMessage.addListener((message) => {
+    chrome.runtime.onMessage.addListener((message, sender) => {
       if (message.type === 'EXTRACTION_COMPLETE') {
-        // Verify this response matches the current request
-        if (message.requestId && message.requestId !== this.currentRequestId) {
+        // Match the response to the tab that requested it
+        const tabId = this.findTabForRequest(message.requestId);
+        if (tabId === null) {
           console.log('Ignoring stale extraction response:', message.requestId);
           return;
         }
+        const state = this.tabStates.get(tabId);
+        // The service worker relays a second copy; only the first is scored
+        if (state.status !== 'loading') return;
         console.log('Received extraction data:', message);
-        // Clear the timeout since we received valid data
-        if (this.analysisTimeoutId) {
-          clearTimeout(this.analysisTimeoutId);
-          this.analysisTimeoutId = null;
+        clearTimeout(state.timeoutId);
+        state.status = 'scoring';
+        this.processResults(tabId, message.requestId, message.data);
+      }
+
+      if (message.type === 'EXTRACTION_PROGRESS') {
+        const tabId = this.findTabForRequest(message.requestId);
+        if (tabId === null) return;
+        const seconds = (message.elapsedMs / 1000).toFixed(1);
+        const state = this.tabStates.get(tabId);
+        state.progress = message.stage === 'readiness'
+          ? `${message.detail}... (${seconds}s of ${Math.round(this.readiness.maxWaitMs / 1000)}s)`
+          : message.detail;
+        if (tabId === this.currentTabId) {
+          document.getElementById('loadingHint').textContent = state.progress;
         }
-        this.currentData = message.data;
-        this.processResults();
+      }
+
+      if (message.type === 'PAGE_NAVIGATED' && sender.tab) {
+        this.handlePageNavigation(sender.tab.id, message.url, true);
+      }
+    });
+  }
+
+  /**
+   * Follow the active tab, and notice navigations and closed tabs
+   */
+  setupTabListeners() {
+    chrome.tabs.onActivated.addListener(({ tabId, windowId }) => {
+      if (windowId !== this.windowId) return;
+      this.currentTabId = tabId;
+      this.updatePageInfo();
+      if (this.activeView === 'results') {
+        this.showTabView();
+      }
+    });
+
+    // Full page loads; client-side navigations arrive as PAGE_NAVIGATED
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+      if (changeInfo.status === 'loading' && changeInfo.url) {
+        this.handlePageNavigation(tabId, changeInfo.url, false);
       }
     });
+
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      const state = this.tabStates.get(tabId);
+      if (state) {
+        clearTimeout(state.timeoutId);
+        this.tabStates.delete(tabId);
+      }
+    });
+  }
+
+  /**
+   * Find the tab an extraction request was sent to
+   * @param {string} requestId - Request ID from startAnalysis
+   * @returns {number|null} Tab ID, or null for stale/unknown requests
+   */
+  findTabForRequest(requestId) {
+    for (const [tabId, state] of this.tabStates) {
+      if (requestId && state.requestId === requestId) return tabId;
+    }
+    return null;
+  }
+
+  /**
+   * Mark a tab's results stale after it navigates, re-analyzing client-side
+   * navigations automatically when that option is on
+   * @param {number} tabId - Tab that navigated
+   * @param {string} url - New URL
+   * @param {boolean} clientSide - pushState/replaceState rather than a page load
+   */
+  handlePageNavigation(tabId, url, clientSide) {
+    if (tabId === this.currentTabId) {
+      this.updatePageInfo();
+    }
+
+    const state = this.tabStates.get(tabId);
+    if (!state || state.status !== 'done' || sameDocumentUrl(state.url, url)) return;
+    state.stale = { url, clientSide };
+
+    if (tabId !== this.currentTabId || this.viewingHistory || this.activeView !== 'results') return;
+    if (clientSide && this.autoReanalyze) {
+      this.startAnalysis(state.context);
+    } else {
+      this.renderStaleNotice(state);
+    }
+  }
+
+  /**
+   * Show whatever the active tab has: results, progress, an error, or the
+   * context selector when it hasn't been analyzed
+   */
+  showTabView() {
+    const state = this.tabStates.get(this.currentTabId);
+    this.viewingHistory = false;
+    this.applyTabState(state);
+
+    if (!state) {
+      this.showContextSelector();
+    } else if (state.status === 'loading' || state.status === 'scoring') {
+      document.getElementById('loadingHint').textContent = state.progress;
+      this.showLoading();
+    } else if (state.status === 'error') {
+      this.showError(state.error);
+    } else {
+      this.displayResults();
+      this.renderRawComparisonState(state);
+      this.renderStaleNotice(state);
+    }
+  }
+
+  /**
+   * Point the panel's working fields (used by rendering and export) at a tab's results
+   * @param {Object|undefined} state - Tab analysis state
+   */
+  applyTabState(state) {
+    this.currentData = state?.data || null;
+    this.scoreResult = state?.scoreResult || null;
+    this.recommendations = state?.recommendations || [];
+    this.rawComparison = state?.rawComparison || null;
+    if (state) {
+      this.selectedContext = state.context;
+    }
+  }
+
+  /**
+   * Settle a pending analysis with an error
+   * @param {number} tabId - Tab the analysis ran in
+   * @param {string} requestId - Request ID from startAnalysis
+   * @param {string} message - Error to show
+   */
+  failAnalysis(tabId, requestId, message) {
+    const state = this.tabStates.get(tabId);
+    if (!state || state.requestId !== requestId) return;
+    clearTimeout(state.timeoutId);
+    state.status = 'error';
+    state.error = message;
+    if (tabId === this.currentTabId && !this.viewingHistory) {
+      this.showError(message);
+    }
+  }
+
+  /**
+   * Banner offering to re-analyze after the tab moved to another page
+   * @param {Object} state - Tab analysis state
+   */
+  renderStaleNotice(state) {
+    const notice = document.getElementById('staleNotice');
+    notice.classList.toggle('hidden', !state?.stale);
+    if (!state?.stale) return;
+
+    let path = state.stale.url;
+    try {
+      const url = new URL(state.stale.url);
+      path = url.pathname + url.search;
+    } catch (e) {
+      // Keep the raw URL
+    }
+    document.getElementById('staleNoticeText').textContent =
+      `This tab has moved to ${path} since it was analyzed. These results are for the previous page.`;
   }
 
   async updatePageInfo() {
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       if (tab) {
+        this.currentTabId = tab.id;
         const domain = new URL(tab.url).hostname;
         document.getElementById('pageDomain').textContent = domain;
       }
@@ -146,18 +638,11 @@ class SidePanelApp {
 
   async startAnalysis(context) {
     this.selectedContext = context;
+    this.viewingHistory = false;
     this.showLoading();
 
-    // Clear any previous timeout and reset state
-    if (this.analysisTimeoutId) {
-      clearTimeout(this.analysisTimeoutId);
-      this.analysisTimeoutId = null;
-    }
-    this.currentData = null;
-
     // Generate unique request ID to prevent race conditions
     const requestId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    this.currentRequestId = requestId;
 
     try {
       // Get current tab
@@ -168,22 +653,65 @@ class SidePanelApp {
         return;
       }
 
+      this.currentTabId = tab.id;
+
+      // Replace any earlier analysis of this tab; its late responses are ignored
+      const previous = this.tabStates.get(tab.id);
+      if (previous) {
+        clearTimeout(previous.timeoutId);
+      }
+      const state = {
+        status: 'loading', // loading | scoring | done | error
+        requestId,
+        context,
+        url: tab.url,
+        progress: this.readiness.maxWaitMs > 0
+          ? 'Waiting for the page to finish loading...'
+          : 'Extracting structured data, meta tags, and content...',
+        timeoutId: null,
+        data: null,
+        scoreResult: null,
+        recommendations: [],
+        rawComparison: null,
+        rawComparisonError: null,
+        stale: null,
+        error: null
+      };
+      this.tabStates.set(tab.id, state);
+      this.applyTabState(state);
+      document.getElementById('loadingHint').textContent = state.progress;
+
+      // Tabs opened before install/update have no content script yet
+      try {
+        await ensureContentScript(tab.id, {
+          onInject: () => {
+            state.progress = 'Loading the analyzer into this page...';
+            if (tab.id === this.currentTabId) {
+              document.getElementById('loadingHint').textContent = state.progress;
+            }
+          }
+        });
+      } catch (e) {
+        this.failAnalysis(tab.id, requestId, e.message);
+        return;
+      }
+      if (state.requestId !== requestId || this.tabStates.get(tab.id) !== state) return;
+
       // Request data extraction from content script
-      chrome.tabs.sendMessage(tab.id, { type: 'EXTRACT_DATA', requestId }, (response) => {
+      const options = { deep: this.deepExtraction, readiness: this.readiness };
+      chrome.tabs.sendMessage(tab.id, { type: 'EXTRACT_DATA', requestId, options }, (response) => {
         if (chrome.runtime.lastError) {
           console.error('Error sending message:', chrome.runtime.lastError);
-          // Content script might not be loaded, try injecting
-          this.showError('Unable to analyze this page. Make sure you are on a product page.');
+          this.failAnalysis(tab.id, requestId, 'Unable to analyze this page. Reload the page and try again.');
         }
       });
 
       // Set a timeout in case we don't get a response
-      this.analysisTimeoutId = setTimeout(() => {
-        // Only show error if this is still the current request and no data received
-        if (this.currentRequestId === requestId && !this.currentData) {
-          this.showError('Analysis timed out. Please try again.');
+      state.timeoutId = setTimeout(() => {
+        if (state.status === 'loading') {
+          this.failAnalysis(tab.id, requestId, 'Analysis timed out. Please try again.');
         }
-      }, 10000);
+      }, this.readiness.maxWaitMs + (options.deep ? 20000 : 10000));
 
     } catch (e) {
       console.error('Error starting analysis:', e);
@@ -191,47 +719,47 @@ class SidePanelApp {
     }
   }
 
-  async processResults() {
+  /**
+   * Score a tab's extraction, show it if that tab is in view, and save it
+   * @param {number} tabId - Tab the extraction came from
+   * @param {string} requestId - Request ID from startAnalysis
+   * @param {Object} data - Extracted data
+   */
+  async processResults(tabId, requestId, data) {
+    const state = this.tabStates.get(tabId);
+    const missing = getMissingSections(data);
+    if (data.error || missing.length > 0) {
+      this.failAnalysis(tabId, requestId, `Extraction failed: ${data.error || `missing ${missing.join(', ')}`}`);
+      return;
+    }
+
     try {
-      // Get current page URL for network fetches
-      const pageUrl = this.currentData.pageInfo?.url;
-      const baseUrl = pageUrl ? new URL(pageUrl).origin : null;
+      const { scoreResult, recommendations } = await this.scoreExtraction(data, state.context);
 
-      // Verify og:image format if present
-      let imageVerification = null;
-      const ogImage = this.currentData.metaTags?.openGraph?.image;
+      // Re-analyzed (or closed) while scoring
+      if (this.tabStates.get(tabId) !== state || state.requestId !== requestId) return;
 
-      if (ogImage) {
-        imageVerification = await this.verifyImageFormat(ogImage);
-      }
+      state.status = 'done';
+      state.data = data;
+      state.url = data.pageInfo?.url || state.url;
+      state.scoreResult = scoreResult;
+      state.recommendations = recommendations;
 
-      // Fetch AI Discoverability network data
-      let aiDiscoverabilityData = null;
-      if (baseUrl) {
-        aiDiscoverabilityData = await this.fetchAIDiscoverabilityData(baseUrl, pageUrl);
+      // Display results
+      if (tabId === this.currentTabId && !this.viewingHistory && this.activeView === 'results') {
+        this.showTabView();
       }
 
-      // Score the data
-      const scoringEngine = new ScoringEngine(this.selectedContext);
-      this.scoreResult = scoringEngine.calculateScore(this.currentData, imageVerification, aiDiscoverabilityData);
-
-      // Generate recommendations
-      const recEngine = new RecommendationEngine(
-        this.scoreResult,
-        this.currentData,
-        imageVerification
-      );
-      this.recommendations = recEngine.generateRecommendations();
-
-      // Display results
-      this.displayResults();
+      // Compare against the raw server HTML in the background (doesn't affect the score)
+      this.runRawHtmlComparison(tabId, requestId);
 
       // Save to history
       await saveAnalysis({
-        url: this.currentData.pageInfo?.url,
-        pageInfo: this.currentData.pageInfo,
-        scoreResult: this.scoreResult,
-        recommendations: this.recommendations
+        url: data.pageInfo?.url,
+        pageInfo: data.pageInfo,
+        extraction: data,
+        scoreResult,
+        recommendations
       });
 
       // Refresh history
@@ -239,8 +767,55 @@ class SidePanelApp {
 
     } catch (e) {
       console.error('Error processing results:', e);
-      this.showError('Error processing analysis results: ' + e.message);
+      this.failAnalysis(tabId, requestId, 'Error processing analysis results: ' + e.message);
+    }
+  }
+
+  /**
+   * Run network checks, scoring, and recommendations for extracted data
+   * Shared by single-page analysis and bulk audits
+   * @param {Object} data - Extracted data from the content script
+   * @param {string} context - Consumer context (want/need/hybrid)
+   * @param {Object} profile - Scoring profile (defaults to the active profile)
+   * @param {string} vertical - Vertical ID, or 'auto' to suggest one from the page
+   * @returns {Promise<Object>} { scoreResult, recommendations }
+   */
+  async scoreExtraction(data, context, profile = this.activeProfile, vertical = this.selectedVertical) {
+    // Get current page URL for network fetches
+    const pageUrl = data.pageInfo?.url;
+    const baseUrl = pageUrl ? new URL(pageUrl).origin : null;
+
+    // Verify og:image format if present
+    let imageVerification = null;
+    const ogImage = data.metaTags?.openGraph?.image;
+
+    if (ogImage) {
+      imageVerification = await this.verifyImageFormat(ogImage);
+    }
+
+    // Fetch AI Discoverability network data
+    let aiDiscoverabilityData = null;
+    if (baseUrl) {
+      aiDiscoverabilityData = await this.fetchAIDiscoverabilityData(baseUrl, pageUrl, data);
     }
+
+    // Score the data with the active profile's weights
+    const suggestion = vertical === 'auto' ? suggestVertical(data) : null;
+    const scoringEngine = new ScoringEngine(context, profile, suggestion ? suggestion.id : vertical);
+    const scoreResult = scoringEngine.calculateScore(data, imageVerification, aiDiscoverabilityData);
+    if (suggestion) {
+      scoreResult.vertical = { ...scoreResult.vertical, auto: true, source: suggestion.source, matched: suggestion.matched };
+    }
+
+    // Generate recommendations
+    const recEngine = new RecommendationEngine(
+      scoreResult,
+      data,
+      imageVerification
+    );
+    const recommendations = recEngine.generateRecommendations();
+
+    return { scoreResult, recommendations };
   }
 
   async verifyImageFormat(url) {
@@ -263,27 +838,41 @@ class SidePanelApp {
    * Fetch AI Discoverability network data
    * @param {string} baseUrl - Base URL of the site (origin)
    * @param {string} pageUrl - Full page URL
+   * @param {Object} [data] - Extracted data (product name and categories are looked up in llms.txt)
    * @returns {Promise<Object>} AI discoverability network data
    */
-  async fetchAIDiscoverabilityData(baseUrl, pageUrl) {
-    const [robots, llms, lastModified] = await Promise.all([
-      this.fetchRobotsTxt(baseUrl),
-      this.fetchLlmsTxt(baseUrl),
-      this.fetchLastModified(pageUrl)
+  async fetchAIDiscoverabilityData(baseUrl, pageUrl, data) {
+    const product = data?.structuredData?.schemas?.product;
+    const productName = product?.name || null;
+    const categories = [
+      ...(product?.category || '').split(/\s*[>/|]\s*/),
+      ...(data?.structuredData?.schemas?.breadcrumb?.items || []).map(item => item.name)
+    ].filter(name => typeof name === 'string' && !/^home$/i.test(name.trim()) && name !== productName);
+
+    const [robots, llms, headers, aiPolicy] = await Promise.all([
+      this.fetchRobotsTxt(baseUrl, pageUrl),
+      this.fetchLlmsTxt(baseUrl, { url: pageUrl, productName, categories }),
+      this.fetchPageHeaders(pageUrl),
+      this.fetchAIPolicy(baseUrl, pageUrl)
     ]);
 
-    return { robots, llms, lastModified };
+    // Runs after the other fetches so its extra requests don't compete with them
+    const crawlerSimulation = this.simulateCrawlers ? await this.simulateAICrawlers(pageUrl) : null;
+
+    // The header response carries Last-Modified/Date for the freshness check
+    return { robots, llms, lastModified: headers, headers, aiPolicy, crawlerSimulation };
   }
 
   /**
-   * Fetch and parse robots.txt for AI crawler rules
+   * Fetch robots.txt and evaluate AI crawler access for the page path
    * @param {string} baseUrl - Base URL of the site
+   * @param {string} pageUrl - Full page URL (its path is matched against the rules)
    * @returns {Promise<Object>} Parsed robots.txt data
    */
-  async fetchRobotsTxt(baseUrl) {
+  async fetchRobotsTxt(baseUrl, pageUrl) {
     return new Promise((resolve) => {
       chrome.runtime.sendMessage(
-        { type: 'FETCH_ROBOTS_TXT', baseUrl },
+        { type: 'FETCH_ROBOTS_TXT', baseUrl, pageUrl },
         (response) => {
           if (chrome.runtime.lastError) {
             console.error('robots.txt fetch error:', chrome.runtime.lastError);
@@ -297,14 +886,15 @@ class SidePanelApp {
   }
 
   /**
-   * Check for llms.txt files
+   * Fetch and validate llms.txt, and check for llms-full.txt
    * @param {string} baseUrl - Base URL of the site
-   * @returns {Promise<Object>} llms.txt presence data
+   * @param {Object} page - { url, productName, categories } to look for in llms.txt
+   * @returns {Promise<Object>} llms.txt presence, structure and link data
    */
-  async fetchLlmsTxt(baseUrl) {
+  async fetchLlmsTxt(baseUrl, page) {
     return new Promise((resolve) => {
       chrome.runtime.sendMessage(
-        { type: 'FETCH_LLMS_TXT', baseUrl },
+        { type: 'FETCH_LLMS_TXT', baseUrl, page },
         (response) => {
           if (chrome.runtime.lastError) {
             console.error('llms.txt fetch error:', chrome.runtime.lastError);
@@ -318,18 +908,18 @@ class SidePanelApp {
   }
 
   /**
-   * Fetch Last-Modified header for a URL
-   * @param {string} url - URL to check
-   * @returns {Promise<Object>} Last-Modified header data
+   * Re-request the page with each major AI crawler's user-agent
+   * @param {string} url - Page URL
+   * @returns {Promise<Object|null>} Per-crawler outcomes, or null if the simulation failed
    */
-  async fetchLastModified(url) {
+  async simulateAICrawlers(url) {
     return new Promise((resolve) => {
       chrome.runtime.sendMessage(
-        { type: 'FETCH_LAST_MODIFIED', url },
+        { type: 'SIMULATE_AI_CRAWLERS', url },
         (response) => {
-          if (chrome.runtime.lastError) {
-            console.error('Last-Modified fetch error:', chrome.runtime.lastError);
-            resolve({ accessible: false, error: chrome.runtime.lastError.message });
+          if (chrome.runtime.lastError || response?.error) {
+            console.error('Crawler simulation error:', chrome.runtime.lastError || response.error);
+            resolve(null);
           } else {
             resolve(response);
           }
@@ -338,50 +928,316 @@ class SidePanelApp {
     });
   }
 
-  displayResults() {
-    this.hideLoading();
-    this.hideContextSelector();
-    this.showResults();
-
-    // Update grade display
-    const gradeEl = document.getElementById('gradeDisplay');
-    gradeEl.textContent = this.scoreResult.grade;
-    gradeEl.className = `grade grade-${this.scoreResult.grade}`;
-
-    // Update score
-    document.getElementById('scoreValue').textContent = this.scoreResult.totalScore;
-
-    // Update context label
-    document.getElementById('contextLabel').textContent =
-      `${this.selectedContext.charAt(0).toUpperCase() + this.selectedContext.slice(1)} Context`;
-
-    // Update grade description
-    document.getElementById('gradeDescription').textContent =
-      getGradeDescription(this.scoreResult.grade);
-
-    // Show JS-dependency warning when content scores may be understated
-    const jsWarn = document.getElementById('jsDependencyWarning');
-    jsWarn.classList.toggle('hidden', !this.scoreResult.jsDependent);
-
-    // Render category cards
-    this.renderCategories();
-
-    // Render recommendations
-    this.renderRecommendations();
+  /**
+   * Get the cached site-level signals for an origin (no network requests)
+   * @param {string} origin - Site origin
+   * @returns {Promise<Object|null>} { origin, ttlMs, signals }, or null on error
+   */
+  async getSiteSignals(origin) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        { type: 'GET_SITE_SIGNALS', origin },
+        (response) => {
+          if (chrome.runtime.lastError || response?.error) {
+            console.error('Site signal summary error:', chrome.runtime.lastError || response.error);
+            resolve(null);
+          } else {
+            resolve(response);
+          }
+        }
+      );
+    });
   }
 
-  renderCategories() {
-    const container = document.getElementById('categoryList');
-    container.innerHTML = '';
+  /**
+   * Drop cached site-level signals so the next analysis re-fetches them
+   * @param {string} [origin] - Site origin (omit to clear every site)
+   * @returns {Promise<Object>} { removed }
+   */
+  async clearSiteSignals(origin) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        { type: 'CLEAR_SITE_SIGNALS', origin },
+        (response) => {
+          if (chrome.runtime.lastError) {
+            console.error('Site signal cache clear error:', chrome.runtime.lastError);
+            resolve({ removed: 0 });
+          } else {
+            resolve(response || { removed: 0 });
+          }
+        }
+      );
+    });
+  }
 
-    const categoryOrder = [
-      'structuredData',
-      'protocolMeta',
-      'contentQuality',
-      'contentStructure',
-      'authorityTrust',
-      'aiDiscoverability'
-    ];
+  /**
+   * Fetch TDMRep (/.well-known/tdmrep.json) and ai.txt declarations
+   * @param {string} baseUrl - Base URL of the site
+   * @param {string} pageUrl - Full page URL (its path is matched against the rules)
+   * @returns {Promise<Object>} { tdmrep, aiTxt }
+   */
+  async fetchAIPolicy(baseUrl, pageUrl) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        { type: 'FETCH_AI_POLICY', baseUrl, pageUrl },
+        (response) => {
+          if (chrome.runtime.lastError) {
+            console.error('AI policy fetch error:', chrome.runtime.lastError);
+            resolve({ error: chrome.runtime.lastError.message, tdmrep: { found: false }, aiTxt: { found: false } });
+          } else {
+            resolve(response);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Fetch the page's response headers (X-Robots-Tag, Link, caching, Last-Modified)
+   * @param {string} url - URL to check
+   * @returns {Promise<Object>} Header audit data
+   */
+  async fetchPageHeaders(url) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        { type: 'FETCH_PAGE_HEADERS', url },
+        (response) => {
+          if (chrome.runtime.lastError) {
+            console.error('Page headers fetch error:', chrome.runtime.lastError);
+            resolve({ accessible: false, error: chrome.runtime.lastError.message });
+          } else {
+            resolve(response);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Ask the content script to extract from the page's raw server HTML
+   * @param {number} tabId - Tab to run in
+   * @returns {Promise<Object>} { success, data, fetch, error }
+   */
+  async requestRawHtmlExtraction(tabId) {
+    return new Promise((resolve) => {
+      chrome.tabs.sendMessage(tabId, { type: 'EXTRACT_RAW_HTML' }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.error('Raw HTML extraction error:', chrome.runtime.lastError);
+          resolve({ success: false, error: chrome.runtime.lastError.message });
+        } else {
+          resolve(response || { success: false, error: 'No response' });
+        }
+      });
+    });
+  }
+
+  /**
+   * Run the rendered vs raw HTML comparison for a tab and render it if in view
+   * @param {number} tabId - Tab the analysis ran in
+   * @param {string} requestId - Analysis request this comparison belongs to
+   */
+  async runRawHtmlComparison(tabId, requestId) {
+    const response = await this.requestRawHtmlExtraction(tabId);
+
+    // A newer analysis started (or the tab closed) while we were fetching
+    const state = this.tabStates.get(tabId);
+    if (!state || state.requestId !== requestId) return;
+
+    if (!response.success || !response.data) {
+      state.rawComparisonError = response.error || (response.fetch?.status ? `HTTP ${response.fetch.status}` : 'Unknown error');
+    } else {
+      const comparison = compareRenderedToRaw(state.data, response.data);
+      state.rawComparison = { ...comparison, fetch: response.fetch, rawExtraction: response.data };
+    }
+
+    if (tabId === this.currentTabId && !this.viewingHistory) {
+      this.rawComparison = state.rawComparison;
+      this.renderRawComparisonState(state);
+    }
+  }
+
+  /**
+   * Render a tab's raw HTML comparison: pending, unavailable, or the table
+   * @param {Object} state - Tab analysis state
+   */
+  renderRawComparisonState(state) {
+    const section = document.getElementById('rawComparisonSection');
+    const status = document.getElementById('rawComparisonStatus');
+    const container = document.getElementById('rawComparison');
+
+    section.classList.remove('hidden');
+    status.className = 'raw-comparison-status';
+    container.innerHTML = '';
+
+    if (state.rawComparisonError) {
+      status.textContent = 'Unavailable';
+      container.innerHTML = `<p class="empty-state">Could not fetch raw HTML: ${escapeHtml(state.rawComparisonError)}</p>`;
+      return;
+    }
+    if (!state.rawComparison) {
+      status.textContent = 'Fetching raw HTML...';
+      return;
+    }
+
+    this.renderRawComparison(state.rawComparison);
+
+    // Raw HTML proves the page depends on JS, regardless of framework markers
+    if (state.rawComparison.criticalMissing > 0) {
+      document.getElementById('jsDependencyWarning').classList.remove('hidden');
+    }
+  }
+
+  /**
+   * Render the rendered vs raw HTML table
+   * @param {Object} comparison - Result of compareRenderedToRaw
+   */
+  renderRawComparison(comparison) {
+    const status = document.getElementById('rawComparisonStatus');
+    const container = document.getElementById('rawComparison');
+
+    const gaps = comparison.missingCount + comparison.reducedCount;
+    status.classList.toggle('has-gaps', gaps > 0);
+    status.textContent = gaps === 0
+      ? 'Matches rendered page'
+      : `${gaps} signal${gaps > 1 ? 's' : ''} need JavaScript`;
+
+    const rows = comparison.rows.map(row => `
+      <tr class="raw-row status-${row.status}">
+        <td>${escapeHtml(row.label)}</td>
+        <td title="${escapeHtml(row.rendered)}">${escapeHtml(row.rendered)}</td>
+        <td title="${escapeHtml(row.raw)}">${escapeHtml(row.raw)}</td>
+      </tr>
+    `).join('');
+
+    container.innerHTML = `
+      <table class="raw-table">
+        <thead>
+          <tr><th>Signal</th><th>Rendered</th><th>Raw HTML</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  displayResults() {
+    this.hideLoading();
+    this.hideContextSelector();
+    this.showResults();
+
+    // Update grade display
+    const gradeEl = document.getElementById('gradeDisplay');
+    gradeEl.textContent = this.scoreResult.grade;
+    gradeEl.className = `grade grade-${this.scoreResult.grade}`;
+
+    // Update score
+    document.getElementById('scoreValue').textContent = this.scoreResult.totalScore;
+
+    // Update context label
+    const profileName = this.scoreResult.profile?.name;
+    const vertical = this.scoreResult.vertical;
+    const verticalLabel = vertical && vertical.id !== 'general'
+      ? ` · ${vertical.name}${vertical.auto ? ' (auto)' : ''}`
+      : '';
+    const platform = this.currentData?.platform;
+    const contextLabel = document.getElementById('contextLabel');
+    contextLabel.textContent =
+      `${this.selectedContext.charAt(0).toUpperCase() + this.selectedContext.slice(1)} Context` +
+      verticalLabel +
+      (platform?.name ? ` · ${platform.name}${platform.headless && platform.id !== 'headless' ? ' (headless)' : ''}` : '') +
+      (profileName ? ` · ${profileName}` : '');
+    contextLabel.title = vertical?.auto && vertical.source
+      ? `Vertical suggested from ${vertical.source} (${vertical.matched.join(', ')})`
+      : '';
+
+    // Update grade description
+    document.getElementById('gradeDescription').textContent =
+      getGradeDescription(this.scoreResult.grade);
+
+    // Show JS-dependency warning when content scores may be understated
+    const jsWarn = document.getElementById('jsDependencyWarning');
+    jsWarn.classList.toggle('hidden', !this.scoreResult.jsDependent);
+
+    this.renderReadinessNotice(this.currentData?.readiness);
+    this.renderDeepExtractionNotice(this.currentData?.deepExtraction);
+
+    // Render category cards
+    this.renderCategories();
+
+    // Render ProductGroup variants (hidden for single-variant products)
+    this.renderVariants();
+
+    // Render recommendations
+    this.renderRecommendations();
+  }
+
+  /**
+   * Warn when extraction started before the page settled
+   * @param {Object|undefined} readiness - extractedData.readiness
+   */
+  renderReadinessNotice(readiness) {
+    const notice = document.getElementById('readinessNotice');
+    const invalid = (readiness?.selectors || []).filter(entry => !entry.valid).map(entry => entry.selector);
+    const show = !!readiness && (readiness.budgetExceeded || invalid.length > 0);
+    notice.classList.toggle('hidden', !show);
+    if (!show) return;
+
+    const seconds = (readiness.waitedMs / 1000).toFixed(1);
+    notice.innerHTML = `
+      ${readiness.budgetExceeded
+        ? `<div>Page hadn't settled after ${seconds}s (still waiting for ${escapeHtml(readiness.pending.join(', '))}); results may be incomplete.</div>`
+        : ''}
+      ${invalid.length > 0
+        ? `<div>Ignored invalid wait selectors: ${escapeHtml(invalid.join(', '))}</div>`
+        : ''}
+    `;
+  }
+
+  /**
+   * Summarize what deep extraction opened and what it revealed
+   * @param {Object|undefined} deep - extractedData.deepExtraction
+   */
+  renderDeepExtractionNotice(deep) {
+    const notice = document.getElementById('deepExtractionNotice');
+    notice.classList.toggle('hidden', !deep);
+    if (!deep) return;
+
+    const plural = (count, word) => `${count} ${word}${count !== 1 ? 's' : ''}`;
+    const { expanded, revealed } = deep;
+    const opened = [
+      expanded.tabs > 0 ? plural(expanded.tabs, 'tab') : '',
+      expanded.accordions > 0 ? plural(expanded.accordions, 'accordion') : '',
+      expanded.details > 0 ? plural(expanded.details, 'details element') : ''
+    ].filter(Boolean).join(', ') || 'nothing collapsed found';
+
+    const labels = { specifications: 'spec', features: 'feature', faq: 'FAQ', reviews: 'review' };
+    const gained = Object.entries(revealed)
+      .filter(([, section]) => section.after > section.before)
+      .map(([key, section]) => {
+        const sample = section.items.length > 0 ? ` (${section.items.slice(0, 3).join(', ')})` : '';
+        return `<li>${plural(section.after - section.before, labels[key])}${escapeHtml(sample)}</li>`;
+      })
+      .join('');
+
+    notice.innerHTML = `
+      <div>Deep extraction opened ${opened}${deep.settle && !deep.settle.settled ? '; page was still changing after 3s' : ''}.</div>
+      ${gained
+        ? `<div>Only visible after interaction (crawlers may never see it):</div><ul>${gained}</ul>`
+        : '<div>No extra content appeared after interaction.</div>'}
+    `;
+  }
+
+  renderCategories() {
+    const container = document.getElementById('categoryList');
+    container.innerHTML = '';
+
+    const categoryOrder = [
+      'structuredData',
+      'protocolMeta',
+      'contentQuality',
+      'contentStructure',
+      'authorityTrust',
+      'aiDiscoverability'
+    ];
 
     categoryOrder.forEach(key => {
       const data = this.scoreResult.categoryScores[key];
@@ -402,6 +1258,13 @@ class SidePanelApp {
         </div>
         <div class="category-details hidden">
           ${this.renderFactors(data.factors)}
+          ${data.validation ? this.renderSchemaValidation(data.validation) : ''}
+          ${this.renderLlmsTxtValidation(data.factors.find(f => f.llms)?.llms)}
+          ${data.headerAudit ? this.renderHeaderAudit(data.headerAudit) : ''}
+          ${data.usagePolicy ? this.renderUsagePolicy(data.usagePolicy) : ''}
+          ${this.renderRobotsCrawlerAccess(data.factors.find(f => f.crawlerAccess))}
+          ${this.renderCrawlerSimulation(data.factors.find(f => f.crawlerSimulation)?.crawlerSimulation)}
+          ${key === 'aiDiscoverability' ? this.renderSiteSignalRefresh(data) : ''}
         </div>
       `;
 
@@ -410,6 +1273,56 @@ class SidePanelApp {
     });
   }
 
+  /**
+   * Render the Variants section from scoreResult.variants
+   */
+  renderVariants() {
+    const section = document.getElementById('variantSection');
+    const analysis = this.scoreResult.variants;
+    section.classList.toggle('hidden', !analysis);
+    if (!analysis) return;
+
+    const scoreEl = document.getElementById('variantScore');
+    scoreEl.className = `category-score ${analysis.score >= 80 ? 'score-high' : analysis.score >= 60 ? 'score-medium' : 'score-low'}`;
+    scoreEl.textContent = analysis.score;
+
+    const formatPrice = (value) => Number.isInteger(value) ? String(value) : value.toFixed(2);
+    const selected = analysis.selected?.variant;
+    const rows = [
+      ['Variants', `${analysis.variantCount}${analysis.truncated ? ' (first 300 analyzed)' : ''}${analysis.pageEntity === 'variant' ? ' · page is a variant' : ''}`],
+      ['Group ID', analysis.groupId || '—'],
+      ['Varies by', analysis.variesBy.length > 0 ? analysis.variesBy.join(', ') : '—'],
+      ['Price range', analysis.priceRange
+        ? (analysis.priceRange.min === analysis.priceRange.max
+          ? formatPrice(analysis.priceRange.min)
+          : `${formatPrice(analysis.priceRange.min)} – ${formatPrice(analysis.priceRange.max)}`)
+        : '—'],
+      ['Selected', selected
+        ? [selected.color, selected.size].filter(Boolean).join(' / ') || selected.sku || selected.name || 'Variant'
+        : '—']
+    ];
+    document.getElementById('variantSummary').innerHTML = rows.map(([label, value]) => `
+      <dt>${label}</dt>
+      <dd title="${escapeHtml(value)}">${escapeHtml(value)}</dd>
+    `).join('');
+
+    const issues = analysis.factors
+      .filter(factor => factor.status !== 'pass')
+      .map(factor => `
+        <li class="schema-issue ${factor.status === 'fail' ? 'error' : 'warning'}">
+          <span class="schema-issue-severity">${factor.status === 'fail' ? '✗' : '⚠'}</span>
+          <span class="schema-issue-body">
+            <span class="schema-issue-message">${escapeHtml(factor.details)}</span>
+          </span>
+        </li>
+      `).join('');
+
+    document.getElementById('variantFactors').innerHTML = `
+      ${this.renderFactors(analysis.factors)}
+      ${issues ? `<ul class="schema-issue-list">${issues}</ul>` : ''}
+    `;
+  }
+
   renderFactors(factors) {
     return factors.map(f => {
       const statusIcon = f.status === 'pass' ? '✓' :
@@ -429,10 +1342,10 @@ class SidePanelApp {
       ` : '';
 
       return `
-        <div class="factor ${f.status}${rec ? ' has-recommendation' : ''}">
+        <div class="factor ${f.status}${f.disabled ? ' disabled' : ''}${rec ? ' has-recommendation' : ''}">
           <div class="factor-row">
             ${expandBtn}
-            <span class="factor-name">${f.name}${contextualLabel}</span>
+            <span class="factor-name">${f.name}${contextualLabel}${this.renderCacheAge(f.siteSignal)}</span>
             <span class="factor-status">${statusIcon}</span>
             <span class="factor-points">${f.points}/${f.maxPoints}</span>
           </div>
@@ -442,6 +1355,271 @@ class SidePanelApp {
     }).join('');
   }
 
+  /**
+   * Render the "cached 3m ago" badge for data reused from the site signal cache
+   * @param {Object} siteSignal - { cached, fetchedAt } from the service worker
+   * @returns {string} HTML
+   */
+  renderCacheAge(siteSignal) {
+    if (!siteSignal?.cached) return '';
+    const fetched = new Date(siteSignal.fetchedAt).toLocaleString();
+    return `<span class="cache-age" title="Fetched ${escapeHtml(fetched)}">cached ${escapeHtml(this.formatTimeAgo(siteSignal.fetchedAt))}</span>`;
+  }
+
+  /**
+   * Render the refresh control for site-level files reused from the cache
+   * @param {Object} data - AI Discoverability category result
+   * @returns {string} HTML
+   */
+  renderSiteSignalRefresh(data) {
+    const signals = [...data.factors.map(f => f.siteSignal), data.usagePolicy?.siteSignal].filter(Boolean);
+    const pageUrl = this.currentData?.pageInfo?.url;
+    if (this.viewingHistory || !pageUrl || !signals.some(signal => signal.cached)) return '';
+
+    const origin = new URL(pageUrl).origin;
+    return `
+      <p class="schema-validation-note">
+        robots.txt, llms.txt, and AI policy files for ${escapeHtml(origin)} were reused from earlier analyses.
+        <button class="btn btn-secondary btn-small site-signal-refresh-btn" data-origin="${escapeHtml(origin)}">Refresh site signals</button>
+      </p>
+    `;
+  }
+
+  /**
+   * Render the robots.txt verdict for each AI crawler on this page's path
+   * @param {Object} factor - AI Crawler Access factor (with crawlerAccess)
+   * @returns {string} HTML
+   */
+  renderRobotsCrawlerAccess(factor) {
+    if (!factor || Object.keys(factor.crawlerAccess).length === 0) return '';
+
+    // Blocked crawlers first, each group in robots.txt line order
+    const entries = Object.entries(factor.crawlerAccess)
+      .sort(([, a], [, b]) => (a.allowed - b.allowed) || ((a.rule?.line ?? Infinity) - (b.rule?.line ?? Infinity)));
+    const allowedCount = entries.filter(([, access]) => access.allowed).length;
+
+    const rows = entries.map(([crawler, access]) => {
+      const rule = access.rule
+        ? `${access.rule.type === 'allow' ? 'Allow' : 'Disallow'}: ${access.rule.pattern} (line ${access.rule.line})`
+        : 'No matching rule';
+      const group = access.matchedGroup ? `, group ${access.matchedGroup}` : '';
+      return `
+        <li class="schema-issue ${access.allowed ? 'pass' : 'error'}">
+          <span class="schema-issue-severity">${access.allowed ? '✓' : '✗'}</span>
+          <span class="schema-issue-body">
+            <span class="schema-issue-message">${escapeHtml(crawler)} (${escapeHtml(access.company || '')}): ${access.allowed ? 'allowed' : 'blocked'}</span>
+            <code class="schema-issue-path">${escapeHtml(rule + group)}</code>
+          </span>
+        </li>
+      `;
+    }).join('');
+
+    return `
+      <div class="schema-validation">
+        <div class="schema-validation-header">robots.txt for ${escapeHtml(factor.robotsPath || '/')}: ${allowedCount}/${entries.length} AI crawlers allowed</div>
+        <ul class="schema-issue-list">${rows}</ul>
+      </div>
+    `;
+  }
+
+  /**
+   * Render how the page answered each simulated AI crawler user-agent
+   * @param {Object} simulation - simulateAICrawlers() result
+   * @returns {string} HTML
+   */
+  renderCrawlerSimulation(simulation) {
+    if (!simulation) return '';
+
+    const baseline = simulation.baseline || {};
+    const rows = simulation.results
+      .filter(result => result.outcome !== 'ok')
+      .map(result => `
+        <li class="schema-issue ${result.outcome === 'blocked' || result.outcome === 'challenged' ? 'error' : 'warning'}">
+          <span class="schema-issue-severity">${result.outcome === 'blocked' || result.outcome === 'challenged' ? '✗' : '⚠'}</span>
+          <span class="schema-issue-body">
+            <span class="schema-issue-message">${escapeHtml(result.crawler)}: ${escapeHtml(result.outcome)}</span>
+            <code class="schema-issue-path">${escapeHtml(result.reason || '')}</code>
+          </span>
+        </li>
+      `).join('');
+    const received = simulation.results.filter(result => result.outcome === 'ok').length;
+
+    return `
+      <div class="schema-validation">
+        <div class="schema-validation-header">Crawler simulation: ${received}/${simulation.results.length} received the page (browser: HTTP ${baseline.status ?? '—'}, ${baseline.hasProductSchema ? 'Product schema' : 'no Product schema'})</div>
+        ${rows ? `<ul class="schema-issue-list">${rows}</ul>` : ''}
+        <p class="schema-validation-note">Requests come from your IP; a WAF that verifies crawler IP ranges may block the simulation but not the real crawler.</p>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the unified AI usage policy and its contradictions
+   * @param {Object} policy - Result of summarizeAIUsagePolicy()
+   * @returns {string} HTML
+   */
+  renderUsagePolicy(policy) {
+    const stanceLabels = {
+      allowed: 'AI use allowed',
+      reserved: 'AI use reserved (opted out)',
+      partial: 'AI use partly restricted',
+      mixed: 'Contradictory declarations',
+      unknown: 'No declarations found'
+    };
+
+    const rows = policy.declarations.map(d => `
+      <dt>${escapeHtml(d.source)}</dt>
+      <dd title="${escapeHtml(d.detail)}">${escapeHtml(d.detail)}</dd>
+    `).join('');
+    const conflicts = policy.conflicts.map(conflict => `
+      <li class="schema-issue warning">
+        <span class="schema-issue-severity">⚠</span>
+        <span class="schema-issue-body">
+          <span class="schema-issue-message">${escapeHtml(conflict)}</span>
+        </span>
+      </li>
+    `).join('');
+
+    return `
+      <div class="schema-validation">
+        <div class="schema-validation-header">AI usage policy: ${stanceLabels[policy.stance] || policy.stance}${this.renderCacheAge(policy.siteSignal)}</div>
+        ${rows ? `<dl class="variant-summary">${rows}</dl>` : ''}
+        ${conflicts ? `<ul class="schema-issue-list">${conflicts}</ul>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the page's response headers and where robots directives came from
+   * @param {Object} audit - Protocol & Meta headerAudit from scoring
+   * @returns {string} HTML
+   */
+  renderHeaderAudit(audit) {
+    if (!audit.accessible) {
+      return `
+        <div class="schema-validation">
+          <div class="schema-validation-header">Response headers: unavailable${audit.status ? ` (HTTP ${audit.status})` : ''}</div>
+          ${audit.error ? `<p class="schema-validation-note">${escapeHtml(audit.error)}</p>` : ''}
+        </div>
+      `;
+    }
+
+    const caching = audit.caching || {};
+    const charsetMismatch = audit.charset && audit.documentCharset &&
+      audit.charset.toLowerCase() !== audit.documentCharset.toLowerCase();
+    const rows = [
+      ['X-Robots-Tag', audit.xRobotsTag || '—'],
+      ['Content-Type', audit.contentType || '—'],
+      ['Charset', charsetMismatch ? `${audit.charset} (document: ${audit.documentCharset})` : (audit.charset || '—')],
+      ['Link canonical', audit.canonical || '—'],
+      ['Link alternates', audit.alternates.length > 0
+        ? audit.alternates.map(alt => alt.hreflang || alt.type || alt.url).join(', ')
+        : '—'],
+      ['Cache-Control', caching.cacheControl || '—'],
+      ['Vary', caching.vary?.length > 0 ? caching.vary.join(', ') : '—']
+    ];
+    const directives = audit.directives.map(entry => `
+      <li class="schema-issue warning">
+        <span class="schema-issue-severity">⚠</span>
+        <span class="schema-issue-body">
+          <span class="schema-issue-message">${escapeHtml(entry.directive)}</span>
+          <code class="schema-issue-path">${escapeHtml(`${entry.source === 'header' ? 'X-Robots-Tag' : 'meta'}${entry.agent !== '*' ? ` (${entry.agent})` : ''}`)}</code>
+        </span>
+      </li>
+    `).join('');
+
+    return `
+      <div class="schema-validation">
+        <div class="schema-validation-header">Response headers</div>
+        <dl class="variant-summary">
+          ${rows.map(([label, value]) => `<dt>${label}</dt><dd title="${escapeHtml(value)}">${escapeHtml(value)}</dd>`).join('')}
+        </dl>
+        ${directives ? `<ul class="schema-issue-list">${directives}</ul>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render llms.txt structure issues and broken links
+   * @param {Object} llms - llms.txt Presence factor details (factor.llms)
+   * @returns {string} HTML
+   */
+  renderLlmsTxtValidation(llms) {
+    if (!llms) return '';
+
+    const problems = [
+      ...llms.issues.map(issue => ({
+        severity: issue.severity,
+        message: issue.message,
+        location: issue.line ? `line ${issue.line}` : 'llms.txt'
+      })),
+      ...llms.brokenLinks.map(link => ({
+        severity: 'error',
+        message: `Link ${link.status ? `returns ${link.status}` : `failed: ${link.error}`}`,
+        location: link.line ? `line ${link.line}: ${link.url}` : link.url
+      }))
+    ];
+    const unchecked = llms.linkCheck ? llms.linkCheck.total - llms.linkCheck.checked : 0;
+    const mention = llms.mentions?.product
+      ? `Lists this product (${llms.mentions.product.via === 'link' ? 'links the page' : 'by name'})`
+      : llms.mentions?.category
+        ? `Lists this product's category: ${llms.mentions.category.value}`
+        : 'Doesn\'t mention this product or its category';
+    const summary = problems.length === 0
+      ? 'llms.txt: no issues'
+      : `llms.txt: ${problems.length} issue${problems.length !== 1 ? 's' : ''}`;
+
+    const rows = problems.map(problem => `
+      <li class="schema-issue ${problem.severity}">
+        <span class="schema-issue-severity">${problem.severity === 'error' ? '✗' : '⚠'}</span>
+        <span class="schema-issue-body">
+          <span class="schema-issue-message">${escapeHtml(problem.message)}</span>
+          <code class="schema-issue-path">${escapeHtml(problem.location)}</code>
+        </span>
+      </li>
+    `).join('');
+
+    return `
+      <div class="schema-validation">
+        <div class="schema-validation-header">${summary}</div>
+        ${rows ? `<ul class="schema-issue-list">${rows}</ul>` : ''}
+        <p class="schema-validation-note">${escapeHtml(mention)}</p>
+        ${unchecked > 0 ? `<p class="schema-validation-note">Checked the first ${llms.linkCheck.checked} of ${llms.linkCheck.total} links</p>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render structured data validation issues with their JSON paths
+   * @param {Object} validation - Result of validateStructuredData()
+   * @returns {string} HTML
+   */
+  renderSchemaValidation(validation) {
+    if (validation.itemCount === 0) return '';
+
+    const summary = validation.issues.length === 0
+      ? `${validation.itemCount} item${validation.itemCount !== 1 ? 's' : ''} validated, no issues`
+      : `${validation.errorCount} error${validation.errorCount !== 1 ? 's' : ''}, ${validation.warningCount} warning${validation.warningCount !== 1 ? 's' : ''} in ${validation.itemCount} item${validation.itemCount !== 1 ? 's' : ''}`;
+
+    const rows = validation.issues.map(issue => `
+      <li class="schema-issue ${issue.severity}">
+        <span class="schema-issue-severity">${issue.severity === 'error' ? '✗' : '⚠'}</span>
+        <span class="schema-issue-body">
+          <span class="schema-issue-message">${escapeHtml(issue.message)}</span>
+          <code class="schema-issue-path">${escapeHtml(issue.path)}</code>
+        </span>
+      </li>
+    `).join('');
+
+    return `
+      <div class="schema-validation">
+        <div class="schema-validation-header">Validation: ${summary}</div>
+        ${rows ? `<ul class="schema-issue-list">${rows}</ul>` : ''}
+        ${validation.truncated ? '<p class="schema-validation-note">Showing the first 100 issues</p>' : ''}
+      </div>
+    `;
+  }
+
   renderRecommendations() {
     const container = document.getElementById('recommendationList');
     container.innerHTML = '';
@@ -464,8 +1642,14 @@ class SidePanelApp {
         </div>
         <p class="rec-description">${rec.description}</p>
         ${rec.implementation ? `<p class="rec-implementation">${rec.implementation}</p>` : ''}
+        ${rec.platformGuide ? this.renderPlatformGuide(rec.platformGuide) : ''}
+        ${rec.generatedSchema ? this.renderGeneratedSchema(rec.generatedSchema) : ''}
       `;
 
+      item.querySelector('.rec-copy-btn')?.addEventListener('click', (e) => {
+        this.copyToClipboard(rec.generatedSchema.text, e.currentTarget);
+      });
+
       container.appendChild(item);
     });
 
@@ -474,6 +1658,76 @@ class SidePanelApp {
     }
   }
 
+  /**
+   * Render platform-specific steps for a recommendation
+   * @param {Object} guide - Result of getPlatformGuide()
+   * @returns {string} HTML
+   */
+  renderPlatformGuide(guide) {
+    const steps = guide.steps
+      .map(step => `<li>${escapeHtml(step).replace(/`([^`]+)`/g, '<code>$1</code>')}</li>`)
+      .join('');
+
+    return `
+      <div class="rec-platform">
+        <div class="rec-platform-header">
+          <span class="rec-platform-name">On ${escapeHtml(guide.name)}</span>
+          <span class="badge effort-badge">${escapeHtml(guide.effort)}</span>
+        </div>
+        <ol class="rec-platform-steps">${steps}</ol>
+      </div>
+    `;
+  }
+
+  /**
+   * Render a generated JSON-LD block with placeholders highlighted
+   * @param {Object} generated - Result of generateProductSchema()
+   * @returns {string} HTML
+   */
+  renderGeneratedSchema(generated) {
+    const code = generated.text.split('\n').map(line => {
+      const escaped = escapeHtml(line);
+      return line.includes(MISSING_MARKER) ? `<mark class="schema-missing">${escaped}</mark>` : escaped;
+    }).join('\n');
+
+    const sourceList = Object.entries(generated.sources)
+      .map(([field, source]) => `${field}: ${source}`)
+      .join('\n');
+
+    return `
+      <div class="rec-generated">
+        <div class="rec-generated-header">
+          <span class="rec-generated-title" title="${escapeHtml(sourceList)}">Generated from this page</span>
+          <button class="btn btn-secondary btn-small rec-copy-btn">Copy</button>
+        </div>
+        ${generated.missing.length > 0 ? `
+          <p class="rec-generated-missing">Fill in before publishing: ${generated.missing.map(field => escapeHtml(field)).join(', ')}</p>
+        ` : ''}
+        <pre class="rec-generated-code"><code>${code}</code></pre>
+        ${generated.omitted.length > 0 ? `
+          <p class="rec-generated-omitted">Not found on the page (recommended): ${generated.omitted.map(field => escapeHtml(field)).join(', ')}</p>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Copy text and briefly confirm on the button
+   * @param {string} text - Text to copy
+   * @param {HTMLElement} button - Button to update
+   */
+  async copyToClipboard(text, button) {
+    const label = button.textContent;
+    try {
+      await navigator.clipboard.writeText(text);
+      button.textContent = 'Copied';
+    } catch (error) {
+      console.error('pdpIQ: Copy failed', error);
+      button.textContent = 'Copy failed';
+    }
+    setTimeout(() => { button.textContent = label; }, 1500);
+  }
+
   async loadHistory() {
     const history = await getHistory();
     const container = document.getElementById('historyList');
@@ -490,7 +1744,10 @@ class SidePanelApp {
 
     history.slice(0, 20).forEach(entry => {
       const item = document.createElement('div');
-      item.className = 'history-item';
+      item.className = `history-item${entry.hasSnapshot ? '' : ' no-snapshot'}`;
+      item.dataset.id = entry.id;
+      item.dataset.snapshot = String(!!entry.hasSnapshot);
+      item.title = entry.hasSnapshot ? 'Open full results' : 'Full results not saved for this analysis';
 
       const gradeColor = this.getGradeColor(entry.grade);
       const timeAgo = this.formatTimeAgo(entry.timestamp);
@@ -499,7 +1756,7 @@ class SidePanelApp {
         <div class="history-grade" style="background: ${gradeColor}">${escapeHtml(entry.grade)}</div>
         <div class="history-info">
           <div class="history-title" title="${escapeHtml(entry.title)}">${escapeHtml(entry.title)}</div>
-          <div class="history-meta">${escapeHtml(entry.domain)} · ${escapeHtml(timeAgo)}</div>
+          <div class="history-meta">${escapeHtml(entry.domain)} · ${escapeHtml(timeAgo)}${entry.profile && entry.profile !== DEFAULT_PROFILE.name ? ` · ${escapeHtml(entry.profile)}` : ''}${entry.hasSnapshot ? '' : '<span class="history-badge">score only</span>'}</div>
         </div>
         <div class="history-score">${escapeHtml(entry.score)}</div>
       `;
@@ -508,6 +1765,70 @@ class SidePanelApp {
     });
   }
 
+  /**
+   * Reopen the full results view for a saved analysis
+   * @param {string} id - Analysis ID
+   */
+  async openHistoryEntry(id) {
+    const snapshot = await getSnapshot(id);
+    if (!snapshot) {
+      this.showError('Full results are no longer stored for this analysis.');
+      return;
+    }
+
+    // Keep in-flight analyses from replacing this view (they still finish and save)
+    this.viewingHistory = true;
+    this.currentData = snapshot.extraction;
+    this.scoreResult = snapshot.scoreResult;
+    this.recommendations = snapshot.recommendations || [];
+    this.selectedContext = snapshot.scoreResult?.context || snapshot.context || 'hybrid';
+    this.rawComparison = null;
+
+    this.switchTab('results');
+    this.displayResults();
+    document.getElementById('rawComparisonSection').classList.add('hidden');
+    document.getElementById('staleNotice').classList.add('hidden');
+    document.getElementById('pageDomain').textContent = snapshot.domain;
+    document.getElementById('contextLabel').textContent +=
+      ` · saved ${this.formatTimeAgo(snapshot.timestamp)}`;
+  }
+
+  async loadAutoReanalyze() {
+    this.autoReanalyze = await getAutoReanalyze();
+    document.getElementById('autoReanalyzeToggle').checked = this.autoReanalyze;
+  }
+
+  async loadCrawlerSimulation() {
+    this.simulateCrawlers = await getCrawlerSimulation();
+    document.getElementById('crawlerSimulationToggle').checked = this.simulateCrawlers;
+  }
+
+  async loadSiteSignalTtl() {
+    const ttl = await getSiteSignalTtl();
+    const select = document.getElementById('siteSignalTtl');
+    select.value = String(ttl);
+    // A TTL stored outside the preset list still shows up
+    if (select.value !== String(ttl)) {
+      select.add(new Option(`${Math.round(ttl / 60000)} minutes`, String(ttl)));
+      select.value = String(ttl);
+    }
+  }
+
+  async loadReadinessSettings() {
+    this.readiness = await getReadinessSettings();
+    document.getElementById('readinessMaxWait').value = String(this.readiness.maxWaitMs);
+    document.getElementById('readinessSelectors').value = this.readiness.waitForSelectors.join(', ');
+  }
+
+  /**
+   * Reflect the stored retention policy in the history controls
+   */
+  async loadRetentionSettings() {
+    const policy = await getRetentionPolicy();
+    document.getElementById('retentionMaxEntries').value = String(policy.maxEntries);
+    document.getElementById('retentionMaxAge').value = String(policy.maxAgeDays);
+  }
+
   getGradeColor(grade) {
     const colors = {
       A: '#22c55e',
@@ -542,23 +1863,650 @@ class SidePanelApp {
       pageTitle: this.currentData.pageInfo?.title,
       domain,
       context: this.selectedContext,
+      profile: this.scoreResult.profile,
       extraction: this.currentData,
       scoring: this.scoreResult,
-      recommendations: this.recommendations
+      recommendations: this.recommendations,
+      rawHtmlComparison: this.rawComparison
     };
 
-    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `pdpiq-${domain}-${date}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadFile(JSON.stringify(payload, null, 2), `pdpiq-${domain}-${date}.json`, 'application/json');
+  }
+
+  updateBulkUrlCount() {
+    const count = parseUrlList(document.getElementById('bulkUrls').value).length;
+    document.getElementById('bulkUrlCount').textContent = `${count} URL${count === 1 ? '' : 's'}`;
+  }
+
+  /**
+   * Start a bulk audit over the pasted/loaded URLs
+   */
+  async startBulkAudit() {
+    if (this.bulkRunner) return;
+
+    const urls = parseUrlList(document.getElementById('bulkUrls').value);
+    if (urls.length === 0) {
+      document.getElementById('bulkUrlCount').textContent = 'No valid URLs';
+      return;
+    }
+
+    const context = document.getElementById('bulkContext').value;
+    const settings = {
+      concurrency: parseInt(document.getElementById('bulkConcurrency').value, 10),
+      timeoutMs: parseInt(document.getElementById('bulkTimeout').value, 10) * 1000,
+      retries: parseInt(document.getElementById('bulkRetries').value, 10),
+      readiness: this.readiness
+    };
+
+    const profile = this.activeProfile;
+    const vertical = document.getElementById('bulkVertical').value;
+    this.bulkContext = context;
+    this.bulkProfile = profile.name;
+    this.bulkSort = { key: 'index', direction: 'asc' };
+    this.bulkSites = null;
+    this.bulkRunner = new BulkAuditRunner(urls, {
+      settings,
+      analyze: (data) => this.scoreExtraction(data, context, profile, vertical),
+      onUpdate: () => this.renderBulkResults()
+    });
+
+    document.getElementById('bulkStartBtn').classList.add('hidden');
+    document.getElementById('bulkCancelBtn').classList.remove('hidden');
+    document.getElementById('bulkProgress').classList.remove('hidden');
+    document.getElementById('bulkResults').classList.remove('hidden');
+    this.renderBulkResults();
+
+    try {
+      await this.bulkRunner.run();
+    } catch (e) {
+      console.error('Bulk audit error:', e);
+    } finally {
+      this.bulkResults = this.bulkRunner.results;
+      this.bulkSummary = this.bulkRunner.getSummary();
+      this.bulkSettings = this.bulkRunner.settings;
+      this.bulkSites = await this.summarizeBulkSites(this.bulkResults);
+      this.renderBulkResults();
+      this.bulkRunner = null;
+      document.getElementById('bulkStartBtn').classList.remove('hidden');
+      document.getElementById('bulkCancelBtn').classList.add('hidden');
+    }
+  }
+
+  /**
+   * Get a sortable value for a bulk result column
+   * @param {Object} row - Bulk result row
+   * @param {string} key - Column key
+   */
+  getBulkValue(row, key) {
+    switch (key) {
+      case 'index': return row.index;
+      case 'url': return row.url;
+      case 'status': return row.status;
+      case 'score': return row.scoreResult?.totalScore ?? -1;
+      case 'grade': return row.scoreResult?.grade || 'Z';
+      case 'recs': return row.recommendations.length;
+      default: return row.scoreResult?.categoryScores?.[key]?.score ?? -1;
+    }
+  }
+
+  /**
+   * Render progress, summary, and the sortable bulk results table
+   */
+  renderBulkResults() {
+    const rows = this.bulkRunner?.results || this.bulkResults || [];
+    const summary = this.bulkRunner?.getSummary() || this.bulkSummary;
+    if (!summary) return;
+
+    // Progress
+    const finished = summary.done + summary.failed + summary.cancelled;
+    document.getElementById('bulkProgressFill').style.width = `${Math.round((finished / summary.total) * 100)}%`;
+    document.getElementById('bulkProgressText').textContent =
+      `${finished}/${summary.total} processed · ${summary.failed} failed`;
+
+    // Summary
+    const gradeText = Object.entries(summary.grades)
+      .filter(([, count]) => count > 0)
+      .map(([grade, count]) => `${grade}: ${count}`)
+      .join(' · ');
+    document.getElementById('bulkSummary').textContent = summary.averageScore !== null
+      ? `Average score ${summary.averageScore} · ${gradeText}`
+      : 'No completed analyses yet';
+
+    // Table
+    const { key, direction } = this.bulkSort;
+    const sorted = [...rows].sort((a, b) => {
+      const va = this.getBulkValue(a, key);
+      const vb = this.getBulkValue(b, key);
+      const cmp = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+      return direction === 'asc' ? cmp : -cmp;
+    });
+
+    const columns = [
+      { key: 'url', label: 'URL' },
+      { key: 'status', label: 'Status' },
+      { key: 'score', label: 'Score' },
+      { key: 'grade', label: 'Grade' },
+      ...BULK_CATEGORY_COLUMNS,
+      { key: 'recs', label: 'Recs' }
+    ];
+
+    const header = columns.map(col => {
+      const arrow = col.key === key ? (direction === 'asc' ? ' ▲' : ' ▼') : '';
+      return `<th data-sort="${col.key}" class="${col.key === key ? 'sorted' : ''}">${col.label}${arrow}</th>`;
+    }).join('');
+
+    const body = sorted.map(row => {
+      const result = row.scoreResult;
+      const categoryCells = BULK_CATEGORY_COLUMNS
+        .map(col => `<td>${result ? Math.round(result.categoryScores[col.key]?.score ?? 0) : '-'}</td>`)
+        .join('');
+      const statusTitle = row.error ? ` title="${escapeHtml(row.error)}"` : '';
+
+      return `
+        <tr>
+          <td class="bulk-url" title="${escapeHtml(row.url)}">${escapeHtml(row.url.replace(/^https?:\/\/(www\.)?/, ''))}</td>
+          <td class="bulk-status-${row.status}"${statusTitle}>${escapeHtml(row.status)}${row.attempts > 1 ? ` (${row.attempts})` : ''}</td>
+          <td>${result ? result.totalScore : '-'}</td>
+          <td>${result ? escapeHtml(result.grade) : '-'}</td>
+          ${categoryCells}
+          <td>${result ? row.recommendations.length : '-'}</td>
+        </tr>
+      `;
+    }).join('');
+
+    document.getElementById('bulkTable').innerHTML = `<thead><tr>${header}</tr></thead><tbody>${body}</tbody>`;
+    document.getElementById('bulkSites').innerHTML = this.renderBulkSites(this.bulkRunner ? null : this.bulkSites);
+  }
+
+  /**
+   * Summarize each audited site from the cached site-level signals
+   * robots.txt, llms.txt and AI policy files were fetched once per site during
+   * the audit, so this only reads the cache.
+   * @param {Array<Object>} rows - Bulk result rows
+   * @returns {Promise<Array<Object>>} [{ origin, pages, averageScore, ttlMs, signals }]
+   */
+  async summarizeBulkSites(rows) {
+    const sites = new Map();
+    rows.forEach(row => {
+      let origin;
+      try {
+        origin = new URL(row.url).origin;
+      } catch (e) {
+        return;
+      }
+      if (!sites.has(origin)) sites.set(origin, []);
+      sites.get(origin).push(row);
+    });
+
+    return Promise.all([...sites].map(async ([origin, siteRows]) => {
+      const done = siteRows.filter(row => row.status === 'done');
+      const cached = await this.getSiteSignals(origin);
+      return {
+        origin,
+        pages: siteRows.length,
+        averageScore: done.length > 0
+          ? Math.round(done.reduce((sum, row) => sum + row.scoreResult.totalScore, 0) / done.length)
+          : null,
+        ttlMs: cached?.ttlMs ?? 0,
+        signals: cached?.signals || []
+      };
+    }));
+  }
+
+  /**
+   * Render the per-site summary below the bulk audit totals
+   * @param {Array<Object>|null} sites - summarizeBulkSites() result
+   * @returns {string} HTML
+   */
+  renderBulkSites(sites) {
+    if (!sites || sites.length === 0) return '';
+
+    return sites.map(site => {
+      const rows = site.signals.map(signal => `
+        <dt>${escapeHtml(signal.label)}</dt>
+        <dd title="${escapeHtml(signal.detail)}">${escapeHtml(signal.detail)} <span class="cache-age">fetched ${escapeHtml(this.formatTimeAgo(signal.fetchedAt))}</span></dd>
+      `).join('');
+
+      return `
+        <div class="schema-validation">
+          <div class="schema-validation-header">${escapeHtml(site.origin.replace(/^https?:\/\//, ''))} · ${site.pages} page${site.pages !== 1 ? 's' : ''}${site.averageScore !== null ? ` · average ${site.averageScore}` : ''}</div>
+          ${rows
+            ? `<dl class="variant-summary">${rows}</dl>`
+            : `<p class="schema-validation-note">${site.ttlMs > 0 ? 'No cached site signals (they may have expired).' : 'Site signal caching is off, so there is no per-site summary.'}</p>`}
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Export combined bulk audit results
+   * @param {string} format - 'json' or 'csv'
+   */
+  exportBulkResults(format) {
+    const rows = this.bulkRunner?.results || this.bulkResults;
+    if (!rows || rows.length === 0) return;
+
+    const date = new Date().toISOString().split('T')[0];
+
+    if (format === 'csv') {
+      const header = [
+        'url', 'status', 'attempts', 'error', 'score', 'grade', 'profile', 'vertical',
+        ...BULK_CATEGORY_COLUMNS.map(col => col.key),
+        'recommendations', 'topRecommendations'
+      ];
+      const lines = rows.map(row => {
+        const result = row.scoreResult;
+        return [
+          row.url,
+          row.status,
+          row.attempts,
+          row.error,
+          result?.totalScore,
+          result?.grade,
+          result?.profile?.name,
+          result?.vertical?.name,
+          ...BULK_CATEGORY_COLUMNS.map(col => result ? Math.round(result.categoryScores[col.key]?.score ?? 0) : ''),
+          result ? row.recommendations.length : '',
+          row.recommendations.slice(0, 3).map(rec => rec.title).join(' | ')
+        ].map(escapeCsv).join(',');
+      });
+
+      downloadFile([header.join(','), ...lines].join('\n'), `pdpiq-bulk-${date}.csv`, 'text/csv');
+      return;
+    }
+
+    const payload = {
+      exportedAt: new Date().toISOString(),
+      context: this.bulkContext,
+      profile: this.bulkProfile,
+      settings: this.bulkRunner?.settings || this.bulkSettings,
+      summary: this.bulkRunner?.getSummary() || this.bulkSummary,
+      sites: this.bulkSites || [],
+      results: rows.map(row => ({
+        url: row.url,
+        status: row.status,
+        attempts: row.attempts,
+        error: row.error,
+        durationMs: row.duration,
+        pageInfo: row.pageInfo,
+        scoring: row.scoreResult,
+        recommendations: row.recommendations
+      }))
+    };
+
+    downloadFile(JSON.stringify(payload, null, 2), `pdpiq-bulk-${date}.json`, 'application/json');
+  }
+
+  /**
+   * Populate both compare pickers: current analysis, open tabs, saved snapshots
+   */
+  async loadCompareSources() {
+    const selectA = document.getElementById('compareSourceA');
+    const selectB = document.getElementById('compareSourceB');
+    const previous = [selectA.value, selectB.value];
+
+    const groups = [];
+
+    if (this.currentData && this.scoreResult) {
+      groups.push({
+        label: 'Current analysis',
+        options: [{ value: 'current', text: this.currentData.pageInfo?.title || this.currentData.pageInfo?.url || 'Current page' }]
+      });
+    }
+
+    try {
+      const tabs = await chrome.tabs.query({ currentWindow: true });
+      const options = tabs
+        .filter(tab => /^https?:/.test(tab.url || ''))
+        .map(tab => ({ value: `tab:${tab.id}`, text: tab.title || tab.url }));
+      if (options.length > 0) {
+        groups.push({ label: 'Open tabs (analyze now)', options });
+      }
+    } catch (e) {
+      console.error('Error listing tabs:', e);
+    }
+
+    const history = await getHistory();
+    const saved = history
+      .filter(entry => entry.hasSnapshot)
+      .slice(0, 50)
+      .map(entry => ({
+        value: `history:${entry.id}`,
+        text: `${entry.title} · ${entry.score} · ${this.formatTimeAgo(entry.timestamp)}`
+      }));
+    if (saved.length > 0) {
+      groups.push({ label: 'Saved analyses', options: saved });
+    }
+
+    const html = groups.map(group => `
+      <optgroup label="${escapeHtml(group.label)}">
+        ${group.options.map(option => `<option value="${escapeHtml(option.value)}">${escapeHtml(option.text)}</option>`).join('')}
+      </optgroup>
+    `).join('');
+
+    [selectA, selectB].forEach((select, index) => {
+      select.innerHTML = html;
+      const values = Array.from(select.options).map(option => option.value);
+      if (values.includes(previous[index])) {
+        select.value = previous[index];
+      } else if (values.length > index) {
+        select.value = values[index];
+      }
+    });
+
+    document.getElementById('compareContext').value = this.selectedContext || 'hybrid';
+    document.getElementById('compareBtn').disabled = groups.length === 0;
+  }
+
+  /**
+   * Resolve a compare picker value into a scored analysis
+   * Stored results scored under a different context or profile are re-scored.
+   * @param {string} value - 'current', 'tab:<id>', or 'history:<id>'
+   * @param {string} context - Consumer context to compare under
+   * @returns {Promise<Object>} { label, extraction, scoreResult }
+   */
+  async resolveCompareSource(value, context) {
+    let extraction = null;
+    let scoreResult = null;
+    let label = null;
+
+    if (value === 'current') {
+      extraction = this.currentData;
+      scoreResult = this.scoreResult;
+    } else if (value.startsWith('tab:')) {
+      extraction = await extractTabData(parseInt(value.slice(4), 10), this.readiness.maxWaitMs + 10000, { readiness: this.readiness });
+      if (extraction.error) {
+        throw new Error(extraction.error);
+      }
+    } else if (value.startsWith('history:')) {
+      const snapshot = await getSnapshot(value.slice(8));
+      if (!snapshot) {
+        throw new Error('Full results are no longer stored for this analysis.');
+      }
+      extraction = snapshot.extraction;
+      scoreResult = snapshot.scoreResult;
+      label = `${snapshot.title} (saved ${this.formatTimeAgo(snapshot.timestamp)})`;
+    }
+
+    if (!extraction) {
+      throw new Error('Nothing to compare for this selection.');
+    }
+
+    const profileId = scoreResult?.profile?.id || DEFAULT_PROFILE.id;
+    if (!scoreResult || scoreResult.context !== context || profileId !== this.activeProfile.id) {
+      const vertical = !scoreResult?.vertical || scoreResult.vertical.auto ? 'auto' : scoreResult.vertical.id;
+      ({ scoreResult } = await this.scoreExtraction(extraction, context, this.activeProfile, vertical));
+    }
+
+    return {
+      label: label || extraction.pageInfo?.title || extraction.pageInfo?.url || 'Unknown Page',
+      extraction,
+      scoreResult
+    };
+  }
+
+  /**
+   * Compare the two selected sources and render the diff
+   */
+  async runComparison() {
+    if (this.comparing) return;
+
+    const valueA = document.getElementById('compareSourceA').value;
+    const valueB = document.getElementById('compareSourceB').value;
+    const context = document.getElementById('compareContext').value;
+    const status = document.getElementById('compareStatus');
+
+    if (!valueA || !valueB) return;
+    if (valueA === valueB) {
+      status.textContent = 'Pick two different pages to compare.';
+      status.classList.remove('hidden');
+      return;
+    }
+
+    this.comparing = true;
+    document.getElementById('compareBtn').disabled = true;
+    status.textContent = 'Analyzing…';
+    status.classList.remove('hidden');
+
+    try {
+      // Sequential so two tab extractions don't compete for the same network checks
+      const sideA = await this.resolveCompareSource(valueA, context);
+      const sideB = await this.resolveCompareSource(valueB, context);
+      this.comparison = compareAnalyses(sideA, sideB);
+      this.renderComparison(this.comparison);
+      status.classList.add('hidden');
+    } catch (e) {
+      console.error('Error comparing analyses:', e);
+      status.textContent = `Comparison failed: ${e.message}`;
+    } finally {
+      this.comparing = false;
+      document.getElementById('compareBtn').disabled = false;
+    }
+  }
+
+  /**
+   * Render the side-by-side comparison
+   * @param {Object} comparison - Result of compareAnalyses()
+   */
+  renderComparison(comparison) {
+    const { a, b } = comparison;
+    const formatDelta = (delta) => (delta > 0 ? `+${delta}` : String(delta));
+
+    document.getElementById('compareSummary').innerHTML = `
+      <div class="compare-side${comparison.winner === 'a' ? ' wins' : ''}">
+        <span class="compare-side-tag">A</span>
+        <span class="compare-side-score" style="color: ${this.getGradeColor(a.grade)}">${escapeHtml(a.totalScore)} ${escapeHtml(a.grade)}</span>
+        <span class="compare-side-label" title="${escapeHtml(a.url || '')}">${escapeHtml(a.label)}</span>
+      </div>
+      <div class="compare-side${comparison.winner === 'b' ? ' wins' : ''}">
+        <span class="compare-side-tag">B</span>
+        <span class="compare-side-score" style="color: ${this.getGradeColor(b.grade)}">${escapeHtml(b.totalScore)} ${escapeHtml(b.grade)}</span>
+        <span class="compare-side-label" title="${escapeHtml(b.url || '')}">${escapeHtml(b.label)}</span>
+      </div>
+      <div class="compare-delta">A − B: ${formatDelta(comparison.totalDelta)} · ${comparison.differingValues} extracted values differ</div>
+    `;
+
+    const formatPoints = (side) => (side ? `${side.points}/${side.maxPoints}` : '—');
+
+    const body = comparison.categories.map(category => {
+      const factorRows = category.factors.map(factor => `
+        <tr class="compare-factor-row winner-${factor.winner} hidden" data-category="${escapeHtml(category.key)}">
+          <td title="${escapeHtml([factor.a?.details, factor.b?.details].filter(Boolean).join(' | '))}">${escapeHtml(factor.name)}</td>
+          <td class="side-a">${escapeHtml(formatPoints(factor.a))}</td>
+          <td class="side-b">${escapeHtml(formatPoints(factor.b))}</td>
+          <td class="compare-delta-cell">${factor.delta === 0 ? '' : escapeHtml(formatDelta(factor.delta))}</td>
+        </tr>
+      `).join('');
+
+      return `
+        <tr class="compare-category-row winner-${category.winner}" data-category="${escapeHtml(category.key)}" data-expanded="false">
+          <td><span class="expand-icon">+</span> ${escapeHtml(category.name)}</td>
+          <td class="side-a">${category.a ?? '—'}</td>
+          <td class="side-b">${category.b ?? '—'}</td>
+          <td class="compare-delta-cell">${category.delta === 0 ? '' : escapeHtml(formatDelta(category.delta))}</td>
+        </tr>
+        ${factorRows}
+      `;
+    }).join('');
+
+    document.getElementById('compareFactors').innerHTML = `
+      <thead><tr><th>Category / factor</th><th>A</th><th>B</th><th>Δ</th></tr></thead>
+      <tbody>${body}</tbody>
+    `;
+
+    const valueRows = comparison.extraction.map(row => `
+      <tr class="${row.differs ? `differs winner-${row.winner}` : ''}">
+        <td>${escapeHtml(row.label)}</td>
+        <td class="side-a" title="${escapeHtml(row.a)}">${escapeHtml(row.a)}</td>
+        <td class="side-b" title="${escapeHtml(row.b)}">${escapeHtml(row.b)}</td>
+      </tr>
+    `).join('');
+
+    document.getElementById('compareValues').innerHTML = `
+      <thead><tr><th>Value</th><th>A</th><th>B</th></tr></thead>
+      <tbody>${valueRows}</tbody>
+    `;
+
+    document.getElementById('compareResults').classList.remove('hidden');
+  }
+
+  /**
+   * Fill the vertical pickers from the vertical definitions
+   */
+  populateVerticalSelects() {
+    const options = Object.values(VERTICALS)
+      .map(vertical => `<option value="${vertical.id}">${escapeHtml(vertical.name)}</option>`)
+      .join('');
+    ['verticalSelect', 'bulkVertical'].forEach(id => {
+      document.getElementById(id).insertAdjacentHTML('beforeend', options);
+    });
+  }
+
+  /**
+   * Load profiles into the picker and refresh the active profile
+   */
+  async loadProfiles() {
+    const profiles = await getProfiles();
+    this.activeProfile = await getActiveProfile();
+
+    const select = document.getElementById('profileSelect');
+    select.innerHTML = profiles.map(profile => `
+      <option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}${profile.builtIn ? ' (built-in)' : ''}</option>
+    `).join('');
+    select.value = this.activeProfile.id;
+
+    const editBtn = document.getElementById('profileEditBtn');
+    editBtn.disabled = !!this.activeProfile.builtIn;
+    editBtn.title = this.activeProfile.builtIn ? 'Built-in profiles are read-only; duplicate to customize' : '';
+  }
+
+  /**
+   * Open the profile editor
+   * @param {Object} profile - Profile to edit (no ID creates a new one)
+   */
+  openProfileEditor(profile) {
+    this.editingProfile = { ...normalizeProfile(profile), id: profile.builtIn ? null : profile.id };
+
+    document.getElementById('profileEditorTitle').textContent = this.editingProfile.id ? 'Edit Profile' : 'New Profile';
+    document.getElementById('profileName').value = this.editingProfile.name;
+    document.getElementById('profileDeleteBtn').classList.toggle('hidden', !this.editingProfile.id);
+
+    const { categoryWeights, factorWeights, contextMultipliers } = this.editingProfile;
+    const numberInput = (path, value, step) =>
+      `<input type="number" data-path="${path}" value="${value}" step="${step}" min="0">`;
+
+    document.getElementById('profileCategoryWeights').innerHTML = Object.entries(categoryWeights).map(([key, value]) => `
+      <label>${escapeHtml(CATEGORY_LABELS[key] || humanizeKey(key))}
+        ${numberInput(`categoryWeights.${key}`, value, 0.01)}
+      </label>
+    `).join('');
+
+    document.getElementById('profileFactorWeights').innerHTML = Object.entries(factorWeights).map(([category, weights]) => `
+      <details class="profile-factor-group">
+        <summary>${escapeHtml(CATEGORY_LABELS[category] || humanizeKey(category))}</summary>
+        <div class="profile-fields">
+          ${Object.entries(weights).map(([key, value]) => `
+            <label>${escapeHtml(humanizeKey(key))}
+              ${numberInput(`factorWeights.${category}.${key}`, value, 1)}
+            </label>
+          `).join('')}
+        </div>
+      </details>
+    `).join('');
+
+    const contexts = Object.keys(contextMultipliers);
+    const multiplierKeys = Object.keys(contextMultipliers[contexts[0]]);
+    document.getElementById('profileMultipliers').innerHTML = `
+      <thead><tr><th></th>${contexts.map(context => `<th>${escapeHtml(humanizeKey(context))}</th>`).join('')}</tr></thead>
+      <tbody>
+        ${multiplierKeys.map(key => `
+          <tr>
+            <td>${escapeHtml(humanizeKey(key))}</td>
+            ${contexts.map(context => `<td>${numberInput(`contextMultipliers.${context}.${key}`, contextMultipliers[context][key], 0.1)}</td>`).join('')}
+          </tr>
+        `).join('')}
+      </tbody>
+    `;
+
+    this.updateProfileValidation();
+    this.showProfileEditor();
+  }
+
+  /**
+   * Build a profile from the editor fields
+   * @returns {Object} Profile
+   */
+  readProfileEditor() {
+    const profile = {
+      id: this.editingProfile?.id || null,
+      name: document.getElementById('profileName').value,
+      categoryWeights: {},
+      factorWeights: {},
+      contextMultipliers: {}
+    };
+
+    document.querySelectorAll('#profileSection input[data-path]').forEach(input => {
+      const path = input.dataset.path.split('.');
+      const last = path.pop();
+      let target = profile;
+      path.forEach(key => {
+        target[key] = target[key] || {};
+        target = target[key];
+      });
+      // Empty fields stay NaN so validation reports them instead of silently using defaults
+      target[last] = input.value === '' ? NaN : Number(input.value);
+    });
+
+    return profile;
+  }
+
+  /**
+   * Validate the editor and show the category sum and any errors
+   * @returns {Array<string>} Validation errors
+   */
+  updateProfileValidation() {
+    const profile = this.readProfileEditor();
+    const { errors } = validateProfile({ ...profile, name: profile.name.trim() });
+
+    const sum = Object.values(profile.categoryWeights).reduce((total, value) => total + (Number(value) || 0), 0);
+    const sumEl = document.getElementById('profileCategorySum');
+    sumEl.textContent = `Sum ${Math.round(sum * 1000) / 1000}`;
+    sumEl.classList.toggle('invalid', Math.abs(sum - 1) > 0.001);
+
+    this.showProfileErrors(errors);
+    return errors;
+  }
+
+  /**
+   * Render validation errors under the editor
+   * @param {Array<string>} errors - Error messages
+   */
+  showProfileErrors(errors) {
+    const list = document.getElementById('profileErrors');
+    list.innerHTML = errors.map(error => `<li>${escapeHtml(error)}</li>`).join('');
+    list.classList.toggle('hidden', errors.length === 0);
+  }
+
+  /**
+   * Save the edited profile and make it active
+   */
+  async saveProfileFromEditor() {
+    if (this.updateProfileValidation().length > 0) return;
+
+    try {
+      const saved = await saveProfile(this.readProfileEditor());
+      await setActiveProfile(saved.id);
+      this.editingProfile = null;
+      await this.loadProfiles();
+      this.showContextSelector();
+    } catch (e) {
+      this.showProfileErrors(e.message.split('\n'));
+    }
   }
 
   switchTab(tab) {
+    this.activeView = tab;
+
     // Update nav buttons
     document.querySelectorAll('.nav-btn').forEach(btn => {
       btn.classList.toggle('active', btn.dataset.tab === tab);
@@ -567,19 +2515,44 @@ class SidePanelApp {
     // Show/hide sections
     if (tab === 'results') {
       document.getElementById('historySection').classList.add('hidden');
+      document.getElementById('bulkSection').classList.add('hidden');
+      document.getElementById('compareSection').classList.add('hidden');
+      document.getElementById('profileSection').classList.add('hidden');
 
-      // Show appropriate results view
-      if (this.scoreResult) {
+      // Show the open history entry, or the active tab's own state
+      if (this.viewingHistory && this.scoreResult) {
         this.showResults();
       } else {
-        this.showContextSelector();
+        this.showTabView();
       }
     } else if (tab === 'history') {
       document.getElementById('contextSelector').classList.add('hidden');
       document.getElementById('results').classList.add('hidden');
       document.getElementById('loadingState').classList.add('hidden');
       document.getElementById('errorState').classList.add('hidden');
+      document.getElementById('bulkSection').classList.add('hidden');
+      document.getElementById('compareSection').classList.add('hidden');
+      document.getElementById('profileSection').classList.add('hidden');
       document.getElementById('historySection').classList.remove('hidden');
+    } else if (tab === 'bulk') {
+      document.getElementById('contextSelector').classList.add('hidden');
+      document.getElementById('results').classList.add('hidden');
+      document.getElementById('loadingState').classList.add('hidden');
+      document.getElementById('errorState').classList.add('hidden');
+      document.getElementById('historySection').classList.add('hidden');
+      document.getElementById('compareSection').classList.add('hidden');
+      document.getElementById('profileSection').classList.add('hidden');
+      document.getElementById('bulkSection').classList.remove('hidden');
+    } else if (tab === 'compare') {
+      document.getElementById('contextSelector').classList.add('hidden');
+      document.getElementById('results').classList.add('hidden');
+      document.getElementById('loadingState').classList.add('hidden');
+      document.getElementById('errorState').classList.add('hidden');
+      document.getElementById('historySection').classList.add('hidden');
+      document.getElementById('bulkSection').classList.add('hidden');
+      document.getElementById('profileSection').classList.add('hidden');
+      document.getElementById('compareSection').classList.remove('hidden');
+      this.loadCompareSources();
     }
   }
 
@@ -589,6 +2562,20 @@ class SidePanelApp {
     document.getElementById('loadingState').classList.add('hidden');
     document.getElementById('errorState').classList.add('hidden');
     document.getElementById('historySection').classList.add('hidden');
+    document.getElementById('bulkSection').classList.add('hidden');
+    document.getElementById('compareSection').classList.add('hidden');
+    document.getElementById('profileSection').classList.add('hidden');
+  }
+
+  showProfileEditor() {
+    document.getElementById('contextSelector').classList.add('hidden');
+    document.getElementById('results').classList.add('hidden');
+    document.getElementById('loadingState').classList.add('hidden');
+    document.getElementById('errorState').classList.add('hidden');
+    document.getElementById('historySection').classList.add('hidden');
+    document.getElementById('bulkSection').classList.add('hidden');
+    document.getElementById('compareSection').classList.add('hidden');
+    document.getElementById('profileSection').classList.remove('hidden');
   }
 
   hideContextSelector() {
@@ -601,6 +2588,9 @@ class SidePanelApp {
     document.getElementById('loadingState').classList.remove('hidden');
     document.getElementById('errorState').classList.add('hidden');
     document.getElementById('historySection').classList.add('hidden');
+    document.getElementById('bulkSection').classList.add('hidden');
+    document.getElementById('compareSection').classList.add('hidden');
+    document.getElementById('profileSection').classList.add('hidden');
   }
 
   hideLoading() {
@@ -613,6 +2603,9 @@ class SidePanelApp {
     document.getElementById('loadingState').classList.add('hidden');
     document.getElementById('errorState').classList.add('hidden');
     document.getElementById('historySection').classList.add('hidden');
+    document.getElementById('bulkSection').classList.add('hidden');
+    document.getElementById('compareSection').classList.add('hidden');
+    document.getElementById('profileSection').classList.add('hidden');
   }
 
   showError(message) {
@@ -621,6 +2614,9 @@ class SidePanelApp {
     document.getElementById('loadingState').classList.add('hidden');
     document.getElementById('errorState').classList.remove('hidden');
     document.getElementById('historySection').classList.add('hidden');
+    document.getElementById('bulkSection').classList.add('hidden');
+    document.getElementById('compareSection').classList.add('hidden');
+    document.getElementById('profileSection').classList.add('hidden');
     document.getElementById('errorMessage').textContent = message;
   }
 }
@@ -0,0 +1,95 @@
+/**
+ * Tab Extraction
+ * Helpers for requesting extraction from a tab's content script
+ */
+
+import { ensureContentScript, sendTabMessage } from '../content/content-script-loader.js';
+
+/**
+ * Default time to wait for EXTRACTION_COMPLETE
+ */
+const EXTRACTION_TIMEOUT_MS = 10000;
+
+/**
+ * Resolve once a tab reports status "complete"
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<void>}
+ */
+export function waitForTabComplete(tabId) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      chrome.tabs.onRemoved.removeListener(onRemoved);
+    };
+    const onUpdated = (updatedId, changeInfo) => {
+      if (updatedId === tabId && changeInfo.status === 'complete') {
+        cleanup();
+        resolve();
+      }
+    };
+    const onRemoved = (removedId) => {
+      if (removedId === tabId) {
+        cleanup();
+        reject(new Error('Tab closed before loading'));
+      }
+    };
+
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.onRemoved.addListener(onRemoved);
+
+    // The tab may have finished before the listener was attached
+    chrome.tabs.get(tabId).then(tab => {
+      if (tab.status === 'complete') {
+        cleanup();
+        resolve();
+      }
+    }).catch(() => {});
+  });
+}
+
+/**
+ * Run a full extraction in a tab and wait for its EXTRACTION_COMPLETE message
+ * @param {number} tabId - Tab ID
+ * @param {number} [timeoutMs] - Maximum wait for the extraction result
+ * @param {Object} [options] - Extraction options ({ deep, readiness })
+ * @returns {Promise<Object>} Extracted data
+ */
+export async function extractTabData(tabId, timeoutMs = EXTRACTION_TIMEOUT_MS, options = {}) {
+  await ensureContentScript(tabId);
+
+  const requestId = `tab-${tabId}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearTimeout(timeoutId);
+      chrome.runtime.onMessage.removeListener(onMessage);
+      chrome.tabs.onRemoved.removeListener(onRemoved);
+    };
+    const onMessage = (message) => {
+      if (message.type === 'EXTRACTION_COMPLETE' && message.requestId === requestId) {
+        cleanup();
+        resolve(message.data);
+      }
+    };
+    const onRemoved = (removedId) => {
+      if (removedId === tabId) {
+        cleanup();
+        reject(new Error('Tab closed'));
+      }
+    };
+    const timeoutId = setTimeout(() => {
+      cleanup();
+      reject(new Error('Extraction timed out'));
+    }, timeoutMs);
+
+    chrome.runtime.onMessage.addListener(onMessage);
+    chrome.tabs.onRemoved.addListener(onRemoved);
+
+    sendTabMessage(tabId, { type: 'EXTRACT_DATA', requestId, options }).then(response => {
+      if (!response) {
+        cleanup();
+        reject(new Error('Content script did not respond'));
+      }
+    });
+  });
+}
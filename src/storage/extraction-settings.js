@@ -0,0 +1,134 @@
+/**
+ * Extraction Settings
+ * Persists the page readiness strategy the content script runs before
+ * extracting (network idle, DOM quiet period, wait-for selectors),
+ * whether client-side navigations trigger a new analysis, and whether
+ * analyses re-request the page as AI crawlers
+ */
+
+const READINESS_KEY = 'extractionReadiness';
+const AUTO_REANALYZE_KEY = 'autoReanalyzeOnNavigation';
+const CRAWLER_SIMULATION_KEY = 'simulateAICrawlers';
+
+/**
+ * Default readiness strategy
+ * maxWaitMs is the total budget; 0 extracts immediately without waiting.
+ * Extraction starts once the network and DOM have both been quiet for their
+ * windows and every waitForSelectors entry matches, or when the budget runs out.
+ */
+export const DEFAULT_READINESS = {
+  maxWaitMs: 8000,
+  networkIdleMs: 500,
+  quietMs: 500,
+  waitForSelectors: []
+};
+
+/**
+ * Upper bound on the readiness budget
+ */
+const MAX_READINESS_WAIT_MS = 30000;
+
+/**
+ * Split a comma- or newline-separated selector list
+ * Commas inside brackets or parentheses (e.g. :is(a, b)) are kept
+ * @param {string} text - User input
+ * @returns {Array<string>} Selectors
+ */
+export function parseSelectorList(text) {
+  const selectors = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text || '') {
+    if (char === '(' || char === '[') depth++;
+    if (char === ')' || char === ']') depth = Math.max(0, depth - 1);
+    if ((char === ',' && depth === 0) || char === '\n') {
+      selectors.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  selectors.push(current.trim());
+
+  return [...new Set(selectors.filter(Boolean))];
+}
+
+/**
+ * Fill defaults and clamp a stored or user-entered readiness strategy
+ * @param {Object} settings - Partial readiness settings
+ * @returns {Object} Readiness settings
+ */
+export function normalizeReadiness(settings = {}) {
+  const merged = { ...DEFAULT_READINESS, ...settings };
+  const clampMs = (value, fallback) => (Number.isFinite(value) ? Math.min(Math.max(0, value), MAX_READINESS_WAIT_MS) : fallback);
+
+  return {
+    maxWaitMs: clampMs(merged.maxWaitMs, DEFAULT_READINESS.maxWaitMs),
+    networkIdleMs: clampMs(merged.networkIdleMs, DEFAULT_READINESS.networkIdleMs),
+    quietMs: clampMs(merged.quietMs, DEFAULT_READINESS.quietMs),
+    waitForSelectors: Array.isArray(merged.waitForSelectors)
+      ? merged.waitForSelectors.map(selector => String(selector).trim()).filter(Boolean)
+      : parseSelectorList(String(merged.waitForSelectors || ''))
+  };
+}
+
+/**
+ * Get the active readiness strategy
+ * @returns {Promise<Object>} Readiness settings
+ */
+export async function getReadinessSettings() {
+  const result = await chrome.storage.local.get(READINESS_KEY);
+  return normalizeReadiness(result[READINESS_KEY] || {});
+}
+
+/**
+ * Update the readiness strategy
+ * @param {Object} settings - Partial readiness settings
+ * @returns {Promise<Object>} Updated settings
+ */
+export async function setReadinessSettings(settings) {
+  const updated = normalizeReadiness({ ...(await getReadinessSettings()), ...settings });
+  await chrome.storage.local.set({ [READINESS_KEY]: updated });
+  return updated;
+}
+
+/**
+ * Whether the side panel re-analyzes a tab after a client-side navigation
+ * (off by default: the panel offers a Re-analyze banner instead)
+ * @returns {Promise<boolean>}
+ */
+export async function getAutoReanalyze() {
+  const result = await chrome.storage.local.get(AUTO_REANALYZE_KEY);
+  return result[AUTO_REANALYZE_KEY] === true;
+}
+
+/**
+ * Turn automatic re-analysis on client-side navigation on or off
+ * @param {boolean} enabled
+ * @returns {Promise<boolean>} Stored value
+ */
+export async function setAutoReanalyze(enabled) {
+  await chrome.storage.local.set({ [AUTO_REANALYZE_KEY]: !!enabled });
+  return !!enabled;
+}
+
+/**
+ * Whether analyses re-request the page with AI crawler user-agents
+ * (off by default: it sends one extra request per crawler)
+ * @returns {Promise<boolean>}
+ */
+export async function getCrawlerSimulation() {
+  const result = await chrome.storage.local.get(CRAWLER_SIMULATION_KEY);
+  return result[CRAWLER_SIMULATION_KEY] === true;
+}
+
+/**
+ * Turn AI crawler user-agent simulation on or off
+ * @param {boolean} enabled
+ * @returns {Promise<boolean>} Stored value
+ */
+export async function setCrawlerSimulation(enabled) {
+  await chrome.storage.local.set({ [CRAWLER_SIMULATION_KEY]: !!enabled });
+  return !!enabled;
+}
@@ -0,0 +1,123 @@
+/**
+ * Profile Store
+ * Persists user-defined scoring profiles and the active profile selection
+ */
+
+import {
+  BUILT_IN_PROFILES,
+  DEFAULT_PROFILE,
+  normalizeProfile,
+  validateProfile
+} from '../scoring/scoring-profiles.js';
+
+const PROFILES_KEY = 'scoringProfiles';
+const ACTIVE_PROFILE_KEY = 'activeScoringProfile';
+
+/**
+ * Get all profiles, built-in first
+ * @returns {Promise<Array>} Profiles
+ */
+export async function getProfiles() {
+  const result = await chrome.storage.local.get(PROFILES_KEY);
+  const custom = (result[PROFILES_KEY] || []).map(profile => normalizeProfile(profile));
+  return [...BUILT_IN_PROFILES, ...custom];
+}
+
+/**
+ * Get a profile by ID
+ * @param {string} id - Profile ID
+ * @returns {Promise<Object|null>} Profile or null
+ */
+export async function getProfile(id) {
+  const profiles = await getProfiles();
+  return profiles.find(profile => profile.id === id) || null;
+}
+
+/**
+ * Get the active profile, falling back to the default if it was deleted
+ * @returns {Promise<Object>} Active profile
+ */
+export async function getActiveProfile() {
+  const result = await chrome.storage.local.get(ACTIVE_PROFILE_KEY);
+  const profile = await getProfile(result[ACTIVE_PROFILE_KEY]);
+  return profile || DEFAULT_PROFILE;
+}
+
+/**
+ * Set the active profile
+ * @param {string} id - Profile ID
+ * @returns {Promise<Object>} Active profile
+ */
+export async function setActiveProfile(id) {
+  const profile = await getProfile(id);
+  if (!profile) {
+    throw new Error('Profile not found');
+  }
+  await chrome.storage.local.set({ [ACTIVE_PROFILE_KEY]: id });
+  return profile;
+}
+
+/**
+ * Create or update a custom profile
+ * @param {Object} profile - Profile (no ID to create)
+ * @returns {Promise<Object>} Saved profile
+ * @throws {Error} With all validation messages when the profile is invalid
+ */
+export async function saveProfile(profile) {
+  if (profile.builtIn || BUILT_IN_PROFILES.some(builtIn => builtIn.id === profile.id)) {
+    throw new Error('Built-in profiles cannot be modified');
+  }
+
+  const normalized = normalizeProfile(profile);
+  const { valid, errors } = validateProfile(normalized);
+  if (!valid) {
+    throw new Error(errors.join('\n'));
+  }
+
+  const result = await chrome.storage.local.get(PROFILES_KEY);
+  const custom = result[PROFILES_KEY] || [];
+
+  const allNames = [...BUILT_IN_PROFILES, ...custom]
+    .filter(existing => existing.id !== normalized.id)
+    .map(existing => existing.name.toLowerCase());
+  if (allNames.includes(normalized.name.toLowerCase())) {
+    throw new Error(`A profile named "${normalized.name}" already exists`);
+  }
+
+  const saved = {
+    ...normalized,
+    id: normalized.id || `profile-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+    builtIn: false,
+    updatedAt: Date.now()
+  };
+
+  const index = custom.findIndex(existing => existing.id === saved.id);
+  if (index >= 0) {
+    custom[index] = saved;
+  } else {
+    custom.push(saved);
+  }
+
+  await chrome.storage.local.set({ [PROFILES_KEY]: custom });
+  return saved;
+}
+
+/**
+ * Delete a custom profile
+ * The default becomes active if the deleted profile was active.
+ * @param {string} id - Profile ID
+ * @returns {Promise<boolean>} Success
+ */
+export async function deleteProfile(id) {
+  const result = await chrome.storage.local.get([PROFILES_KEY, ACTIVE_PROFILE_KEY]);
+  const custom = result[PROFILES_KEY] || [];
+  const remaining = custom.filter(profile => profile.id !== id);
+
+  if (remaining.length === custom.length) return false;
+
+  await chrome.storage.local.set({ [PROFILES_KEY]: remaining });
+  if (result[ACTIVE_PROFILE_KEY] === id) {
+    await chrome.storage.local.remove(ACTIVE_PROFILE_KEY);
+  }
+  return true;
+}
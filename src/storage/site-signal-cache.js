@@ -0,0 +1,139 @@
+/**
+ * Site Signal Cache
+ * Keeps site-level fetches (robots.txt, llms.txt, TDMRep/ai.txt) per origin
+ * in chrome.storage.local, so analyses of other pages on the same site and
+ * quick re-analyses reuse them until the TTL runs out. Entries outlive
+ * service worker restarts; results with an error are never stored.
+ */
+
+const TTL_KEY = 'siteSignalTtl';
+const ENTRY_PREFIX = 'siteSignal:';
+
+/**
+ * Default time-to-live (30 minutes); 0 turns the cache off
+ */
+export const DEFAULT_SITE_SIGNAL_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Upper bound on the TTL
+ */
+const MAX_SITE_SIGNAL_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// In-flight loads, so parallel analyses of one site share a single fetch
+const pendingLoads = new Map();
+
+// Storage key for one signal of one origin
+function entryKey(origin, signal) {
+  return `${ENTRY_PREFIX}${origin}|${signal}`;
+}
+
+/**
+ * Get the cache TTL
+ * @returns {Promise<number>} TTL in milliseconds (0 = cache off)
+ */
+export async function getSiteSignalTtl() {
+  const result = await chrome.storage.local.get(TTL_KEY);
+  const ttl = result[TTL_KEY];
+  return Number.isFinite(ttl) ? Math.min(Math.max(0, ttl), MAX_SITE_SIGNAL_TTL_MS) : DEFAULT_SITE_SIGNAL_TTL_MS;
+}
+
+/**
+ * Update the cache TTL and drop entries that are now expired
+ * @param {number} ttlMs - TTL in milliseconds (0 turns the cache off)
+ * @returns {Promise<number>} Stored TTL
+ */
+export async function setSiteSignalTtl(ttlMs) {
+  const ttl = Number.isFinite(ttlMs) ? Math.min(Math.max(0, ttlMs), MAX_SITE_SIGNAL_TTL_MS) : DEFAULT_SITE_SIGNAL_TTL_MS;
+  await chrome.storage.local.set({ [TTL_KEY]: ttl });
+  await pruneSiteSignals();
+  return ttl;
+}
+
+/**
+ * Return a site signal from the cache, or load and cache it
+ * @param {string} origin - Site origin (e.g. https://example.com)
+ * @param {string} signal - Signal name (robots, llms, aiPolicy)
+ * @param {Function} load - async () => data; data with an `error` is not cached
+ * @param {Object} [options] - { refresh } skips the cached entry
+ * @returns {Promise<Object>} { data, fetchedAt, cached }
+ */
+export function getSiteSignal(origin, signal, load, { refresh = false } = {}) {
+  const key = entryKey(origin, signal);
+  if (!refresh && pendingLoads.has(key)) return pendingLoads.get(key);
+
+  const request = resolveSiteSignal(key, origin, signal, load, refresh)
+    .finally(() => {
+      if (pendingLoads.get(key) === request) pendingLoads.delete(key);
+    });
+  pendingLoads.set(key, request);
+  return request;
+}
+
+async function resolveSiteSignal(key, origin, signal, load, refresh) {
+  const ttl = await getSiteSignalTtl();
+
+  if (!refresh && ttl > 0) {
+    const stored = (await chrome.storage.local.get(key))[key];
+    if (stored && Date.now() - stored.fetchedAt < ttl) {
+      return { data: stored.data, fetchedAt: stored.fetchedAt, cached: true };
+    }
+  }
+
+  const data = await load();
+  const fetchedAt = Date.now();
+  if (ttl > 0 && !data?.error) {
+    await chrome.storage.local.set({ [key]: { origin, signal, fetchedAt, data } });
+  }
+  return { data, fetchedAt, cached: false };
+}
+
+/**
+ * Get the unexpired cached signals for an origin
+ * @param {string} origin - Site origin
+ * @returns {Promise<Object>} { ttlMs, signals: { [signal]: { data, fetchedAt, expiresAt } } }
+ */
+export async function getCachedSiteSignals(origin) {
+  const ttl = await getSiteSignalTtl();
+  const entries = await getAllEntries();
+  const signals = {};
+
+  entries
+    .filter(([, entry]) => entry.origin === origin && Date.now() - entry.fetchedAt < ttl)
+    .forEach(([, entry]) => {
+      signals[entry.signal] = { data: entry.data, fetchedAt: entry.fetchedAt, expiresAt: entry.fetchedAt + ttl };
+    });
+
+  return { ttlMs: ttl, signals };
+}
+
+/**
+ * Drop cached signals for one origin, or for every origin
+ * @param {string} [origin] - Site origin (omit to clear everything)
+ * @returns {Promise<number>} Number of entries removed
+ */
+export async function clearSiteSignals(origin) {
+  const keys = (await getAllEntries())
+    .filter(([, entry]) => !origin || entry.origin === origin)
+    .map(([key]) => key);
+  if (keys.length > 0) await chrome.storage.local.remove(keys);
+  return keys.length;
+}
+
+/**
+ * Remove expired entries (all of them when the cache is off)
+ * @returns {Promise<number>} Number of entries removed
+ */
+export async function pruneSiteSignals() {
+  const ttl = await getSiteSignalTtl();
+  const keys = (await getAllEntries())
+    .filter(([, entry]) => Date.now() - entry.fetchedAt >= ttl)
+    .map(([key]) => key);
+  if (keys.length > 0) await chrome.storage.local.remove(keys);
+  return keys.length;
+}
+
+// [key, entry] pairs for every cached signal
+async function getAllEntries() {
+  const all = await chrome.storage.local.get(null);
+  return Object.entries(all).filter(([key]) => key.startsWith(ENTRY_PREFIX));
+}
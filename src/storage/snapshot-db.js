@@ -0,0 +1,122 @@
+/**
+ * Snapshot Database
+ * IndexedDB schema, migrations, and compression helpers for analysis history
+ */
+
+const DB_NAME = 'pdpiq';
+
+/**
+ * Schema migrations, applied in order on upgrade
+ * MIGRATIONS[n] upgrades the database from version n to n + 1.
+ * Never edit a shipped migration; append a new one instead.
+ */
+const MIGRATIONS = [
+  // v1: analysis summaries (listing/filtering) + compressed full snapshots
+  (db) => {
+    const analyses = db.createObjectStore('analyses', { keyPath: 'id' });
+    analyses.createIndex('timestamp', 'timestamp');
+    analyses.createIndex('domain', 'domain');
+    analyses.createIndex('url', 'url');
+
+    db.createObjectStore('snapshots', { keyPath: 'id' });
+  }
+];
+
+export const DB_VERSION = MIGRATIONS.length;
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the database
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      for (let version = event.oldVersion; version < DB_VERSION; version++) {
+        MIGRATIONS[version](db, request.transaction);
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another panel is upgrading the schema; release our connection
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+
+    request.onblocked = () => {
+      console.warn('pdpIQ: Database upgrade blocked by another open panel');
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run work inside a transaction and resolve when it commits
+ * If the callback returns an IDBRequest, its result is resolved.
+ * @param {string|Array<string>} storeNames - Object stores to include
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - (tx) => value | IDBRequest
+ * @returns {Promise<*>}
+ */
+export async function runTransaction(storeNames, mode, callback) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const value = callback(tx);
+
+    tx.oncomplete = () => resolve(value instanceof IDBRequest ? value.result : value);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Serialize and gzip a value
+ * Falls back to plain JSON where CompressionStream is unavailable
+ * @param {*} value - JSON-serializable value
+ * @returns {Promise<Object>} { encoding, data, size, rawSize }
+ */
+export async function compressJson(value) {
+  const json = JSON.stringify(value);
+
+  if (typeof CompressionStream === 'undefined') {
+    return { encoding: 'json', data: json, size: json.length, rawSize: json.length };
+  }
+
+  const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+  const data = await new Response(stream).arrayBuffer();
+
+  return { encoding: 'gzip', data, size: data.byteLength, rawSize: json.length };
+}
+
+/**
+ * Reverse compressJson()
+ * @param {string} encoding - 'gzip' or 'json'
+ * @param {ArrayBuffer|string} data - Stored data
+ * @returns {Promise<*>} Parsed value
+ */
+export async function decompressJson(encoding, data) {
+  if (encoding === 'json') {
+    return JSON.parse(data);
+  }
+
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return JSON.parse(await new Response(stream).text());
+}
@@ -1,35 +1,88 @@
 /**
  * Storage Manager
- * Handles local storage for analysis history
+ * Handles analysis history: summaries for listing plus compressed full
+ * snapshots (extraction, scoreResult, recommendations) in IndexedDB
  */
 
-const HISTORY_KEY = 'analysisHistory';
-const MAX_HISTORY = 100;
-const STORAGE_QUOTA_BYTES = 10 * 1024 * 1024; // 10MB chrome.storage.local limit
-const QUOTA_WARNING_THRESHOLD = 0.8; // Prune when 80% full
+import { runTransaction, compressJson, decompressJson } from './snapshot-db.js';
+
+const LEGACY_HISTORY_KEY = 'analysisHistory'; // chrome.storage.local, score-only (pre-IndexedDB)
+const RETENTION_KEY = 'historyRetention';
+
+/**
+ * Default retention policy
+ * maxEntries / maxAgeDays remove whole analyses; maxSnapshotBytes only drops
+ * the oldest full snapshots and keeps their summaries in the history list.
+ * maxAgeDays of 0 keeps entries indefinitely.
+ */
+export const DEFAULT_RETENTION = {
+  maxEntries: 500,
+  maxAgeDays: 180,
+  maxSnapshotBytes: 100 * 1024 * 1024
+};
+
+let legacyMigration = null;
+
+/**
+ * Import score-only history from chrome.storage.local (one time)
+ * Imported entries have no snapshot and can't be reopened
+ * @returns {Promise<void>}
+ */
+function migrateLegacyHistory() {
+  if (legacyMigration) return legacyMigration;
+
+  legacyMigration = (async () => {
+    const result = await chrome.storage.local.get(LEGACY_HISTORY_KEY);
+    const legacy = result[LEGACY_HISTORY_KEY];
+    if (!Array.isArray(legacy)) return;
+
+    await runTransaction('analyses', 'readwrite', tx => {
+      const store = tx.objectStore('analyses');
+      legacy.forEach(entry => {
+        if (entry?.id) store.put({ ...entry, hasSnapshot: false, snapshotSize: 0 });
+      });
+    });
+
+    await chrome.storage.local.remove(LEGACY_HISTORY_KEY);
+    console.log(`pdpIQ: Migrated ${legacy.length} history entries to IndexedDB`);
+  })().catch(e => {
+    legacyMigration = null;
+    console.warn('pdpIQ: Legacy history migration failed', e);
+  });
+
+  return legacyMigration;
+}
 
 /**
  * Save an analysis to history
- * @param {Object} analysis - Analysis result to save
- * @returns {Promise<Object>} Saved analysis with ID
+ * @param {Object} analysis - { url, pageInfo, extraction, scoreResult, recommendations }
+ * @returns {Promise<Object>} Saved summary entry with ID
  */
 export async function saveAnalysis(analysis) {
-  let history = await getHistory();
+  await migrateLegacyHistory();
+
+  const id = `${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+  const url = analysis.url || analysis.pageInfo?.url;
 
-  // Check storage quota and prune if needed
-  await pruneIfNearQuota(history);
-  history = await getHistory(); // Refresh after potential pruning
+  const snapshot = analysis.extraction
+    ? await compressJson({
+      extraction: analysis.extraction,
+      scoreResult: analysis.scoreResult,
+      recommendations: analysis.recommendations || []
+    })
+    : null;
 
   const entry = {
-    id: Date.now().toString(),
-    url: analysis.url || analysis.pageInfo?.url,
+    id,
+    url,
     title: analysis.pageInfo?.title || 'Unknown Page',
-    domain: analysis.pageInfo?.domain || new URL(analysis.url || analysis.pageInfo?.url).hostname,
+    domain: analysis.pageInfo?.domain || new URL(url).hostname,
     score: analysis.scoreResult?.totalScore,
     grade: analysis.scoreResult?.grade,
     context: analysis.scoreResult?.context,
+    profile: analysis.scoreResult?.profile?.name || null,
+    vertical: analysis.scoreResult?.vertical?.id || null,
     timestamp: Date.now(),
-    // Store only score numbers, not full factor data (reduces size ~80%)
     categoryScores: Object.fromEntries(
       Object.entries(analysis.scoreResult?.categoryScores || {}).map(([key, data]) => [
         key,
@@ -39,63 +92,144 @@ export async function saveAnalysis(analysis) {
     recommendationCount: analysis.recommendations?.length || 0,
     criticalIssues: (analysis.recommendations || [])
       .filter(r => r.impact === 'high')
-      .length
+      .length,
+    hasSnapshot: !!snapshot,
+    snapshotSize: snapshot?.size || 0
   };
 
-  // Add to beginning of history
-  history.unshift(entry);
-
-  // Trim to max size
-  if (history.length > MAX_HISTORY) {
-    history.length = MAX_HISTORY;
-  }
+  await runTransaction(['analyses', 'snapshots'], 'readwrite', tx => {
+    tx.objectStore('analyses').put(entry);
+    if (snapshot) {
+      tx.objectStore('snapshots').put({
+        id,
+        encoding: snapshot.encoding,
+        data: snapshot.data,
+        rawSize: snapshot.rawSize
+      });
+    }
+  });
 
-  await chrome.storage.local.set({ [HISTORY_KEY]: history });
+  await applyRetention();
 
   return entry;
 }
 
 /**
- * Check storage quota and prune old entries if approaching limit
- * @param {Array} history - Current history array
+ * Get the active retention policy
+ * @returns {Promise<Object>} Retention policy
  */
-async function pruneIfNearQuota(history) {
-  try {
-    const bytesUsed = await chrome.storage.local.getBytesInUse(HISTORY_KEY);
-    const usageRatio = bytesUsed / STORAGE_QUOTA_BYTES;
+export async function getRetentionPolicy() {
+  const result = await chrome.storage.local.get(RETENTION_KEY);
+  return { ...DEFAULT_RETENTION, ...(result[RETENTION_KEY] || {}) };
+}
 
-    if (usageRatio >= QUOTA_WARNING_THRESHOLD) {
-      console.log(`pdpIQ: Storage at ${Math.round(usageRatio * 100)}%, pruning old entries`);
+/**
+ * Update the retention policy and apply it immediately
+ * @param {Object} policy - Partial retention policy
+ * @returns {Promise<Object>} Updated policy
+ */
+export async function setRetentionPolicy(policy) {
+  const updated = { ...(await getRetentionPolicy()), ...policy };
+  await chrome.storage.local.set({ [RETENTION_KEY]: updated });
+  await applyRetention();
+  return updated;
+}
 
-      // Remove oldest 20% of entries
-      const pruneCount = Math.max(1, Math.floor(history.length * 0.2));
-      history.length = Math.max(0, history.length - pruneCount);
+/**
+ * Enforce the retention policy
+ * @returns {Promise<Object>} { removed, snapshotsDropped }
+ */
+export async function applyRetention() {
+  const policy = await getRetentionPolicy();
+  const history = await getHistory();
+  const cutoff = policy.maxAgeDays > 0 ? Date.now() - policy.maxAgeDays * 24 * 60 * 60 * 1000 : 0;
 
-      await chrome.storage.local.set({ [HISTORY_KEY]: history });
-      console.log(`pdpIQ: Pruned ${pruneCount} old entries`);
+  const remove = [];
+  const dropSnapshot = [];
+  let snapshotBytes = 0;
+
+  history.forEach((entry, index) => {
+    if (index >= policy.maxEntries || entry.timestamp < cutoff) {
+      remove.push(entry.id);
+      return;
     }
-  } catch (e) {
-    console.warn('pdpIQ: Error checking storage quota', e);
+    if (entry.hasSnapshot) {
+      snapshotBytes += entry.snapshotSize || 0;
+      if (snapshotBytes > policy.maxSnapshotBytes) {
+        dropSnapshot.push(entry);
+      }
+    }
+  });
+
+  if (remove.length === 0 && dropSnapshot.length === 0) {
+    return { removed: 0, snapshotsDropped: 0 };
   }
+
+  await runTransaction(['analyses', 'snapshots'], 'readwrite', tx => {
+    const analyses = tx.objectStore('analyses');
+    const snapshots = tx.objectStore('snapshots');
+    remove.forEach(id => {
+      analyses.delete(id);
+      snapshots.delete(id);
+    });
+    dropSnapshot.forEach(entry => {
+      analyses.put({ ...entry, hasSnapshot: false, snapshotSize: 0 });
+      snapshots.delete(entry.id);
+    });
+  });
+
+  console.log(`pdpIQ: Retention removed ${remove.length} analyses, dropped ${dropSnapshot.length} snapshots`);
+  return { removed: remove.length, snapshotsDropped: dropSnapshot.length };
 }
 
 /**
- * Get analysis history
+ * Get analysis history (summaries, newest first)
  * @returns {Promise<Array>} History array
  */
 export async function getHistory() {
-  const result = await chrome.storage.local.get(HISTORY_KEY);
-  return result[HISTORY_KEY] || [];
+  await migrateLegacyHistory();
+
+  const entries = await runTransaction('analyses', 'readonly', tx =>
+    tx.objectStore('analyses').getAll()
+  );
+
+  return entries.sort((a, b) => b.timestamp - a.timestamp);
 }
 
 /**
- * Get a single analysis by ID
+ * Get a single analysis summary by ID
  * @param {string} id - Analysis ID
  * @returns {Promise<Object|null>} Analysis or null
  */
 export async function getAnalysis(id) {
-  const history = await getHistory();
-  return history.find(a => a.id === id) || null;
+  await migrateLegacyHistory();
+
+  const entry = await runTransaction('analyses', 'readonly', tx =>
+    tx.objectStore('analyses').get(id)
+  );
+  return entry || null;
+}
+
+/**
+ * Get the full snapshot for an analysis
+ * @param {string} id - Analysis ID
+ * @returns {Promise<Object|null>} { ...summary, extraction, scoreResult, recommendations } or null
+ */
+export async function getSnapshot(id) {
+  const [entry, record] = await Promise.all([
+    getAnalysis(id),
+    runTransaction('snapshots', 'readonly', tx => tx.objectStore('snapshots').get(id))
+  ]);
+
+  if (!entry || !record) return null;
+
+  try {
+    const payload = await decompressJson(record.encoding, record.data);
+    return { ...entry, ...payload };
+  } catch (e) {
+    console.warn('pdpIQ: Unable to read snapshot', id, e);
+    return null;
+  }
 }
 
 /**
@@ -104,13 +238,13 @@ export async function getAnalysis(id) {
  * @returns {Promise<boolean>} Success
  */
 export async function deleteAnalysis(id) {
-  const history = await getHistory();
-  const index = history.findIndex(a => a.id === id);
-
-  if (index === -1) return false;
+  const entry = await getAnalysis(id);
+  if (!entry) return false;
 
-  history.splice(index, 1);
-  await chrome.storage.local.set({ [HISTORY_KEY]: history });
+  await runTransaction(['analyses', 'snapshots'], 'readwrite', tx => {
+    tx.objectStore('analyses').delete(id);
+    tx.objectStore('snapshots').delete(id);
+  });
 
   return true;
 }
@@ -120,7 +254,12 @@ export async function deleteAnalysis(id) {
  * @returns {Promise<void>}
  */
 export async function clearHistory() {
-  await chrome.storage.local.remove(HISTORY_KEY);
+  await migrateLegacyHistory();
+
+  await runTransaction(['analyses', 'snapshots'], 'readwrite', tx => {
+    tx.objectStore('analyses').clear();
+    tx.objectStore('snapshots').clear();
+  });
 }
 
 /**
@@ -166,17 +305,19 @@ export async function exportHistory() {
  */
 export async function getStorageStats() {
   const history = await getHistory();
-  const bytesUsed = await chrome.storage.local.getBytesInUse(HISTORY_KEY);
-  const usagePercent = Math.round((bytesUsed / STORAGE_QUOTA_BYTES) * 100);
+  const policy = await getRetentionPolicy();
+  const bytesUsed = history.reduce((sum, entry) => sum + (entry.snapshotSize || 0), 0);
+  const usagePercent = Math.round((bytesUsed / policy.maxSnapshotBytes) * 100);
 
   return {
     analysisCount: history.length,
+    snapshotCount: history.filter(entry => entry.hasSnapshot).length,
     bytesUsed,
     bytesFormatted: formatBytes(bytesUsed),
-    quotaBytes: STORAGE_QUOTA_BYTES,
-    quotaFormatted: formatBytes(STORAGE_QUOTA_BYTES),
+    quotaBytes: policy.maxSnapshotBytes,
+    quotaFormatted: formatBytes(policy.maxSnapshotBytes),
     usagePercent,
-    nearQuota: usagePercent >= QUOTA_WARNING_THRESHOLD * 100,
+    nearQuota: usagePercent >= 80,
     oldestAnalysis: history.length > 0 ? history[history.length - 1].timestamp : null,
     newestAnalysis: history.length > 0 ? history[0].timestamp : null
   };
@@ -190,7 +331,7 @@ export async function getStorageStats() {
 function formatBytes(bytes) {
   if (bytes === 0) return '0 Bytes';
   const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB'];
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
   const i = Math.floor(Math.log(bytes) / Math.log(k));
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }